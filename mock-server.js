@@ -0,0 +1,398 @@
+/**
+ * Local stand-in for the model backend, so the app works without the Azure host:
+ *
+ *   node mock-server.js [options]
+ *   npm run mock-server -- [options]
+ *
+ * Routes (GET and HEAD, with CORS headers so the dev server can call them):
+ *
+ *   /download-model       model.json of the model directory
+ *   /download-tfjs-model  ZIP of the model directory, built on every request
+ *   /model-manifest       SHA-256 digest and size of every file of the model
+ *                         directory, which the app checks downloads against
+ *   /api/health           { status: 'ok' }
+ *   /<file>               any other file of the model directory (weight shards,
+ *                         metadata.json), which is where model.json's relative
+ *                         paths resolve when it is loaded from /download-model
+ *
+ * Downloads carry an ETag and Last-Modified derived from the files, so editing
+ * the model directory (e.g. the version in metadata.json) looks like a new
+ * model to the app's cache revalidation. Range requests (with If-Range) are
+ * answered with 206, so interrupted downloads can resume.
+ *
+ * Start the app against it with `npm run start:mock`, which sets
+ * REACT_APP_USE_MOCK_SERVER (mock.server in src/appConfig.js).
+ *
+ * Options that simulate a bad backend (they apply to the download routes):
+ *   --port <n>              Port to listen on (default 3001)
+ *   --model-dir <dir>       Model directory (default public/models/sign_language_model)
+ *   --throttle <KB/s>       Stream downloads at this rate
+ *   --no-content-length     Omit Content-Length, so downloads are sent chunked
+ *   --fail-first <n>        Answer the first n download requests with an error status
+ *   --fail-rate <0-1>       Answer this share of download requests with an error status
+ *   --status <code>         Status of the simulated failures (default 503)
+ *   --corrupt-zip           Flip bytes in the middle of the ZIP, so its CRC check fails
+ *   --tamper                Change the weight shards inside the ZIP; the ZIP stays valid
+ *                           but no longer matches /model-manifest
+ *   --drop-after <KB>       Close the connection after sending this much of a download
+ *   --health-latency <ms>   Delay before /api/health answers
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const JSZip = require('jszip');
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_MODEL_DIR = path.join(__dirname, 'public', 'models', 'sign_language_model');
+const DEFAULT_FAILURE_STATUS = 503;
+// Throttled downloads are written in this many chunks per second
+const THROTTLE_TICKS_PER_SECOND = 10;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.bin': 'application/octet-stream',
+  '.zip': 'application/zip'
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+  'Access-Control-Expose-Headers': 'Accept-Ranges, Content-Length, Content-Range, Content-Type, ETag, Last-Modified'
+};
+
+function parseArgs(argv) {
+  const options = {
+    port: DEFAULT_PORT,
+    modelDir: DEFAULT_MODEL_DIR,
+    throttle: 0,
+    contentLength: true,
+    failFirst: 0,
+    failRate: 0,
+    status: DEFAULT_FAILURE_STATUS,
+    corruptZip: false,
+    tamper: false,
+    dropAfter: 0,
+    healthLatency: 0
+  };
+
+  const readNumber = (name, value, isValid) => {
+    const number = Number(value);
+    if (value === undefined || !isValid(number)) throw new Error(`Invalid value for ${name}: ${value}`);
+    return number;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      options.port = readNumber(arg, argv[++i], n => Number.isInteger(n) && n > 0 && n < 65536);
+    } else if (arg === '--model-dir') {
+      if (!argv[i + 1]) throw new Error('--model-dir needs a path');
+      options.modelDir = path.resolve(argv[++i]);
+    } else if (arg === '--throttle') {
+      options.throttle = readNumber(arg, argv[++i], n => n > 0) * 1024;
+    } else if (arg === '--no-content-length') {
+      options.contentLength = false;
+    } else if (arg === '--fail-first') {
+      options.failFirst = readNumber(arg, argv[++i], n => Number.isInteger(n) && n >= 0);
+    } else if (arg === '--fail-rate') {
+      options.failRate = readNumber(arg, argv[++i], n => n >= 0 && n <= 1);
+    } else if (arg === '--status') {
+      options.status = readNumber(arg, argv[++i], n => Number.isInteger(n) && n >= 400 && n < 600);
+    } else if (arg === '--corrupt-zip') {
+      options.corruptZip = true;
+    } else if (arg === '--tamper') {
+      options.tamper = true;
+    } else if (arg === '--drop-after') {
+      options.dropAfter = readNumber(arg, argv[++i], n => n > 0) * 1024;
+    } else if (arg === '--health-latency') {
+      options.healthLatency = readNumber(arg, argv[++i], n => n >= 0);
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (!fs.existsSync(path.join(options.modelDir, 'model.json'))) {
+    throw new Error(`${options.modelDir} has no model.json`);
+  }
+  return options;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Zip the files of the model directory, the layout the app's ZIP loader expects
+ *
+ * @param {string} modelDir - Model directory
+ * @param {Object} damage - { corrupt, tamper }: flip bytes in the middle of the
+ *   archive, or change the first byte of every weight shard before zipping
+ * @returns {Promise<Buffer>} ZIP archive
+ */
+async function buildModelZip(modelDir, { corrupt, tamper }) {
+  const zip = new JSZip();
+  for (const name of fs.readdirSync(modelDir)) {
+    const filePath = path.join(modelDir, name);
+    const stats = fs.statSync(filePath);
+    if (stats.isFile()) {
+      const data = fs.readFileSync(filePath);
+      if (tamper && name.endsWith('.bin') && data.length > 0) {
+        data[0] ^= 0xff;
+      }
+      // File dates instead of now, so the same files give the same archive and ETag
+      zip.file(name, data, { date: stats.mtime });
+    }
+  }
+
+  const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  if (corrupt) {
+    // Inside the entries' data, so the archive still opens but fails to inflate or CRC check
+    const middle = Math.floor(archive.length / 2);
+    for (let i = middle; i < Math.min(middle + 64, archive.length); i++) {
+      archive[i] ^= 0xff;
+    }
+  }
+  return archive;
+}
+
+/**
+ * Digests of the model directory's files, the manifest the app verifies downloads with
+ *
+ * @param {string} modelDir - Model directory
+ * @returns {Object} { manifestVersion, modelVersion, files: { <name>: { sha256, size } } }
+ */
+function buildModelManifest(modelDir) {
+  const files = {};
+  for (const name of fs.readdirSync(modelDir).sort()) {
+    const filePath = path.join(modelDir, name);
+    if (fs.statSync(filePath).isFile()) {
+      const data = fs.readFileSync(filePath);
+      files[name] = { sha256: crypto.createHash('sha256').update(data).digest('hex'), size: data.length };
+    }
+  }
+
+  let modelVersion = null;
+  try {
+    modelVersion = JSON.parse(fs.readFileSync(path.join(modelDir, 'metadata.json'), 'utf8')).version || null;
+  } catch (error) {
+    // Models without metadata.json have no version
+  }
+  return { manifestVersion: 1, modelVersion, files };
+}
+
+/**
+ * Latest modification time of the given files
+ *
+ * @param {Array<string>} filePaths - Files
+ * @returns {Date} Modification time
+ */
+function getLastModified(filePaths) {
+  return new Date(Math.max(...filePaths.map(filePath => fs.statSync(filePath).mtimeMs)));
+}
+
+/**
+ * Parse a single-range Range header ("bytes=start-" or "bytes=start-end")
+ *
+ * @param {string} header - Range header
+ * @param {number} size - Size of the full body
+ * @returns {Object|null} { start, end } (inclusive), or null when the range cannot be served
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d+)-(\d*)$/.exec(header.trim());
+  if (!match) return null;
+
+  const start = Number(match[1]);
+  const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  return start < size && start <= end ? { start, end } : null;
+}
+
+/**
+ * Send a body, optionally a byte range of it, without Content-Length, at a
+ * limited rate or cut off part way
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} req - Request, HEAD requests only get the headers
+ * @param {Buffer} body - Response body
+ * @param {Object} file - { contentType, lastModified }
+ * @param {Object} options - Server options
+ * @returns {Promise<number>} Status code sent
+ */
+async function sendBody(res, req, body, file, options) {
+  const etag = `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+  const lastModified = file.lastModified.toUTCString();
+  const headers = {
+    ...CORS_HEADERS,
+    'Content-Type': file.contentType,
+    'Cache-Control': 'no-store',
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': lastModified
+  };
+
+  // A Range is honoured unless If-Range names another version of the file
+  const ifRange = req.headers['if-range'];
+  let status = 200;
+  let part = body;
+  if (req.headers.range && (!ifRange || ifRange === etag || ifRange === lastModified)) {
+    const range = parseRange(req.headers.range, body.length);
+    if (!range) {
+      res.writeHead(416, { ...CORS_HEADERS, 'Content-Range': `bytes */${body.length}` });
+      res.end();
+      return 416;
+    }
+    status = 206;
+    part = body.subarray(range.start, range.end + 1);
+    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${body.length}`;
+  }
+
+  if (options.contentLength) {
+    headers['Content-Length'] = part.length;
+  }
+  res.writeHead(status, headers);
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return status;
+  }
+
+  // --drop-after closes the connection once that many bytes are sent, like a dropped mobile link
+  const limit = options.dropAfter ? Math.min(part.length, options.dropAfter) : part.length;
+  const finish = () => (limit < part.length ? res.destroy() : res.end());
+
+  if (!options.throttle) {
+    res.write(part.subarray(0, limit), finish);
+    return status;
+  }
+
+  const chunkSize = Math.max(Math.floor(options.throttle / THROTTLE_TICKS_PER_SECOND), 1);
+  for (let offset = 0; offset < limit && !res.destroyed; offset += chunkSize) {
+    res.write(part.subarray(offset, Math.min(offset + chunkSize, limit)));
+    await sleep(1000 / THROTTLE_TICKS_PER_SECOND);
+  }
+  finish();
+  return status;
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the request handler
+ *
+ * @param {Object} options - Server options
+ * @returns {Function} (req, res) => Promise<void>
+ */
+function createHandler(options) {
+  let downloadRequests = 0;
+
+  // Decide whether this download request gets a simulated failure
+  const shouldFail = () => {
+    downloadRequests++;
+    return downloadRequests <= options.failFirst || Math.random() < options.failRate;
+  };
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const started = Date.now();
+    const log = (status, note = '') => {
+      console.log(`${req.method} ${pathname} ${status} ${Date.now() - started}ms${note ? ` ${note}` : ''}`);
+    };
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      log(405);
+      return;
+    }
+
+    if (pathname === '/api/health') {
+      if (options.healthLatency) await sleep(options.healthLatency);
+      sendJson(res, 200, { status: 'ok', time: new Date().toISOString() });
+      log(200);
+      return;
+    }
+
+    if (pathname === '/model-manifest') {
+      sendJson(res, 200, buildModelManifest(options.modelDir));
+      log(200);
+      return;
+    }
+
+    // Only the files of the model directory itself are served, never subpaths
+    const modelFiles = fs.readdirSync(options.modelDir);
+    let fileName;
+    try {
+      fileName = pathname === '/download-model' ? 'model.json' : decodeURIComponent(pathname.slice(1));
+    } catch (error) {
+      sendJson(res, 400, { error: `Malformed path: ${pathname}` });
+      log(400);
+      return;
+    }
+    const isZip = pathname === '/download-tfjs-model';
+
+    if (!isZip && !modelFiles.includes(fileName)) {
+      sendJson(res, 404, { error: `Not found: ${pathname}` });
+      log(404);
+      return;
+    }
+
+    if (shouldFail()) {
+      sendJson(res, options.status, { error: 'Simulated failure' });
+      log(options.status, '(simulated)');
+      return;
+    }
+
+    try {
+      const filePaths = isZip
+        ? modelFiles.map(name => path.join(options.modelDir, name)).filter(filePath => fs.statSync(filePath).isFile())
+        : [path.join(options.modelDir, fileName)];
+      const body = isZip
+        ? await buildModelZip(options.modelDir, { corrupt: options.corruptZip, tamper: options.tamper })
+        : fs.readFileSync(filePaths[0]);
+      const contentType = CONTENT_TYPES[isZip ? '.zip' : path.extname(fileName)] || 'application/octet-stream';
+      const status = await sendBody(res, req, body, { contentType, lastModified: getLastModified(filePaths) }, options);
+      log(status, `${(body.length / 1024).toFixed(1)} KB${req.headers.range ? ` (${req.headers.range})` : ''}`);
+    } catch (error) {
+      console.error(`Error serving ${pathname}:`, error);
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+      else res.destroy();
+    }
+  };
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\nUsage: node mock-server.js [--port <n>] [--model-dir <dir>] [--throttle <KB/s>] [--no-content-length] [--fail-first <n>] [--fail-rate <0-1>] [--status <code>] [--corrupt-zip] [--tamper] [--drop-after <KB>] [--health-latency <ms>]`);
+    process.exit(2);
+  }
+
+  const server = http.createServer(createHandler(options));
+  server.listen(options.port, () => {
+    const simulated = [
+      options.throttle && `throttled to ${options.throttle / 1024} KB/s`,
+      !options.contentLength && 'no Content-Length',
+      options.failFirst && `first ${options.failFirst} downloads fail`,
+      options.failRate && `${Math.round(options.failRate * 100)}% of downloads fail`,
+      (options.failFirst || options.failRate) && `failure status ${options.status}`,
+      options.corruptZip && 'corrupt ZIP',
+      options.tamper && 'tampered weight shards',
+      options.dropAfter && `connection dropped after ${options.dropAfter / 1024} KB`,
+      options.healthLatency && `health latency ${options.healthLatency}ms`
+    ].filter(Boolean);
+
+    console.log(`Mock model server on http://localhost:${options.port}`);
+    console.log(`Serving ${path.relative(process.cwd(), options.modelDir) || '.'}`);
+    console.log(`Simulating: ${simulated.length ? simulated.join(', ') : 'nothing'}`);
+  });
+}
+
+main();
@@ -3,6 +3,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate, useLocation, useNavig
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth } from './firebaseConfig';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { startHistorySync } from './utils/historySync';
 import './App.css';
 
 // Import screens
@@ -12,6 +13,9 @@ import ResultsScreen from './screens/ResultsScreen';
 import CameraScreen from './screens/CameraScreen';
 import LoginScreen from './screens/LoginScreen';
 import HistoryScreen from './screens/HistoryScreen';
+import DatasetScreen from './screens/DatasetScreen';
+import TrainingScreen from './screens/TrainingScreen';
+import EvaluationScreen from './screens/EvaluationScreen';
 import MobileConnectionScreen from './screens/MobileConnectionScreen';
 import Layout from './components/Layout';
 
@@ -41,12 +45,28 @@ function App() {
   const [isLoading, setIsLoading] = useState(true);
   
   useEffect(() => {
+    let stopHistorySync = null;
+    
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       setIsSignedIn(!!user);
       setIsLoading(false);
+      
+      // Mirror the signed-in user's history to Firestore
+      if (stopHistorySync) {
+        stopHistorySync();
+        stopHistorySync = null;
+      }
+      if (user) {
+        stopHistorySync = startHistorySync(user.uid);
+      }
     });
     
-    return unsubscribe;
+    return () => {
+      unsubscribe();
+      if (stopHistorySync) {
+        stopHistorySync();
+      }
+    };
   }, []);
 
   if (isLoading) {
@@ -120,6 +140,30 @@ function App() {
             </ProtectedRoute>
           } />
           
+          <Route path="/dataset" element={
+            <ProtectedRoute>
+              <Layout>
+                <DatasetScreen />
+              </Layout>
+            </ProtectedRoute>
+          } />
+          
+          <Route path="/training" element={
+            <ProtectedRoute>
+              <Layout>
+                <TrainingScreen />
+              </Layout>
+            </ProtectedRoute>
+          } />
+          
+          <Route path="/evaluation" element={
+            <ProtectedRoute>
+              <Layout>
+                <EvaluationScreen />
+              </Layout>
+            </ProtectedRoute>
+          } />
+          
           <Route path="/settings" element={
             <ProtectedRoute>
               <Layout>
@@ -0,0 +1,206 @@
+/**
+ * App configuration: backend endpoints, model paths and cache keys, recognition
+ * parameters, MediaPipe assets and mock switches.
+ *
+ * Values come from REACT_APP_* variables at build time, and an optional
+ * config.json served next to index.html overrides them at runtime, so one build
+ * can be pointed at another backend. Read values through getConfig() (or the
+ * helpers below) when they are used rather than at import time, so the runtime
+ * overrides loaded by index.js apply.
+ */
+
+// Confidences are probabilities; 0 would accept every prediction
+const isConfidence = (number) => number > 0 && number <= 1;
+const isNonNegative = (number) => number >= 0;
+
+// Range checks for numeric keys, applied to build-time variables and config.json alike
+const NUMBER_RANGES = {
+  'recognition.confidenceThreshold': { isValid: isConfidence, description: 'a number in (0, 1]' },
+  'recognition.predictionIntervalMs': { isValid: isNonNegative, description: 'a non-negative number' }
+};
+
+const readNumber = (value, fallback, name) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  const range = NUMBER_RANGES[name];
+  if (!Number.isFinite(number) || (range && !range.isValid(number))) {
+    console.warn(`Ignoring ${name} = ${value}: expected ${range ? range.description : 'a number'}`);
+    return fallback;
+  }
+  return number;
+};
+
+const readBoolean = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+
+const DEFAULT_CONFIG = {
+  // Host of /download-model, /download-tfjs-model, /model-manifest and /api/health
+  apiBaseUrl: process.env.REACT_APP_API_BASE_URL || 'https://signlanguagewebapp-a5eff0dabmhwfphu.westeurope-01.azurewebsites.net',
+  // Directory of the model bundled under public/
+  localModelPath: process.env.REACT_APP_LOCAL_MODEL_PATH || '/models/sign_language_model',
+  cache: {
+    keyPrefix: 'sign-language-model-',
+    // Bump to make every browser download the model again
+    version: process.env.REACT_APP_MODEL_CACHE_VERSION || 'v6'
+  },
+  recognition: {
+    confidenceThreshold: readNumber(process.env.REACT_APP_CONFIDENCE_THRESHOLD, 0.7, 'recognition.confidenceThreshold'),
+    // Minimum time between two live predictions
+    predictionIntervalMs: readNumber(process.env.REACT_APP_PREDICTION_INTERVAL_MS, 200, 'recognition.predictionIntervalMs')
+  },
+  mediapipe: {
+    visionWasmUrl: process.env.REACT_APP_VISION_WASM_URL || 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm',
+    handLandmarkerModelUrl: process.env.REACT_APP_HAND_LANDMARKER_MODEL_URL ||
+      'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+    gestureRecognizerModelUrl: process.env.REACT_APP_GESTURE_RECOGNIZER_MODEL_URL ||
+      'https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task'
+  },
+  integrity: {
+    // Load downloaded models without published SHA-256 digests; ignored outside development builds
+    allowUnverifiedModel: readBoolean(process.env.REACT_APP_ALLOW_UNVERIFIED_MODEL, false)
+  },
+  mock: {
+    // Use a randomly initialized model instead of loading one
+    model: readBoolean(process.env.REACT_APP_USE_MOCK_MODEL, false),
+    // Use the local mock backend (npm run mock-server) instead of apiBaseUrl
+    server: readBoolean(process.env.REACT_APP_USE_MOCK_SERVER, false),
+    serverUrl: process.env.REACT_APP_MOCK_SERVER_URL || 'http://localhost:3001'
+  }
+};
+
+export const RUNTIME_CONFIG_URL = `${process.env.PUBLIC_URL || ''}/config.json`;
+
+let currentConfig = DEFAULT_CONFIG;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merge overrides into a config, keeping only known keys with the same type
+ *
+ * @param {Object} base - Current config (or section)
+ * @param {Object} overrides - Values to apply
+ * @param {string} prefix - Key path for warnings
+ * @returns {Object} New config
+ */
+function mergeConfig(base, overrides, prefix = '') {
+  const merged = { ...base };
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    const name = `${prefix}${key}`;
+    if (!(key in base)) {
+      console.warn(`Ignoring unknown config key ${name}`);
+    } else if (isPlainObject(base[key])) {
+      if (isPlainObject(value)) {
+        merged[key] = mergeConfig(base[key], value, `${name}.`);
+      } else {
+        console.warn(`Ignoring config key ${name}: expected an object`);
+      }
+    } else if (typeof value !== typeof base[key]) {
+      console.warn(`Ignoring config key ${name}: expected a ${typeof base[key]}`);
+    } else if (NUMBER_RANGES[name] && !NUMBER_RANGES[name].isValid(value)) {
+      console.warn(`Ignoring config key ${name}: expected ${NUMBER_RANGES[name].description}`);
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Current configuration
+ *
+ * @returns {Object} Config ({ apiBaseUrl, localModelPath, cache, recognition, mediapipe, integrity, mock })
+ */
+export function getConfig() {
+  return currentConfig;
+}
+
+/**
+ * Apply runtime overrides on top of the build-time configuration
+ *
+ * @param {Object} overrides - Partial config with the same structure
+ * @returns {Object} The new config
+ */
+export function applyConfigOverrides(overrides) {
+  currentConfig = mergeConfig(DEFAULT_CONFIG, overrides);
+  return currentConfig;
+}
+
+/**
+ * Load config.json, if the deployment serves one, and apply it
+ *
+ * A missing or invalid file leaves the build-time configuration in place.
+ *
+ * @param {string} url - Location of the runtime config
+ * @returns {Promise<Object>} The config in effect
+ */
+export async function loadRuntimeConfig(url = RUNTIME_CONFIG_URL) {
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    // The dev server answers unknown paths with index.html
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('json')) {
+      return currentConfig;
+    }
+
+    const overrides = await response.json();
+    if (!isPlainObject(overrides)) {
+      throw new Error('config.json must hold an object');
+    }
+    console.log('Applying runtime config from', url);
+    return applyConfigOverrides(overrides);
+  } catch (error) {
+    console.warn(`Could not load runtime config from ${url}:`, error.message);
+    return currentConfig;
+  }
+}
+
+/**
+ * Whether a downloaded model may load without being checked against SHA-256
+ * digests; production builds always check
+ *
+ * @returns {boolean} True when integrity.allowUnverifiedModel is set in a development build
+ */
+export function allowsUnverifiedModel() {
+  return process.env.NODE_ENV === 'development' && currentConfig.integrity.allowUnverifiedModel;
+}
+
+/**
+ * URLs of the model backend
+ *
+ * @returns {Object} { tfjsModel, modelZip, modelManifest, health }
+ */
+export function getApiEndpoints() {
+  const { apiBaseUrl, mock } = currentConfig;
+  const baseUrl = (mock.server ? mock.serverUrl : apiBaseUrl).replace(/\/+$/, '');
+
+  return {
+    tfjsModel: `${baseUrl}/download-model`,
+    modelZip: `${baseUrl}/download-tfjs-model`,
+    modelManifest: `${baseUrl}/model-manifest`,
+    health: `${baseUrl}/api/health`
+  };
+}
+
+/**
+ * URL of a file of the bundled model
+ *
+ * @param {string} fileName - File in the model directory
+ * @returns {string} URL
+ */
+export function getLocalModelUrl(fileName = 'model.json') {
+  return `${currentConfig.localModelPath.replace(/\/+$/, '')}/${fileName}`;
+}
+
+/**
+ * Storage key of the cached model (IndexedDB, localStorage and session storage)
+ *
+ * @returns {string} Versioned cache key
+ */
+export function getModelCacheKey() {
+  const { keyPrefix, version } = currentConfig.cache;
+  return `${keyPrefix}${version}`;
+}
@@ -0,0 +1,98 @@
+import React from 'react';
+import styled from 'styled-components';
+
+const SIZE = 220;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 32 };
+
+/**
+ * Reliability diagram: accuracy against mean confidence per confidence bin
+ *
+ * A well calibrated model follows the diagonal; points below it are overconfident.
+ *
+ * @param {Object} props Component props
+ * @param {Array<Object>} props.bins Calibration bins ({ from, to, count, confidence, accuracy })
+ * @param {number} props.ece Expected calibration error
+ * @param {Object} props.colors Theme colors
+ */
+const CalibrationChart = ({ bins, ece, colors }) => {
+  const plotWidth = SIZE - PADDING.left - PADDING.right;
+  const plotHeight = SIZE - PADDING.top - PADDING.bottom;
+  const toX = (value) => PADDING.left + value * plotWidth;
+  const toY = (value) => PADDING.top + plotHeight - value * plotHeight;
+
+  const filled = bins.filter(bin => bin.count > 0);
+  const maxCount = Math.max(...filled.map(bin => bin.count), 1);
+  const points = filled.map(bin => `${toX(bin.confidence).toFixed(1)},${toY(bin.accuracy).toFixed(1)}`).join(' ');
+
+  return (
+    <ChartContainer>
+      <ChartHeader>
+        <ChartTitle color={colors.text}>Calibration</ChartTitle>
+        <ChartValues color={colors.textSecondary}>
+          ECE {ece === null ? '–' : `${(ece * 100).toFixed(1)}%`}
+        </ChartValues>
+      </ChartHeader>
+      <svg viewBox={`0 0 ${SIZE} ${SIZE}`} width="100%" role="img" aria-label="Calibration curve">
+        {/* Sample count per bin */}
+        {bins.map(bin => bin.count > 0 && (
+          <rect
+            key={bin.from}
+            x={toX(bin.from) + 1}
+            y={toY((bin.count / maxCount) * 0.25)}
+            width={Math.max(toX(bin.to) - toX(bin.from) - 2, 1)}
+            height={(bin.count / maxCount) * 0.25 * plotHeight}
+            fill={colors.border}
+          />
+        ))}
+        <rect x={PADDING.left} y={PADDING.top} width={plotWidth} height={plotHeight} fill="none" stroke={colors.border} />
+        <line x1={toX(0)} y1={toY(0)} x2={toX(1)} y2={toY(1)} stroke={colors.textMuted} strokeDasharray="3 3" />
+        {filled.length > 1 && <polyline points={points} fill="none" stroke={colors.primary} strokeWidth="2" />}
+        {filled.map(bin => (
+          <circle key={bin.from} cx={toX(bin.confidence)} cy={toY(bin.accuracy)} r="3.5" fill={colors.primary}>
+            <title>
+              {`${(bin.from * 100).toFixed(0)}–${(bin.to * 100).toFixed(0)}%: ${bin.count} samples, accuracy ${(bin.accuracy * 100).toFixed(1)}%`}
+            </title>
+          </circle>
+        ))}
+        <text x={PADDING.left - 4} y={PADDING.top + 4} fontSize="10" textAnchor="end" fill={colors.textMuted}>1</text>
+        <text x={PADDING.left - 4} y={PADDING.top + plotHeight} fontSize="10" textAnchor="end" fill={colors.textMuted}>0</text>
+        <text x={PADDING.left + plotWidth} y={SIZE - 6} fontSize="10" textAnchor="end" fill={colors.textMuted}>confidence 1</text>
+        <text x={PADDING.left} y={SIZE - 6} fontSize="10" fill={colors.textMuted}>0</text>
+      </svg>
+      <Legend color={colors.textSecondary}>Accuracy per confidence bin; bars show the number of samples</Legend>
+    </ChartContainer>
+  );
+};
+
+// Styled components
+const ChartContainer = styled.div`
+  flex: 0 1 260px;
+  min-width: 0;
+`;
+
+const ChartHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  margin-bottom: 4px;
+`;
+
+const ChartTitle = styled.h4`
+  font-size: 14px;
+  font-weight: 600;
+  margin: 0;
+  color: ${props => props.color};
+`;
+
+const ChartValues = styled.span`
+  font-size: 12px;
+  color: ${props => props.color};
+`;
+
+const Legend = styled.p`
+  font-size: 12px;
+  margin: 4px 0 0;
+  color: ${props => props.color};
+`;
+
+export default CalibrationChart;
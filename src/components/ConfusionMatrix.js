@@ -0,0 +1,125 @@
+import React from 'react';
+import styled from 'styled-components';
+
+/**
+ * Heatmap of a confusion matrix, shaded by each row's share
+ *
+ * @param {Object} props Component props
+ * @param {Array<string>} props.labels Class labels
+ * @param {Array<Array<number>>} props.matrix Counts, rows true label, columns predicted label
+ * @param {Object} props.colors Theme colors
+ */
+const ConfusionMatrix = ({ labels, matrix, colors }) => {
+  // Classes without samples or predictions only add empty rows and columns
+  const visible = labels
+    .map((label, index) => index)
+    .filter(index => matrix[index].some(count => count > 0) || matrix.some(row => row[index] > 0));
+
+  return (
+    <MatrixScroll>
+      <MatrixTable>
+        <thead>
+          <tr>
+            <CornerCell color={colors.textMuted}>true ＼ predicted</CornerCell>
+            {visible.map(j => (
+              <ColumnHeader key={labels[j]} color={colors.textSecondary} title={labels[j]}>
+                {labels[j]}
+              </ColumnHeader>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map(i => {
+            const total = matrix[i].reduce((sum, count) => sum + count, 0);
+            return (
+              <tr key={labels[i]}>
+                <RowHeader color={colors.textSecondary} title={labels[i]}>{labels[i]}</RowHeader>
+                {visible.map(j => {
+                  const count = matrix[i][j];
+                  const share = total > 0 ? count / total : 0;
+                  return (
+                    <Cell
+                      key={labels[j]}
+                      color={share > 0.5 ? '#ffffff' : colors.text}
+                      border={colors.divider}
+                      diagonal={i === j}
+                      title={`${labels[i]} → ${labels[j]}: ${count} (${(share * 100).toFixed(0)}%)`}
+                    >
+                      {count > 0 && <Shade color={i === j ? colors.primary : colors.error} opacity={0.1 + share * 0.9} />}
+                      <CellValue>{count || ''}</CellValue>
+                    </Cell>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+      </MatrixTable>
+    </MatrixScroll>
+  );
+};
+
+// Styled components
+const MatrixScroll = styled.div`
+  overflow-x: auto;
+`;
+
+const MatrixTable = styled.table`
+  border-collapse: collapse;
+  font-size: 12px;
+`;
+
+const CornerCell = styled.th`
+  font-size: 11px;
+  font-weight: normal;
+  text-align: left;
+  vertical-align: bottom;
+  padding: 4px 8px 4px 0;
+  color: ${props => props.color};
+`;
+
+const ColumnHeader = styled.th`
+  writing-mode: vertical-rl;
+  transform: rotate(180deg);
+  max-height: 100px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  font-weight: 500;
+  padding: 4px 0;
+  color: ${props => props.color};
+`;
+
+const RowHeader = styled.th`
+  text-align: right;
+  max-width: 120px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  font-weight: 500;
+  padding: 0 8px 0 0;
+  color: ${props => props.color};
+`;
+
+const Cell = styled.td`
+  position: relative;
+  min-width: 28px;
+  height: 28px;
+  text-align: center;
+  border: 1px solid ${props => props.border};
+  font-weight: ${props => (props.diagonal ? 600 : 'normal')};
+  color: ${props => props.color};
+`;
+
+const Shade = styled.div`
+  position: absolute;
+  inset: 0;
+  background-color: ${props => props.color};
+  opacity: ${props => props.opacity};
+`;
+
+const CellValue = styled.span`
+  position: relative;
+`;
+
+export default ConfusionMatrix;
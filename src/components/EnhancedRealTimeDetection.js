@@ -1,20 +1,27 @@
 import React, { useEffect, useState } from 'react';
 import styled, { keyframes } from 'styled-components';
+import { getDisplayLabel } from '../utils/openSetRejection';
 
 /**
  * EnhancedRealTimeDetection Component
  * 
  * This component displays real-time sign language detection results
  * with improved visual feedback and animations for better user experience.
+ * The prediction is expected to be already smoothed: it is only non-null while
+ * a sign is confirmed, so no extra thresholding happens here. Other likely
+ * classes from the latest window (prediction.alternatives) are shown as
+ * "did you mean" suggestions. Signs rejected as outside the vocabulary
+ * (prediction.isUnknown) are shown as "Unrecognized". The user's own signs
+ * (prediction.source === 'custom') are tagged as custom.
  */
-const EnhancedRealTimeDetection = ({ prediction, confidenceThreshold, isVisible = true }) => {
+const EnhancedRealTimeDetection = ({ prediction, isVisible = true }) => {
   const [animateText, setAnimateText] = useState(false);
   const [lastPrediction, setLastPrediction] = useState(null);
   const [hasDetection, setHasDetection] = useState(false);
   
   // Trigger animation when prediction changes
   useEffect(() => {
-    if (prediction && prediction.confidence >= confidenceThreshold && prediction.label !== lastPrediction) {
+    if (prediction && prediction.label !== lastPrediction) {
       setAnimateText(true);
       setLastPrediction(prediction.label);
       setHasDetection(true);
@@ -25,10 +32,11 @@ const EnhancedRealTimeDetection = ({ prediction, confidenceThreshold, isVisible
       }, 500);
       
       return () => clearTimeout(timer);
-    } else if (!prediction || prediction.confidence < confidenceThreshold) {
+    } else if (!prediction) {
       setHasDetection(false);
+      setLastPrediction(null);
     }
-  }, [prediction, lastPrediction, confidenceThreshold]);
+  }, [prediction, lastPrediction]);
   
   if (!isVisible) {
     return null;
@@ -36,16 +44,33 @@ const EnhancedRealTimeDetection = ({ prediction, confidenceThreshold, isVisible
 
   return (
     <DetectionContainer active={hasDetection}>
-      {prediction && prediction.confidence >= confidenceThreshold ? (
+      {prediction ? (
         <>
-          <DetectedSign animate={animateText}>{prediction.label}</DetectedSign>
-          <ConfidenceContainer>
-            <ConfidenceLabel>Confidence:</ConfidenceLabel>
-            <ConfidenceValue>{Math.round(prediction.confidence * 100)}%</ConfidenceValue>
-          </ConfidenceContainer>
-          <ConfidenceBar>
-            <ConfidenceLevel level={prediction.confidence} />
-          </ConfidenceBar>
+          <DetectedSign animate={animateText} unknown={prediction.isUnknown}>
+            {getDisplayLabel(prediction.label)}
+            {prediction.source === 'custom' && <SourceTag>custom sign</SourceTag>}
+          </DetectedSign>
+          {prediction.isUnknown ? (
+            <WaitingInstructions>This sign is not in the model's vocabulary</WaitingInstructions>
+          ) : (
+            <>
+              <ConfidenceContainer>
+                <ConfidenceLabel>Confidence:</ConfidenceLabel>
+                <ConfidenceValue>{Math.round(prediction.confidence * 100)}%</ConfidenceValue>
+              </ConfidenceContainer>
+              <ConfidenceBar>
+                <ConfidenceLevel level={prediction.confidence} />
+              </ConfidenceBar>
+            </>
+          )}
+          {prediction.alternatives && prediction.alternatives.length > 0 && (
+            <AlternativesText>
+              Did you mean: {prediction.alternatives
+                .map(alternative => `${alternative.label}${alternative.source === 'custom' ? ' (custom)' : ''} ` +
+                  `(${Math.round(alternative.probability * 100)}%)`)
+                .join(', ')}
+            </AlternativesText>
+          )}
         </>
       ) : (
         <WaitingDisplay>
@@ -102,8 +127,9 @@ const DetectionContainer = styled.div`
 
 const DetectedSign = styled.div`
   color: white;
-  font-size: 32px;
+  font-size: ${props => props.unknown ? '26px' : '32px'};
   font-weight: bold;
+  font-style: ${props => props.unknown ? 'italic' : 'normal'};
   text-shadow: 0 2px 4px rgba(0, 0, 0, 0.5);
   animation: ${props => props.animate ? popIn : 'none'} 0.5s ease-out;
   margin-bottom: 8px;
@@ -113,6 +139,19 @@ const DetectedSign = styled.div`
   }
 `;
 
+const SourceTag = styled.span`
+  display: inline-block;
+  margin-left: 10px;
+  padding: 2px 8px;
+  border-radius: 10px;
+  background-color: rgba(255, 255, 255, 0.2);
+  font-size: 12px;
+  font-weight: 600;
+  font-style: normal;
+  vertical-align: middle;
+  text-shadow: none;
+`;
+
 const ConfidenceContainer = styled.div`
   display: flex;
   align-items: center;
@@ -149,6 +188,17 @@ const ConfidenceLevel = styled.div`
   transition: width 0.3s ease-out;
 `;
 
+const AlternativesText = styled.div`
+  color: rgba(255, 255, 255, 0.85);
+  font-size: 13px;
+  margin-top: 8px;
+  text-align: center;
+  
+  @media (max-width: 768px) {
+    font-size: 12px;
+  }
+`;
+
 const WaitingDisplay = styled.div`
   display: flex;
   flex-direction: column;
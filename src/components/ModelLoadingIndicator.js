@@ -10,9 +10,12 @@ import { useTheme } from '../contexts/ThemeContext';
  * @param {string} props.error Error message, if any
  * @param {string} props.loadingStage Current loading stage (e.g., downloading, extracting, etc.)
  * @param {number} props.downloadProgress Download progress (0-100)
+ * @param {Object} props.downloadStats Byte counts, speed and ETA of the ZIP download
+ *   ({ loadedBytes, totalBytes, bytesPerSecond, etaSeconds, resumedFrom }), if one is running
  * @param {number} props.extractionProgress Extraction progress (0-100)
  * @param {boolean} props.isMockModel Whether a mock model is being used
  * @param {function} props.onRetry Callback when retry button is clicked
+ * @param {function} props.onCancel Callback when the download is cancelled
  */
 const ModelLoadingIndicator = ({ 
   isLoading,
@@ -21,7 +24,9 @@ const ModelLoadingIndicator = ({
   downloadProgress,
   extractionProgress,
   isMockModel,
-  onRetry
+  onRetry,
+  downloadStats,
+  onCancel
 }) => {
   const { theme: COLORS } = useTheme();
   
@@ -49,6 +54,10 @@ const ModelLoadingIndicator = ({
       statusMessage = `Extracting model files (${extractionProgress.toFixed(0)}%)...`;
       progressValue = extractionProgress;
       break;
+    case 'verifying':
+      statusMessage = 'Verifying model files...';
+      progressValue = 75;
+      break;
     case 'loading':
       statusMessage = 'Loading sign language model from extracted files...';
       progressValue = 80;
@@ -80,12 +89,39 @@ const ModelLoadingIndicator = ({
       progressValue = 50;
   }
 
+  const isDownloading = loadingStage === 'downloading' || loadingStage === 'download-retry';
+  const downloadDetails = isDownloading && downloadStats ? formatDownloadStats(downloadStats) : null;
+
   // Format error message to be more user-friendly and provide helpful suggestions
   const formatErrorMessage = (error) => {
     if (!error) {
       return { message: 'Unknown error occurred', suggestion: 'Please try again later.' };
     }
     
+    // Labels or input shape of the published model are inconsistent
+    if (error.includes('does not match its metadata')) {
+      return {
+        message: error,
+        suggestion: 'The model and its metadata.json were published out of step. Recognition is disabled until a matching model is available.'
+      };
+    }
+    
+    // Digest mismatch; the hook has already removed the cached copies
+    if (error.includes('integrity check failed')) {
+      return {
+        message: 'The model files could not be verified',
+        suggestion: 'The downloaded model is damaged or is not the published version, so it was removed. Retry to download it again.'
+      };
+    }
+    
+    // Cancelled by the user, checked first since the message mentions the download
+    if (error.includes('cancelled')) {
+      return {
+        message: 'Model download cancelled',
+        suggestion: 'The part already downloaded is kept. Retry to continue where it stopped.'
+      };
+    }
+    
     // Network related errors
     if (error.includes('network') || 
         error.includes('fetch') || 
@@ -160,9 +196,17 @@ const ModelLoadingIndicator = ({
             )}
           </ErrorMessage>
         ) : (
-          <ProgressBarContainer>
-            <ProgressBar width={`${progressValue}%`} color={COLORS.accent} />
-          </ProgressBarContainer>
+          <>
+            <ProgressBarContainer>
+              <ProgressBar width={`${progressValue}%`} color={COLORS.accent} />
+            </ProgressBarContainer>
+            {downloadDetails && <DownloadDetails>{downloadDetails}</DownloadDetails>}
+            {isDownloading && onCancel && (
+              <CancelButton onClick={onCancel} color={COLORS.textSecondary}>
+                Cancel download
+              </CancelButton>
+            )}
+          </>
         )}
         
         {isMockModel && (
@@ -180,6 +224,40 @@ const ModelLoadingIndicator = ({
   );
 };
 
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) {
+    return `${Math.max(1, Math.round(seconds))} s`;
+  }
+  return `${Math.round(seconds / 60)} min`;
+};
+
+/**
+ * One line such as "1.2 MB of 4.0 MB · 350 KB/s · about 8 s left"
+ */
+const formatDownloadStats = ({ loadedBytes, totalBytes, bytesPerSecond, etaSeconds, resumedFrom }) => {
+  const parts = [totalBytes > 0
+    ? `${formatBytes(loadedBytes)} of ${formatBytes(totalBytes)}`
+    : `${formatBytes(loadedBytes)} received`];
+
+  if (bytesPerSecond > 0) {
+    parts.push(`${formatBytes(bytesPerSecond)}/s`);
+  }
+  if (etaSeconds !== null && etaSeconds !== undefined && bytesPerSecond > 0) {
+    parts.push(`about ${formatDuration(etaSeconds)} left`);
+  }
+  if (resumedFrom > 0) {
+    parts.push(`resumed at ${formatBytes(resumedFrom)}`);
+  }
+  return parts.join(' · ');
+};
+
 // Styled components
 const LoadingOverlay = styled.div`
   position: fixed;
@@ -266,6 +344,26 @@ const InfoText = styled.p`
   color: #757575;
 `;
 
+const DownloadDetails = styled.p`
+  font-size: 0.85rem;
+  font-variant-numeric: tabular-nums;
+  margin: -8px 0 16px;
+`;
+
+const CancelButton = styled.button`
+  background: transparent;
+  color: ${props => props.color || '#757575'};
+  border: 1px solid ${props => props.color || '#757575'};
+  border-radius: 4px;
+  padding: 6px 14px;
+  font-size: 0.85rem;
+  cursor: pointer;
+  
+  &:hover {
+    opacity: 0.8;
+  }
+`;
+
 const RetryButton = styled.button`
   background-color: ${props => props.color || '#f44336'};
   color: white;
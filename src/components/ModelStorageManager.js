@@ -1,6 +1,8 @@
 import React from 'react';
 import styled from 'styled-components';
 import * as tf from '@tensorflow/tfjs';
+import { getApiEndpoints, getLocalModelUrl, getModelCacheKey } from '../appConfig';
+import { deleteModelZips, listModelZips } from '../utils/modelZipCache';
 
 const Container = styled.div`
   padding: 20px;
@@ -94,7 +96,7 @@ const ModelStorageManager = () => {
   const [diagnosticsResults, setDiagnosticsResults] = React.useState([]);
   const [showDiagnostics, setShowDiagnostics] = React.useState(false);
   
-  const MODEL_CACHE_KEY = "sign-language-model-v6"; // Updated to match new version
+  const MODEL_CACHE_KEY = getModelCacheKey();
   
   const showMessage = (text, type = 'success') => {
     setMessage({ text, type, visible: true });
@@ -165,6 +167,22 @@ const ModelStorageManager = () => {
         ]);
       }
       
+      // Check the downloaded model ZIPs
+      try {
+        const zips = await listModelZips();
+        setDiagnosticsResults(prev => [...prev, zips.length > 0
+          ? {
+            type: 'success',
+            message: `Cached model ZIPs: ${zips.map(zip => `${zip.key} (${zip.status}, ${(zip.manifest.size / 1024).toFixed(0)} KB)`).join(', ')}`
+          }
+          : { type: 'info', message: 'No downloaded model ZIP cached' }
+        ]);
+      } catch (zipError) {
+        setDiagnosticsResults(prev => [...prev, 
+          { type: 'warning', message: `Error checking the model ZIP cache: ${zipError.message}` }
+        ]);
+      }
+      
       // Check localStorage for any model-related items
       try {
         const modelKeys = [];
@@ -193,8 +211,7 @@ const ModelStorageManager = () => {
       
       // Check remote model availability
       try {
-        const modelUrl = "https://signlanguagewebapp-a5eff0dabmhwfphu.westeurope-01.azurewebsites.net/download-tfjs-model";
-        const response = await fetch(modelUrl, { method: 'HEAD' });
+        const response = await fetch(getApiEndpoints().modelZip, { method: 'HEAD' });
         
         if (response.ok) {
           setDiagnosticsResults(prev => [...prev, 
@@ -213,7 +230,7 @@ const ModelStorageManager = () => {
       
       // Check local model files
       try {
-        const localModelUrl = '/models/sign_language_model/model.json';
+        const localModelUrl = getLocalModelUrl();
         const modelResponse = await fetch(localModelUrl);
         
         if (modelResponse.ok) {
@@ -222,7 +239,7 @@ const ModelStorageManager = () => {
           ]);
           
           // Check for weights file
-          const weightsResponse = await fetch('/models/sign_language_model/group1-shard1of1.bin', { method: 'HEAD' });
+          const weightsResponse = await fetch(getLocalModelUrl('group1-shard1of1.bin'), { method: 'HEAD' });
           
           if (weightsResponse.ok) {
             setDiagnosticsResults(prev => [...prev, 
@@ -261,6 +278,13 @@ const ModelStorageManager = () => {
     try {
       setIsClearing(true);
       
+      // Downloaded model ZIPs live in their own database
+      try {
+        await deleteModelZips();
+      } catch (zipError) {
+        console.warn('Failed to clear the model ZIP cache:', zipError.message);
+      }
+      
       // Open IndexedDB database
       const request = indexedDB.deleteDatabase(`tensorflowjs`);
       
@@ -0,0 +1,83 @@
+import React from 'react';
+import styled from 'styled-components';
+
+/**
+ * Banner offering to switch to a model update that was downloaded in the background
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.update Update from useSignLanguageModel ({ version, currentVersion, size })
+ * @param {function} props.onApply Callback when the user switches to the new model
+ * @param {function} props.onDismiss Callback when the user keeps the current model
+ * @param {Object} props.colors Theme colors
+ */
+const ModelUpdatePrompt = ({ update, onApply, onDismiss, colors }) => {
+  if (!update) {
+    return null;
+  }
+
+  const versionText = update.version
+    ? `Version ${update.version}${update.currentVersion ? ` (you have ${update.currentVersion})` : ''}`
+    : 'A newer build';
+
+  return (
+    <PromptContainer backgroundColor={colors.card} borderColor={colors.primary} role="status">
+      <PromptText color={colors.text}>
+        <strong>New sign model available.</strong> {versionText} is downloaded
+        ({(update.size / 1024 / 1024).toFixed(1)} MB) and ready to use.
+      </PromptText>
+      <PromptActions>
+        <PromptButton color={colors.textSecondary} onClick={onDismiss}>
+          Later
+        </PromptButton>
+        <PromptButton color={colors.primary} primary onClick={onApply}>
+          Switch now
+        </PromptButton>
+      </PromptActions>
+    </PromptContainer>
+  );
+};
+
+// Styled components
+const PromptContainer = styled.div`
+  width: 100%;
+  max-width: 640px;
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 12px;
+  flex-wrap: wrap;
+  background-color: ${props => props.backgroundColor};
+  border: 1px solid ${props => props.borderColor};
+  border-radius: 8px;
+  padding: 10px 14px;
+  margin-bottom: 16px;
+`;
+
+const PromptText = styled.p`
+  font-size: 14px;
+  margin: 0;
+  flex: 1 1 240px;
+  color: ${props => props.color};
+`;
+
+const PromptActions = styled.div`
+  display: flex;
+  gap: 8px;
+`;
+
+const PromptButton = styled.button`
+  background-color: ${props => (props.primary ? props.color : 'transparent')};
+  color: ${props => (props.primary ? '#ffffff' : props.color)};
+  border: 1px solid ${props => props.color};
+  border-radius: 6px;
+  padding: 6px 12px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    opacity: 0.9;
+  }
+`;
+
+export default ModelUpdatePrompt;
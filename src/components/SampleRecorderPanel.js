@@ -0,0 +1,352 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { RECORDER_PHASES } from '../utils/sampleRecorder';
+import { MIN_CUSTOM_SIGN_EXAMPLES } from '../utils/customSignMatcher';
+
+/**
+ * Controls for recording landmark training samples, or examples of the user's
+ * own custom signs, from the camera
+ *
+ * @param {Object} props Component props
+ * @param {string} props.target 'dataset' to record training samples, 'custom' to record custom sign examples
+ * @param {function} props.onTargetChange Called with the new target
+ * @param {Array<string>} props.labels Suggested labels (the model's classes or the custom signs)
+ * @param {Object} props.status Recorder status ({ phase, label, count, captured, framesCaptured, windowSize, remainingMs })
+ * @param {Object} props.counts Samples stored per label
+ * @param {Array<Object>} props.customSigns The user's custom signs ({ id, label, exampleCount })
+ * @param {function} props.onDeleteCustomSign Called with a custom sign to delete it
+ * @param {function} props.onStart Called with (label, count) to start recording
+ * @param {function} props.onCancel Called to stop the recording in progress
+ * @param {function} props.onExport Called to download the dataset
+ * @param {string} props.statusText Short status or error message
+ * @param {boolean} props.isDisabled Whether recording is unavailable (camera or model not ready)
+ * @param {Object} props.colors Theme colors
+ */
+const SampleRecorderPanel = ({
+  target = 'dataset',
+  onTargetChange,
+  labels = [],
+  status,
+  counts = {},
+  customSigns = [],
+  onDeleteCustomSign,
+  onStart,
+  onCancel,
+  onExport,
+  statusText,
+  isDisabled,
+  colors
+}) => {
+  const [label, setLabel] = useState('');
+  const [count, setCount] = useState(5);
+
+  const isActive = status && status.phase !== RECORDER_PHASES.IDLE && status.phase !== RECORDER_PHASES.DONE;
+  const isCustom = target === 'custom';
+  const totalSamples = Object.values(counts).reduce((total, value) => total + value, 0);
+  const totalExamples = customSigns.reduce((total, sign) => total + sign.exampleCount, 0);
+
+  const describeStatus = () => {
+    if (!status) return '';
+    switch (status.phase) {
+      case RECORDER_PHASES.COUNTDOWN:
+        return `Get ready to sign "${status.label}"… ${Math.ceil(status.remainingMs / 1000)}`;
+      case RECORDER_PHASES.PAUSE:
+        return `Sample ${status.captured}/${status.count} saved. Next in ${Math.ceil(status.remainingMs / 1000)}…`;
+      case RECORDER_PHASES.RECORDING:
+        return `Recording sample ${status.captured + 1}/${status.count}: ${status.framesCaptured}/${status.windowSize} frames`;
+      case RECORDER_PHASES.DONE:
+        return `Recorded ${status.captured} sample(s) of "${status.label}"`;
+      default:
+        return '';
+    }
+  };
+
+  return (
+    <PanelContainer backgroundColor={colors.card} borderColor={colors.border}>
+      <PanelHeader>
+        <TargetSelect
+          value={target}
+          onChange={(e) => onTargetChange(e.target.value)}
+          disabled={isActive}
+          color={colors.text}
+          aria-label="Record to"
+        >
+          <option value="dataset">Record training samples</option>
+          <option value="custom">Record custom signs</option>
+        </TargetSelect>
+        <DatasetSummary color={colors.textSecondary}>
+          {isCustom
+            ? `${customSigns.length} custom sign(s), ${totalExamples} example(s)`
+            : `${totalSamples} sample(s) in ${Object.keys(counts).length} label(s)`}
+        </DatasetSummary>
+      </PanelHeader>
+
+      <FormRow>
+        <LabelInput
+          list="sample-recorder-labels"
+          placeholder="Label (e.g. Hello)"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          disabled={isActive}
+          backgroundColor={colors.background}
+          borderColor={colors.border}
+          color={colors.text}
+        />
+        <datalist id="sample-recorder-labels">
+          {labels.map(option => <option key={option} value={option} />)}
+        </datalist>
+        <CountInput
+          type="number"
+          min="1"
+          max="100"
+          value={count}
+          onChange={(e) => setCount(Number(e.target.value))}
+          disabled={isActive}
+          title="Number of samples"
+          backgroundColor={colors.background}
+          borderColor={colors.border}
+          color={colors.text}
+        />
+        {isActive ? (
+          <ActionButton backgroundColor={colors.card} borderColor={colors.error} color={colors.error} onClick={onCancel}>
+            Cancel
+          </ActionButton>
+        ) : (
+          <ActionButton
+            backgroundColor={colors.primary}
+            borderColor={colors.primary}
+            color="#FFFFFF"
+            onClick={() => onStart(label, count)}
+            disabled={isDisabled || !label.trim() || !(count > 0)}
+          >
+            Start
+          </ActionButton>
+        )}
+      </FormRow>
+
+      {isActive && status.phase === RECORDER_PHASES.RECORDING && (
+        <ProgressTrack backgroundColor={colors.divider}>
+          <ProgressFill
+            backgroundColor={colors.error}
+            style={{ width: `${(status.framesCaptured / status.windowSize) * 100}%` }}
+          />
+        </ProgressTrack>
+      )}
+
+      {isCustom && customSigns.length > 0 && (
+        <SignChips>
+          {customSigns.map(sign => (
+            <SignChip
+              key={sign.id}
+              borderColor={sign.exampleCount < MIN_CUSTOM_SIGN_EXAMPLES ? colors.warning : colors.border}
+              color={colors.text}
+              title={sign.exampleCount < MIN_CUSTOM_SIGN_EXAMPLES
+                ? `Record at least ${MIN_CUSTOM_SIGN_EXAMPLES} examples for reliable matching`
+                : undefined}
+            >
+              {sign.label} ({sign.exampleCount})
+              <ChipDelete
+                color={colors.textSecondary}
+                onClick={() => onDeleteCustomSign(sign)}
+                disabled={isActive}
+                aria-label={`Delete ${sign.label}`}
+              >
+                ×
+              </ChipDelete>
+            </SignChip>
+          ))}
+        </SignChips>
+      )}
+
+      <PanelFooter>
+        <StatusText color={colors.textSecondary}>
+          {statusText || describeStatus() ||
+            (isCustom ? `Record ${MIN_CUSTOM_SIGN_EXAMPLES}–5 examples of a new sign to recognize it` : '')}
+        </StatusText>
+        {!isCustom && (
+          <FooterActions>
+            <ManageLink to="/dataset" color={colors.primary}>Manage</ManageLink>
+            <TextButton color={colors.primary} onClick={onExport} disabled={totalSamples === 0 || isActive}>
+              Export dataset
+            </TextButton>
+          </FooterActions>
+        )}
+      </PanelFooter>
+    </PanelContainer>
+  );
+};
+
+// Styled components
+const PanelContainer = styled.div`
+  width: 100%;
+  max-width: 640px;
+  background-color: ${props => props.backgroundColor};
+  border: 1px solid ${props => props.borderColor};
+  border-radius: 12px;
+  padding: 12px 16px;
+  margin-bottom: 20px;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08);
+  box-sizing: border-box;
+
+  @media (max-width: 768px) {
+    padding: 10px 12px;
+    margin-bottom: 16px;
+  }
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 10px;
+`;
+
+const TargetSelect = styled.select`
+  font-size: 16px;
+  font-weight: 600;
+  margin: 0;
+  padding: 0;
+  border: none;
+  background: none;
+  color: ${props => props.color};
+  cursor: pointer;
+`;
+
+const DatasetSummary = styled.span`
+  font-size: 13px;
+  color: ${props => props.color};
+`;
+
+const FormRow = styled.div`
+  display: flex;
+  gap: 8px;
+`;
+
+const LabelInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 8px 10px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+`;
+
+const CountInput = styled(LabelInput)`
+  flex: 0 0 70px;
+`;
+
+const ActionButton = styled.button`
+  padding: 8px 16px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const ProgressTrack = styled.div`
+  width: 100%;
+  height: 6px;
+  border-radius: 3px;
+  margin-top: 10px;
+  overflow: hidden;
+  background-color: ${props => props.backgroundColor};
+`;
+
+const ProgressFill = styled.div`
+  height: 100%;
+  background-color: ${props => props.backgroundColor};
+  transition: width 0.1s linear;
+`;
+
+const SignChips = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  margin-top: 10px;
+`;
+
+const SignChip = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: 4px;
+  padding: 2px 4px 2px 10px;
+  border-radius: 12px;
+  border: 1px solid ${props => props.borderColor};
+  font-size: 13px;
+  color: ${props => props.color};
+`;
+
+const ChipDelete = styled.button`
+  background: none;
+  border: none;
+  padding: 0 4px;
+  font-size: 16px;
+  line-height: 1;
+  color: ${props => props.color};
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const PanelFooter = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  margin-top: 10px;
+`;
+
+const StatusText = styled.span`
+  font-size: 13px;
+  color: ${props => props.color};
+`;
+
+const FooterActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const ManageLink = styled(Link)`
+  font-size: 14px;
+  color: ${props => props.color};
+  text-decoration: none;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+const TextButton = styled.button`
+  background: none;
+  border: none;
+  font-size: 14px;
+  white-space: nowrap;
+  color: ${props => props.color};
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    text-decoration: underline;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+export default SampleRecorderPanel;
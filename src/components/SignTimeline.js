@@ -0,0 +1,197 @@
+import React from 'react';
+import styled from 'styled-components';
+import { getDisplayLabel } from '../utils/openSetRejection';
+
+/**
+ * Format seconds as m:ss.s
+ */
+export const formatSeconds = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+};
+
+/**
+ * Timeline of recognized signs for a video
+ *
+ * Shows every segment as a block on a scrubbable track plus a chip with its
+ * confidence and alternatives. Clicking the track or a chip seeks the video.
+ *
+ * @param {Object} props Component props
+ * @param {Array<Object>} props.segments Segments ({ id, label, confidence, startTime, endTime, alternatives }) in seconds
+ * @param {number} props.duration Video duration in seconds
+ * @param {number} props.currentTime Current playback position in seconds
+ * @param {function} props.onSeek Called with a time in seconds
+ * @param {Object} props.colors Theme colors
+ */
+const SignTimeline = ({ segments = [], duration, currentTime = 0, onSeek, colors }) => {
+  const totalDuration = duration || (segments.length > 0 ? segments[segments.length - 1].endTime : 0);
+  const toPercent = (time) => (totalDuration > 0 ? Math.min(100, (time / totalDuration) * 100) : 0);
+
+  const isActive = (segment) => currentTime >= segment.startTime && currentTime <= segment.endTime;
+
+  const handleTrackClick = (e) => {
+    if (!onSeek || totalDuration <= 0) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSeek(((e.clientX - rect.left) / rect.width) * totalDuration);
+  };
+
+  return (
+    <TimelineContainer>
+      <Track backgroundColor={colors.divider} onClick={handleTrackClick}>
+        {segments.map(segment => (
+          <TrackSegment
+            key={segment.id}
+            title={getDisplayLabel(segment.label)}
+            left={toPercent(segment.startTime)}
+            width={Math.max(toPercent(segment.endTime) - toPercent(segment.startTime), 1)}
+            backgroundColor={segment.isUnknown ? colors.textMuted : colors.primary}
+            active={isActive(segment)}
+          />
+        ))}
+        <Playhead left={toPercent(currentTime)} color={colors.text} />
+      </Track>
+      <TimeLabels color={colors.textMuted}>
+        <span>{formatSeconds(0)}</span>
+        <span>{formatSeconds(totalDuration)}</span>
+      </TimeLabels>
+
+      {segments.length === 0 ? (
+        <EmptyText color={colors.textSecondary}>No signs were recognized in this video</EmptyText>
+      ) : (
+        <ChipList>
+          {segments.map(segment => (
+            <SegmentChip
+              key={segment.id}
+              onClick={() => onSeek && onSeek(segment.startTime)}
+              backgroundColor={isActive(segment) ? colors.primaryLight : colors.card}
+              borderColor={isActive(segment) ? colors.primary : colors.border}
+            >
+              <ChipHeader>
+                <ChipLabel color={segment.isUnknown ? colors.textMuted : colors.primary} unknown={segment.isUnknown}>
+                  {getDisplayLabel(segment.label)}
+                </ChipLabel>
+                {!segment.isUnknown && (
+                  <ChipConfidence color={colors.text}>{Math.round(segment.confidence * 100)}%</ChipConfidence>
+                )}
+              </ChipHeader>
+              <ChipTime color={colors.textSecondary}>
+                {formatSeconds(segment.startTime)} – {formatSeconds(segment.endTime)}
+              </ChipTime>
+              {segment.alternatives && segment.alternatives.length > 0 && (
+                <ChipAlternatives color={colors.textSecondary}>
+                  Did you mean: {segment.alternatives
+                    .map(alternative => `${alternative.label} (${Math.round(alternative.probability * 100)}%)`)
+                    .join(', ')}
+                </ChipAlternatives>
+              )}
+            </SegmentChip>
+          ))}
+        </ChipList>
+      )}
+    </TimelineContainer>
+  );
+};
+
+// Styled components
+const TimelineContainer = styled.div`
+  width: 100%;
+`;
+
+const Track = styled.div`
+  position: relative;
+  width: 100%;
+  height: 28px;
+  border-radius: 6px;
+  background-color: ${props => props.backgroundColor};
+  cursor: pointer;
+  overflow: hidden;
+`;
+
+const TrackSegment = styled.div`
+  position: absolute;
+  top: 4px;
+  bottom: 4px;
+  left: ${props => props.left}%;
+  width: ${props => props.width}%;
+  border-radius: 4px;
+  background-color: ${props => props.backgroundColor};
+  opacity: ${props => props.active ? 1 : 0.6};
+  transition: opacity 0.2s;
+`;
+
+const Playhead = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  left: ${props => props.left}%;
+  width: 2px;
+  background-color: ${props => props.color};
+  pointer-events: none;
+`;
+
+const TimeLabels = styled.div`
+  display: flex;
+  justify-content: space-between;
+  font-size: 12px;
+  margin: 4px 0 16px;
+  color: ${props => props.color};
+`;
+
+const EmptyText = styled.p`
+  font-size: 14px;
+  text-align: center;
+  color: ${props => props.color};
+`;
+
+const ChipList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+`;
+
+const SegmentChip = styled.button`
+  display: flex;
+  flex-direction: column;
+  align-items: flex-start;
+  padding: 10px 14px;
+  border-radius: 12px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  cursor: pointer;
+  text-align: left;
+  transition: background-color 0.2s, border-color 0.2s;
+`;
+
+const ChipHeader = styled.div`
+  display: flex;
+  align-items: baseline;
+  gap: 8px;
+`;
+
+const ChipLabel = styled.span`
+  font-size: 18px;
+  font-weight: 700;
+  font-style: ${props => props.unknown ? 'italic' : 'normal'};
+  color: ${props => props.color};
+`;
+
+const ChipConfidence = styled.span`
+  font-size: 13px;
+  font-weight: 600;
+  color: ${props => props.color};
+`;
+
+const ChipTime = styled.span`
+  font-size: 12px;
+  margin-top: 2px;
+  color: ${props => props.color};
+`;
+
+const ChipAlternatives = styled.span`
+  font-size: 12px;
+  margin-top: 4px;
+  color: ${props => props.color};
+`;
+
+export default SignTimeline;
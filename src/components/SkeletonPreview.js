@@ -0,0 +1,104 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import styled from 'styled-components';
+import { drawHandConnections, drawHandLandmarks } from '../utils/handDrawing';
+import { featuresToLandmarks, getFeatureLayout } from '../utils/landmarkFeatures';
+
+// Playback speed of the preview (samples are recorded at roughly camera frame rate)
+const PREVIEW_FPS = 15;
+
+// Colors for the first and second hand slot
+const HAND_COLORS = ['#00C853', '#2979FF'];
+
+/**
+ * Landmarks of every frame mapped into 0..1, using one bounding box for the whole sample
+ *
+ * Wrist-relative or palm-scaled features are not in image coordinates, so every
+ * sample is fitted to the preview rather than drawn at its stored positions.
+ */
+const toPreviewFrames = (sample) => {
+  const layout = getFeatureLayout(sample.inputShape[1]);
+  const frames = sample.frames.map(frame => featuresToLandmarks(frame, layout));
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  frames.forEach(hands => hands.forEach(hand => hand && hand.forEach(({ x, y }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  })));
+
+  if (minX === Infinity) {
+    return frames;
+  }
+
+  // Keep the aspect ratio and leave a margin around the hands
+  const size = Math.max(maxX - minX, maxY - minY) || 1;
+  const margin = 0.1;
+  const scale = (1 - 2 * margin) / size;
+  const offsetX = margin + ((1 - 2 * margin) - (maxX - minX) * scale) / 2;
+  const offsetY = margin + ((1 - 2 * margin) - (maxY - minY) * scale) / 2;
+
+  return frames.map(hands => hands.map(hand => hand && hand.map(({ x, y, z }) => ({
+    x: offsetX + (x - minX) * scale,
+    y: offsetY + (y - minY) * scale,
+    z
+  }))));
+};
+
+/**
+ * Animated hand skeleton of one recorded sample
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.sample Sample from the dataset store
+ * @param {boolean} props.playing Animate through the frames; otherwise the middle frame is shown
+ * @param {number} props.size Canvas size in pixels
+ * @param {string} props.backgroundColor Canvas background
+ */
+const SkeletonPreview = ({ sample, playing = false, size = 160, backgroundColor = '#000' }) => {
+  const canvasRef = useRef(null);
+  const previewFrames = useMemo(() => toPreviewFrames(sample), [sample]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || previewFrames.length === 0) return undefined;
+
+    const ctx = canvas.getContext('2d');
+    const drawFrame = (index) => {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      previewFrames[index].forEach((hand, slot) => {
+        if (!hand) return;
+        drawHandConnections(ctx, hand, { color: HAND_COLORS[slot % HAND_COLORS.length], lineWidth: 2 });
+        drawHandLandmarks(ctx, hand, { color: '#FFFFFF', radius: 2 });
+      });
+    };
+
+    if (!playing) {
+      drawFrame(Math.floor(previewFrames.length / 2));
+      return undefined;
+    }
+
+    let frameIndex = 0;
+    drawFrame(frameIndex);
+    const timer = setInterval(() => {
+      frameIndex = (frameIndex + 1) % previewFrames.length;
+      drawFrame(frameIndex);
+    }, 1000 / PREVIEW_FPS);
+
+    return () => clearInterval(timer);
+  }, [previewFrames, playing]);
+
+  return <Canvas ref={canvasRef} width={size} height={size} backgroundColor={backgroundColor} />;
+};
+
+const Canvas = styled.canvas`
+  display: block;
+  width: 100%;
+  aspect-ratio: 1;
+  border-radius: 8px;
+  background-color: ${props => props.backgroundColor};
+`;
+
+export default SkeletonPreview;
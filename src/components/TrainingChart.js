@@ -0,0 +1,135 @@
+import React from 'react';
+import styled from 'styled-components';
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 22, left: 36 };
+
+/**
+ * Line chart of one metric per epoch, for training and validation
+ *
+ * @param {Object} props Component props
+ * @param {string} props.title Chart title
+ * @param {Array<Object>} props.history Epoch entries from the trainer
+ * @param {string} props.trainKey Key of the training value in each entry
+ * @param {string} props.validationKey Key of the validation value in each entry
+ * @param {number} props.maxEpochs Width of the x axis in epochs
+ * @param {number} props.fixedMax Top of the y axis (otherwise the largest value)
+ * @param {number} props.markEpoch Epoch to mark with a vertical line (e.g. the best epoch)
+ * @param {Object} props.colors Theme colors
+ */
+const TrainingChart = ({ title, history, trainKey, validationKey, maxEpochs, fixedMax, markEpoch, colors }) => {
+  const values = history.flatMap(entry => [entry[trainKey], entry[validationKey]])
+    .filter(value => value !== null && Number.isFinite(value));
+  const yMax = fixedMax || Math.max(...values, 0) || 1;
+  const xMax = Math.max(maxEpochs, history.length, 2);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const toX = (epoch) => PADDING.left + ((epoch - 1) / (xMax - 1)) * plotWidth;
+  const toY = (value) => PADDING.top + plotHeight - (Math.min(value, yMax) / yMax) * plotHeight;
+
+  const toPoints = (key) => history
+    .filter(entry => entry[key] !== null && Number.isFinite(entry[key]))
+    .map(entry => `${toX(entry.epoch).toFixed(1)},${toY(entry[key]).toFixed(1)}`)
+    .join(' ');
+
+  const latest = history[history.length - 1];
+  const format = (value) => (value === null || value === undefined ? '–' : value.toFixed(3));
+
+  return (
+    <ChartContainer>
+      <ChartHeader>
+        <ChartTitle color={colors.text}>{title}</ChartTitle>
+        {latest && (
+          <ChartValues color={colors.textSecondary}>
+            train {format(latest[trainKey])} · val {format(latest[validationKey])}
+          </ChartValues>
+        )}
+      </ChartHeader>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label={title}>
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} stroke={colors.border} />
+        <line
+          x1={PADDING.left}
+          y1={PADDING.top + plotHeight}
+          x2={PADDING.left + plotWidth}
+          y2={PADDING.top + plotHeight}
+          stroke={colors.border}
+        />
+        <text x={PADDING.left - 4} y={PADDING.top + 4} fontSize="10" textAnchor="end" fill={colors.textMuted}>
+          {yMax.toFixed(yMax < 10 ? 2 : 0)}
+        </text>
+        <text x={PADDING.left - 4} y={PADDING.top + plotHeight} fontSize="10" textAnchor="end" fill={colors.textMuted}>0</text>
+        <text x={PADDING.left} y={HEIGHT - 6} fontSize="10" fill={colors.textMuted}>1</text>
+        <text x={PADDING.left + plotWidth} y={HEIGHT - 6} fontSize="10" textAnchor="end" fill={colors.textMuted}>
+          {xMax} epochs
+        </text>
+
+        {markEpoch > 0 && (
+          <line
+            x1={toX(markEpoch)}
+            y1={PADDING.top}
+            x2={toX(markEpoch)}
+            y2={PADDING.top + plotHeight}
+            stroke={colors.textMuted}
+            strokeDasharray="3 3"
+          />
+        )}
+        <polyline points={toPoints(trainKey)} fill="none" stroke={colors.primary} strokeWidth="2" />
+        <polyline points={toPoints(validationKey)} fill="none" stroke={colors.warning} strokeWidth="2" />
+      </svg>
+      <Legend>
+        <LegendItem color={colors.textSecondary} swatch={colors.primary}>Training</LegendItem>
+        <LegendItem color={colors.textSecondary} swatch={colors.warning}>Validation</LegendItem>
+      </Legend>
+    </ChartContainer>
+  );
+};
+
+// Styled components
+const ChartContainer = styled.div`
+  flex: 1 1 280px;
+  min-width: 0;
+`;
+
+const ChartHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  margin-bottom: 4px;
+`;
+
+const ChartTitle = styled.h4`
+  font-size: 14px;
+  font-weight: 600;
+  margin: 0;
+  color: ${props => props.color};
+`;
+
+const ChartValues = styled.span`
+  font-size: 12px;
+  color: ${props => props.color};
+`;
+
+const Legend = styled.div`
+  display: flex;
+  gap: 12px;
+  margin-top: 4px;
+`;
+
+const LegendItem = styled.span`
+  font-size: 12px;
+  color: ${props => props.color};
+
+  &:before {
+    content: '';
+    display: inline-block;
+    width: 10px;
+    height: 3px;
+    margin-right: 4px;
+    vertical-align: middle;
+    background-color: ${props => props.swatch};
+  }
+`;
+
+export default TrainingChart;
@@ -0,0 +1,167 @@
+import React, { useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import { UNKNOWN_LABEL, getDisplayLabel } from '../utils/openSetRejection';
+
+/**
+ * Scrolling caption panel showing the running transcript of recognized signs
+ *
+ * @param {Object} props Component props
+ * @param {Array<Object>} props.transcript Transcript entries ({ id, label, confidence, startTime, endTime });
+ *   entries labelled "unknown" are shown as "Unrecognized"
+ * @param {function} props.onClear Callback when the clear button is clicked
+ * @param {function} props.onSave Callback when the save session button is clicked
+ * @param {string} props.statusText Short status shown next to the buttons (e.g. "Saved")
+ * @param {Object} props.colors Theme colors
+ */
+const TranscriptPanel = ({ transcript = [], onClear, onSave, statusText, colors }) => {
+  const scrollRef = useRef(null);
+
+  // Keep the newest sign in view
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollLeft = scrollRef.current.scrollWidth;
+    }
+  }, [transcript]);
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  return (
+    <PanelContainer backgroundColor={colors.card} borderColor={colors.border}>
+      <PanelHeader>
+        <PanelTitle color={colors.text}>Transcript</PanelTitle>
+        <PanelActions>
+          {statusText && <StatusText color={colors.textMuted}>{statusText}</StatusText>}
+          {transcript.length > 0 && onSave && (
+            <ClearButton color={colors.primary} onClick={onSave}>
+              Save session
+            </ClearButton>
+          )}
+          {transcript.length > 0 && onClear && (
+            <ClearButton color={colors.textSecondary} onClick={onClear}>
+              Clear
+            </ClearButton>
+          )}
+        </PanelActions>
+      </PanelHeader>
+
+      <CaptionScroller ref={scrollRef}>
+        {transcript.length === 0 ? (
+          <EmptyText color={colors.textMuted}>Recognized signs will appear here as you sign</EmptyText>
+        ) : (
+          transcript.map(entry => {
+            const isUnknown = entry.label === UNKNOWN_LABEL;
+            
+            return (
+              <Gloss key={entry.id} backgroundColor={isUnknown ? colors.background : colors.primaryLight}>
+                <GlossLabel color={isUnknown ? colors.textMuted : colors.primary} unknown={isUnknown}>
+                  {getDisplayLabel(entry.label)}
+                </GlossLabel>
+                <GlossMeta color={colors.textSecondary}>
+                  {formatTime(entry.startTime)}{!isUnknown && ` · ${Math.round(entry.confidence * 100)}%`}
+                </GlossMeta>
+              </Gloss>
+            );
+          })
+        )}
+      </CaptionScroller>
+    </PanelContainer>
+  );
+};
+
+// Styled components
+const PanelContainer = styled.div`
+  width: 100%;
+  max-width: 640px;
+  background-color: ${props => props.backgroundColor};
+  border: 1px solid ${props => props.borderColor};
+  border-radius: 12px;
+  padding: 12px 16px;
+  margin-bottom: 20px;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08);
+
+  @media (max-width: 768px) {
+    padding: 10px 12px;
+    margin-bottom: 16px;
+  }
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+const PanelTitle = styled.h3`
+  font-size: 16px;
+  font-weight: 600;
+  margin: 0;
+  color: ${props => props.color};
+`;
+
+const PanelActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const StatusText = styled.span`
+  font-size: 13px;
+  color: ${props => props.color};
+`;
+
+const ClearButton = styled.button`
+  background: none;
+  border: none;
+  font-size: 14px;
+  color: ${props => props.color};
+  cursor: pointer;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+const CaptionScroller = styled.div`
+  display: flex;
+  flex-direction: row;
+  gap: 8px;
+  overflow-x: auto;
+  padding-bottom: 4px;
+  min-height: 52px;
+  align-items: center;
+`;
+
+const EmptyText = styled.p`
+  font-size: 14px;
+  margin: 0;
+  color: ${props => props.color};
+`;
+
+const Gloss = styled.div`
+  flex-shrink: 0;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  padding: 6px 12px;
+  border-radius: 10px;
+  background-color: ${props => props.backgroundColor};
+`;
+
+const GlossLabel = styled.span`
+  font-size: 18px;
+  font-weight: 700;
+  font-style: ${props => props.unknown ? 'italic' : 'normal'};
+  color: ${props => props.color};
+`;
+
+const GlossMeta = styled.span`
+  font-size: 11px;
+  color: ${props => props.color};
+`;
+
+export default TranscriptPanel;
@@ -1,4 +1,5 @@
 import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import { getApiEndpoints } from '../appConfig';
 
 // Create the context
 const NetworkContext = createContext({
@@ -60,7 +61,7 @@ export const NetworkProvider = ({ children }) => {
         // Try to fetch a minimal resource to confirm connectivity
         // Using a timestamp to bypass cache
         const response = await fetch(
-          'https://signlanguagewebapp-a5eff0dabmhwfphu.westeurope-01.azurewebsites.net/api/health',
+          getApiEndpoints().health,
           { 
             method: 'HEAD',
             cache: 'no-store',
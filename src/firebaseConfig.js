@@ -1,6 +1,12 @@
 // Import the functions you need from the SDKs you need
 import { initializeApp } from "firebase/app";
-import { getAuth } from "firebase/auth";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator
+} from "firebase/firestore";
 
 // Your web app's Firebase configuration
 // For Firebase JS SDK v7.20.0 and later, measurementId is optional
@@ -14,11 +20,27 @@ const firebaseConfig = {
   measurementId: "G-PD40SXMW76"
 };
 
+// Set REACT_APP_USE_FIREBASE_EMULATORS=true (npm run start:emulators) to use the local emulator suite
+const useEmulators = process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true';
+const emulatorHost = process.env.REACT_APP_FIREBASE_EMULATOR_HOST || '127.0.0.1';
+
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 
 // Initialize Firebase Auth
 const auth = getAuth(app);
 
-export { app, auth };
-export default firebaseConfig;
\ No newline at end of file
+// Initialize Firestore with an IndexedDB cache so history syncs after working offline
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+  ignoreUndefinedProperties: true
+});
+
+if (useEmulators) {
+  console.log(`Using Firebase emulators on ${emulatorHost}`);
+  connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+  connectFirestoreEmulator(db, emulatorHost, 8080);
+}
+
+export { app, auth, db };
+export default firebaseConfig;
@@ -4,17 +4,75 @@ import '@tensorflow/tfjs-backend-webgl';
 import '@tensorflow/tfjs-backend-cpu';
 import JSZip from 'jszip';
 import { debounce } from '../utils/debounce';
+import {
+  normalizeMetadata,
+  validateMetadataAgainstModel,
+  getModelInputShape,
+  fetchModelMetadata,
+  isMetadataError,
+  isMetadataMismatchError,
+  readMetadataFromZip,
+  requireMetadata
+} from '../utils/modelMetadata';
+import {
+  DEFAULT_FEATURE_MODE,
+  getFeatureLayout,
+  getSlotHandedness,
+  landmarksToFeatures
+} from '../utils/landmarkFeatures';
+import { createInferenceService } from '../utils/inferenceService';
+import { DEFAULT_SMOOTHING_OPTIONS, createPredictionSmoother } from '../utils/predictionSmoother';
+import { DEFAULT_TOP_K, summarizePrediction } from '../utils/predictionStats';
+import { UNKNOWN_LABEL, evaluateRejection, normalizeRejectionConfig, withUnknownClass } from '../utils/openSetRejection';
+import { createMotionSegmenter, createTranscriptBuilder, SEGMENT_EVENT_TYPES } from '../utils/signTranscript';
+import { recognizeSignsInVideo } from '../utils/videoSignRecognition';
+import { buildSignModel } from '../utils/modelArchitecture';
+import { getSelectedModelId, loadCustomModel } from '../utils/customModelStore';
+import {
+  createCustomSignMatcher,
+  CUSTOM_SIGN_FRAME_COUNT,
+  extractCustomSignFrame,
+  withCustomSignScores
+} from '../utils/customSignMatcher';
+import { getCustomSigns } from '../utils/customSignStore';
+import { allowsUnverifiedModel, getApiEndpoints, getConfig, getLocalModelUrl, getModelCacheKey } from '../appConfig';
+import { clearOldCacheVersions, getVersionedCacheKey } from '../utils/modelCacheManager';
+import {
+  activateModelZip,
+  checkForModelUpdate,
+  clearOldModelZips,
+  downloadModelZip,
+  getActiveModelZip,
+  getPendingModelZip,
+  purgeModelDownloads,
+  storeModelZip,
+  ZIP_STATUS
+} from '../utils/modelZipCache';
+import {
+  fetchModelManifest,
+  findModelJsonPath,
+  findWeightFile,
+  isIntegrityError,
+  requireDigests,
+  verifyModelZip
+} from '../utils/modelIntegrity';
 
 // Constants
-const FRAME_BUFFER_SIZE = 30;
+// Input shape of the mock model; real models declare theirs in batch_input_shape
+const DEFAULT_FRAME_BUFFER_SIZE = 30;
+const DEFAULT_FEATURE_SIZE = 126;
+// Getters, so a runtime config.json loaded after this module still applies
 const MODEL_URL = {
-  TFJS_MODEL: "https://signlanguagewebapp-a5eff0dabmhwfphu.westeurope-01.azurewebsites.net/download-model",
-  MODEL_ZIP: "https://signlanguagewebapp-a5eff0dabmhwfphu.westeurope-01.azurewebsites.net/download-tfjs-model",
-  LOCAL_MODEL: "/models/sign_language_model/model.json",
-  CACHE_KEY: "sign-language-model-v5" // Updated version to refresh cache
+  get TFJS_MODEL() { return getApiEndpoints().tfjsModel; },
+  get MODEL_ZIP() { return getApiEndpoints().modelZip; },
+  get MODEL_MANIFEST() { return getApiEndpoints().modelManifest; },
+  get LOCAL_MODEL() { return getLocalModelUrl(); },
+  get CACHE_KEY() { return getModelCacheKey(); }
 };
-const CONFIDENCE_THRESHOLD = 0.7;
-const USE_MOCK_MODEL = false;
+// Backend used by the inference worker ('wasm' is used when its backend is registered)
+const INFERENCE_BACKEND = 'cpu';
+// Seed of the mock model's weights
+const MOCK_MODEL_SEED = 42;
 
 // For debugging model loading
 const checkModelFile = async (path) => {
@@ -32,7 +90,7 @@ const checkModelFile = async (path) => {
   }
 };
 
-// Default sign language class labels
+// Default sign language class labels, used only when a model ships without a manifest
 const DEFAULT_CLASS_LABELS = [
   "Hello", "Thank you", "Yes", "No", "Please", "Sorry",
   "Good", "Bad", "Name", "What", "Where", "When", "How",
@@ -41,62 +99,86 @@ const DEFAULT_CLASS_LABELS = [
 
 /**
  * Custom hook for sign language recognition model handling
+ *
+ * @param {boolean} isMobile - Whether the app runs on a mobile device
+ * @param {Object} options - Recognition options
+ * @param {Object} options.smoothing - Overrides for the prediction smoother (see predictionSmoother.js)
+ * @param {Object} options.segmentation - Overrides for the motion segmenter (see signTranscript.js)
+ * @param {function} options.onSignEvent - Called with every sign started/confirmed/ended event
+ * @param {number} options.topK - Number of alternatives kept per prediction window (default 3)
+ * @param {Object} options.rejection - Overrides for the unknown-sign rejection thresholds (see openSetRejection.js)
+ * @param {string} options.userId - Firebase uid whose custom signs are recognized alongside the model's classes
  */
-const useSignLanguageModel = (isMobile = false) => {
+const useSignLanguageModel = (isMobile = false, options = {}) => {
   // State for model and loading status
   const [model, setModel] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [classLabels, setClassLabels] = useState(DEFAULT_CLASS_LABELS);
+  const [modelMetadata, setModelMetadata] = useState(null);
+  const [inputShape, setInputShape] = useState([DEFAULT_FRAME_BUFFER_SIZE, DEFAULT_FEATURE_SIZE]);
   
   // State for prediction and buffer
   const [prediction, setPrediction] = useState(null);
   const [isBufferFull, setIsBufferFull] = useState(false);
+  const [isPredicting, setIsPredicting] = useState(false);
+  const [lastSignEvent, setLastSignEvent] = useState(null);
+  // Unsmoothed summary of the latest window: top-k, margin, entropy and all probabilities
+  const [predictionDetails, setPredictionDetails] = useState(null);
+  const [transcript, setTranscript] = useState([]);
+  // Custom signs of the user ({ id, label, exampleCount }), matched with DTW next to the model
+  const [customSigns, setCustomSigns] = useState([]);
   
   // State for download and extraction progress
   const [downloadProgress, setDownloadProgress] = useState(0);
+  const [downloadStats, setDownloadStats] = useState(null);
   const [extractionProgress, setExtractionProgress] = useState(0);
   const [modelLoadingStage, setModelLoadingStage] = useState('initializing');
+  // Newer model downloaded in the background, waiting for the user to switch
+  const [modelUpdate, setModelUpdate] = useState(null);
+  const [modelReloadCount, setModelReloadCount] = useState(0);
   
   // Refs
   const bufferRef = useRef([]);
+  // Mirrors inputShape for the frame loop, which holds on to stale closures
+  const inputShapeRef = useRef([DEFAULT_FRAME_BUFFER_SIZE, DEFAULT_FEATURE_SIZE]);
+  const featureLayoutRef = useRef(getFeatureLayout(DEFAULT_FEATURE_SIZE));
+  const featureModeRef = useRef(DEFAULT_FEATURE_MODE);
   const lastPredictionTimeRef = useRef(0);
-  const zipCacheRef = useRef(null);
+  const inferenceServiceRef = useRef(null);
+  const predictionInFlightRef = useRef(false);
+  const smootherRef = useRef(null);
+  const predictionDetailsRef = useRef(null);
+  const rejectionConfigRef = useRef(normalizeRejectionConfig(options.rejection));
+  const isMockRef = useRef(getConfig().mock.model);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const segmenterRef = useRef(null);
+  const transcriptBuilderRef = useRef(null);
+  // Model labels of the live smoother; custom sign scores follow them and the unknown class
+  const modelLabelsRef = useRef(null);
+  const customMatcherRef = useRef(null);
+  const customBufferRef = useRef([]);
+  const customMatchRef = useRef(null);
+  // Aborts the model download in progress (see cancelModelDownload)
+  const downloadAbortRef = useRef(null);
+  if (!segmenterRef.current) {
+    segmenterRef.current = createMotionSegmenter(options.segmentation);
+    transcriptBuilderRef.current = createTranscriptBuilder();
+  }
 
   /**
    * Creates a mock sign language recognition model for testing
    */
-  const createMockModel = () => {
+  const createMockModel = (numClasses = DEFAULT_CLASS_LABELS.length) => {
     console.log('Creating mock TensorFlow.js model for testing...');
     
-    const model = tf.sequential();
-    
-    model.add(tf.layers.lstm({
-      units: 64,
-      returnSequences: true,
-      inputShape: [FRAME_BUFFER_SIZE, 126],
-      activation: 'relu'
-    }));
-    
-    model.add(tf.layers.lstm({
-      units: 32,
-      returnSequences: false,
-      activation: 'relu'
-    }));
-    
-    model.add(tf.layers.dropout({
-      rate: 0.2
-    }));
-    
-    model.add(tf.layers.dense({
-      units: classLabels.length,
-      activation: 'softmax'
-    }));
-    
-    model.compile({
-      optimizer: 'adam',
-      loss: 'categoricalCrossentropy',
-      metrics: ['accuracy']
+    // Seeded, so the mock model gives the same predictions on every run
+    const model = buildSignModel({
+      frameCount: DEFAULT_FRAME_BUFFER_SIZE,
+      featureSize: DEFAULT_FEATURE_SIZE,
+      numClasses,
+      seed: MOCK_MODEL_SEED
     });
     
     model.summary();
@@ -113,7 +195,8 @@ const useSignLanguageModel = (isMobile = false) => {
     try {
       return await operation();
     } catch (error) {
-      if (retries <= 0) {
+      // A cancelled operation is not retried
+      if (retries <= 0 || error.name === 'AbortError') {
         throw error;
       }
       
@@ -127,140 +210,124 @@ const useSignLanguageModel = (isMobile = false) => {
   };
 
   /**
-   * Helper function to store model data in session storage for quick reload
+   * Extracts a model ZIP, reporting extraction progress
    */
-  const storeModelDataInSession = (data) => {
-    try {
-      if (data.length < 10 * 1024 * 1024) { // Only store if <10MB
-        console.log('Storing model data in session storage for faster reload');
-        
-        // Store as base64 string for better performance
-        const blob = new Blob([data]);
-        const reader = new FileReader();
-        reader.onload = () => {
-          try {
-            const base64data = reader.result.split(',')[1];
-            sessionStorage.setItem(`${MODEL_URL.CACHE_KEY}-data`, base64data);
-            sessionStorage.setItem(`${MODEL_URL.CACHE_KEY}-timestamp`, Date.now().toString());
-            console.log('Model data stored in session storage (base64)');
-          } catch (e) {
-            console.warn('Failed to save base64 data to session storage:', e.message);
-          }
-        };
-        reader.readAsDataURL(blob);
+  const extractModelZip = async (zipData) => {
+    setModelLoadingStage('extracting');
+    
+    // Create a debounced progress updater to improve performance
+    const debouncedUpdateProgress = debounce((percent) => {
+      setExtractionProgress(percent);
+      console.log(`Extraction progress: ${percent}%`);
+    }, 100);
+    
+    const zipContents = await new JSZip().loadAsync(zipData, {
+      checkCRC32: true, // Enable CRC checks for data integrity
+      onUpdate: metadata => {
+        if (metadata.percent !== undefined) {
+          debouncedUpdateProgress(Math.round(metadata.percent));
+        }
       }
-    } catch (e) {
-      console.warn('Failed to store model in session storage:', e.message);
+    });
+    
+    // List of files in the ZIP
+    const fileList = Object.keys(zipContents.files);
+    console.log('ZIP contains files:', fileList);
+    
+    // Validate that we have the model.json file
+    if (!fileList.some(file => file.includes('model.json'))) {
+      throw new Error('Invalid model ZIP: Missing model.json file. Available files: ' + fileList.join(', '));
     }
+    
+    setExtractionProgress(100);
+    console.log('ZIP extraction complete');
+    
+    return zipContents;
   };
 
   /**
-   * Helper function to retrieve model data from session storage
+   * Checks model.json and the weight shards of an extracted ZIP against their
+   * SHA-256 digests before they are handed to TF.js
+   *
+   * @returns {Promise<Object|null>} Digests of the files, kept with the cache entry
    */
-  const getModelDataFromSession = () => {
+  const verifyZipIntegrity = async (zipContents, expectedDigests, source) => {
+    setModelLoadingStage('verifying');
+    
+    if (!expectedDigests && allowsUnverifiedModel()) {
+      console.warn(`⚠️ No SHA-256 digests for the ${source}, its files are not verified (integrity.allowUnverifiedModel)`);
+    }
+    const digests = await verifyModelZip(zipContents, expectedDigests, { allowUnverified: allowsUnverifiedModel() });
+    if (expectedDigests && digests) {
+      console.log(`✅ The ${source} matches its SHA-256 digests`);
+    }
+    return digests;
+  };
+
+  /**
+   * Reads the metadata of a model that just loaded and checks it against the model.
+   * Metadata that exists but cannot be used is fatal, so the model is disposed first
+   *
+   * @returns {Promise<Object|null>} Normalized metadata, or null when the source has none
+   */
+  const readValidatedMetadata = async (model, readMetadata) => {
     try {
-      const timestamp = sessionStorage.getItem(`${MODEL_URL.CACHE_KEY}-timestamp`);
-      const base64data = sessionStorage.getItem(`${MODEL_URL.CACHE_KEY}-data`);
-      
-      // Verify data is valid and fresh (less than 10 minutes old)
-      if (timestamp && base64data && (Date.now() - parseInt(timestamp) < 10 * 60 * 1000)) {
-        console.log('Found valid model data in session storage');
-        
-        // Convert base64 back to ArrayBuffer
-        const binaryString = atob(base64data);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        
-        return bytes.buffer;
+      const metadata = await readMetadata();
+      if (metadata) {
+        validateMetadataAgainstModel(metadata, model);
       }
-    } catch (e) {
-      console.warn('Error retrieving model from session storage:', e.message);
+      return metadata;
+    } catch (error) {
+      model.dispose();
+      throw error;
     }
-    
-    console.log('No valid model data in session storage');
-    return null;
   };
 
   /**
-   * Downloads and extracts a ZIP file containing a TensorFlow.js model
+   * Removes every downloaded copy of the model after a failed integrity check,
+   * so the next load downloads it again
+   */
+  const purgeDownloadedModel = async () => {
+    try {
+      const deleted = await purgeModelDownloads(MODEL_URL.MODEL_ZIP);
+      console.log(`Removed ${deleted.length} cached model ZIP(s) and any partial download`);
+    } catch (error) {
+      console.warn('Failed to purge the model cache:', error.message);
+    }
+  };
+
+  /**
+   * Downloads, extracts and verifies a ZIP file containing a TensorFlow.js model
+   *
+   * @returns {Promise<Object>} { zipContents, download, digests } with the raw download for the cache
    */
   const downloadAndExtractModelZip = async () => {
     try {
       setModelLoadingStage('downloading');
       
-      const zipUrl = `${MODEL_URL.MODEL_ZIP}?t=${Date.now()}`;
+      // Digests the ZIP's files must match; without them there is nothing to download
+      const manifest = await fetchModelManifest(MODEL_URL.MODEL_MANIFEST);
+      requireDigests(manifest && manifest.digests, { allowUnverified: allowsUnverifiedModel() });
+      
+      // No cache-busting parameter: the URL identifies a partial download to resume
+      const zipUrl = MODEL_URL.MODEL_ZIP;
       console.log('Downloading model ZIP from:', zipUrl);
       
-      // Check if we have the ZIP in memory cache
-      if (zipCacheRef.current) {
-        console.log('Using cached ZIP file from memory');
-        return zipCacheRef.current;
-      }
+      const abortController = new AbortController();
+      downloadAbortRef.current = abortController;
       
-      // Try to load from session storage if available
-      const sessionStorageData = getModelDataFromSession();
-      if (sessionStorageData) {
-        console.log('Found ZIP data in session storage, reusing it');
-        setDownloadProgress(100);
-        
-        // Extract the ZIP
-        setModelLoadingStage('extracting');
-        const zip = new JSZip();
-        
-        try {
-          // Use the extraction progress tracking
-          const debouncedUpdateProgress = debounce((percent) => {
-            setExtractionProgress(percent);
-            console.log(`Extraction progress: ${percent}%`);
-          }, 100);
-          
-          const zipContents = await zip.loadAsync(sessionStorageData, {
-            checkCRC32: true,
-            onUpdate: metadata => {
-              if (metadata.percent !== undefined) {
-                const progressPercent = Math.round(metadata.percent);
-                debouncedUpdateProgress(progressPercent);
-              }
+      // Fetch the ZIP file with progress reporting and retry logic; each retry
+      // resumes after the bytes already received
+      const download = await retryWithBackoff(
+        () => downloadModelZip(zipUrl, {
+          signal: abortController.signal,
+          onProgress: (stats) => {
+            if (stats.totalBytes > 0) {
+              setDownloadProgress((stats.loadedBytes / stats.totalBytes) * 100);
             }
-          });
-          
-          // Store in memory cache
-          zipCacheRef.current = zipContents;
-          
-          // Validate that we have the expected files
-          const fileList = Object.keys(zipContents.files);
-          if (!fileList.some(file => file.includes('model.json'))) {
-            console.warn('Session storage ZIP appears invalid, downloading fresh copy');
-            throw new Error('Invalid ZIP structure in session storage');
+            setDownloadStats(stats);
           }
-          
-          setExtractionProgress(100);
-          return zipContents;
-        } catch (sessionError) {
-          console.warn('Error using session storage data, falling back to download:', sessionError);
-          // Continue with normal download flow
-        }
-      }
-      
-      // Fetch the ZIP file with progress reporting and retry logic
-      const response = await retryWithBackoff(
-        async () => {
-          const resp = await fetch(zipUrl, {
-            method: 'GET',
-            cache: 'no-store',
-            headers: {
-              'Accept': 'application/zip, application/octet-stream'
-            },
-          });
-          
-          if (!resp.ok) {
-            throw new Error(`Failed to download model ZIP: ${resp.status} ${resp.statusText}`);
-          }
-          
-          return resp;
-        }, 
+        }),
         3, // 3 retries
         500, // 500ms base delay
         (retriesLeft) => {
@@ -269,88 +336,115 @@ const useSignLanguageModel = (isMobile = false) => {
         }
       );
       
-      const contentLength = response.headers.get('content-length');
-      const totalBytes = contentLength ? parseInt(contentLength, 10) : 0;
-      let loadedBytes = 0;
+      setDownloadProgress(100);
+      setDownloadStats(null);
+      console.log(download.resumedFrom > 0
+        ? `ZIP download complete (resumed at ${download.resumedFrom} bytes)`
+        : 'ZIP download complete');
       
-      // Create a reader to process the response in chunks
-      const reader = response.body.getReader();
-      const chunks = [];
+      const zipContents = await extractModelZip(download.data);
+      const digests = await verifyZipIntegrity(zipContents, manifest && manifest.digests, 'downloaded model');
+      return { zipContents, download, digests };
+    } catch (error) {
+      console.error('Error downloading or extracting model ZIP:', error);
+      throw error;
+    } finally {
+      downloadAbortRef.current = null;
+    }
+  };
+
+  /**
+   * Downloads model.json and its weight shards from the model URL into an in-memory
+   * ZIP, so they pass the same SHA-256 check as a downloaded ZIP
+   *
+   * @returns {Promise<Object>} { zipContents, digests }
+   */
+  const downloadAndVerifyModelFiles = async () => {
+    setModelLoadingStage('loading-from-server');
+    
+    const manifest = await fetchModelManifest(MODEL_URL.MODEL_MANIFEST);
+    requireDigests(manifest && manifest.digests, { allowUnverified: allowsUnverifiedModel() });
+    
+    const fetchBytes = async (url) => {
+      const response = await fetch(url, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+      }
+      return new Uint8Array(await response.arrayBuffer());
+    };
+    
+    // Weight paths in model.json are relative to the model URL
+    const modelUrl = MODEL_URL.TFJS_MODEL;
+    const baseUrl = modelUrl.substring(0, modelUrl.lastIndexOf('/') + 1);
+    const zipContents = new JSZip();
+    const modelJsonData = await fetchBytes(modelUrl);
+    zipContents.file('model.json', modelJsonData);
+    
+    const modelJSON = JSON.parse(new TextDecoder().decode(modelJsonData));
+    const paths = (modelJSON.weightsManifest || []).flatMap(group => group.paths);
+    for (const [index, path] of paths.entries()) {
+      zipContents.file(path.replace(/^\.\//, ''), await fetchBytes(`${baseUrl}${path}`));
+      setDownloadProgress(Math.round(((index + 1) / paths.length) * 100));
+    }
+    
+    const digests = await verifyZipIntegrity(zipContents, manifest && manifest.digests, 'remote model');
+    return { zipContents, digests };
+  };
+
+  /**
+   * Keeps a downloaded ZIP in IndexedDB under a versioned key, with the digests
+   * its files are checked against when it is reused
+   *
+   * @returns {Promise<Object>} The stored cache entry
+   */
+  const cacheModelZip = (download, metadata, status, digests) => {
+    const modelVersion = metadata && metadata.version;
+    // The download time keeps keys unique when a model is republished under the same version
+    const key = getVersionedCacheKey(`${modelVersion || 'model'}-${Date.now().toString(36)}`);
+    return storeModelZip(key, download.data, { ...download, modelVersion, digests }, status);
+  };
+
+  /**
+   * Checks the server for another model than the cached one and downloads it in
+   * the background; the user is asked before switching (see applyModelUpdate)
+   */
+  const revalidateCachedModel = async (manifest) => {
+    try {
+      // An update downloaded on an earlier visit is offered again
+      let pending = await getPendingModelZip();
       
-      // Process the download in chunks to track progress
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) {
-          break;
+      if (!pending) {
+        const update = await checkForModelUpdate(manifest, {
+          zipUrl: MODEL_URL.MODEL_ZIP,
+          modelUrl: MODEL_URL.TFJS_MODEL
+        });
+        if (!update) {
+          console.log('✅ Cached model is up to date');
+          return;
         }
         
-        chunks.push(value);
-        loadedBytes += value.length;
-        
-        if (totalBytes > 0) {
-          const progressPercent = (loadedBytes / totalBytes) * 100;
-          setDownloadProgress(progressPercent);
-          console.log(`Download progress: ${progressPercent.toFixed(1)}%`);
-        }
+        console.log(`🔍 Model update available (${update.modelVersion || 'new build'}), downloading in the background`);
+        const serverManifest = await fetchModelManifest(MODEL_URL.MODEL_MANIFEST);
+        const download = await downloadModelZip(MODEL_URL.MODEL_ZIP);
+        const zipContents = await new JSZip().loadAsync(download.data, { checkCRC32: true });
+        const digests = await verifyModelZip(zipContents, serverManifest && serverManifest.digests,
+          { allowUnverified: allowsUnverifiedModel() });
+        const metadata = await readMetadataFromZip(zipContents);
+        pending = await cacheModelZip(download, metadata, ZIP_STATUS.PENDING, digests);
       }
       
-      // Combine chunks into a single Uint8Array
-      const allChunksLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
-      const zipData = new Uint8Array(allChunksLength);
-      let offset = 0;
-      
-      for (const chunk of chunks) {
-        zipData.set(chunk, offset);
-        offset += chunk.length;
-      }
-      
-      setDownloadProgress(100);
-      console.log('ZIP download complete');
-      
-      // Store in session for quick reloads
-      storeModelDataInSession(zipData);
-      
-      // Extract the ZIP file contents
-      setModelLoadingStage('extracting');
-      const zip = new JSZip();
-      
-      // Create a debounced progress updater to improve performance
-      const debouncedUpdateProgress = debounce((percent) => {
-        setExtractionProgress(percent);
-        console.log(`Extraction progress: ${percent}%`);
-      }, 100);
-      
-      // Load the zip with proper extraction progress tracking
-      const zipContents = await zip.loadAsync(zipData, {
-        checkCRC32: true, // Enable CRC checks for data integrity
-        onUpdate: metadata => {
-          if (metadata.percent !== undefined) {
-            const progressPercent = Math.round(metadata.percent);
-            debouncedUpdateProgress(progressPercent);
-          }
-        }
+      setModelUpdate({
+        key: pending.key,
+        version: pending.manifest.modelVersion,
+        currentVersion: manifest.modelVersion,
+        size: pending.manifest.size
       });
-      
-      // Store the ZIP contents in memory cache
-      zipCacheRef.current = zipContents;
-      
-      // List of files in the ZIP
-      const fileList = Object.keys(zipContents.files);
-      console.log('ZIP contains files:', fileList);
-      
-      // Validate that we have the model.json file
-      if (!fileList.some(file => file.includes('model.json'))) {
-        throw new Error('Invalid model ZIP: Missing model.json file. Available files: ' + fileList.join(', '));
-      }
-      
-      setExtractionProgress(100);
-      console.log('ZIP extraction complete');
-      
-      return zipContents;
     } catch (error) {
-      console.error('Error downloading or extracting model ZIP:', error);
-      throw error;
+      if (isIntegrityError(error)) {
+        console.error('Discarded a model update that failed the integrity check:', error.message);
+        return;
+      }
+      console.warn('Could not check for a model update:', error.message);
     }
   };
 
@@ -365,9 +459,7 @@ const useSignLanguageModel = (isMobile = false) => {
           setModelLoadingStage('loading');
           
           // Find the model.json file in the ZIP
-          const modelJsonFile = Object.keys(zipContents.files).find(
-            name => name.endsWith('model.json') || name === 'model.json'
-          );
+          const modelJsonFile = findModelJsonPath(zipContents);
           
           if (!modelJsonFile) {
             throw new Error('model.json not found in ZIP file');
@@ -389,31 +481,15 @@ const useSignLanguageModel = (isMobile = false) => {
               const paths = group.paths;
               const buffers = await Promise.all(
                 paths.map(async path => {
-                  // Try several possible paths for the weight file
-                  const possiblePaths = [
-                    modelDir + path,          // Standard path with directory
-                    path,                     // Direct path (root of ZIP)
-                    'model/' + path,          // Common subfolder
-                    'assets/' + path,         // Another common subfolder
-                    path.replace(/^\.\//, '') // Remove leading ./ if present
-                  ];
-                  
-                  // Try each path until we find the file
-                  let weightFile = null;
-                  for (const tryPath of possiblePaths) {
-                    weightFile = zipContents.files[tryPath];
-                    if (weightFile) {
-                      console.log(`Found weight file at path: ${tryPath}`);
-                      break;
-                    }
-                  }
+                  // Several layouts are tried for the weight file
+                  const weightFile = findWeightFile(zipContents, modelDir, path);
                   
                   if (!weightFile) {
-                    console.error('Attempted paths:', possiblePaths);
                     throw new Error(`Weight file not found in ZIP for path: ${path}`);
                   }
+                  console.log(`Found weight file at path: ${weightFile.path}`);
                   
-                  return await weightFile.async('arraybuffer');
+                  return await weightFile.file.async('arraybuffer');
                 })
               );
               
@@ -477,7 +553,7 @@ const useSignLanguageModel = (isMobile = false) => {
         // First check if model files exist (to give better error messages)
         console.log('🔍 Checking for local model file existence...');
         const modelExists = await checkModelFile(MODEL_URL.LOCAL_MODEL);
-        const weightsExist = await checkModelFile('/models/sign_language_model/group1-shard1of1.bin');
+        const weightsExist = await checkModelFile(getLocalModelUrl('group1-shard1of1.bin'));
         
         if (!modelExists || !weightsExist) {
           console.error('❌ LOCAL MODEL FILES NOT FOUND! This will likely cause loading to fail.');
@@ -514,108 +590,138 @@ const useSignLanguageModel = (isMobile = false) => {
         tf.disposeVariables();
         
         let loadedModel;
+        let loadedMetadata = null;
+        // Manifest of the cached ZIP the model came from, revalidated once the model is ready
+        let cachedManifest = null;
         
-        if (USE_MOCK_MODEL) {
+        if (getConfig().mock.model) {
           console.log('Using mock model for testing purposes...');
           loadedModel = createMockModel();
         } else {
           // Try loading model from different sources in order of reliability
           let modelLoadSuccess = false;
           
-          // 1. First try local model (most reliable)
-          if (!modelLoadSuccess && modelExists && weightsExist) {
+          // 0. A model trained in the browser, if the user selected one
+          const selectedModelId = getSelectedModelId();
+          if (selectedModelId) {
             try {
-              console.log(`🔍 Loading local model from: ${MODEL_URL.LOCAL_MODEL}`);
-              setModelLoadingStage('loading-local');
+              console.log(`🔍 Loading selected custom model: ${selectedModelId}`);
+              setModelLoadingStage('loading-from-cache');
               
-              loadedModel = await tf.loadLayersModel(MODEL_URL.LOCAL_MODEL);
-              console.log('✅ Successfully loaded local model from public directory');
+              const customModel = await loadCustomModel(selectedModelId);
+              loadedModel = customModel.model;
+              loadedMetadata = customModel.metadata;
+              console.log(`✅ Loaded custom model "${customModel.entry.name}"`);
               modelLoadSuccess = true;
-            } catch (localModelError) {
-              console.error('❌ Local model loading failed:', localModelError.message);
+            } catch (customModelError) {
+              console.error('❌ Custom model loading failed, using the bundled model:', customModelError.message);
             }
           }
           
-          // 2. Try IndexedDB cache if local failed
+          // 1. A previously downloaded model ZIP, kept in IndexedDB
           if (!modelLoadSuccess) {
             try {
-              console.log('🔍 Attempting to load model from IndexedDB cache');
-              setModelLoadingStage('loading-from-cache');
-              
-              loadedModel = await tf.loadLayersModel(`indexeddb://${MODEL_URL.CACHE_KEY}`);
-              console.log('✅ Successfully loaded model from IndexedDB cache');
-              modelLoadSuccess = true;
-            } catch (indexedDBError) {
-              console.warn('❌ Failed to load from IndexedDB cache:', indexedDBError.message);
+              const cachedZip = await getActiveModelZip();
+              if (cachedZip) {
+                console.log(`🔍 Loading cached model ZIP: ${cachedZip.key}`);
+                setModelLoadingStage('loading-from-cache');
+                
+                const zipContents = await extractModelZip(cachedZip.data);
+                await verifyZipIntegrity(zipContents, cachedZip.manifest.digests, 'cached model');
+                loadedModel = await tf.loadLayersModel(createZipIOHandler(zipContents));
+                loadedMetadata = await readValidatedMetadata(loadedModel, () => readMetadataFromZip(zipContents));
+                cachedManifest = cachedZip.manifest;
+                console.log('✅ Successfully loaded model from the ZIP cache');
+                modelLoadSuccess = true;
+              }
+            } catch (zipCacheError) {
+              if (isIntegrityError(zipCacheError) || isMetadataError(zipCacheError)) {
+                throw zipCacheError;
+              }
+              console.warn('❌ Failed to load the cached model ZIP:', zipCacheError.message);
             }
           }
           
-          // 3. Try localStorage as another cache option if previous methods failed
-          if (!modelLoadSuccess) {
+          // 2. Then the local model (most reliable)
+          if (!modelLoadSuccess && modelExists && weightsExist) {
             try {
-              console.log('🔍 Attempting to load model from localStorage cache');
-              loadedModel = await tf.loadLayersModel(`localstorage://${MODEL_URL.CACHE_KEY}`);
-              console.log('✅ Successfully loaded model from localStorage cache');
+              console.log(`🔍 Loading local model from: ${MODEL_URL.LOCAL_MODEL}`);
+              setModelLoadingStage('loading-local');
+              
+              loadedModel = await tf.loadLayersModel(MODEL_URL.LOCAL_MODEL);
+              loadedMetadata = await readValidatedMetadata(loadedModel, () => fetchModelMetadata(MODEL_URL.LOCAL_MODEL));
+              console.log('✅ Successfully loaded local model from public directory');
               modelLoadSuccess = true;
-            } catch (localStorageError) {
-              console.warn('❌ Failed to load from localStorage cache:', localStorageError.message);
+            } catch (localModelError) {
+              if (isMetadataError(localModelError)) {
+                throw localModelError;
+              }
+              console.error('❌ Local model loading failed:', localModelError.message);
             }
           }
           
-          // 4. Try ZIP download as fallback if all local methods failed
+          // 3. Try ZIP download as fallback if all local methods failed
           if (!modelLoadSuccess) {
             try {
               console.log('🔍 Trying ZIP download as fallback...');
-              const zipContents = await downloadAndExtractModelZip();
+              const { zipContents, download, digests } = await downloadAndExtractModelZip();
               
               // Create a custom IOHandler for the ZIP file
               const zipIOHandler = createZipIOHandler(zipContents);
               
               // Load the model using the custom IOHandler
               loadedModel = await tf.loadLayersModel(zipIOHandler);
+              loadedMetadata = await readValidatedMetadata(loadedModel, () => readMetadataFromZip(zipContents));
               console.log('✅ Successfully loaded model from ZIP file');
               modelLoadSuccess = true;
               
-              // Try to cache the model for future use
+              // Keep the ZIP for future visits and drop older versions
               try {
                 setModelLoadingStage('caching');
-                console.log('Saving model to IndexedDB cache');
-                await loadedModel.save(`indexeddb://${MODEL_URL.CACHE_KEY}`);
-                console.log('Model saved to IndexedDB cache');
+                const entry = await cacheModelZip(download, loadedMetadata, ZIP_STATUS.ACTIVE, digests);
+                console.log(`Model ZIP saved to IndexedDB cache as ${entry.key}`);
+                await clearOldModelZips(entry.key);
+                await clearOldCacheVersions(MODEL_URL.CACHE_KEY);
               } catch (cachingError) {
                 console.warn('Failed to cache model:', cachingError.message);
               }
             } catch (zipError) {
+              // Cancelled by the user, or a download that is not the published model:
+              // stop here instead of trying the next source
+              if (zipError.name === 'AbortError' || isIntegrityError(zipError) || isMetadataError(zipError)) {
+                throw zipError;
+              }
               console.error('❌ Failed to load model from ZIP:', zipError.message);
             }
           }
           
-          // 5. Final fallback - load from remote server directly
+          // 4. Final fallback - load the model files from the remote server directly
           if (!modelLoadSuccess) {
             try {
               console.log('🔍 Falling back to direct model loading from:', MODEL_URL.TFJS_MODEL);
-              setModelLoadingStage('loading-from-server');
-              
-              const modelUrlWithCache = `${MODEL_URL.TFJS_MODEL}?t=${Date.now()}`;
-              loadedModel = await tf.loadLayersModel(modelUrlWithCache, {
-                onProgress: (fraction) => {
-                  const progress = Math.round(fraction * 100);
-                  console.log(`Model download progress: ${progress}%`);
-                  setDownloadProgress(progress);
-                }
-              });
+              const { zipContents, digests } = await downloadAndVerifyModelFiles();
               
+              loadedModel = await tf.loadLayersModel(createZipIOHandler(zipContents));
+              // Without its own labels the model is neither used nor cached
+              loadedMetadata = await readValidatedMetadata(loadedModel, async () =>
+                requireMetadata(await fetchModelMetadata(MODEL_URL.TFJS_MODEL), MODEL_URL.TFJS_MODEL));
               console.log('✅ Successfully downloaded model from remote URL');
               modelLoadSuccess = true;
               
-              // Try to cache this model too
+              // Cache the files like a downloaded ZIP, so they are checked again on reuse
               try {
-                await loadedModel.save(`indexeddb://${MODEL_URL.CACHE_KEY}`);
-                console.log('Direct-loaded model saved to cache');
+                setModelLoadingStage('caching');
+                const data = await zipContents.generateAsync({ type: 'uint8array' });
+                const entry = await cacheModelZip({ data, url: MODEL_URL.TFJS_MODEL }, loadedMetadata, ZIP_STATUS.ACTIVE, digests);
+                console.log(`Direct-loaded model saved to IndexedDB cache as ${entry.key}`);
+                await clearOldModelZips(entry.key);
               } catch (error) {
                 console.warn('Failed to cache direct-loaded model:', error.message);
               }
             } catch (directLoadError) {
+              if (isIntegrityError(directLoadError) || isMetadataError(directLoadError)) {
+                throw directLoadError;
+              }
               console.error('❌ All loading methods failed:', directLoadError);
             }
           }
@@ -624,58 +730,48 @@ const useSignLanguageModel = (isMobile = false) => {
           if (!modelLoadSuccess) {
             console.warn('🔍 Creating mock model as emergency fallback');
             loadedModel = createMockModel();
+            isMockRef.current = true;
             setError('❌ Could not load real model. Using mock model for demonstration only.');
           }
-        }        // Warm up the model with a dummy prediction
-        setModelLoadingStage('warming-up');
-        console.log('🔍 Warming up model...');
+        }
         
-        let warmupSuccess = false;
+        // Validate the model against its label manifest; a mismatch is fatal
+        console.log('🔍 Validating model against its metadata...');
+        if (!loadedMetadata) {
+          console.warn('⚠️ No metadata manifest found for this model, falling back to default class labels');
+          loadedMetadata = normalizeMetadata(DEFAULT_CLASS_LABELS, 'built-in default labels');
+        }
+        try {
+          validateMetadataAgainstModel(loadedMetadata, loadedModel);
+        } catch (validationError) {
+          loadedModel.dispose();
+          throw validationError;
+        }
+        console.log('✅ Model validated against', loadedMetadata.source);
         
-        await tf.tidy(() => {
-          try {
-            // Create a dummy input that matches the expected shape
-            const dummyInput = tf.zeros([1, FRAME_BUFFER_SIZE, 126]);
-            
-            // Make sure model and predict function are available
-            if (!loadedModel) {
-              console.error('❌ Cannot warm up: model is null or undefined');
-              return null;
-            }
-            
-            if (typeof loadedModel.predict !== 'function') {
-              console.error('❌ Cannot warm up: model.predict is not a function');
-              console.error('Model type:', typeof loadedModel);
-              console.error('Model keys:', Object.keys(loadedModel));
-              return null;
-            }
-            
-            // Run a prediction to warm up the GPU pipelines
-            const warmupResult = loadedModel.predict(dummyInput);
-            
-            if (!warmupResult) {
-              console.error('❌ Warmup produced null result');
-              return null;
-            }
-            
-            console.log('✅ Model warmup successful, output shape:', warmupResult.shape);
-            console.log('Output size:', warmupResult.size);
-            console.log('Output dtype:', warmupResult.dtype);
-            
-            warmupSuccess = true;
-            
-            // Return null to ensure tensor is disposed
-            return null;
-          } catch (warmupError) {
-            console.error('❌ Error during model warmup:', warmupError.message);
-            console.error('Error details:', warmupError);
-            return null;
-          }
-        });
+        // Drive the frame buffer and tensor shape from the model itself
+        const [frameCount, featureSize] = getModelInputShape(loadedModel, loadedMetadata);
+        const featureLayout = getFeatureLayout(featureSize);
+        console.log(`Model input: ${frameCount} frames x ${featureSize} features ` +
+          `(${featureLayout.numHands} hand(s), ${featureLayout.coordsPerLandmark} values per landmark)`);
+        console.log('Feature mode:', loadedMetadata.featureMode);
+        
+        setClassLabels(loadedMetadata.labels);
+        setModelMetadata(loadedMetadata);
+        featureModeRef.current = loadedMetadata.featureMode;
+        rejectionConfigRef.current = createRejectionConfig(loadedMetadata);
+        applyInputShape([frameCount, featureSize], featureLayout);
+        smootherRef.current = createLiveSmoother(loadedMetadata.labels);
         
-        if (!warmupSuccess) {
-          console.warn('⚠️ Model warmup failed, but continuing with loading process');
+        // Hand the model to the inference worker, which warms it up before answering
+        setModelLoadingStage('warming-up');
+        console.log('🔍 Starting inference service and warming up model...');
+        
+        if (!inferenceServiceRef.current) {
+          inferenceServiceRef.current = createInferenceService({ backend: INFERENCE_BACKEND });
         }
+        const { runsInWorker, backend } = await inferenceServiceRef.current.load(loadedModel, [frameCount, featureSize]);
+        console.log(`✅ Inference ready ${runsInWorker ? 'in Web Worker' : 'on main thread'} (backend: ${backend})`);
         
         // Print model summary if available
         if (loadedModel && typeof loadedModel.summary === 'function') {
@@ -687,33 +783,7 @@ const useSignLanguageModel = (isMobile = false) => {
           }
         }
         
-        // Validate the model can make predictions with correct dimensions
-        try {
-          console.log('🔍 Validating model output dimensions...');
-          const validationResult = await tf.tidy(() => {
-            const testInput = tf.zeros([1, FRAME_BUFFER_SIZE, 126]);
-            const output = loadedModel.predict(testInput);
-            const shape = output.shape;
-            const outputLength = output.shape[output.shape.length - 1];
-            
-            return {
-              shape: shape,
-              outputSize: outputLength,
-              expectedSize: classLabels.length
-            };
-          });
-          
-          console.log('Model validation:', validationResult);
-          
-          if (validationResult.outputSize !== validationResult.expectedSize) {
-            console.warn(`⚠️ Output size mismatch: expected ${validationResult.expectedSize}, got ${validationResult.outputSize}`);
-          } else {
-            console.log('✅ Model output dimensions validated successfully');
-          }
-        } catch (validationError) {
-          console.error('❌ Model validation failed:', validationError.message);
-        }
-          setModelLoadingStage('ready');
+        setModelLoadingStage('ready');
         console.log('✅ MODEL LOADING COMPLETE: Model loaded and ready for prediction');
         
         // Final verification before setting the model
@@ -723,20 +793,65 @@ const useSignLanguageModel = (isMobile = false) => {
         } else {
           throw new Error('Model validation failed - model or predict function not available');
         }
+        
+        // Stale-while-revalidate: the cached model is in use, look for a newer one
+        if (cachedManifest) {
+          revalidateCachedModel(cachedManifest);
+        }
       } catch (err) {
+        if (err.name === 'AbortError') {
+          console.log('Model download cancelled; the received part is kept for the next attempt');
+          setDownloadStats(null);
+          setError('Model download cancelled');
+          setModelLoadingStage('error');
+          return;
+        }
+        
+        // Never fall back to another model: the downloaded or cached copy is damaged or was modified
+        if (isIntegrityError(err)) {
+          console.error('❌', err.message);
+          await purgeDownloadedModel();
+          setError(err.message);
+          setModelLoadingStage('error');
+          return;
+        }
+        
+        // Labels or input shape disagree with the model, or its manifest is unusable: its
+        // predictions would be wrong, so there is no model rather than one with random weights
+        if (isMetadataError(err)) {
+          console.error('❌', err.message);
+          setModel(null);
+          setError(isMetadataMismatchError(err)
+            ? `The model does not match its metadata. ${err.message}`
+            : `The model metadata could not be used. ${err.message}`);
+          setModelLoadingStage('error');
+          return;
+        }
+        
         console.error('❌ CRITICAL ERROR loading sign language model:', err);
         setError(`Failed to load model: ${err.message}`);
         setModelLoadingStage('error');
         
         // If all attempts failed, use mock model as last resort
-        if (!USE_MOCK_MODEL) {
+        if (!getConfig().mock.model) {
           try {
             console.log('🔍 Creating emergency mock model after failure...');
             const mockModel = createMockModel();
             
             if (mockModel && typeof mockModel.predict === 'function') {
+              if (!inferenceServiceRef.current) {
+                inferenceServiceRef.current = createInferenceService({ backend: INFERENCE_BACKEND });
+              }
+              await inferenceServiceRef.current.load(mockModel, [DEFAULT_FRAME_BUFFER_SIZE, DEFAULT_FEATURE_SIZE]);
               setModel(mockModel);
-              setError('Using mock model for demonstration purposes. The actual model failed to load.');
+              isMockRef.current = true;
+              setClassLabels(DEFAULT_CLASS_LABELS);
+              setModelMetadata(null);
+              featureModeRef.current = DEFAULT_FEATURE_MODE;
+              rejectionConfigRef.current = createRejectionConfig(null);
+              smootherRef.current = createLiveSmoother(DEFAULT_CLASS_LABELS);
+              applyInputShape([DEFAULT_FRAME_BUFFER_SIZE, DEFAULT_FEATURE_SIZE], getFeatureLayout(DEFAULT_FEATURE_SIZE));
+              setError(`Using mock model for demonstration purposes. The actual model failed to load: ${err.message}`);
               console.warn('⚠️ Using mock model as fallback - recognition will not be accurate');
             } else {
               setError(`Complete failure: ${err.message}. Mock model creation also failed.`);
@@ -756,6 +871,11 @@ const useSignLanguageModel = (isMobile = false) => {
     
     // Cleanup function
     return () => {
+      // Stop a download that is still running; it resumes on the next load
+      if (downloadAbortRef.current) {
+        downloadAbortRef.current.abort();
+      }
+      
       if (model) {
         try {
           model.dispose();
@@ -769,54 +889,294 @@ const useSignLanguageModel = (isMobile = false) => {
         }
       }
       
-      // Clear the ZIP cache when component unmounts
-      zipCacheRef.current = null;
+      // Stop the inference worker
+      if (inferenceServiceRef.current) {
+        inferenceServiceRef.current.dispose();
+        inferenceServiceRef.current = null;
+      }
+    };
+  }, [isMobile, modelReloadCount]);
+  
+  /**
+   * Switches to the model update downloaded in the background
+   */
+  const applyModelUpdate = async () => {
+    if (!modelUpdate) {
+      return;
+    }
+    
+    try {
+      await activateModelZip(modelUpdate.key);
+      await clearOldModelZips(modelUpdate.key);
+      await clearOldCacheVersions(MODEL_URL.CACHE_KEY);
+      setModelUpdate(null);
+      // Reload from the cache, which now holds the new version
+      setModelReloadCount(count => count + 1);
+    } catch (error) {
+      console.error('Failed to switch to the model update:', error);
+      setError(`Failed to switch to the new model: ${error.message}`);
+    }
+  };
+  
+  /**
+   * Cancels the model download in progress; the bytes received so far are kept
+   * and the next attempt resumes from there
+   */
+  const cancelModelDownload = () => {
+    if (downloadAbortRef.current) {
+      downloadAbortRef.current.abort(new DOMException('Model download cancelled', 'AbortError'));
+    }
+  };
+  
+  /**
+   * Keeps the current model; the update is offered again on the next visit
+   */
+  const dismissModelUpdate = () => setModelUpdate(null);
+  
+  /**
+   * Creates the temporal smoother for a set of class labels. It also tracks
+   * an extra "unknown" class fed by rejected windows, followed by the custom
+   * signs when there are any
+   */
+  const createSmoother = (labels, customLabels = []) => {
+    const enterThreshold = getConfig().recognition.confidenceThreshold;
+    
+    return createPredictionSmoother([...labels, UNKNOWN_LABEL, ...customLabels], {
+      enterThreshold,
+      // The smoother rejects an exit threshold above the enter threshold
+      exitThreshold: Math.min(DEFAULT_SMOOTHING_OPTIONS.exitThreshold, enterThreshold),
+      ...optionsRef.current.smoothing
+    });
+  };
+  
+  /**
+   * Smoother for live recognition: the model's classes plus the user's custom signs
+   */
+  const createLiveSmoother = (labels) => {
+    modelLabelsRef.current = labels;
+    return createSmoother(labels, customMatcherRef.current ? customMatcherRef.current.labels : []);
+  };
+  
+  /**
+   * Rejection thresholds from the model metadata, overridden by the hook options
+   */
+  const createRejectionConfig = (metadata) => normalizeRejectionConfig(
+    { ...(metadata && metadata.rejection), ...optionsRef.current.rejection },
+    metadata ? metadata.labels : null
+  );
+  
+  /**
+   * Builds the prediction object for the currently confirmed sign, if any
+   */
+  const currentPrediction = () => {
+    const activeSign = smootherRef.current && smootherRef.current.getActiveSign();
+    
+    if (!activeSign || !activeSign.confirmed) {
+      return null;
+    }
+    
+    // Smoother classes after the model's labels and "unknown" are custom signs
+    const source = modelLabelsRef.current && activeSign.labelIndex > modelLabelsRef.current.length ? 'custom' : 'model';
+    
+    // "Did you mean" candidates: the other top classes and nearby custom signs of the latest window
+    const details = predictionDetailsRef.current;
+    const customMatch = customMatchRef.current;
+    const modelAlternatives = details
+      ? details.topK
+        .filter(candidate => source !== 'model' || candidate.labelIndex !== activeSign.labelIndex)
+        .map(candidate => ({ ...candidate, source: 'model' }))
+      : [];
+    const customAlternatives = customMatch
+      ? [customMatch, ...customMatch.candidates]
+        .filter(candidate => source !== 'custom' || candidate.label !== activeSign.label)
+        .map(({ label, confidence }) => ({ label, probability: confidence, source: 'custom' }))
+      : [];
+    
+    return {
+      label: activeSign.label,
+      confidence: activeSign.confidence,
+      startTime: activeSign.startTime,
+      alternatives: [...customAlternatives, ...modelAlternatives],
+      source,
+      isUnknown: activeSign.label === UNKNOWN_LABEL,
+      isMock: isMockRef.current
+    };
+  };
+  
+  /**
+   * Publishes smoother events, records them in the transcript and keeps
+   * `prediction` in sync with the active sign
+   */
+  const handleSignEvents = (events) => {
+    let transcriptChanged = false;
+    
+    events.forEach(event => {
+      setLastSignEvent(event);
+      
+      if (transcriptBuilderRef.current.handleSignEvent(event)) {
+        transcriptChanged = true;
+      }
+      
+      if (optionsRef.current.onSignEvent) {
+        optionsRef.current.onSignEvent(event);
+      }
+    });
+    
+    if (transcriptChanged) {
+      setTranscript(transcriptBuilderRef.current.getEntries());
+    }
+    
+    // Cleared as soon as the sign ends, even if the next one has only just started
+    setPrediction(currentPrediction());
+  };
+  
+  /**
+   * Applies motion segmentation: a pause ends the active sign, new motion
+   * starts a new transcript segment
+   */
+  const handleSegmentEvents = (events) => {
+    events.forEach(event => {
+      if (event.type === SEGMENT_EVENT_TYPES.PAUSE) {
+        if (smootherRef.current) {
+          handleSignEvents(smootherRef.current.reset(event.timestamp));
+        }
+      } else if (event.type === SEGMENT_EVENT_TYPES.MOTION) {
+        transcriptBuilderRef.current.startSegment();
+      }
+    });
+  };
+  
+  /**
+   * Switch the frame buffer to a new [frames, features] input shape
+   */
+  const applyInputShape = (shape, layout) => {
+    inputShapeRef.current = shape;
+    featureLayoutRef.current = layout;
+    setInputShape(shape);
+    
+    // Frames captured for a different shape cannot be fed to this model
+    bufferRef.current = [];
+    setIsBufferFull(false);
+  };
+  
+  /**
+   * Model features and motion features for one landmarker result
+   */
+  const extractFrameFeatures = (landmarkerResult) => {
+    // Flatten up to the number of hands the model expects (zero-filled when missing),
+    // using the feature mode the model was trained with
+    const featureMode = featureModeRef.current;
+    const features = landmarksToFeatures(landmarkerResult, featureLayoutRef.current, featureMode);
+    
+    // Wrist-relative features hide whole-hand movement, so the segmenter always sees image coordinates
+    const motionFeatures = featureMode.coordinates === 'raw'
+      ? features
+      : landmarksToFeatures(landmarkerResult, featureLayoutRef.current);
+    
+    return { features, motionFeatures };
+  };
+  
+  /**
+   * Model features and per-slot handedness for one landmarker result, as stored in training samples
+   */
+  const extractSampleFrame = (landmarkerResult) => {
+    const featureMode = featureModeRef.current;
+    return {
+      features: landmarksToFeatures(landmarkerResult, featureLayoutRef.current, featureMode),
+      handedness: getSlotHandedness(landmarkerResult, featureLayoutRef.current.numHands, featureMode.handSlots)
     };
-  }, [isMobile, classLabels.length]);
+  };
+  
+  /**
+   * Load the user's custom signs and rebuild the matcher and live smoother
+   */
+  const reloadCustomSigns = async () => {
+    try {
+      const signs = await getCustomSigns(optionsRef.current.userId || null);
+      customMatcherRef.current = signs.length > 0 ? createCustomSignMatcher(signs) : null;
+      customMatchRef.current = null;
+      setCustomSigns(signs.map(sign => ({ id: sign.id, label: sign.label, exampleCount: sign.examples.length })));
+      
+      // The smoother's classes change with the custom signs
+      if (smootherRef.current && modelLabelsRef.current) {
+        handleSignEvents(smootherRef.current.reset(Date.now()));
+        smootherRef.current = createLiveSmoother(modelLabelsRef.current);
+      }
+      console.log(`Loaded ${signs.length} custom sign(s)`);
+    } catch (err) {
+      console.error('Failed to load custom signs:', err);
+    }
+  };
+  
+  useEffect(() => {
+    reloadCustomSigns();
+    // Reloaded explicitly after recording; only a different user needs a reload here
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [options.userId]);
+  
+  /**
+   * Closest custom sign for the latest custom sign window, if any
+   */
+  const matchCustomSigns = () => {
+    const matcher = customMatcherRef.current;
+    if (!matcher || customBufferRef.current.length < CUSTOM_SIGN_FRAME_COUNT) {
+      return null;
+    }
+    return matcher.match(customBufferRef.current);
+  };
+  
+  /**
+   * Summary, alternatives and unknown-sign decision for one window of model output
+   */
+  const summarizeWindow = (probabilities) => {
+    // Keep the whole distribution for alternatives and downstream rescoring
+    const summary = summarizePrediction(probabilities, classLabels, optionsRef.current.topK || DEFAULT_TOP_K);
+    
+    // Uncertain windows (likely a sign outside the vocabulary) count as "unknown"
+    const { rejected, reasons } = evaluateRejection(summary, rejectionConfigRef.current);
+    return { ...summary, rejected, rejectionReasons: reasons };
+  };
   
   /**
    * Process hand landmarks and update the buffer
    */
   const processHandLandmarks = (landmarkerResult) => {
-    // Create an array to store all hand landmarks (for up to 2 hands)
-    // Each hand has 21 landmarks with x, y, z coordinates (63 values per hand)
-    // Total array length for 2 hands: 126 values
-    const handLandmarksArray = new Array(126).fill(0);
-    
-    // Process detected hands (up to 2)
-    if (landmarkerResult.landmarks) {
-      landmarkerResult.landmarks.forEach((handLandmarks, handIndex) => {
-        if (handIndex >= 2) return; // Only process maximum of 2 hands
-        
-        // For each landmark in the hand
-        handLandmarks.forEach((landmark, landmarkIndex) => {
-          // Calculate base index for this landmark in the flattened array
-          const baseIndex = handIndex * 63 + landmarkIndex * 3;
-          
-          // Store normalized x, y, z coordinates
-          handLandmarksArray[baseIndex] = landmark.x;     // x coordinate
-          handLandmarksArray[baseIndex + 1] = landmark.y; // y coordinate
-          handLandmarksArray[baseIndex + 2] = landmark.z; // z coordinate
-        });
-      });
-    }
+    const [frameBufferSize] = inputShapeRef.current;
+    
+    const { features: handLandmarksArray, motionFeatures } = extractFrameFeatures(landmarkerResult);
+    
+    // Sign boundaries come from hand motion energy and pauses
+    handleSegmentEvents(segmenterRef.current.push(motionFeatures, Date.now()));
     
     // Add new frame data to buffer
     bufferRef.current.push(handLandmarksArray);
     
-    // Keep only the most recent FRAME_BUFFER_SIZE frames
-    if (bufferRef.current.length > FRAME_BUFFER_SIZE) {
+    // Custom signs are matched on their own, model-independent features
+    if (customMatcherRef.current) {
+      customBufferRef.current.push(extractCustomSignFrame(landmarkerResult).features);
+      if (customBufferRef.current.length > CUSTOM_SIGN_FRAME_COUNT) {
+        customBufferRef.current.shift();
+      }
+    }
+    
+    // Keep only the most recent frameBufferSize frames
+    if (bufferRef.current.length > frameBufferSize) {
       bufferRef.current.shift(); // Remove oldest frame
     }
     
     // Update buffer full state
-    const isFull = bufferRef.current.length === FRAME_BUFFER_SIZE;
+    const isFull = bufferRef.current.length === frameBufferSize;
     setIsBufferFull(isFull);
     
     return isFull;
   };
   /**
    * Run prediction on the current buffer
+   *
+   * @returns {Promise<Object|null>} Summary of the window ({ label, confidence, topK, margin, entropy,
+   *   normalizedEntropy, probabilities, rejected, rejectionReasons, customMatch, sign }), where `customMatch`
+   *   is the closest custom sign (see customSignMatcher.js) or null and `sign` is the smoothed confirmed sign
+   *   (label "unknown" for rejected signs, `source` 'model' or 'custom') or null; null when no prediction ran
    */
   const runPrediction = async () => {
     // Check if model is loaded and buffer is full
@@ -840,109 +1200,161 @@ const useSignLanguageModel = (isMobile = false) => {
       const currentTime = performance.now();
       
       // Throttle predictions to avoid excessive processing
-      if (currentTime - lastPredictionTimeRef.current < 200) {
+      if (currentTime - lastPredictionTimeRef.current < getConfig().recognition.predictionIntervalMs) {
         return null;
       }
       
       lastPredictionTimeRef.current = currentTime;
       
-      // If we're using a mock model, occasionally vary the predictions for testing UI
-      if (USE_MOCK_MODEL || (model && model.mockModel)) {
-        // Every 3 seconds, change the prediction to make it more realistic for testing
-        const shouldChangeRandomly = Math.floor(currentTime / 3000) % 3 === 0;
-        
-        if (shouldChangeRandomly) {
-          // Generate a random index for the mock prediction
-          const randomIndex = Math.floor(Math.random() * classLabels.length);
-          // Generate a random confidence score between 0.7 and 0.98
-          const mockConfidence = 0.7 + Math.random() * 0.28;
-          
-          const newMockPrediction = {
-            label: classLabels[randomIndex],
-            confidence: mockConfidence,
-            isMock: true
-          };
-          
-          setPrediction(newMockPrediction);
-          return newMockPrediction;
-        }
+      const [frameBufferSize, featureSize] = inputShapeRef.current;
+      
+      // Verify the buffer has the expected shape
+      if (bufferRef.current.length !== frameBufferSize) {
+        console.warn(`Buffer size mismatch: expected ${frameBufferSize}, got ${bufferRef.current.length}`);
+        return null;
       }
       
-      // Use tf.tidy for automatic memory cleanup
-      const predictionResult = await tf.tidy(() => {
-        try {
-          // Verify the buffer has the expected shape
-          if (bufferRef.current.length !== FRAME_BUFFER_SIZE) {
-            console.warn(`Buffer size mismatch: expected ${FRAME_BUFFER_SIZE}, got ${bufferRef.current.length}`);
-            return null;
-          }
-          
-          // Shape: [1, FRAME_BUFFER_SIZE, 126]
-          const inputTensor = tf.tensor3d([bufferRef.current], [1, FRAME_BUFFER_SIZE, 126]);
-          
-          // Run prediction
-          const predictions = model.predict(inputTensor);
-          
-          // Get prediction data
-          return predictions.data().then(predictionArray => {
-            if (!predictionArray || predictionArray.length === 0) {
-              console.error('Empty prediction array');
-              return null;
-            }
-            
-            // Find highest probability class
-            let maxProb = 0;
-            let maxIndex = 0;
-            
-            for (let i = 0; i < predictionArray.length; i++) {
-              if (predictionArray[i] > maxProb) {
-                maxProb = predictionArray[i];
-                maxIndex = i;
-              }
-            }
-            
-            // Ensure index is within bounds of class labels
-            const safeIndex = Math.min(maxIndex, classLabels.length - 1);
-            return [classLabels[safeIndex], maxProb];
-          });
-        } catch (innerError) {
-          console.error('Error during prediction computation:', innerError);
-          return null;
-        }
-      });
+      // Skip this window while the worker is still busy with the previous one
+      if (predictionInFlightRef.current || !inferenceServiceRef.current) {
+        return null;
+      }
       
-      // If prediction failed, early return
-      if (!predictionResult) return null;
+      // Shape: [1, frameBufferSize, featureSize]
+      const input = Float32Array.from(bufferRef.current.flat());
       
-      // Unpack prediction result
-      const [predictedLabel, predictedConfidence] = predictionResult;
+      predictionInFlightRef.current = true;
+      setIsPredicting(true);
       
-      // Only update if confidence exceeds threshold
-      if (predictedConfidence >= CONFIDENCE_THRESHOLD) {
-        const newPrediction = {
-          label: predictedLabel,
-          confidence: predictedConfidence,
-          isMock: USE_MOCK_MODEL
-        };
-        
-        setPrediction(newPrediction);
-        return newPrediction;
+      let predictionArray;
+      try {
+        predictionArray = await inferenceServiceRef.current.predict(input, [1, frameBufferSize, featureSize]);
+      } finally {
+        predictionInFlightRef.current = false;
+        setIsPredicting(false);
       }
       
-      return null;
+      if (!predictionArray || predictionArray.length === 0) {
+        console.error('Empty prediction array');
+        return null;
+      }
+      
+      // Labels were validated against the output size when the model loaded
+      if (predictionArray.length !== classLabels.length) {
+        console.error(`Model returned ${predictionArray.length} scores for ${classLabels.length} labels`);
+        return null;
+      }
+      
+      const customMatch = matchCustomSigns();
+      customMatchRef.current = customMatch;
+      const details = { ...summarizeWindow(predictionArray), customMatch };
+      predictionDetailsRef.current = details;
+      setPredictionDetails(details);
+      
+      // Smooth over recent windows; the caption only changes on sign events
+      const scores = withCustomSignScores(
+        withUnknownClass(predictionArray, details.rejected),
+        customMatch,
+        customMatcherRef.current ? customMatcherRef.current.labels.length : 0
+      );
+      handleSignEvents(smootherRef.current.push(scores, Date.now()));
+      
+      // Raw window summary plus the smoothed sign (null while no sign is confirmed)
+      return {
+        ...details,
+        sign: currentPrediction(),
+        isMock: isMockRef.current
+      };
     } catch (error) {
       console.error('Prediction error:', error);
       return null;
     }
   };
   
+  /**
+   * Recognize the signs in an uploaded video with the loaded model
+   *
+   * Uses fresh smoother and segmenter instances, so the live buffer, prediction
+   * and transcript are left untouched.
+   *
+   * @param {string} videoUrl - Object URL of the video
+   * @param {Object} videoOptions - { handLandmarker, signal, onProgress, sampleRate } (see videoSignRecognition.js)
+   * @returns {Promise<Object>} Timeline of recognized signs
+   */
+  const recognizeVideo = async (videoUrl, videoOptions) => {
+    if (!model || !inferenceServiceRef.current) {
+      throw new Error('Sign language model is not loaded');
+    }
+    
+    const [frameCount, featureSize] = inputShapeRef.current;
+    
+    const result = await recognizeSignsInVideo(videoUrl, {
+      // Same spacing between predictions as the live camera, unless the caller sets one
+      predictionIntervalMs: getConfig().recognition.predictionIntervalMs,
+      ...videoOptions,
+      extractFeatures: extractFrameFeatures,
+      predictWindow: async (frames) => {
+        const input = Float32Array.from(frames.flat());
+        const probabilities = await inferenceServiceRef.current.predict(input, [1, frameCount, featureSize]);
+        return summarizeWindow(probabilities);
+      },
+      createSmoother: () => createSmoother(classLabels),
+      createSegmenter: () => createMotionSegmenter(optionsRef.current.segmentation),
+      labels: classLabels,
+      frameCount,
+      topK: optionsRef.current.topK || DEFAULT_TOP_K
+    });
+    
+    return { ...result, modelVersion: modelMetadata ? modelMetadata.version : null };
+  };
+
+  /**
+   * Raw class probabilities of the loaded model for one window
+   *
+   * Bypasses the live buffer, smoother and custom signs, e.g. to evaluate
+   * the model on recorded samples.
+   *
+   * @param {Array<Array<number>>} frames - Window of feature frames in the model's input shape
+   * @returns {Promise<Array<number>>} Probability per class label
+   */
+  const predictWindow = async (frames) => {
+    if (!model || !inferenceServiceRef.current) {
+      throw new Error('Sign language model is not loaded');
+    }
+    
+    const [frameCount, featureSize] = inputShapeRef.current;
+    if (frames.length !== frameCount) {
+      throw new Error(`Expected ${frameCount} frames, got ${frames.length}`);
+    }
+    
+    const probabilities = await inferenceServiceRef.current.predict(Float32Array.from(frames.flat()), [1, frameCount, featureSize]);
+    return Array.from(probabilities);
+  };
+  
   /**
    * Reset the buffer and prediction when no hands are detected
    */
   const resetBuffer = () => {
     bufferRef.current = [];
+    customBufferRef.current = [];
+    customMatchRef.current = null;
     setIsBufferFull(false);
     setPrediction(null);
+    predictionDetailsRef.current = null;
+    setPredictionDetails(null);
+    
+    // Ends the active sign; the transcript itself is kept
+    handleSegmentEvents(segmenterRef.current.reset(Date.now()));
+    if (smootherRef.current) {
+      handleSignEvents(smootherRef.current.reset(Date.now()));
+    }
+  };
+  
+  /**
+   * Remove all entries from the running transcript
+   */
+  const clearTranscript = () => {
+    transcriptBuilderRef.current.clear();
+    setTranscript([]);
   };
 
   return {
@@ -951,16 +1363,36 @@ const useSignLanguageModel = (isMobile = false) => {
     error,
     prediction,
     isBufferFull,
+    isPredicting,
+    lastSignEvent,
+    predictionDetails,
     classLabels,
+    modelMetadata,
     downloadProgress,
+    downloadStats,
+    cancelModelDownload,
     extractionProgress,
     modelLoadingStage,
     processHandLandmarks,
+    extractSampleFrame,
+    extractCustomSignFrame,
+    customSigns,
+    reloadCustomSigns,
     runPrediction,
+    recognizeVideo,
+    predictWindow,
     resetBuffer,
+    transcript,
+    clearTranscript,
     bufferLength: bufferRef.current.length,
-    confidenceThreshold: CONFIDENCE_THRESHOLD,
-    isMockModel: USE_MOCK_MODEL || (prediction && prediction.isMock)
+    frameBufferSize: inputShape[0],
+    featureSize: inputShape[1],
+    featureMode: featureModeRef.current,
+    confidenceThreshold: getConfig().recognition.confidenceThreshold,
+    modelUpdate,
+    applyModelUpdate,
+    dismissModelUpdate,
+    isMockModel: getConfig().mock.model || isMockRef.current
   };
 };
 
@@ -2,15 +2,29 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
 import { useTheme } from '../contexts/ThemeContext';
-import { FilesetResolver, GestureRecognizer } from '@mediapipe/tasks-vision';
-import { HandLandmarker } from '@mediapipe/tasks-vision';
+import { GestureRecognizer } from '@mediapipe/tasks-vision';
+import { createHandLandmarker, loadVisionFileset } from '../utils/handLandmarker';
+import { getConfig } from '../appConfig';
+import { drawHandConnections, drawHandLandmarks } from '../utils/handDrawing';
 // Import our custom hook for sign language recognition
 import useSignLanguageModel from '../hooks/useSignLanguageModel';
 // Import the model loading indicator component
 import ModelLoadingIndicator from '../components/ModelLoadingIndicator';
+import ModelUpdatePrompt from '../components/ModelUpdatePrompt';
 // Import our enhanced UI components
 import EnhancedRealTimeDetection from '../components/EnhancedRealTimeDetection';
 import SimplifiedCameraControls from '../components/SimplifiedCameraControls';
+import TranscriptPanel from '../components/TranscriptPanel';
+import SampleRecorderPanel from '../components/SampleRecorderPanel';
+import { getDisplayLabel } from '../utils/openSetRejection';
+import { createLiveSession, saveSession } from '../utils/historyStore';
+import { downloadBlob } from '../utils/historyExport';
+import { createSampleRecorder, RECORDER_PHASES } from '../utils/sampleRecorder';
+import { addSample, getLabelCounts, getSamples } from '../utils/datasetStore';
+import { exportDataset } from '../utils/datasetExport';
+import { CUSTOM_SIGN_FRAME_COUNT } from '../utils/customSignMatcher';
+import { addCustomSignExample, deleteCustomSign } from '../utils/customSignStore';
+import { auth } from '../firebaseConfig';
 
 /**
  * Simplified CameraScreen component focused purely on real-time detection
@@ -20,6 +34,15 @@ const CameraScreen = () => {
   const { theme: COLORS } = useTheme();
   const navigate = useNavigate();
   const [isProcessing, setIsProcessing] = useState(false);
+  const [processingProgress, setProcessingProgress] = useState(0);
+  const [videoError, setVideoError] = useState('');
+  const [transcriptStatus, setTranscriptStatus] = useState('');
+  const [isRecordMode, setIsRecordMode] = useState(false);
+  const [recorderStatus, setRecorderStatus] = useState(null);
+  const [recorderMessage, setRecorderMessage] = useState('');
+  const [datasetCounts, setDatasetCounts] = useState({});
+  // Recorded windows go to the training dataset or become custom sign examples
+  const [recordTarget, setRecordTarget] = useState('dataset');
   const [videoUri, setVideoUri] = useState(null);
   const [showConfirmation, setShowConfirmation] = useState(false);
   const [gestureRecognizer, setGestureRecognizer] = useState(null);
@@ -42,16 +65,31 @@ const CameraScreen = () => {
     bufferLength,
     isPredicting,
     processHandLandmarks,
+    extractSampleFrame,
+    extractCustomSignFrame,
+    customSigns,
+    reloadCustomSigns,
     runPrediction,
+    recognizeVideo,
     resetBuffer,
-    FRAME_BUFFER_SIZE,
+    transcript,
+    clearTranscript,
+    modelMetadata,
+    frameBufferSize,
+    featureSize,
+    featureMode,
+    classLabels,
     // Destructure the previously undefined variables
     modelLoadingStage,
     downloadProgress,
+    downloadStats,
+    cancelModelDownload,
     extractionProgress,
     isMockModel,
-    confidenceThreshold
-  } = useSignLanguageModel();
+    modelUpdate,
+    applyModelUpdate,
+    dismissModelUpdate
+  } = useSignLanguageModel(false, { userId: auth.currentUser ? auth.currentUser.uid : null });
   
   // Track frames with no hands detected
   const [noHandsFrameCount, setNoHandsFrameCount] = useState(0);
@@ -61,6 +99,17 @@ const CameraScreen = () => {
   const streamRef = useRef(null);
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
+  const processingAbortRef = useRef(null);
+  const sampleRecorderRef = useRef(null);
+  const recordTargetRef = useRef(recordTarget);
+  recordTargetRef.current = recordTarget;
+  // Details stored with every recorded sample, read when a window completes
+  const sampleContextRef = useRef({});
+  sampleContextRef.current = {
+    featureMode,
+    inputShape: [frameBufferSize, featureSize],
+    modelVersion: modelMetadata ? modelMetadata.version : null
+  };
   
   // Initialize MediaPipe
   useEffect(() => {
@@ -69,26 +118,17 @@ const CameraScreen = () => {
         console.log('Initializing MediaPipe...');
         setIsModelLoading(true);
         
-        const vision = await FilesetResolver.forVisionTasks(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-        );
+        const vision = await loadVisionFileset();
         
-        // Initialize the hand landmarker
-        const handLandmarkerInstance = await HandLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-            delegate: isMobile ? "GPU" : "CPU" // Use GPU for mobile for better performance
-          },
-          numHands: 2,
-          runningMode: "VIDEO"
-        });
+        // Initialize the hand landmarker (GPU on mobile for better performance)
+        const handLandmarkerInstance = await createHandLandmarker({ delegate: isMobile ? "GPU" : "CPU" });
         
         setHandLandmarker(handLandmarkerInstance);
         
         // Initialize the gesture recognizer
         const recognizerInstance = await GestureRecognizer.createFromOptions(vision, {
           baseOptions: {
-            modelAssetPath: "https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task",
+            modelAssetPath: getConfig().mediapipe.gestureRecognizerModelUrl,
             delegate: isMobile ? "GPU" : "CPU"
           },
           numHands: 2,
@@ -181,13 +221,13 @@ const CameraScreen = () => {
       
       // Show buffer status
       ctx.fillStyle = 'cyan';
-      ctx.fillText(`Buffer: ${bufferLength}/${FRAME_BUFFER_SIZE}`, 10, 50);
+      ctx.fillText(`Buffer: ${bufferLength}/${frameBufferSize}`, 10, 50);
       
       // Show prediction if available
       if (prediction) {
         ctx.fillStyle = 'lime';
         ctx.font = '24px Arial';
-        ctx.fillText(`Prediction: ${prediction.label}`, 10, 85);
+        ctx.fillText(`Prediction: ${getDisplayLabel(prediction.label)}`, 10, 85);
         ctx.font = '18px Arial';
         ctx.fillText(`Confidence: ${(prediction.confidence * 100).toFixed(1)}%`, 10, 115);
       }
@@ -203,18 +243,18 @@ const CameraScreen = () => {
         const firstHand = landmarkerResult.landmarks[0];
         ctx.fillStyle = 'white';
         ctx.fillText(`Hand data: ${firstHand.length} landmarks`, 10, 175);
-        ctx.fillText(`Tensor shape: [1,${FRAME_BUFFER_SIZE},126] (${1*FRAME_BUFFER_SIZE*126} values)`, 10, 205);
+        ctx.fillText(`Tensor shape: [1,${frameBufferSize},${featureSize}] (${frameBufferSize * featureSize} values)`, 10, 205);
       }
       
       // Show buffer status
       ctx.fillStyle = 'cyan';
-      ctx.fillText(`Buffer: ${bufferLength}/${FRAME_BUFFER_SIZE}`, 10, 50);
+      ctx.fillText(`Buffer: ${bufferLength}/${frameBufferSize}`, 10, 50);
       
       // Show prediction if available
       if (prediction) {
         ctx.fillStyle = 'lime';
         ctx.font = '24px Arial';
-        ctx.fillText(`Prediction: ${prediction.label}`, 10, 85);
+        ctx.fillText(`Prediction: ${getDisplayLabel(prediction.label)}`, 10, 85);
         ctx.font = '18px Arial';
         ctx.fillText(`Confidence: ${(prediction.confidence * 100).toFixed(1)}%`, 10, 115);
       }
@@ -223,7 +263,15 @@ const CameraScreen = () => {
       if (isPredicting) {
         ctx.fillStyle = 'orange';
         ctx.fillText('Predicting...', 10, 145);
-      }      // Process hand landmarks using our custom hook
+      }      // Feed the sample recorder the same frames the model (or the custom sign matcher) sees
+      const recorder = sampleRecorderRef.current;
+      if (recorder && recorder.isActive()) {
+        recorder.update(recordTargetRef.current === 'custom'
+          ? extractCustomSignFrame(landmarkerResult)
+          : extractSampleFrame(landmarkerResult));
+      }
+      
+      // Process hand landmarks using our custom hook
       const bufferFull = processHandLandmarks(landmarkerResult);
       console.log(`Frame processed - Buffer added to collection`);      // Run prediction if buffer is full
       if (bufferFull) {
@@ -254,7 +302,7 @@ const CameraScreen = () => {
               modelType: signModel ? typeof signModel : "undefined",
               predictFnExists: signModel ? typeof signModel.predict === 'function' : false,
               functionExists: typeof runPrediction === 'function',
-              bufferStatus: `${bufferLength}/${FRAME_BUFFER_SIZE}`,
+              bufferStatus: `${bufferLength}/${frameBufferSize}`,
               modelError: signModelError
             };
             
@@ -295,6 +343,11 @@ const CameraScreen = () => {
         // Draw hand landmarks
         drawHandLandmarks(ctx, landmarks);
       });    } else {
+      // Keep the recorder's countdown running while no hands are visible
+      if (sampleRecorderRef.current) {
+        sampleRecorderRef.current.update(null);
+      }
+      
       // Increment no hands counter
       const newCount = noHandsFrameCount + 1;
       setNoHandsFrameCount(newCount);
@@ -313,54 +366,8 @@ const CameraScreen = () => {
     // regardless of whether any Promises within the function resolve or reject
     // This ensures the animation loop continues even if there's an error in an await operation
     animationRef.current = requestAnimationFrame(processVideoFrame);
-  }, [handLandmarker, processHandLandmarks, runPrediction, resetBuffer, bufferLength]);
-  
-  // Custom function to draw hand connections
-  const drawHandConnections = (ctx, landmarks) => {
-    // Define hand connections (pairs of landmark indices that should be connected)
-    const connections = [
-      [0, 1], [1, 2], [2, 3], [3, 4],           // thumb
-      [0, 5], [5, 6], [6, 7], [7, 8],           // index finger
-      [0, 9], [9, 10], [10, 11], [11, 12],      // middle finger
-      [0, 13], [13, 14], [14, 15], [15, 16],    // ring finger
-      [0, 17], [17, 18], [18, 19], [19, 20],    // pinky
-      [5, 9], [9, 13], [13, 17],                // palm connections
-    ];
-    
-    // Set line style for connections
-    ctx.lineWidth = 5;
-    ctx.strokeStyle = '#00FF00';
-    ctx.lineJoin = 'round';
-    
-    // Draw each connection as a line
-    connections.forEach(([i, j]) => {
-      const start = landmarks[i];
-      const end = landmarks[j];
-      
-      if (start && end) {
-        ctx.beginPath();
-        ctx.moveTo(start.x * canvasRef.current.width, start.y * canvasRef.current.height);
-        ctx.lineTo(end.x * canvasRef.current.width, end.y * canvasRef.current.height);
-        ctx.stroke();
-      }
-    });
-  };
+  }, [handLandmarker, processHandLandmarks, extractSampleFrame, extractCustomSignFrame, runPrediction, resetBuffer, bufferLength, frameBufferSize, featureSize]);
   
-  // Custom function to draw hand landmarks
-  const drawHandLandmarks = (ctx, landmarks) => {
-    // Set style for landmarks
-    ctx.fillStyle = '#FF0000';
-    
-    // Draw each landmark as a circle
-    landmarks.forEach((landmark) => {
-      const x = landmark.x * canvasRef.current.width;
-      const y = landmark.y * canvasRef.current.height;
-      
-      ctx.beginPath();
-      ctx.arc(x, y, 4, 0, 2 * Math.PI);
-      ctx.fill();
-    });
-  };
   // Start hand landmark processing when camera is ready  
   useEffect(() => {
     if (cameraReady && handLandmarker) {
@@ -531,6 +538,7 @@ const CameraScreen = () => {
         if (file) {
           const videoURL = URL.createObjectURL(file);
           setVideoUri(videoURL);
+          setVideoError('');
           setShowConfirmation(true);
         }
       };
@@ -558,59 +566,163 @@ const CameraScreen = () => {
     setVideoUri(null);
   };
   
-  // Process video with AI
+  // Recognize the signs in the selected video on this device
   const processVideo = async (uri) => {
     setIsProcessing(true);
+    setProcessingProgress(0);
+    setVideoError('');
     console.log("Processing video, URI:", uri);
     
+    const abortController = new AbortController();
+    processingAbortRef.current = abortController;
+    let videoLandmarker = null;
+    
     try {
-      // In a real application, you would send the video to your backend server
-      // Create FormData and send it to your API
-      const formData = new FormData();
+      // A dedicated landmarker: video timestamps restart at 0, unlike the live camera's
+      videoLandmarker = await createHandLandmarker({ delegate: isMobile ? "GPU" : "CPU" });
       
-      // Convert blob URL to blob 
-      const response = await fetch(uri);
-      const videoBlob = await response.blob();
-      
-      formData.append('video', videoBlob, 'video.webm');
-      
-      // Note: For demo purposes, if you don't have a backend API ready
-      // This is where you'd send the video to your API for processing
-      // Now we'll simulate processing and recognition
-      
-      const simulateServerCall = async () => {
-        // Simulate API call delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Example of random recognition result (replace with actual API call)
-        const demoResults = [
-          { label: "Hello", confidence: 0.92 },
-          { label: "Thank you", confidence: 0.87 },
-          { label: "Yes", confidence: 0.95 },
-          { label: "No", confidence: 0.89 },
-          { label: "Please", confidence: 0.82 }
-        ];
-        
-        return demoResults[Math.floor(Math.random() * demoResults.length)];
-      };
+      const result = await recognizeVideo(uri, {
+        handLandmarker: videoLandmarker,
+        signal: abortController.signal,
+        onProgress: setProcessingProgress
+      });
       
-      const result = await simulateServerCall();
-
-      console.log("✅ Result:", JSON.stringify(result));
-      navigate('/results', { state: { result } });
+      console.log(`✅ Recognized ${result.segments.length} sign(s) in ${result.duration.toFixed(1)}s of video`);
+      navigate('/results', { state: { result, videoUrl: uri } });
       
     } catch (error) {
-      console.error("🚨 Error processing video:", error.message);
-      alert(`Error processing video: ${error.message}`);
+      if (error.name === 'AbortError') {
+        console.log("Video processing cancelled");
+        recordAgain();
+        return;
+      }
       
-      // Navigate with error result
-      const errorResult = { label: "ERROR", confidence: 0 };
-      navigate('/results', { state: { result: errorResult } });
+      // Shown on this screen; there is no result to open
+      console.error("🚨 Error processing video:", error.message);
+      setVideoError(`Could not process the video: ${error.message}`);
+      recordAgain();
     } finally {
+      if (videoLandmarker) {
+        videoLandmarker.close();
+      }
+      processingAbortRef.current = null;
       setIsProcessing(false);
     }
   };
   
+  // Save the live transcript as a history session and start a new one
+  const saveTranscriptSession = async () => {
+    try {
+      const session = createLiveSession(transcript, {
+        modelVersion: modelMetadata ? modelMetadata.version : null
+      });
+      await saveSession(session, { userId: auth.currentUser ? auth.currentUser.uid : null });
+      clearTranscript();
+      setTranscriptStatus('Saved to history');
+    } catch (error) {
+      console.error("Failed to save session:", error);
+      setTranscriptStatus('Saving failed');
+    }
+  };
+  
+  const refreshDatasetCounts = async () => {
+    try {
+      setDatasetCounts(await getLabelCounts());
+    } catch (error) {
+      console.error("Failed to read the sample dataset:", error);
+    }
+  };
+  
+  // A recorder per window size and target; recorded windows go straight to the dataset or the custom signs
+  useEffect(() => {
+    if (!frameBufferSize) return undefined;
+    
+    const isCustom = recordTarget === 'custom';
+    const recorder = createSampleRecorder({
+      windowSize: isCustom ? CUSTOM_SIGN_FRAME_COUNT : frameBufferSize,
+      onStatus: setRecorderStatus,
+      onWindow: async (sample) => {
+        try {
+          if (isCustom) {
+            await addCustomSignExample(auth.currentUser ? auth.currentUser.uid : null, sample.label, sample);
+            await reloadCustomSigns();
+          } else {
+            await addSample({ ...sample, ...sampleContextRef.current });
+            setDatasetCounts(await getLabelCounts());
+          }
+        } catch (error) {
+          console.error("Failed to save sample:", error);
+          setRecorderMessage(`Saving sample failed: ${error.message}`);
+        }
+      }
+    });
+    sampleRecorderRef.current = recorder;
+    
+    return () => {
+      recorder.cancel();
+      sampleRecorderRef.current = null;
+    };
+    // reloadCustomSigns always reads the current user from the hook's options
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [frameBufferSize, recordTarget]);
+  
+  const toggleRecordMode = () => {
+    if (isRecordMode && sampleRecorderRef.current) {
+      sampleRecorderRef.current.cancel();
+    } else {
+      refreshDatasetCounts();
+    }
+    setRecorderMessage('');
+    setIsRecordMode(!isRecordMode);
+  };
+  
+  const startSampleRecording = (label, count) => {
+    try {
+      setRecorderMessage('');
+      sampleRecorderRef.current.start(label, count);
+    } catch (error) {
+      setRecorderMessage(error.message);
+    }
+  };
+  
+  const removeCustomSign = async (sign) => {
+    if (!window.confirm(`Delete the custom sign "${sign.label}" and its ${sign.exampleCount} example(s)?`)) return;
+    try {
+      await deleteCustomSign(sign.id);
+      await reloadCustomSigns();
+    } catch (error) {
+      console.error("Failed to delete custom sign:", error);
+      setRecorderMessage(`Deleting failed: ${error.message}`);
+    }
+  };
+  
+  const exportSampleDataset = async () => {
+    try {
+      setRecorderMessage('Preparing dataset…');
+      const blob = await exportDataset(await getSamples());
+      downloadBlob(blob, `sign-language-dataset-${Date.now()}.zip`);
+      setRecorderMessage('');
+    } catch (error) {
+      console.error("Failed to export dataset:", error);
+      setRecorderMessage(`Export failed: ${error.message}`);
+    }
+  };
+  
+  // Stop processing the uploaded video and return to live detection
+  const cancelProcessing = () => {
+    if (processingAbortRef.current) {
+      processingAbortRef.current.abort();
+    }
+  };
+  
+  // The camera preview is unmounted while a video is confirmed or processed; reattach the stream when it returns
+  useEffect(() => {
+    if (!showConfirmation && !isProcessing && videoRef.current && streamRef.current &&
+        videoRef.current.srcObject !== streamRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+    }
+  }, [showConfirmation, isProcessing]);
+  
   // Use effect to setup camera when component mounts
   useEffect(() => {
     setupCamera();
@@ -666,8 +778,10 @@ const CameraScreen = () => {
             error={signModelError}
             loadingStage={modelLoadingStage}
             downloadProgress={downloadProgress}
+            downloadStats={downloadStats}
             extractionProgress={extractionProgress}
             isMockModel={isMockModel}
+            onCancel={cancelModelDownload}
           />
           {signModelError && (
             <ErrorMessage>
@@ -692,11 +806,11 @@ const CameraScreen = () => {
     <Container>
       {/* Visual debug: buffer and prediction status */}
       <StatusOverlay style={{ display: bufferLength > 0 ? 'flex' : 'none' }}>
-        <StatusText>Buffer: {bufferLength}/{FRAME_BUFFER_SIZE}</StatusText>
+        <StatusText>Buffer: {bufferLength}/{frameBufferSize}</StatusText>
         {isPredicting ? <StatusText>Predicting...</StatusText> : null}
         {prediction && !isPredicting && (
           <PredictionDisplay>
-            {prediction.label} ({(prediction.confidence*100).toFixed(1)}%)
+            {getDisplayLabel(prediction.label)} ({(prediction.confidence*100).toFixed(1)}%)
           </PredictionDisplay>
         )}
         {!prediction && !isPredicting && isBufferFull && (
@@ -738,7 +852,20 @@ const CameraScreen = () => {
           {isProcessing ? (
             <ProcessingContainer backgroundColor={COLORS.card}>
               <LoaderAnimation />
-              <ProcessingText color={COLORS.textSecondary}>Processing video...</ProcessingText>
+              <ProcessingText color={COLORS.textSecondary}>
+                Processing video... {Math.round(processingProgress * 100)}%
+              </ProcessingText>
+              <ProgressTrack backgroundColor={COLORS.border}>
+                <ProgressFill backgroundColor={COLORS.primary} progress={processingProgress} />
+              </ProgressTrack>
+              <CancelButton 
+                backgroundColor={COLORS.card}
+                borderColor={COLORS.border}
+                onClick={cancelProcessing}
+                style={{ marginRight: 0 }}
+              >
+                <CancelButtonText color={COLORS.textSecondary}>Cancel</CancelButtonText>
+              </CancelButton>
             </ProcessingContainer>
           ) : (
             <>
@@ -750,7 +877,7 @@ const CameraScreen = () => {
                 <StatusIndicator active={isBufferFull}>
                   {isBufferFull ? 
                     <ActiveStatusText>● LIVE DETECTION ACTIVE</ActiveStatusText> : 
-                    <PreparingStatusText>○ Preparing detection ({bufferLength}/{FRAME_BUFFER_SIZE})</PreparingStatusText>
+                    <PreparingStatusText>○ Preparing detection ({bufferLength}/{frameBufferSize})</PreparingStatusText>
                   }
                 </StatusIndicator>
               </Header>
@@ -771,11 +898,20 @@ const CameraScreen = () => {
                 error={signModelError}
                 loadingStage={modelLoadingStage}
                 downloadProgress={downloadProgress}
+                downloadStats={downloadStats}
                 extractionProgress={extractionProgress}
                 isMockModel={isMockModel}
+                onCancel={cancelModelDownload}
                 onRetry={() => window.location.reload()}
               />
               
+              <ModelUpdatePrompt
+                update={modelUpdate}
+                onApply={applyModelUpdate}
+                onDismiss={dismissModelUpdate}
+                colors={COLORS}
+              />
+              
               {/* Mock model warning */}
               {isMockModel && !isSignModelLoading && !signModelError && (
                 <MockModelContainer>
@@ -792,6 +928,13 @@ const CameraScreen = () => {
                 </ErrorContainer>
               )}
               
+              {/* Video Processing Error Message */}
+              {videoError && (
+                <ErrorContainer role="alert">
+                  <ErrorText>{videoError}</ErrorText>
+                </ErrorContainer>
+              )}
+              
               {/* Camera Preview */}
               <VideoContainer>
                 <Video
@@ -807,15 +950,58 @@ const CameraScreen = () => {
                 />
                 {videoUri && <RecordedVideo src={videoUri} controls />}
                 
+                {!videoUri && recorderStatus && (
+                  recorderStatus.phase === RECORDER_PHASES.COUNTDOWN || recorderStatus.phase === RECORDER_PHASES.PAUSE
+                ) && (
+                  <RecorderCountdown>{Math.ceil(recorderStatus.remainingMs / 1000)}</RecorderCountdown>
+                )}
+                {!videoUri && recorderStatus && recorderStatus.phase === RECORDER_PHASES.RECORDING && (
+                  <RecordingBadge>● REC {recorderStatus.captured + 1}/{recorderStatus.count}</RecordingBadge>
+                )}
+                
                 {/* Enhanced Real-time Sign Language Detection */}                {!videoUri && (
                   <EnhancedRealTimeDetection 
                     prediction={prediction}
-                    confidenceThreshold={confidenceThreshold || 0.7} // Provide fallback if undefined
                     isVisible={true}
                   />
                 )}
               </VideoContainer>
               
+              {/* Running transcript of recognized signs */}
+              {!videoUri && (
+                <TranscriptPanel 
+                  transcript={transcript}
+                  onClear={clearTranscript}
+                  onSave={saveTranscriptSession}
+                  statusText={transcript.length === 0 ? transcriptStatus : ''}
+                  colors={COLORS}
+                />
+              )}
+              
+              {/* Landmark sample recording for training data */}
+              {!videoUri && (
+                <RecordModeToggle color={COLORS.primary} onClick={toggleRecordMode}>
+                  {isRecordMode ? 'Hide sample recorder' : 'Record samples'}
+                </RecordModeToggle>
+              )}
+              {!videoUri && isRecordMode && (
+                <SampleRecorderPanel
+                  target={recordTarget}
+                  onTargetChange={setRecordTarget}
+                  labels={recordTarget === 'custom' ? customSigns.map(sign => sign.label) : classLabels}
+                  status={recorderStatus}
+                  counts={datasetCounts}
+                  customSigns={customSigns}
+                  onDeleteCustomSign={removeCustomSign}
+                  onStart={startSampleRecording}
+                  onCancel={() => sampleRecorderRef.current && sampleRecorderRef.current.cancel()}
+                  onExport={exportSampleDataset}
+                  statusText={recorderMessage}
+                  isDisabled={!cameraReady || !handLandmarker}
+                  colors={COLORS}
+                />
+              )}
+              
               {/* Zoom control slider */}
               <ZoomControlContainer>
                 <ZoomLabel color={COLORS.text}>Camera Zoom: {zoomLevel.toFixed(1)}x</ZoomLabel>
@@ -1044,6 +1230,46 @@ const ZoomLevelIndicator = styled.div`
 `;
 
 // Loading and error components
+const RecorderCountdown = styled.div`
+  position: absolute;
+  top: 50%;
+  left: 50%;
+  transform: translate(-50%, -50%);
+  font-size: 96px;
+  font-weight: 700;
+  color: #FFFFFF;
+  text-shadow: 0 2px 12px rgba(0, 0, 0, 0.6);
+  pointer-events: none;
+`;
+
+const RecordingBadge = styled.div`
+  position: absolute;
+  top: 12px;
+  right: 12px;
+  padding: 4px 10px;
+  border-radius: 12px;
+  background-color: rgba(231, 76, 60, 0.9);
+  color: #FFFFFF;
+  font-size: 14px;
+  font-weight: 600;
+  pointer-events: none;
+`;
+
+const RecordModeToggle = styled.button`
+  align-self: center;
+  background: none;
+  border: none;
+  font-size: 14px;
+  font-weight: 600;
+  color: ${props => props.color};
+  cursor: pointer;
+  margin-bottom: 12px;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
 const ModelLoadingContainer = styled.div`
   margin-bottom: 16px;
   text-align: center;
@@ -1129,6 +1355,23 @@ const ProcessingContainer = styled.div`
   }
 `;
 
+const ProgressTrack = styled.div`
+  width: 240px;
+  max-width: 100%;
+  height: 8px;
+  margin: 0 auto 16px;
+  border-radius: 4px;
+  overflow: hidden;
+  background-color: ${props => props.backgroundColor};
+`;
+
+const ProgressFill = styled.div`
+  height: 100%;
+  width: ${props => props.progress * 100}%;
+  background-color: ${props => props.backgroundColor};
+  transition: width 0.2s ease-out;
+`;
+
 const ProcessingText = styled.p`
   margin-top: 16px;
   font-size: 16px;
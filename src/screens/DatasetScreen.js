@@ -0,0 +1,637 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { useTheme } from '../contexts/ThemeContext';
+import SkeletonPreview from '../components/SkeletonPreview';
+import {
+  addSamples,
+  assignSplits,
+  DEFAULT_INPUT_SHAPE,
+  deleteSample,
+  getBalanceWarnings,
+  getSamples,
+  SAMPLE_SPLITS,
+  updateSample
+} from '../utils/datasetStore';
+import { readDatasetFile } from '../utils/datasetImport';
+import { exportDataset } from '../utils/datasetExport';
+import { downloadBlob } from '../utils/historyExport';
+import { DEFAULT_FEATURE_MODE } from '../utils/landmarkFeatures';
+
+// Samples shown before "Show more"
+const PAGE_SIZE = 48;
+
+const SPLIT_LABELS = {
+  '': 'Unassigned',
+  [SAMPLE_SPLITS.TRAIN]: 'Train',
+  [SAMPLE_SPLITS.VALIDATION]: 'Validation'
+};
+
+/**
+ * One sample in the grid with its preview, label, split and delete controls
+ */
+const SampleCard = ({ sample, onRelabel, onSplitChange, onDelete, colors }) => {
+  const [label, setLabel] = useState(sample.label);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  useEffect(() => {
+    setLabel(sample.label);
+  }, [sample.label]);
+
+  const commitLabel = () => {
+    if (label.trim() && label.trim() !== sample.label) {
+      onRelabel(sample, label);
+    } else {
+      setLabel(sample.label);
+    }
+  };
+
+  return (
+    <Card
+      backgroundColor={colors.card}
+      onMouseEnter={() => setIsPlaying(true)}
+      onMouseLeave={() => setIsPlaying(false)}
+    >
+      <PreviewButton onClick={() => setIsPlaying(!isPlaying)} title="Play or pause">
+        <SkeletonPreview sample={sample} playing={isPlaying} />
+      </PreviewButton>
+      <CardInput
+        list="dataset-labels"
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        onBlur={commitLabel}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        backgroundColor={colors.background}
+        borderColor={colors.border}
+        color={colors.text}
+        aria-label="Label"
+      />
+      <CardSelect
+        value={sample.split || ''}
+        onChange={(e) => onSplitChange(sample, e.target.value || null)}
+        backgroundColor={colors.background}
+        borderColor={colors.border}
+        color={colors.text}
+        aria-label="Split"
+      >
+        {Object.entries(SPLIT_LABELS).map(([value, text]) => (
+          <option key={value} value={value}>{text}</option>
+        ))}
+      </CardSelect>
+      <CardFooter>
+        <CardMeta color={colors.textSecondary}>
+          {new Date(sample.createdAt).toLocaleDateString()}
+          {sample.source === 'imported' && ' · imported'}
+        </CardMeta>
+        <DeleteLink color={colors.error} onClick={() => onDelete(sample)}>Delete</DeleteLink>
+      </CardFooter>
+    </Card>
+  );
+};
+
+const DatasetScreen = () => {
+  const { theme: COLORS } = useTheme();
+
+  const [samples, setSamples] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [statusText, setStatusText] = useState('');
+  const [labelFilter, setLabelFilter] = useState('');
+  const [validationPercent, setValidationPercent] = useState(20);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const importInputRef = useRef(null);
+
+  const loadSamples = useCallback(async () => {
+    try {
+      setSamples(await getSamples());
+      setError('');
+    } catch (err) {
+      console.error('Failed to load dataset:', err);
+      setError(`Could not load the dataset: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSamples();
+  }, [loadSamples]);
+
+  const classStats = useMemo(() => {
+    const stats = {};
+    samples.forEach(sample => {
+      const entry = stats[sample.label] || (stats[sample.label] = { total: 0, train: 0, validation: 0 });
+      entry.total++;
+      if (sample.split === SAMPLE_SPLITS.TRAIN) entry.train++;
+      if (sample.split === SAMPLE_SPLITS.VALIDATION) entry.validation++;
+    });
+    return stats;
+  }, [samples]);
+
+  const labels = Object.keys(classStats).sort();
+  const warnings = getBalanceWarnings(
+    Object.fromEntries(labels.map(label => [label, classStats[label].total]))
+  );
+  const warnedLabels = new Set(warnings.filter(warning => warning.label).map(warning => warning.label));
+
+  const filteredSamples = labelFilter ? samples.filter(sample => sample.label === labelFilter) : samples;
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      setError('');
+      await action();
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(`${failureMessage}: ${err.message}`);
+    }
+  };
+
+  const relabelSample = (sample, label) => runAction(async () => {
+    await updateSample(sample.id, { label });
+    setStatusText(`Moved a sample from "${sample.label}" to "${label.trim()}"`);
+    await loadSamples();
+  }, 'Could not relabel the sample');
+
+  const changeSplit = (sample, split) => runAction(async () => {
+    await updateSample(sample.id, { split });
+    await loadSamples();
+  }, 'Could not change the split');
+
+  const removeSample = (sample) => runAction(async () => {
+    if (!window.confirm(`Delete this "${sample.label}" sample?`)) return;
+    await deleteSample(sample.id);
+    await loadSamples();
+  }, 'Could not delete the sample');
+
+  const splitDataset = (onlyUnassigned) => runAction(async () => {
+    await assignSplits(validationPercent / 100, { onlyUnassigned });
+    setStatusText(onlyUnassigned
+      ? `Assigned unassigned samples with ${validationPercent}% validation per label`
+      : `Re-split every label into ${100 - validationPercent}% train / ${validationPercent}% validation`);
+    await loadSamples();
+  }, 'Could not assign splits');
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    // Allow choosing the same file again
+    e.target.value = '';
+    if (!file) return;
+
+    // Imports follow the shape and feature mode of the samples already in the dataset
+    const target = samples.length > 0
+      ? { inputShape: samples[0].inputShape, featureMode: samples[0].featureMode }
+      : { inputShape: DEFAULT_INPUT_SHAPE, featureMode: DEFAULT_FEATURE_MODE };
+
+    await runAction(async () => {
+      const imported = await readDatasetFile(file, target);
+      const { added, skipped } = await addSamples(imported);
+      setStatusText(`Imported ${added} sample(s) from ${file.name}${skipped > 0 ? `, ${skipped} already in the dataset` : ''}`);
+      await loadSamples();
+    }, `Could not import ${file.name}`);
+  };
+
+  const exportAll = () => runAction(async () => {
+    const blob = await exportDataset(samples);
+    downloadBlob(blob, `sign-language-dataset-${Date.now()}.zip`);
+  }, 'Could not export the dataset');
+
+  return (
+    <Container backgroundColor={COLORS.background}>
+      <ScrollContent>
+        <Header>
+          <Title color={COLORS.text}>Dataset</Title>
+          <Subtitle color={COLORS.textSecondary}>
+            {samples.length} sample(s) in {labels.length} label(s). Record more from the{' '}
+            <StyledLink to="/camera" color={COLORS.primary}>camera screen</StyledLink> or{' '}
+            <StyledLink to="/training" color={COLORS.primary}>train a model</StyledLink> on them, then{' '}
+            <StyledLink to="/evaluation" color={COLORS.primary}>evaluate</StyledLink> it.
+          </Subtitle>
+        </Header>
+
+        {error && <ErrorText color={COLORS.error}>{error}</ErrorText>}
+        {statusText && <StatusText color={COLORS.textSecondary}>{statusText}</StatusText>}
+
+        {warnings.length > 0 && (
+          <WarningBox backgroundColor={COLORS.card} borderColor={COLORS.warning}>
+            {warnings.map(warning => (
+              <WarningText key={`${warning.label}-${warning.message}`} color={COLORS.text}>
+                ⚠️ {warning.label ? <strong>{warning.label}: </strong> : null}{warning.message}
+              </WarningText>
+            ))}
+          </WarningBox>
+        )}
+
+        <Section backgroundColor={COLORS.card}>
+          <SectionTitle color={COLORS.text}>Classes</SectionTitle>
+          {labels.length === 0 ? (
+            <Placeholder color={COLORS.textSecondary}>
+              {isLoading ? 'Loading…' : 'No samples yet. Use "Record samples" on the camera screen or import a dataset.'}
+            </Placeholder>
+          ) : (
+            <ClassTable>
+              <thead>
+                <tr>
+                  <Th color={COLORS.textSecondary}>Label</Th>
+                  <Th color={COLORS.textSecondary}>Samples</Th>
+                  <Th color={COLORS.textSecondary}>Train</Th>
+                  <Th color={COLORS.textSecondary}>Validation</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {labels.map(label => (
+                  <ClassRow
+                    key={label}
+                    onClick={() => setLabelFilter(labelFilter === label ? '' : label)}
+                    selected={labelFilter === label}
+                    selectedColor={COLORS.primaryLight}
+                  >
+                    <Td color={COLORS.text}>{warnedLabels.has(label) && '⚠️ '}{label}</Td>
+                    <Td color={COLORS.text}>
+                      <CountBar>
+                        <CountFill
+                          backgroundColor={COLORS.primary}
+                          style={{ width: `${(classStats[label].total / Math.max(...labels.map(l => classStats[l].total))) * 100}%` }}
+                        />
+                        <span>{classStats[label].total}</span>
+                      </CountBar>
+                    </Td>
+                    <Td color={COLORS.text}>{classStats[label].train}</Td>
+                    <Td color={COLORS.text}>{classStats[label].validation}</Td>
+                  </ClassRow>
+                ))}
+              </tbody>
+            </ClassTable>
+          )}
+        </Section>
+
+        <Toolbar>
+          <ToolbarLabel color={COLORS.textSecondary}>
+            Validation
+            <PercentInput
+              type="number"
+              min="0"
+              max="90"
+              value={validationPercent}
+              onChange={(e) => setValidationPercent(Number(e.target.value))}
+              backgroundColor={COLORS.card}
+              borderColor={COLORS.border}
+              color={COLORS.text}
+            />
+            %
+          </ToolbarLabel>
+          <ToolbarButton
+            backgroundColor={COLORS.card}
+            borderColor={COLORS.primary}
+            color={COLORS.primary}
+            onClick={() => splitDataset(true)}
+            disabled={samples.length === 0}
+          >
+            Split unassigned
+          </ToolbarButton>
+          <ToolbarButton
+            backgroundColor={COLORS.card}
+            borderColor={COLORS.primary}
+            color={COLORS.primary}
+            onClick={() => window.confirm('Re-split every sample? Current assignments will be replaced.') && splitDataset(false)}
+            disabled={samples.length === 0}
+          >
+            Re-split all
+          </ToolbarButton>
+          <ToolbarSpacer />
+          <ToolbarButton
+            backgroundColor={COLORS.card}
+            borderColor={COLORS.primary}
+            color={COLORS.primary}
+            onClick={() => importInputRef.current && importInputRef.current.click()}
+          >
+            Import JSON/CSV
+          </ToolbarButton>
+          <ToolbarButton
+            backgroundColor={COLORS.primary}
+            borderColor={COLORS.primary}
+            color="#FFFFFF"
+            onClick={exportAll}
+            disabled={samples.length === 0}
+          >
+            Export
+          </ToolbarButton>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={importFile}
+            style={{ display: 'none' }}
+          />
+        </Toolbar>
+
+        {labelFilter && (
+          <FilterText color={COLORS.textSecondary}>
+            Showing "{labelFilter}" ·{' '}
+            <TextButton color={COLORS.primary} onClick={() => setLabelFilter('')}>show all</TextButton>
+          </FilterText>
+        )}
+
+        <datalist id="dataset-labels">
+          {labels.map(label => <option key={label} value={label} />)}
+        </datalist>
+
+        <SampleGrid>
+          {filteredSamples.slice(0, visibleCount).map(sample => (
+            <SampleCard
+              key={sample.id}
+              sample={sample}
+              onRelabel={relabelSample}
+              onSplitChange={changeSplit}
+              onDelete={removeSample}
+              colors={COLORS}
+            />
+          ))}
+        </SampleGrid>
+
+        {filteredSamples.length > visibleCount && (
+          <ShowMoreButton
+            backgroundColor={COLORS.card}
+            borderColor={COLORS.border}
+            color={COLORS.text}
+            onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+          >
+            Show more ({filteredSamples.length - visibleCount} remaining)
+          </ShowMoreButton>
+        )}
+      </ScrollContent>
+    </Container>
+  );
+};
+
+// Styled components
+const Container = styled.div`
+  background-color: ${props => props.backgroundColor};
+  min-height: 100%;
+  display: flex;
+  flex-direction: column;
+`;
+
+const ScrollContent = styled.div`
+  padding: 24px;
+  flex-grow: 1;
+  max-width: 960px;
+  width: 100%;
+  margin: 0 auto;
+  box-sizing: border-box;
+`;
+
+const Header = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  text-align: center;
+  margin-bottom: 16px;
+`;
+
+const Title = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 8px;
+  color: ${props => props.color};
+`;
+
+const Subtitle = styled.p`
+  font-size: 16px;
+  margin-bottom: 8px;
+  color: ${props => props.color};
+`;
+
+const StyledLink = styled(Link)`
+  color: ${props => props.color};
+`;
+
+const ErrorText = styled.p`
+  font-size: 14px;
+  color: ${props => props.color};
+  margin-bottom: 16px;
+`;
+
+const StatusText = styled.p`
+  font-size: 14px;
+  color: ${props => props.color};
+  margin-bottom: 16px;
+`;
+
+const WarningBox = styled.div`
+  background-color: ${props => props.backgroundColor};
+  border-left: 4px solid ${props => props.borderColor};
+  border-radius: 8px;
+  padding: 12px 16px;
+  margin-bottom: 16px;
+`;
+
+const WarningText = styled.p`
+  font-size: 14px;
+  margin: 4px 0;
+  color: ${props => props.color};
+`;
+
+const Section = styled.div`
+  background-color: ${props => props.backgroundColor};
+  border-radius: 16px;
+  padding: 16px 20px;
+  margin-bottom: 16px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 16px;
+  font-weight: 600;
+  margin: 0 0 12px;
+  color: ${props => props.color};
+`;
+
+const Placeholder = styled.p`
+  font-size: 14px;
+  text-align: center;
+  padding: 12px;
+  color: ${props => props.color};
+`;
+
+const ClassTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+`;
+
+const Th = styled.th`
+  text-align: left;
+  font-weight: 600;
+  padding: 6px 8px;
+  color: ${props => props.color};
+`;
+
+const ClassRow = styled.tr`
+  cursor: pointer;
+  background-color: ${props => props.selected ? props.selectedColor : 'transparent'};
+`;
+
+const Td = styled.td`
+  padding: 6px 8px;
+  color: ${props => props.color};
+`;
+
+const CountBar = styled.div`
+  position: relative;
+  display: flex;
+  align-items: center;
+  min-width: 120px;
+
+  span {
+    position: relative;
+    padding-left: 6px;
+  }
+`;
+
+const CountFill = styled.div`
+  position: absolute;
+  left: 0;
+  top: 2px;
+  bottom: 2px;
+  border-radius: 4px;
+  opacity: 0.25;
+  background-color: ${props => props.backgroundColor};
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  flex-wrap: wrap;
+  margin-bottom: 16px;
+`;
+
+const ToolbarLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 14px;
+  color: ${props => props.color};
+`;
+
+const PercentInput = styled.input`
+  width: 56px;
+  padding: 6px 8px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+`;
+
+const ToolbarSpacer = styled.div`
+  flex-grow: 1;
+`;
+
+const ToolbarButton = styled.button`
+  padding: 8px 16px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const FilterText = styled.p`
+  font-size: 14px;
+  margin-bottom: 12px;
+  color: ${props => props.color};
+`;
+
+const TextButton = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  font-size: 14px;
+  color: ${props => props.color};
+  cursor: pointer;
+  text-decoration: underline;
+`;
+
+const SampleGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(160px, 1fr));
+  gap: 12px;
+`;
+
+const Card = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  padding: 10px;
+  border-radius: 12px;
+  background-color: ${props => props.backgroundColor};
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08);
+`;
+
+const PreviewButton = styled.button`
+  padding: 0;
+  border: none;
+  background: none;
+  cursor: pointer;
+`;
+
+const CardInput = styled.input`
+  padding: 6px 8px;
+  border-radius: 6px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+  font-weight: 600;
+  min-width: 0;
+`;
+
+const CardSelect = styled.select`
+  padding: 6px 8px;
+  border-radius: 6px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 13px;
+`;
+
+const CardFooter = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const CardMeta = styled.span`
+  font-size: 12px;
+  color: ${props => props.color};
+`;
+
+const DeleteLink = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  font-size: 12px;
+  color: ${props => props.color};
+  cursor: pointer;
+`;
+
+const ShowMoreButton = styled.button`
+  width: 100%;
+  margin-top: 16px;
+  padding: 12px;
+  border-radius: 12px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 15px;
+  cursor: pointer;
+`;
+
+export default DatasetScreen;
@@ -0,0 +1,648 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { useTheme } from '../contexts/ThemeContext';
+import useSignLanguageModel from '../hooks/useSignLanguageModel';
+import CalibrationChart from '../components/CalibrationChart';
+import ConfusionMatrix from '../components/ConfusionMatrix';
+import { getSamples, SAMPLE_SPLITS } from '../utils/datasetStore';
+import { readDatasetFile } from '../utils/datasetImport';
+import { getCustomModel, getSelectedModelId } from '../utils/customModelStore';
+import { downloadBlob } from '../utils/historyExport';
+import { compareReports, evaluateModel, parseEvaluationReport } from '../utils/modelEvaluation';
+import { exportReport, REPORT_FORMATS } from '../utils/evaluationReport';
+
+const DATASET_SOURCES = {
+  ALL: 'all',
+  VALIDATION: 'validation',
+  TRAIN: 'train',
+  FILE: 'file'
+};
+
+const SOURCE_LABELS = {
+  [DATASET_SOURCES.ALL]: 'Local dataset: all samples',
+  [DATASET_SOURCES.VALIDATION]: 'Local dataset: validation split',
+  [DATASET_SOURCES.TRAIN]: 'Local dataset: training split',
+  [DATASET_SOURCES.FILE]: 'Dataset file (JSON or CSV)…'
+};
+
+const SKIP_REASON_LABELS = {
+  'unknown-label': 'label unknown to the model',
+  'input-shape': 'different input shape',
+  'feature-mode': 'different feature mode'
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+const formatMs = (value) => (value === null || value === undefined ? '–' : `${value.toFixed(1)} ms`);
+
+// Signed difference, in percentage points for rates
+const formatDelta = (value, unit = 'pp') => {
+  if (value === null || value === undefined) return '';
+  const amount = unit === 'pp' ? value * 100 : value;
+  return `${amount >= 0 ? '+' : ''}${amount.toFixed(1)} ${unit}`;
+};
+
+const EvaluationScreen = () => {
+  const { theme: COLORS } = useTheme();
+  const {
+    model,
+    isLoading: isModelLoading,
+    error: modelError,
+    classLabels,
+    modelMetadata,
+    frameBufferSize,
+    featureSize,
+    featureMode,
+    isMockModel,
+    predictWindow
+  } = useSignLanguageModel();
+
+  const [source, setSource] = useState(DATASET_SOURCES.ALL);
+  const [file, setFile] = useState(null);
+  const [modelName, setModelName] = useState('Bundled model');
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [report, setReport] = useState(null);
+  const [baseline, setBaseline] = useState(null);
+  const [error, setError] = useState('');
+  const [statusText, setStatusText] = useState('');
+
+  const abortControllerRef = useRef(null);
+  const datasetInputRef = useRef(null);
+  const reportInputRef = useRef(null);
+
+  useEffect(() => {
+    const selectedId = getSelectedModelId();
+    if (!selectedId) return;
+    getCustomModel(selectedId)
+      .then(entry => { if (entry) setModelName(entry.name); })
+      .catch(err => console.warn('Could not read the selected model:', err.message));
+  }, []);
+
+  // Stop a running evaluation when leaving the screen
+  useEffect(() => () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  }, []);
+
+  const loadEvaluationSamples = async () => {
+    if (source === DATASET_SOURCES.FILE) {
+      if (!file) {
+        throw new Error('Choose a dataset file first');
+      }
+      return readDatasetFile(file, { inputShape: [frameBufferSize, featureSize], featureMode });
+    }
+
+    const samples = await getSamples();
+    if (source === DATASET_SOURCES.VALIDATION) {
+      return samples.filter(sample => sample.split === SAMPLE_SPLITS.VALIDATION);
+    }
+    if (source === DATASET_SOURCES.TRAIN) {
+      return samples.filter(sample => sample.split === SAMPLE_SPLITS.TRAIN);
+    }
+    return samples;
+  };
+
+  const runEvaluation = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setError('');
+    setReport(null);
+    setIsRunning(true);
+
+    try {
+      setStatusText('Loading samples…');
+      const samples = await loadEvaluationSamples();
+      if (samples.length === 0) {
+        throw new Error('The selected dataset has no samples');
+      }
+
+      setStatusText(`Evaluating ${samples.length} sample(s)…`);
+      setProgress({ done: 0, total: samples.length });
+      const nextReport = await evaluateModel({
+        samples,
+        model: {
+          labels: classLabels,
+          inputShape: [frameBufferSize, featureSize],
+          featureMode,
+          version: modelMetadata ? modelMetadata.version : null,
+          source: modelName
+        },
+        predict: predictWindow,
+        datasetName: source === DATASET_SOURCES.FILE ? file.name : SOURCE_LABELS[source],
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+
+      setReport(nextReport);
+      setStatusText('');
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setStatusText('Evaluation cancelled');
+      } else {
+        console.error('Evaluation failed:', err);
+        setError(`Evaluation failed: ${err.message}`);
+        setStatusText('');
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setIsRunning(false);
+    }
+  };
+
+  const cancelEvaluation = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
+  const download = (format) => {
+    try {
+      const { blob, fileName } = exportReport(report, format);
+      downloadBlob(blob, fileName);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError(`Could not export the report: ${err.message}`);
+    }
+  };
+
+  const handleDatasetFile = (e) => {
+    const [selected] = e.target.files;
+    e.target.value = '';
+    if (selected) {
+      setFile(selected);
+      setSource(DATASET_SOURCES.FILE);
+    }
+  };
+
+  const handleReportFile = async (e) => {
+    const [selected] = e.target.files;
+    e.target.value = '';
+    if (!selected) return;
+
+    try {
+      setError('');
+      const loaded = parseEvaluationReport(await selected.text());
+      setBaseline({ ...loaded, fileName: selected.name });
+    } catch (err) {
+      console.error('Could not read the report:', err);
+      setError(`${selected.name}: ${err.message}`);
+    }
+  };
+
+  const handleSourceChange = (value) => {
+    setSource(value);
+    if (value === DATASET_SOURCES.FILE && !file) {
+      datasetInputRef.current.click();
+    }
+  };
+
+  const comparison = report && baseline ? compareReports(report, baseline) : null;
+
+  const renderDelta = (value, { unit = 'pp', lowerIsBetter = false } = {}) => {
+    if (!comparison || value === null || value === undefined) return null;
+    const better = lowerIsBetter ? value < 0 : value > 0;
+    const color = value === 0 ? COLORS.textMuted : (better ? COLORS.primary : COLORS.error);
+    return <DeltaText color={color}>{formatDelta(value, unit)}</DeltaText>;
+  };
+
+  const skippedEntries = report ? Object.entries(report.dataset.skipped) : [];
+  const canRun = model && !isModelLoading && !isRunning;
+
+  return (
+    <Container backgroundColor={COLORS.background}>
+      <ScrollContent>
+        <Header>
+          <Title color={COLORS.text}>Evaluation</Title>
+          <Subtitle color={COLORS.textSecondary}>
+            Measure the current model on labelled samples from the{' '}
+            <StyledLink to="/dataset" color={COLORS.primary}>dataset</StyledLink> or a file,
+            and compare it with a saved report before shipping a new version.
+            Choose the model on the <StyledLink to="/training" color={COLORS.primary}>training</StyledLink> screen.
+          </Subtitle>
+        </Header>
+
+        {modelError && <ErrorText color={COLORS.error}>{modelError}</ErrorText>}
+        {error && <ErrorText color={COLORS.error}>{error}</ErrorText>}
+        {statusText && <StatusText color={COLORS.textSecondary}>{statusText}</StatusText>}
+
+        <Section backgroundColor={COLORS.card}>
+          <SectionTitle color={COLORS.text}>Setup</SectionTitle>
+          <HintText color={COLORS.textSecondary}>
+            {isModelLoading
+              ? 'Loading the model…'
+              : `Model: ${modelName}${modelMetadata && modelMetadata.version ? ` (${modelMetadata.version})` : ''}, `
+                + `${classLabels.length} classes, input [${frameBufferSize}, ${featureSize}]`}
+            {isMockModel && !isModelLoading && ' — this is the untrained placeholder model'}
+          </HintText>
+          <OptionsRow>
+            <Select
+              value={source}
+              onChange={(e) => handleSourceChange(e.target.value)}
+              disabled={isRunning}
+              backgroundColor={COLORS.background}
+              borderColor={COLORS.border}
+              color={COLORS.text}
+              aria-label="Dataset"
+            >
+              {Object.entries(SOURCE_LABELS).map(([value, text]) => (
+                <option key={value} value={value}>
+                  {value === DATASET_SOURCES.FILE && file ? `File: ${file.name}` : text}
+                </option>
+              ))}
+            </Select>
+            {source === DATASET_SOURCES.FILE && (
+              <TextButton color={COLORS.primary} onClick={() => datasetInputRef.current.click()} disabled={isRunning}>
+                Choose file…
+              </TextButton>
+            )}
+            <HiddenInput ref={datasetInputRef} type="file" accept=".json,.csv" onChange={handleDatasetFile} />
+          </OptionsRow>
+          <OptionsRow>
+            {isRunning ? (
+              <ActionButton backgroundColor={COLORS.card} borderColor={COLORS.error} color={COLORS.error} onClick={cancelEvaluation}>
+                Cancel
+              </ActionButton>
+            ) : (
+              <ActionButton
+                backgroundColor={COLORS.primary}
+                borderColor={COLORS.primary}
+                color="#FFFFFF"
+                onClick={runEvaluation}
+                disabled={!canRun}
+              >
+                Run evaluation
+              </ActionButton>
+            )}
+            {isRunning && progress.total > 0 && (
+              <ProgressTrack backgroundColor={COLORS.divider}>
+                <ProgressFill backgroundColor={COLORS.primary} style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+              </ProgressTrack>
+            )}
+            {isRunning && <HintText color={COLORS.textSecondary}>{progress.done} / {progress.total}</HintText>}
+          </OptionsRow>
+        </Section>
+
+        {report && (
+          <>
+            <Section backgroundColor={COLORS.card}>
+              <SectionTitle color={COLORS.text}>Summary</SectionTitle>
+              <HintText color={COLORS.textSecondary}>
+                {report.dataset.evaluatedCount} of {report.dataset.sampleCount} samples evaluated
+                {skippedEntries.length > 0 && `; skipped ${skippedEntries
+                  .map(([reason, { count }]) => `${count} (${SKIP_REASON_LABELS[reason] || reason})`)
+                  .join(', ')}`}
+                {baseline && `. Compared with ${baseline.fileName} (${baseline.model.version || 'unknown version'})`}
+              </HintText>
+              <StatsGrid>
+                {[
+                  ['Accuracy', formatPercent(report.summary.accuracy), comparison && renderDelta(comparison.summary.accuracy)],
+                  [`Top-${report.summary.topK}`, formatPercent(report.summary.topKAccuracy), comparison && renderDelta(comparison.summary.topKAccuracy)],
+                  ['Macro F1', formatPercent(report.summary.macroF1), comparison && renderDelta(comparison.summary.macroF1)],
+                  ['ECE', formatPercent(report.calibration.ece), comparison && renderDelta(comparison.summary.ece, { lowerIsBetter: true })],
+                  ['Median latency', formatMs(report.latency.median), comparison && renderDelta(comparison.summary.medianLatency, { unit: 'ms', lowerIsBetter: true })]
+                ].map(([name, value, delta]) => (
+                  <StatCard key={name} backgroundColor={COLORS.background}>
+                    <StatValue color={COLORS.text}>{value}</StatValue>
+                    <StatName color={COLORS.textSecondary}>{name}</StatName>
+                    {delta}
+                  </StatCard>
+                ))}
+              </StatsGrid>
+              <OptionsRow>
+                <ActionButton
+                  backgroundColor={COLORS.card}
+                  borderColor={COLORS.border}
+                  color={COLORS.text}
+                  onClick={() => download(REPORT_FORMATS.JSON)}
+                >
+                  Export JSON
+                </ActionButton>
+                <ActionButton
+                  backgroundColor={COLORS.card}
+                  borderColor={COLORS.border}
+                  color={COLORS.text}
+                  onClick={() => download(REPORT_FORMATS.HTML)}
+                >
+                  Export HTML
+                </ActionButton>
+                <TextButton color={COLORS.primary} onClick={() => reportInputRef.current.click()}>
+                  {baseline ? 'Compare with another report…' : 'Compare with a report…'}
+                </TextButton>
+                {baseline && (
+                  <TextButton color={COLORS.textSecondary} onClick={() => setBaseline(null)}>Clear comparison</TextButton>
+                )}
+                <HiddenInput ref={reportInputRef} type="file" accept=".json" onChange={handleReportFile} />
+              </OptionsRow>
+            </Section>
+
+            <Section backgroundColor={COLORS.card}>
+              <SectionTitle color={COLORS.text}>Per class</SectionTitle>
+              <TableScroll>
+                <MetricsTable>
+                  <thead>
+                    <tr>
+                      {['Label', 'Precision', 'Recall', 'F1', 'Support'].map(heading => (
+                        <HeaderCell key={heading} color={COLORS.textSecondary} borderColor={COLORS.divider}>{heading}</HeaderCell>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.perClass.filter(metrics => metrics.support > 0 || metrics.predicted > 0).map(metrics => {
+                      const delta = comparison ? comparison.perClass.find(entry => entry.label === metrics.label) : null;
+                      return (
+                        <tr key={metrics.label}>
+                          <LabelCell color={COLORS.text} borderColor={COLORS.divider}>{metrics.label}</LabelCell>
+                          <MetricCell color={COLORS.text} borderColor={COLORS.divider}>
+                            {formatPercent(metrics.precision)} {delta && renderDelta(delta.precisionDelta)}
+                          </MetricCell>
+                          <MetricCell color={COLORS.text} borderColor={COLORS.divider}>
+                            {formatPercent(metrics.recall)} {delta && renderDelta(delta.recallDelta)}
+                          </MetricCell>
+                          <MetricCell color={COLORS.text} borderColor={COLORS.divider}>{formatPercent(metrics.f1)}</MetricCell>
+                          <MetricCell color={COLORS.text} borderColor={COLORS.divider}>{metrics.support}</MetricCell>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </MetricsTable>
+              </TableScroll>
+            </Section>
+
+            <Section backgroundColor={COLORS.card}>
+              <SectionTitle color={COLORS.text}>Confusion matrix</SectionTitle>
+              <ConfusionMatrix
+                labels={report.confusionMatrix.labels}
+                matrix={report.confusionMatrix.matrix}
+                colors={COLORS}
+              />
+            </Section>
+
+            <Section backgroundColor={COLORS.card}>
+              <SectionTitle color={COLORS.text}>Calibration and latency</SectionTitle>
+              <ChartsRow>
+                <CalibrationChart bins={report.calibration.bins} ece={report.calibration.ece} colors={COLORS} />
+                <LatencyList>
+                  {[
+                    ['Mean', report.latency.mean],
+                    ['Median', report.latency.median],
+                    ['95th percentile', report.latency.p95],
+                    ['Min', report.latency.min],
+                    ['Max', report.latency.max]
+                  ].map(([name, value]) => (
+                    <LatencyRow key={name} borderColor={COLORS.divider}>
+                      <StatName color={COLORS.textSecondary}>{name}</StatName>
+                      <LatencyValue color={COLORS.text}>{formatMs(value)}</LatencyValue>
+                    </LatencyRow>
+                  ))}
+                  <HintText color={COLORS.textMuted}>
+                    Time per window of {report.model.inputShape[0]} frames, including the transfer to the inference worker
+                  </HintText>
+                </LatencyList>
+              </ChartsRow>
+            </Section>
+          </>
+        )}
+      </ScrollContent>
+    </Container>
+  );
+};
+
+// Styled components
+const Container = styled.div`
+  background-color: ${props => props.backgroundColor};
+  min-height: 100%;
+  display: flex;
+  flex-direction: column;
+`;
+
+const ScrollContent = styled.div`
+  padding: 24px;
+  flex-grow: 1;
+  max-width: 960px;
+  width: 100%;
+  margin: 0 auto;
+  box-sizing: border-box;
+`;
+
+const Header = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  text-align: center;
+  margin-bottom: 16px;
+`;
+
+const Title = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 8px;
+  color: ${props => props.color};
+`;
+
+const Subtitle = styled.p`
+  font-size: 16px;
+  margin-bottom: 8px;
+  color: ${props => props.color};
+`;
+
+const StyledLink = styled(Link)`
+  color: ${props => props.color};
+`;
+
+const ErrorText = styled.p`
+  font-size: 14px;
+  color: ${props => props.color};
+  margin-bottom: 16px;
+`;
+
+const StatusText = styled.p`
+  font-size: 14px;
+  color: ${props => props.color};
+  margin-bottom: 16px;
+`;
+
+const Section = styled.div`
+  background-color: ${props => props.backgroundColor};
+  border-radius: 16px;
+  padding: 16px 20px;
+  margin-bottom: 16px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 16px;
+  font-weight: 600;
+  margin: 0 0 12px;
+  color: ${props => props.color};
+`;
+
+const OptionsRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  flex-wrap: wrap;
+  margin-bottom: 12px;
+
+  &:last-child {
+    margin-bottom: 0;
+  }
+`;
+
+const Select = styled.select`
+  padding: 6px 8px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+`;
+
+const HiddenInput = styled.input`
+  display: none;
+`;
+
+const ActionButton = styled.button`
+  padding: 8px 16px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const TextButton = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  font-size: 14px;
+  color: ${props => props.color};
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    text-decoration: underline;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const HintText = styled.p`
+  font-size: 13px;
+  margin: 0 0 12px;
+  color: ${props => props.color};
+`;
+
+const ProgressTrack = styled.div`
+  flex: 1;
+  min-width: 120px;
+  height: 6px;
+  border-radius: 3px;
+  overflow: hidden;
+  background-color: ${props => props.backgroundColor};
+`;
+
+const ProgressFill = styled.div`
+  height: 100%;
+  background-color: ${props => props.backgroundColor};
+  transition: width 0.2s ease;
+`;
+
+const StatsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+  gap: 12px;
+  margin-bottom: 16px;
+`;
+
+const StatCard = styled.div`
+  background-color: ${props => props.backgroundColor};
+  border-radius: 12px;
+  padding: 12px;
+`;
+
+const StatValue = styled.div`
+  font-size: 22px;
+  font-weight: 700;
+  color: ${props => props.color};
+`;
+
+const StatName = styled.div`
+  font-size: 13px;
+  color: ${props => props.color};
+`;
+
+const DeltaText = styled.span`
+  font-size: 12px;
+  font-weight: 600;
+  color: ${props => props.color};
+`;
+
+const TableScroll = styled.div`
+  overflow-x: auto;
+`;
+
+const MetricsTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+`;
+
+const HeaderCell = styled.th`
+  text-align: right;
+  font-size: 13px;
+  font-weight: 600;
+  padding: 6px 8px;
+  border-bottom: 1px solid ${props => props.borderColor};
+  color: ${props => props.color};
+
+  &:first-child {
+    text-align: left;
+  }
+`;
+
+const MetricCell = styled.td`
+  text-align: right;
+  padding: 6px 8px;
+  border-bottom: 1px solid ${props => props.borderColor};
+  color: ${props => props.color};
+  white-space: nowrap;
+`;
+
+const LabelCell = styled(MetricCell)`
+  text-align: left;
+  font-weight: 500;
+`;
+
+const ChartsRow = styled.div`
+  display: flex;
+  gap: 24px;
+  flex-wrap: wrap;
+`;
+
+const LatencyList = styled.div`
+  flex: 1 1 220px;
+  min-width: 0;
+`;
+
+const LatencyRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  padding: 6px 0;
+  border-bottom: 1px solid ${props => props.borderColor};
+`;
+
+const LatencyValue = styled.span`
+  font-size: 14px;
+  font-weight: 600;
+  color: ${props => props.color};
+`;
+
+export default EvaluationScreen;
@@ -1,15 +1,247 @@
-import React from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import styled from 'styled-components';
 import { auth } from '../firebaseConfig';
 import { useTheme } from '../contexts/ThemeContext';
+import {
+  deleteSession,
+  getSessions,
+  importSessions,
+  SESSION_SOURCES,
+  subscribeToHistoryChanges
+} from '../utils/historyStore';
+import {
+  canExportAs,
+  downloadBlob,
+  EXPORT_FORMATS,
+  exportSessions,
+  readSessionsFile
+} from '../utils/historyExport';
+import SignTimeline, { formatSeconds } from '../components/SignTimeline';
+
+/**
+ * Start of the day of a yyyy-mm-dd date input value, in epoch milliseconds
+ */
+const parseDateInput = (value, endOfDay = false) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+    : new Date(year, month - 1, day).getTime();
+};
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const EXPORT_FORMAT_LABELS = {
+  [EXPORT_FORMATS.JSON]: 'JSON (re-importable)',
+  [EXPORT_FORMATS.CSV]: 'CSV (one row per sign)',
+  [EXPORT_FORMATS.SRT]: 'SRT subtitles (uploads only)',
+  [EXPORT_FORMATS.VTT]: 'WebVTT subtitles (uploads only)'
+};
 
 const HistoryScreen = () => {
   const { theme: COLORS } = useTheme();
   const currentUser = auth.currentUser;
-  
+  const userId = currentUser ? currentUser.uid : null;
+
   // Extract username from email (part before @)
   const username = currentUser ? currentUser.email.substring(0, currentUser.email.indexOf('@')) : 'User';
 
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.JSON);
+  const [statusText, setStatusText] = useState('');
+  const videoRef = useRef(null);
+  const importInputRef = useRef(null);
+
+  const loadSessions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const results = await getSessions(userId, {
+        query,
+        from: parseDateInput(fromDate),
+        to: parseDateInput(toDate, true)
+      });
+      setSessions(results);
+      // Drop selections that are no longer listed
+      setSelectedIds(previous => new Set(results.filter(session => previous.has(session.id)).map(session => session.id)));
+      setError('');
+    } catch (err) {
+      console.error('Failed to load history:', err);
+      setError(`Could not load history: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [userId, query, fromDate, toDate]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // Refresh when sessions arrive from (or are deleted on) another device
+  useEffect(() => subscribeToHistoryChanges((change) => {
+    if (change.origin === 'remote') {
+      loadSessions();
+    }
+  }), [loadSessions]);
+
+  // Object URL for the stored video of the open session
+  useEffect(() => {
+    if (!selectedSession || !selectedSession.videoBlob) {
+      setVideoUrl(null);
+      return undefined;
+    }
+
+    const url = URL.createObjectURL(selectedSession.videoBlob);
+    setVideoUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [selectedSession]);
+
+  const openSession = (session) => {
+    setCurrentTime(0);
+    setSelectedSession(session);
+  };
+
+  const seekTo = (time) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+      videoRef.current.play().catch(() => {});
+    }
+    setCurrentTime(time);
+  };
+
+  const removeSession = async (session) => {
+    if (!window.confirm('Delete this session from your history?')) {
+      return;
+    }
+
+    try {
+      await deleteSession(session.id);
+      setSelectedSession(null);
+      await loadSessions();
+    } catch (err) {
+      console.error('Failed to delete session:', err);
+      setError(`Could not delete session: ${err.message}`);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(previous => {
+      const next = new Set(previous);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const allSelected = sessions.length > 0 && sessions.every(session => selectedIds.has(session.id));
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(sessions.map(session => session.id)));
+  };
+
+  const selectedSessions = sessions.filter(session => selectedIds.has(session.id));
+  const exportableCount = selectedSessions.filter(session => canExportAs(session, exportFormat)).length;
+
+  const exportSelected = async () => {
+    try {
+      const { blob, fileName } = await exportSessions(selectedSessions, exportFormat);
+      downloadBlob(blob, fileName);
+      const skippedCount = selectedSessions.length - exportableCount;
+      setStatusText(skippedCount > 0
+        ? `Exported ${exportableCount} session(s); ${skippedCount} live session(s) have no video for subtitles`
+        : `Exported ${exportableCount} session(s)`);
+      setError('');
+    } catch (err) {
+      console.error('Failed to export history:', err);
+      setError(`Could not export: ${err.message}`);
+    }
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    // Allow choosing the same file again
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const importedSessions = await readSessionsFile(file);
+      const { imported, skipped } = await importSessions(importedSessions, { userId });
+      setStatusText(`Imported ${imported} session(s)${skipped > 0 ? `, ${skipped} already in your history` : ''}`);
+      setError('');
+      await loadSessions();
+    } catch (err) {
+      console.error('Failed to import history:', err);
+      setError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  if (selectedSession) {
+    return (
+      <Container backgroundColor={COLORS.background}>
+        <ScrollContent>
+          <BackButton color={COLORS.primary} onClick={() => setSelectedSession(null)}>
+            ← Back to history
+          </BackButton>
+
+          <Header>
+            <Title color={COLORS.text}>
+              {selectedSession.source === SESSION_SOURCES.UPLOAD ? 'Uploaded video' : 'Live session'}
+            </Title>
+            <Subtitle color={COLORS.textSecondary}>
+              {formatDateTime(selectedSession.startTime)} · {formatSeconds(selectedSession.duration)}
+              {selectedSession.modelVersion && ` · model ${selectedSession.modelVersion}`}
+            </Subtitle>
+          </Header>
+
+          <DetailCard backgroundColor={COLORS.card}>
+            {videoUrl && (
+              <Player
+                ref={videoRef}
+                src={videoUrl}
+                controls
+                playsInline
+                onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+              />
+            )}
+            <SignTimeline
+              segments={selectedSession.segments}
+              duration={selectedSession.duration}
+              currentTime={currentTime}
+              onSeek={seekTo}
+              colors={COLORS}
+            />
+          </DetailCard>
+
+          <DeleteButton
+            backgroundColor={COLORS.card}
+            borderColor={COLORS.error}
+            color={COLORS.error}
+            onClick={() => removeSession(selectedSession)}
+          >
+            Delete session
+          </DeleteButton>
+        </ScrollContent>
+      </Container>
+    );
+  }
+
   return (
     <Container backgroundColor={COLORS.background}>
       <ScrollContent>
@@ -20,11 +252,133 @@ const HistoryScreen = () => {
           </Subtitle>
         </Header>
 
-        <Card backgroundColor={COLORS.card}>
-          <Placeholder color={COLORS.textSecondary}>
-            Here you will see all translated signs.
-          </Placeholder>
-        </Card>
+        <Filters>
+          <SearchInput
+            type="search"
+            placeholder="Search by sign"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            backgroundColor={COLORS.card}
+            borderColor={COLORS.border}
+            color={COLORS.text}
+          />
+          <DateFilters>
+            <DateLabel color={COLORS.textSecondary}>
+              From
+              <DateInput
+                type="date"
+                value={fromDate}
+                onChange={(e) => setFromDate(e.target.value)}
+                backgroundColor={COLORS.card}
+                borderColor={COLORS.border}
+                color={COLORS.text}
+              />
+            </DateLabel>
+            <DateLabel color={COLORS.textSecondary}>
+              To
+              <DateInput
+                type="date"
+                value={toDate}
+                onChange={(e) => setToDate(e.target.value)}
+                backgroundColor={COLORS.card}
+                borderColor={COLORS.border}
+                color={COLORS.text}
+              />
+            </DateLabel>
+          </DateFilters>
+        </Filters>
+
+        <Toolbar>
+          <SelectAllLabel color={COLORS.textSecondary}>
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={toggleAll}
+              disabled={sessions.length === 0}
+            />
+            {selectedIds.size > 0 ? `${selectedIds.size} selected` : 'Select all'}
+          </SelectAllLabel>
+          <FormatSelect
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            backgroundColor={COLORS.card}
+            borderColor={COLORS.border}
+            color={COLORS.text}
+          >
+            {Object.values(EXPORT_FORMATS).map(format => (
+              <option key={format} value={format}>{EXPORT_FORMAT_LABELS[format]}</option>
+            ))}
+          </FormatSelect>
+          <ToolbarButton
+            backgroundColor={COLORS.primary}
+            color="#FFFFFF"
+            borderColor={COLORS.primary}
+            onClick={exportSelected}
+            disabled={exportableCount === 0}
+          >
+            Export
+          </ToolbarButton>
+          <ToolbarButton
+            backgroundColor={COLORS.card}
+            color={COLORS.primary}
+            borderColor={COLORS.primary}
+            onClick={() => importInputRef.current && importInputRef.current.click()}
+          >
+            Import
+          </ToolbarButton>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,.zip,application/json,application/zip"
+            onChange={importFile}
+            style={{ display: 'none' }}
+          />
+        </Toolbar>
+
+        {statusText && <StatusText color={COLORS.textSecondary}>{statusText}</StatusText>}
+        {error && <ErrorText color={COLORS.error}>{error}</ErrorText>}
+
+        {!isLoading && sessions.length === 0 ? (
+          <Card backgroundColor={COLORS.card}>
+            <Placeholder color={COLORS.textSecondary}>
+              {query || fromDate || toDate
+                ? 'No sessions match your search.'
+                : 'Here you will see all translated signs. Save a live transcript or an uploaded video to start your history.'}
+            </Placeholder>
+          </Card>
+        ) : (
+          <SessionList>
+            {sessions.map(session => (
+              <SessionRow key={session.id}>
+                <SelectBox
+                  type="checkbox"
+                  checked={selectedIds.has(session.id)}
+                  onChange={() => toggleSelected(session.id)}
+                  aria-label={`Select ${session.label}`}
+                />
+                <SessionItem
+                  backgroundColor={COLORS.card}
+                  onClick={() => openSession(session)}
+                >
+                  {session.thumbnail ? (
+                    <Thumbnail src={session.thumbnail} alt="" />
+                  ) : (
+                    <ThumbnailPlaceholder backgroundColor={COLORS.primaryLight}>
+                      {session.source === SESSION_SOURCES.UPLOAD ? '📹' : '🤟'}
+                    </ThumbnailPlaceholder>
+                  )}
+                  <SessionInfo>
+                    <SessionLabel color={COLORS.text}>{session.label}</SessionLabel>
+                    <SessionMeta color={COLORS.textSecondary}>
+                      {formatDateTime(session.startTime)} · {session.segments.length} sign(s) ·{' '}
+                      {session.source === SESSION_SOURCES.UPLOAD ? 'Upload' : 'Live'}
+                    </SessionMeta>
+                  </SessionInfo>
+                </SessionItem>
+              </SessionRow>
+            ))}
+          </SessionList>
+        )}
       </ScrollContent>
     </Container>
   );
@@ -41,6 +395,10 @@ const Container = styled.div`
 const ScrollContent = styled.div`
   padding: 24px;
   flex-grow: 1;
+  max-width: 800px;
+  width: 100%;
+  margin: 0 auto;
+  box-sizing: border-box;
 `;
 
 const Header = styled.div`
@@ -84,4 +442,213 @@ const Placeholder = styled.p`
   color: ${props => props.color};
 `;
 
-export default HistoryScreen;
\ No newline at end of file
+const Filters = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+  margin-bottom: 20px;
+`;
+
+const SearchInput = styled.input`
+  padding: 12px 16px;
+  border-radius: 12px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 16px;
+`;
+
+const DateFilters = styled.div`
+  display: flex;
+  gap: 12px;
+  flex-wrap: wrap;
+`;
+
+const DateLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  color: ${props => props.color};
+`;
+
+const DateInput = styled.input`
+  padding: 8px 10px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  flex-wrap: wrap;
+  margin-bottom: 16px;
+`;
+
+const SelectAllLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 14px;
+  margin-right: auto;
+  color: ${props => props.color};
+`;
+
+const FormatSelect = styled.select`
+  padding: 8px 10px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+`;
+
+const ToolbarButton = styled.button`
+  padding: 8px 16px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const StatusText = styled.p`
+  font-size: 14px;
+  color: ${props => props.color};
+  margin-bottom: 16px;
+`;
+
+const ErrorText = styled.p`
+  font-size: 14px;
+  color: ${props => props.color};
+  margin-bottom: 16px;
+`;
+
+const SessionList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+`;
+
+const SessionRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+`;
+
+const SelectBox = styled.input`
+  width: 18px;
+  height: 18px;
+  flex-shrink: 0;
+  cursor: pointer;
+`;
+
+const SessionItem = styled.button`
+  flex-grow: 1;
+  min-width: 0;
+  display: flex;
+  align-items: center;
+  gap: 16px;
+  padding: 12px;
+  border: none;
+  border-radius: 12px;
+  background-color: ${props => props.backgroundColor};
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08);
+  cursor: pointer;
+  text-align: left;
+  transition: transform 0.2s;
+
+  &:hover {
+    transform: translateY(-2px);
+  }
+`;
+
+const Thumbnail = styled.img`
+  width: 80px;
+  height: 45px;
+  object-fit: cover;
+  border-radius: 8px;
+  flex-shrink: 0;
+`;
+
+const ThumbnailPlaceholder = styled.div`
+  width: 80px;
+  height: 45px;
+  border-radius: 8px;
+  flex-shrink: 0;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  font-size: 22px;
+  background-color: ${props => props.backgroundColor};
+`;
+
+const SessionInfo = styled.div`
+  display: flex;
+  flex-direction: column;
+  min-width: 0;
+`;
+
+const SessionLabel = styled.span`
+  font-size: 16px;
+  font-weight: 600;
+  color: ${props => props.color};
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+const SessionMeta = styled.span`
+  font-size: 13px;
+  margin-top: 4px;
+  color: ${props => props.color};
+`;
+
+const BackButton = styled.button`
+  background: none;
+  border: none;
+  font-size: 15px;
+  color: ${props => props.color};
+  cursor: pointer;
+  padding: 0;
+  margin-bottom: 8px;
+`;
+
+const DetailCard = styled.div`
+  background-color: ${props => props.backgroundColor};
+  border-radius: 16px;
+  padding: 20px;
+  margin-bottom: 24px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+`;
+
+const Player = styled.video`
+  width: 100%;
+  max-height: 50vh;
+  border-radius: 12px;
+  background-color: #000;
+  margin-bottom: 16px;
+`;
+
+const DeleteButton = styled.button`
+  width: 100%;
+  padding: 14px 24px;
+  border-radius: 12px;
+  border: 2px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 16px;
+  font-weight: 600;
+  cursor: pointer;
+`;
+
+export default HistoryScreen;
@@ -1,38 +1,152 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import styled from 'styled-components';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useTheme } from '../contexts/ThemeContext';
+import { auth } from '../firebaseConfig';
+import { getDisplayLabel, UNKNOWN_LABEL } from '../utils/openSetRejection';
+import { createUploadSession, saveSession, MAX_STORED_VIDEO_BYTES } from '../utils/historyStore';
+import SignTimeline from '../components/SignTimeline';
 
+/**
+ * Results of a recognition: a single sign, or for processed videos a player
+ * with a timeline of every recognized segment
+ */
 const ResultsScreen = () => {
   const { theme: COLORS } = useTheme();
   const navigate = useNavigate();
   const location = useLocation();
+  const videoRef = useRef(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [saveStatus, setSaveStatus] = useState('idle'); // idle | saving | saved | savedWithoutVideo | error
+  const [keepVideo, setKeepVideo] = useState(false);
   
   // Get result from location state (React Router) or use default
-  const result = location.state?.result || { label: 'לא זוהה' };
+  const result = location.state?.result || { label: UNKNOWN_LABEL };
+  const videoUrl = location.state?.videoUrl || null;
+  const hasTimeline = Array.isArray(result.segments);
+  // Only timelines from processed videos are sessions worth keeping
+  const canSave = hasTimeline && result.segments.length > 0;
+  
+  const seekTo = (time) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+      videoRef.current.play().catch(() => {});
+    }
+    setCurrentTime(time);
+  };
+  
+  const saveToHistory = async () => {
+    setSaveStatus('saving');
+    try {
+      // Keep a copy of the video if asked: the object URL does not survive a reload
+      const videoBlob = keepVideo && videoUrl ? await fetch(videoUrl).then(response => response.blob()) : null;
+      const entry = await saveSession(createUploadSession(result), {
+        userId: auth.currentUser ? auth.currentUser.uid : null,
+        videoBlob
+      });
+      setSaveStatus(videoBlob && !entry.videoBlob ? 'savedWithoutVideo' : 'saved');
+    } catch (error) {
+      console.error('Failed to save result to history:', error);
+      setSaveStatus('error');
+    }
+  };
+  
+  const saveButtonText = {
+    idle: 'Save to history',
+    saving: 'Saving...',
+    saved: 'Saved to history ✓',
+    savedWithoutVideo: `Saved to history without the video (over ${Math.round(MAX_STORED_VIDEO_BYTES / (1024 * 1024))} MB)`,
+    error: 'Saving failed, try again'
+  }[saveStatus];
   
   return (
     <Container backgroundColor={COLORS.background}>
       <Content>
         <Header>
-          <Title color={COLORS.text}>תוצאות זיהוי</Title>
+          <Title color={COLORS.text}>Recognition Results</Title>
         </Header>
         
-        <ResultCard backgroundColor={COLORS.card}>
-          <ResultLabel color={COLORS.textSecondary}>The word identified:</ResultLabel>
-          <ResultValueContainer backgroundColor={COLORS.primaryLight}>
-            <ResultValue color={COLORS.primary}>{result.label}</ResultValue>
-          </ResultValueContainer>
-          
-          {result.confidence !== undefined && (
-            <ConfidenceContainer>
-              <ConfidenceLabel color={COLORS.textSecondary}>Confidence level:</ConfidenceLabel>
-              <ConfidenceValue color={COLORS.text}>
-                {Math.round(result.confidence * 100)}%
-              </ConfidenceValue>
-            </ConfidenceContainer>
-          )}
-        </ResultCard>
+        {hasTimeline ? (
+          <ResultCard backgroundColor={COLORS.card} wide>
+            {videoUrl && (
+              <Player
+                ref={videoRef}
+                src={videoUrl}
+                controls
+                playsInline
+                onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+              />
+            )}
+            
+            <ResultLabel color={COLORS.textSecondary}>
+              {result.segments.length === 1 ? '1 sign recognized' : `${result.segments.length} signs recognized`}
+            </ResultLabel>
+            
+            <SignTimeline
+              segments={result.segments}
+              duration={result.duration}
+              currentTime={currentTime}
+              onSeek={seekTo}
+              colors={COLORS}
+            />
+          </ResultCard>
+        ) : (
+          <ResultCard backgroundColor={COLORS.card}>
+            <ResultLabel color={COLORS.textSecondary}>The word identified:</ResultLabel>
+            <ResultValueContainer backgroundColor={COLORS.primaryLight}>
+              <ResultValue color={COLORS.primary}>{getDisplayLabel(result.label)}</ResultValue>
+            </ResultValueContainer>
+            
+            {result.confidence !== undefined && (
+              <ConfidenceContainer>
+                <ConfidenceLabel color={COLORS.textSecondary}>Confidence level:</ConfidenceLabel>
+                <ConfidenceValue color={COLORS.text}>
+                  {Math.round(result.confidence * 100)}%
+                </ConfidenceValue>
+              </ConfidenceContainer>
+            )}
+            
+            {result.alternatives && result.alternatives.length > 0 && (
+              <AlternativesContainer>
+                <ConfidenceLabel color={COLORS.textSecondary}>Did you mean:</ConfidenceLabel>
+                <AlternativesList>
+                  {result.alternatives.map(alternative => (
+                    <AlternativeChip
+                      key={alternative.label}
+                      backgroundColor={COLORS.background}
+                      color={COLORS.text}
+                    >
+                      {alternative.label} · {Math.round(alternative.probability * 100)}%
+                    </AlternativeChip>
+                  ))}
+                </AlternativesList>
+              </AlternativesContainer>
+            )}
+          </ResultCard>
+        )}
+        
+        {canSave && videoUrl && (
+          <KeepVideoLabel color={COLORS.textSecondary}>
+            <input
+              type="checkbox"
+              checked={keepVideo}
+              onChange={(e) => setKeepVideo(e.target.checked)}
+              disabled={saveStatus !== 'idle' && saveStatus !== 'error'}
+            />
+            Keep the video on this device
+          </KeepVideoLabel>
+        )}
+        
+        {canSave && (
+          <SecondaryButton
+            borderColor={COLORS.primary}
+            backgroundColor={COLORS.card}
+            onClick={saveToHistory}
+            disabled={saveStatus !== 'idle' && saveStatus !== 'error'}
+          >
+            <ButtonText color={COLORS.primary}>{saveButtonText}</ButtonText>
+          </SecondaryButton>
+        )}
         
         <Button 
           backgroundColor={COLORS.primary}
@@ -82,12 +196,20 @@ const ResultCard = styled.div`
   padding: 24px;
   box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
   width: 100%;
-  max-width: 500px;
+  max-width: ${props => props.wide ? '720px' : '500px'};
   align-items: center;
   margin-bottom: 32px;
   text-align: center;
 `;
 
+const Player = styled.video`
+  width: 100%;
+  max-height: 50vh;
+  border-radius: 12px;
+  background-color: #000;
+  margin-bottom: 16px;
+`;
+
 const ResultLabel = styled.p`
   font-size: 16px;
   color: ${props => props.color};
@@ -130,6 +252,28 @@ const ConfidenceValue = styled.p`
   color: ${props => props.color};
 `;
 
+const AlternativesContainer = styled.div`
+  margin-top: 16px;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+`;
+
+const AlternativesList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: 8px;
+`;
+
+const AlternativeChip = styled.span`
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  padding: 6px 12px;
+  border-radius: 16px;
+  font-size: 14px;
+`;
+
 const Button = styled.button`
   background-color: ${props => props.backgroundColor};
   padding: 16px 24px;
@@ -146,6 +290,27 @@ const Button = styled.button`
   }
 `;
 
+const KeepVideoLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  margin-bottom: 12px;
+  color: ${props => props.color};
+`;
+
+const SecondaryButton = styled.button`
+  background-color: ${props => props.backgroundColor};
+  border: 2px solid ${props => props.borderColor};
+  padding: 14px 24px;
+  border-radius: 12px;
+  width: 80%;
+  max-width: 400px;
+  margin-bottom: 16px;
+  cursor: ${props => props.disabled ? 'default' : 'pointer'};
+  opacity: ${props => props.disabled ? 0.7 : 1};
+`;
+
 const ButtonText = styled.span`
   color: ${props => props.color};
   font-weight: 600;
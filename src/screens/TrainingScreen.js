@@ -0,0 +1,607 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import * as tf from '@tensorflow/tfjs';
+import { useTheme } from '../contexts/ThemeContext';
+import { getLocalModelUrl } from '../appConfig';
+import TrainingChart from '../components/TrainingChart';
+import { getSamples, SAMPLE_SPLITS } from '../utils/datasetStore';
+import {
+  deleteCustomModel,
+  getSelectedModelId,
+  listCustomModels,
+  loadCustomModel,
+  saveCustomModel,
+  setSelectedModelId
+} from '../utils/customModelStore';
+import { DEFAULT_FEATURE_MODE } from '../utils/landmarkFeatures';
+import { fetchModelMetadata } from '../utils/modelMetadata';
+import { DEFAULT_TRAINING_OPTIONS, disposeTrainingResult, TRAINING_MODES, trainSignModel } from '../utils/signModelTrainer';
+
+// The model shipped in public/models (getLocalModelUrl) is the default base for fine-tuning
+const BUNDLED_MODEL_ID = 'bundled';
+
+const MODE_LABELS = {
+  [TRAINING_MODES.SCRATCH]: 'Train from scratch',
+  [TRAINING_MODES.FINE_TUNE]: 'Fine-tune the dense head'
+};
+
+/**
+ * Load a fresh copy of the model to fine-tune (training modifies it)
+ */
+const loadBaseModel = async (baseId) => {
+  if (baseId === BUNDLED_MODEL_ID) {
+    const model = await tf.loadLayersModel(getLocalModelUrl());
+    const metadata = await fetchModelMetadata(getLocalModelUrl());
+    // Without a manifest the classes are unknown, so the head is always replaced
+    return { model, metadata: metadata || { labels: [], featureMode: DEFAULT_FEATURE_MODE }, name: 'Bundled model' };
+  }
+
+  const { model, metadata, entry } = await loadCustomModel(baseId);
+  return { model, metadata, name: entry.name };
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+const TrainingScreen = () => {
+  const { theme: COLORS } = useTheme();
+
+  const [samples, setSamples] = useState([]);
+  const [customModels, setCustomModels] = useState([]);
+  const [selectedModelId, setSelectedId] = useState(getSelectedModelId());
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [statusText, setStatusText] = useState('');
+
+  const [mode, setMode] = useState(TRAINING_MODES.SCRATCH);
+  const [baseId, setBaseId] = useState(BUNDLED_MODEL_ID);
+  const [epochs, setEpochs] = useState(DEFAULT_TRAINING_OPTIONS.epochs);
+  const [batchSize, setBatchSize] = useState(DEFAULT_TRAINING_OPTIONS.batchSize);
+  const [learningRate, setLearningRate] = useState(DEFAULT_TRAINING_OPTIONS.learningRate);
+  const [patience, setPatience] = useState(DEFAULT_TRAINING_OPTIONS.patience);
+
+  const [isTraining, setIsTraining] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [result, setResult] = useState(null);
+  const [modelName, setModelName] = useState('');
+
+  const abortControllerRef = useRef(null);
+  const resultRef = useRef(null);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [storedSamples, storedModels] = await Promise.all([getSamples(), listCustomModels()]);
+      setSamples(storedSamples);
+      setCustomModels(storedModels);
+      setError('');
+    } catch (err) {
+      console.error('Failed to load training data:', err);
+      setError(`Could not load the dataset: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Stop training and free an unsaved model when leaving the screen
+  useEffect(() => () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    if (resultRef.current) disposeTrainingResult(resultRef.current);
+  }, []);
+
+  const replaceResult = (nextResult) => {
+    if (resultRef.current) disposeTrainingResult(resultRef.current);
+    resultRef.current = nextResult;
+    setResult(nextResult);
+  };
+
+  const labels = useMemo(() => [...new Set(samples.map(sample => sample.label))].sort(), [samples]);
+  const validationCount = samples.filter(sample => sample.split === SAMPLE_SPLITS.VALIDATION).length;
+  const bestEntry = result ? result.history.find(entry => entry.epoch === result.bestEpoch) : null;
+
+  const startTraining = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    replaceResult(null);
+    setHistory([]);
+    setError('');
+    setIsTraining(true);
+
+    let base = null;
+    try {
+      if (mode === TRAINING_MODES.FINE_TUNE) {
+        setStatusText('Loading the base model…');
+        base = await loadBaseModel(baseId);
+      }
+
+      setStatusText('Training on the CPU…');
+      const trained = await trainSignModel({
+        samples,
+        mode,
+        baseModel: base ? base.model : null,
+        baseMetadata: base ? base.metadata : null,
+        epochs,
+        batchSize,
+        learningRate,
+        patience,
+        signal: controller.signal,
+        onEpochEnd: (entry) => setHistory(previous => [...previous, entry])
+      });
+
+      trained.baseName = base ? base.name : null;
+      replaceResult(trained);
+      setModelName(`${labels.length}-sign model ${new Date().toLocaleDateString()}`);
+      setStatusText(trained.stoppedEarly
+        ? `Stopped early after ${trained.history.length} epochs; kept the weights of epoch ${trained.bestEpoch}`
+        : `Trained for ${trained.history.length} epochs; kept the weights of epoch ${trained.bestEpoch}`);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setStatusText('Training cancelled');
+      } else {
+        console.error('Training failed:', err);
+        setError(`Training failed: ${err.message}`);
+        setStatusText('');
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setIsTraining(false);
+    }
+  };
+
+  const cancelTraining = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      setStatusText('Cancelling after the current batch…');
+    }
+  };
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      setError('');
+      await action();
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(`${failureMessage}: ${err.message}`);
+    }
+  };
+
+  const saveResult = () => runAction(async () => {
+    const stored = await saveCustomModel(result.model, {
+      name: modelName,
+      metadata: {
+        labels: result.labels,
+        inputShape: result.inputShape,
+        frameCount: result.inputShape[0],
+        featureMode: result.featureMode
+      },
+      mode: result.mode,
+      baseModel: result.baseName,
+      metrics: bestEntry,
+      epochs: result.history.length,
+      sampleCount: result.trainCount + result.validationCount
+    });
+    replaceResult(null);
+    setStatusText(`Saved "${stored.name}". Select it below to use it for recognition.`);
+    await loadData();
+  }, 'Could not save the model');
+
+  const selectModel = (id) => {
+    setSelectedModelId(id);
+    setSelectedId(id);
+    setStatusText(id
+      ? 'The selected model will be used the next time the camera screen opens'
+      : 'The bundled model will be used the next time the camera screen opens');
+  };
+
+  const removeModel = (entry) => runAction(async () => {
+    if (!window.confirm(`Delete the model "${entry.name}"?`)) return;
+    await deleteCustomModel(entry.id);
+    if (baseId === entry.id) setBaseId(BUNDLED_MODEL_ID);
+    setSelectedId(getSelectedModelId());
+    await loadData();
+  }, 'Could not delete the model');
+
+  const renderNumberInput = (label, value, onChange, props) => (
+    <OptionLabel color={COLORS.textSecondary}>
+      {label}
+      <NumberInput
+        type="number"
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        disabled={isTraining}
+        backgroundColor={COLORS.background}
+        borderColor={COLORS.border}
+        color={COLORS.text}
+        {...props}
+      />
+    </OptionLabel>
+  );
+
+  return (
+    <Container backgroundColor={COLORS.background}>
+      <ScrollContent>
+        <Header>
+          <Title color={COLORS.text}>Training</Title>
+          <Subtitle color={COLORS.textSecondary}>
+            {samples.length} sample(s) in {labels.length} label(s)
+            {validationCount > 0 ? `, ${validationCount} assigned to validation` : ', 20% held out for validation'}.
+            Manage them in the <StyledLink to="/dataset" color={COLORS.primary}>dataset</StyledLink> and
+            measure the model in use on the <StyledLink to="/evaluation" color={COLORS.primary}>evaluation</StyledLink> screen.
+          </Subtitle>
+        </Header>
+
+        {error && <ErrorText color={COLORS.error}>{error}</ErrorText>}
+        {statusText && <StatusText color={COLORS.textSecondary}>{statusText}</StatusText>}
+
+        <Section backgroundColor={COLORS.card}>
+          <SectionTitle color={COLORS.text}>Options</SectionTitle>
+          <OptionsRow>
+            {Object.entries(MODE_LABELS).map(([value, text]) => (
+              <RadioLabel key={value} color={COLORS.text}>
+                <input
+                  type="radio"
+                  name="training-mode"
+                  value={value}
+                  checked={mode === value}
+                  onChange={() => setMode(value)}
+                  disabled={isTraining}
+                />
+                {text}
+              </RadioLabel>
+            ))}
+            {mode === TRAINING_MODES.FINE_TUNE && (
+              <Select
+                value={baseId}
+                onChange={(e) => setBaseId(e.target.value)}
+                disabled={isTraining}
+                backgroundColor={COLORS.background}
+                borderColor={COLORS.border}
+                color={COLORS.text}
+                aria-label="Base model"
+              >
+                <option value={BUNDLED_MODEL_ID}>Bundled model</option>
+                {customModels.map(entry => <option key={entry.id} value={entry.id}>{entry.name}</option>)}
+              </Select>
+            )}
+          </OptionsRow>
+          <OptionsRow>
+            {renderNumberInput('Epochs', epochs, setEpochs, { min: 1, max: 500 })}
+            {renderNumberInput('Batch size', batchSize, setBatchSize, { min: 1, max: 256 })}
+            {renderNumberInput('Learning rate', learningRate, setLearningRate, { min: 0.00001, max: 1, step: 0.0001 })}
+            {renderNumberInput('Early stopping patience', patience, setPatience, { min: 0, max: 100, title: '0 disables early stopping' })}
+          </OptionsRow>
+          <OptionsRow>
+            {isTraining ? (
+              <ActionButton backgroundColor={COLORS.card} borderColor={COLORS.error} color={COLORS.error} onClick={cancelTraining}>
+                Cancel
+              </ActionButton>
+            ) : (
+              <ActionButton
+                backgroundColor={COLORS.primary}
+                borderColor={COLORS.primary}
+                color="#FFFFFF"
+                onClick={startTraining}
+                disabled={isLoading || labels.length < 2 || !(epochs > 0) || !(batchSize > 0) || !(learningRate > 0)}
+              >
+                Start training
+              </ActionButton>
+            )}
+            {labels.length < 2 && !isLoading && (
+              <HintText color={COLORS.textSecondary}>Record samples of at least two labels to train.</HintText>
+            )}
+          </OptionsRow>
+        </Section>
+
+        {history.length > 0 && (
+          <Section backgroundColor={COLORS.card}>
+            <SectionTitle color={COLORS.text}>
+              Progress: epoch {history.length} of {epochs}
+            </SectionTitle>
+            <ChartsRow>
+              <TrainingChart
+                title="Loss"
+                history={history}
+                trainKey="loss"
+                validationKey="valLoss"
+                maxEpochs={epochs}
+                markEpoch={result ? result.bestEpoch : 0}
+                colors={COLORS}
+              />
+              <TrainingChart
+                title="Accuracy"
+                history={history}
+                trainKey="accuracy"
+                validationKey="valAccuracy"
+                maxEpochs={epochs}
+                fixedMax={1}
+                markEpoch={result ? result.bestEpoch : 0}
+                colors={COLORS}
+              />
+            </ChartsRow>
+          </Section>
+        )}
+
+        {result && (
+          <Section backgroundColor={COLORS.card}>
+            <SectionTitle color={COLORS.text}>Trained model</SectionTitle>
+            <HintText color={COLORS.textSecondary}>
+              Epoch {result.bestEpoch}: accuracy {formatPercent(bestEntry && bestEntry.accuracy)},
+              validation accuracy {formatPercent(bestEntry && bestEntry.valAccuracy)}
+              {' '}({result.trainCount} training / {result.validationCount} validation samples)
+            </HintText>
+            <OptionsRow>
+              <NameInput
+                value={modelName}
+                onChange={(e) => setModelName(e.target.value)}
+                placeholder="Model name"
+                backgroundColor={COLORS.background}
+                borderColor={COLORS.border}
+                color={COLORS.text}
+              />
+              <ActionButton backgroundColor={COLORS.primary} borderColor={COLORS.primary} color="#FFFFFF" onClick={saveResult}>
+                Save
+              </ActionButton>
+              <ActionButton
+                backgroundColor={COLORS.card}
+                borderColor={COLORS.border}
+                color={COLORS.text}
+                onClick={() => replaceResult(null)}
+              >
+                Discard
+              </ActionButton>
+            </OptionsRow>
+          </Section>
+        )}
+
+        <Section backgroundColor={COLORS.card}>
+          <SectionTitle color={COLORS.text}>Models</SectionTitle>
+          <ModelList>
+            <ModelRow borderColor={COLORS.divider}>
+              <ModelInfo>
+                <ModelName color={COLORS.text}>Bundled model</ModelName>
+                <ModelMeta color={COLORS.textSecondary}>Shipped with the app</ModelMeta>
+              </ModelInfo>
+              {!selectedModelId ? (
+                <InUseText color={COLORS.primary}>In use</InUseText>
+              ) : (
+                <TextButton color={COLORS.primary} onClick={() => selectModel(null)}>Use</TextButton>
+              )}
+            </ModelRow>
+            {customModels.map(entry => (
+              <ModelRow key={entry.id} borderColor={COLORS.divider}>
+                <ModelInfo>
+                  <ModelName color={COLORS.text}>{entry.name}</ModelName>
+                  <ModelMeta color={COLORS.textSecondary}>
+                    {entry.metadata.labels.length} labels · {MODE_LABELS[entry.mode]}
+                    {entry.baseModel ? ` of ${entry.baseModel}` : ''} · validation accuracy{' '}
+                    {formatPercent(entry.metrics && entry.metrics.valAccuracy)} ·{' '}
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </ModelMeta>
+                </ModelInfo>
+                {selectedModelId === entry.id ? (
+                  <InUseText color={COLORS.primary}>In use</InUseText>
+                ) : (
+                  <TextButton color={COLORS.primary} onClick={() => selectModel(entry.id)} disabled={isTraining}>Use</TextButton>
+                )}
+                <TextButton color={COLORS.error} onClick={() => removeModel(entry)} disabled={isTraining}>Delete</TextButton>
+              </ModelRow>
+            ))}
+          </ModelList>
+        </Section>
+      </ScrollContent>
+    </Container>
+  );
+};
+
+// Styled components
+const Container = styled.div`
+  background-color: ${props => props.backgroundColor};
+  min-height: 100%;
+  display: flex;
+  flex-direction: column;
+`;
+
+const ScrollContent = styled.div`
+  padding: 24px;
+  flex-grow: 1;
+  max-width: 960px;
+  width: 100%;
+  margin: 0 auto;
+  box-sizing: border-box;
+`;
+
+const Header = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  text-align: center;
+  margin-bottom: 16px;
+`;
+
+const Title = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 8px;
+  color: ${props => props.color};
+`;
+
+const Subtitle = styled.p`
+  font-size: 16px;
+  margin-bottom: 8px;
+  color: ${props => props.color};
+`;
+
+const StyledLink = styled(Link)`
+  color: ${props => props.color};
+`;
+
+const ErrorText = styled.p`
+  font-size: 14px;
+  color: ${props => props.color};
+  margin-bottom: 16px;
+`;
+
+const StatusText = styled.p`
+  font-size: 14px;
+  color: ${props => props.color};
+  margin-bottom: 16px;
+`;
+
+const Section = styled.div`
+  background-color: ${props => props.backgroundColor};
+  border-radius: 16px;
+  padding: 16px 20px;
+  margin-bottom: 16px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 16px;
+  font-weight: 600;
+  margin: 0 0 12px;
+  color: ${props => props.color};
+`;
+
+const OptionsRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  flex-wrap: wrap;
+  margin-bottom: 12px;
+
+  &:last-child {
+    margin-bottom: 0;
+  }
+`;
+
+const RadioLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 14px;
+  color: ${props => props.color};
+`;
+
+const OptionLabel = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  font-size: 13px;
+  color: ${props => props.color};
+`;
+
+const NumberInput = styled.input`
+  width: 110px;
+  padding: 6px 8px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+`;
+
+const NameInput = styled(NumberInput)`
+  flex: 1;
+  min-width: 180px;
+  padding: 8px 10px;
+  font-size: 14px;
+`;
+
+const Select = styled.select`
+  padding: 6px 8px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+`;
+
+const ActionButton = styled.button`
+  padding: 8px 16px;
+  border-radius: 8px;
+  border: 1px solid ${props => props.borderColor};
+  background-color: ${props => props.backgroundColor};
+  color: ${props => props.color};
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const HintText = styled.p`
+  font-size: 13px;
+  margin: 0 0 12px;
+  color: ${props => props.color};
+`;
+
+const ChartsRow = styled.div`
+  display: flex;
+  gap: 24px;
+  flex-wrap: wrap;
+`;
+
+const ModelList = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const ModelRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 0;
+  border-bottom: 1px solid ${props => props.borderColor};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const ModelInfo = styled.div`
+  flex-grow: 1;
+  min-width: 0;
+`;
+
+const ModelName = styled.div`
+  font-size: 15px;
+  font-weight: 600;
+  color: ${props => props.color};
+`;
+
+const ModelMeta = styled.div`
+  font-size: 13px;
+  margin-top: 2px;
+  color: ${props => props.color};
+`;
+
+const InUseText = styled.span`
+  font-size: 14px;
+  font-weight: 600;
+  color: ${props => props.color};
+`;
+
+const TextButton = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  font-size: 14px;
+  color: ${props => props.color};
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    text-decoration: underline;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+export default TrainingScreen;
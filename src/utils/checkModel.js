@@ -2,8 +2,54 @@
  * Utility to check and diagnose model loading issues
  * Run this script with:
  *   node src/utils/checkModel.js
+ *
+ * To validate a model directory or ZIP offline (weights, labels and inference), use
+ *   npm run validate-model -- <model dir or ZIP>
+ *
+ * Endpoints come from src/appConfig.js (its defaults, REACT_APP_* variables, then
+ * public/config.json), which Node 20.19+ loads with import() (with a warning that
+ * the module type is not declared, since the app is not "type": "module"). Pass --base-url <url>
+ * to check another backend, e.g. the local mock server:
+ *   node src/utils/checkModel.js --base-url http://localhost:3001
  */
 
+/**
+ * Endpoints and local model path, as the app would use them
+ *
+ * @returns {Promise<Object>} { endpoints, localModelPath }
+ */
+async function getCheckConfig() {
+  const { applyConfigOverrides, getApiEndpoints, getConfig } = await import('../appConfig.js');
+
+  let runtimeConfig = {};
+  try {
+    const fs = require('fs');
+    const path = require('path');
+    const configPath = path.join(__dirname, '..', '..', 'public', 'config.json');
+    if (fs.existsSync(configPath)) {
+      runtimeConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+  } catch (e) {
+    console.log(`Could not read public/config.json: ${e.message}`);
+  }
+
+  // --base-url wins over config.json and the mock server switch
+  const argIndex = process.argv.indexOf('--base-url');
+  if (argIndex !== -1 && process.argv[argIndex + 1]) {
+    runtimeConfig = {
+      ...runtimeConfig,
+      apiBaseUrl: process.argv[argIndex + 1],
+      mock: { ...runtimeConfig.mock, server: false }
+    };
+  }
+  applyConfigOverrides(runtimeConfig);
+
+  return {
+    endpoints: getApiEndpoints(),
+    localModelPath: getConfig().localModelPath.replace(/\/+$/, '')
+  };
+}
+
 async function checkModelAvailability() {
   console.log('Sign Language Model Checker');
   console.log('==========================');
@@ -21,10 +67,8 @@ async function checkModelAvailability() {
     
     // Check if remote model URLs are accessible
     console.log('\n2. Checking remote URLs...');
-    const modelUrls = [
-      "https://signlanguagewebapp-a5eff0dabmhwfphu.westeurope-01.azurewebsites.net/download-model",
-      "https://signlanguagewebapp-a5eff0dabmhwfphu.westeurope-01.azurewebsites.net/download-tfjs-model"
-    ];
+    const { endpoints, localModelPath } = await getCheckConfig();
+    const modelUrls = [endpoints.tfjsModel, endpoints.modelZip, endpoints.modelManifest, endpoints.health];
     
     for (const url of modelUrls) {
       try {
@@ -52,7 +96,7 @@ async function checkModelAvailability() {
     
     try {
       // Check if model.json exists and can be loaded
-      const localModelUrl = '/models/sign_language_model/model.json';
+      const localModelUrl = `${localModelPath}/model.json`;
       console.log(`   Testing local model: ${localModelUrl}`);
       
       const modelResponse = await fetch(localModelUrl);
@@ -78,7 +122,7 @@ async function checkModelAvailability() {
             // Check for binary weights file
             if (modelJson.weightsManifest[0].paths && modelJson.weightsManifest[0].paths.length > 0) {
               const weightPath = modelJson.weightsManifest[0].paths[0];
-              const weightResponse = await fetch(`/models/sign_language_model/${weightPath}`);
+              const weightResponse = await fetch(`${localModelPath}/${weightPath}`);
               
               if (weightResponse.ok) {
                 const weightBuffer = await weightResponse.arrayBuffer();
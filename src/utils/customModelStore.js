@@ -0,0 +1,178 @@
+/**
+ * Models trained in the browser, kept in IndexedDB.
+ *
+ * The weights are saved by TensorFlow.js under `indexeddb://custom-sign-model-<id>`;
+ * this store keeps the registry entry that describes them:
+ *
+ *   {
+ *     id, name,
+ *     storageKey,    // TensorFlow.js URL the model was saved to
+ *     metadata,      // manifest in the format of metadata.json (labels, inputShape, featureMode, ...)
+ *     mode,          // 'scratch' | 'fine-tune'
+ *     baseModel,     // name of the model that was fine-tuned, if any
+ *     metrics,       // { loss, accuracy, valLoss, valAccuracy } of the kept epoch
+ *     epochs,        // epochs trained
+ *     sampleCount,   // samples used for training and validation
+ *     createdAt      // epoch milliseconds
+ *   }
+ *
+ * One model at a time can be selected; the recognition hook loads it instead
+ * of the bundled model.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { openDatabase, withStore } from './indexedDb';
+import { normalizeMetadata } from './modelMetadata';
+
+const DB_NAME = 'sign-language-models';
+const DB_VERSION = 1;
+const STORE_NAME = 'models';
+const STORAGE_KEY_PREFIX = 'indexeddb://custom-sign-model-';
+const SELECTED_MODEL_KEY = 'sign-language-selected-model';
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('createdAt', 'createdAt');
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Save a trained model and register it
+ *
+ * @param {tf.LayersModel} model - Trained model
+ * @param {Object} entry - Registry fields (name, metadata, mode, baseModel, metrics, epochs, sampleCount)
+ * @returns {Promise<Object>} The stored registry entry
+ */
+export async function saveCustomModel(model, entry) {
+  const id = createId();
+  const storageKey = `${STORAGE_KEY_PREFIX}${id}`;
+  const metadata = normalizeMetadata(entry.metadata, `metadata of "${entry.name}"`);
+
+  await model.save(storageKey);
+
+  const stored = {
+    ...entry,
+    id,
+    name: entry.name.trim() || `Model ${new Date().toLocaleString()}`,
+    storageKey,
+    metadata: {
+      version: metadata.version || `custom-${id}`,
+      signLanguage: metadata.signLanguage,
+      labels: metadata.labels,
+      inputShape: metadata.inputShape,
+      frameCount: metadata.frameCount,
+      featureMode: metadata.featureMode
+    },
+    createdAt: Date.now()
+  };
+
+  try {
+    await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.put(stored));
+  } catch (error) {
+    await tf.io.removeModel(storageKey).catch(() => {});
+    throw error;
+  }
+
+  return stored;
+}
+
+/**
+ * Registered models, newest first
+ *
+ * @returns {Promise<Array<Object>>} Registry entries
+ */
+export async function listCustomModels() {
+  const models = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.getAll());
+  return models.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * One registry entry
+ *
+ * @param {string} id - Model id
+ * @returns {Promise<Object|null>} The entry, or null if it does not exist
+ */
+export async function getCustomModel(id) {
+  const entry = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.get(id));
+  return entry || null;
+}
+
+/**
+ * Load a registered model with its metadata
+ *
+ * @param {string} id - Model id
+ * @returns {Promise<{model: tf.LayersModel, metadata: Object, entry: Object}>} Model ready for inference
+ * @throws {Error} If the model is not registered or its weights are missing
+ */
+export async function loadCustomModel(id) {
+  const entry = await getCustomModel(id);
+  if (!entry) {
+    throw new Error(`Custom model ${id} does not exist`);
+  }
+
+  const model = await tf.loadLayersModel(entry.storageKey);
+  const metadata = normalizeMetadata(entry.metadata, `custom model "${entry.name}"`);
+
+  return { model, metadata, entry };
+}
+
+/**
+ * Delete a model's weights and registry entry; clears the selection if it was selected
+ *
+ * @param {string} id - Model id
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomModel(id) {
+  const entry = await getCustomModel(id);
+  if (entry) {
+    await tf.io.removeModel(entry.storageKey).catch(error => {
+      console.warn(`Weights of custom model ${id} were already removed:`, error.message);
+    });
+  }
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.delete(id));
+
+  if (getSelectedModelId() === id) {
+    setSelectedModelId(null);
+  }
+}
+
+/**
+ * Id of the model selected for recognition
+ *
+ * @returns {string|null} Model id, or null to use the bundled model
+ */
+export function getSelectedModelId() {
+  try {
+    return localStorage.getItem(SELECTED_MODEL_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Select a model for recognition (takes effect the next time the model loads)
+ *
+ * @param {string|null} id - Model id, or null to use the bundled model
+ */
+export function setSelectedModelId(id) {
+  try {
+    if (id) {
+      localStorage.setItem(SELECTED_MODEL_KEY, id);
+    } else {
+      localStorage.removeItem(SELECTED_MODEL_KEY);
+    }
+  } catch (e) {
+    console.warn('Failed to store the selected model:', e.message);
+  }
+}
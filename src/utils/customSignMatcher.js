@@ -0,0 +1,283 @@
+/**
+ * Few-shot recognition of user-defined signs with dynamic time warping (DTW)
+ * and k-nearest-neighbour voting over recorded examples.
+ *
+ * Custom signs are recorded in their own feature format (raw image coordinates,
+ * left hand first), independent of the loaded model, so they keep working when
+ * the model changes. Before matching, every frame is turned into a descriptor of
+ *
+ *   - each hand's shape: landmarks relative to the wrist, divided by the palm size
+ *   - each hand's position: the wrist relative to the sequence's mean wrist position
+ *
+ * so a sign matches wherever it is made in the camera image.
+ *
+ * Each sign gets an acceptance radius calibrated from its own examples (the
+ * distance from each example to its nearest sibling); windows further than
+ * that from every example are not matched.
+ */
+
+import { getFeatureLayout, getSlotHandedness, LANDMARKS_PER_HAND, landmarksToFeatures } from './landmarkFeatures';
+
+// Feature format of recorded examples and live windows
+export const CUSTOM_SIGN_FEATURE_MODE = {
+  coordinates: 'raw',
+  scale: 'none',
+  handSlots: 'handedness'
+};
+export const CUSTOM_SIGN_FEATURE_SIZE = 126;
+export const CUSTOM_SIGN_FRAME_COUNT = 30;
+
+// Fewest examples recommended per sign, and the most kept
+export const MIN_CUSTOM_SIGN_EXAMPLES = 3;
+export const MAX_CUSTOM_SIGN_EXAMPLES = 10;
+
+export const DEFAULT_MATCHER_OPTIONS = {
+  k: 3,                 // Nearest examples that vote
+  bandWidth: 0.25,      // Sakoe-Chiba band as a share of the sequence length
+  radiusFactor: 1.5,    // Acceptance radius as a multiple of the examples' own spread
+  defaultRadius: 1.5,   // Smallest radius for signs with a single example
+  positionWeight: 2     // Weight of hand position relative to hand shape
+};
+
+const WRIST = 0;
+const MIDDLE_FINGER_MCP = 9;
+
+const LAYOUT = getFeatureLayout(CUSTOM_SIGN_FEATURE_SIZE);
+
+/**
+ * Custom sign features and per-slot handedness for one landmarker result
+ *
+ * @param {Object} landmarkerResult - Result from HandLandmarker.detectForVideo
+ * @returns {{features: Array<number>, handedness: Array<string|null>}} Frame in the custom sign feature format
+ */
+export function extractCustomSignFrame(landmarkerResult) {
+  return {
+    features: landmarksToFeatures(landmarkerResult, LAYOUT, CUSTOM_SIGN_FEATURE_MODE),
+    handedness: getSlotHandedness(landmarkerResult, LAYOUT.numHands, CUSTOM_SIGN_FEATURE_MODE.handSlots)
+  };
+}
+
+/**
+ * Shape and position descriptor of every frame of a sequence
+ *
+ * @param {Array<Array<number>>} frames - Frames in the custom sign feature format
+ * @param {Object} options - Matcher options
+ * @returns {Array<Float32Array>} One descriptor per frame
+ */
+export function describeSequence(frames, { positionWeight = DEFAULT_MATCHER_OPTIONS.positionWeight } = {}) {
+  const { numHands, coordsPerLandmark, valuesPerHand } = LAYOUT;
+  const shapeSize = LANDMARKS_PER_HAND * 2;
+  const descriptorSize = numHands * (shapeSize + 2);
+
+  // Mean wrist position and palm size per hand slot, over the frames where the hand is visible
+  const wristSums = Array.from({ length: numHands }, () => ({ x: 0, y: 0, palm: 0, count: 0 }));
+  frames.forEach(frame => {
+    for (let slot = 0; slot < numHands; slot++) {
+      const base = slot * valuesPerHand;
+      const wx = frame[base + WRIST * coordsPerLandmark];
+      const wy = frame[base + WRIST * coordsPerLandmark + 1];
+      if (wx === 0 && wy === 0) continue;
+
+      const mx = frame[base + MIDDLE_FINGER_MCP * coordsPerLandmark];
+      const my = frame[base + MIDDLE_FINGER_MCP * coordsPerLandmark + 1];
+      const sums = wristSums[slot];
+      sums.x += wx;
+      sums.y += wy;
+      sums.palm += Math.hypot(mx - wx, my - wy);
+      sums.count++;
+    }
+  });
+
+  return frames.map(frame => {
+    const descriptor = new Float32Array(descriptorSize);
+
+    for (let slot = 0; slot < numHands; slot++) {
+      const base = slot * valuesPerHand;
+      const { x: sumX, y: sumY, palm: sumPalm, count } = wristSums[slot];
+      const wx = frame[base + WRIST * coordsPerLandmark];
+      const wy = frame[base + WRIST * coordsPerLandmark + 1];
+      if (count === 0 || (wx === 0 && wy === 0)) continue;
+
+      const mx = frame[base + MIDDLE_FINGER_MCP * coordsPerLandmark];
+      const my = frame[base + MIDDLE_FINGER_MCP * coordsPerLandmark + 1];
+      const palm = Math.hypot(mx - wx, my - wy);
+      const shapeScale = palm > 1e-6 ? 1 / palm : 1;
+      const meanPalm = sumPalm / count;
+      const positionScale = meanPalm > 1e-6 ? positionWeight / meanPalm : positionWeight;
+
+      const out = slot * (shapeSize + 2);
+      for (let i = 0; i < LANDMARKS_PER_HAND; i++) {
+        descriptor[out + i * 2] = (frame[base + i * coordsPerLandmark] - wx) * shapeScale;
+        descriptor[out + i * 2 + 1] = (frame[base + i * coordsPerLandmark + 1] - wy) * shapeScale;
+      }
+      descriptor[out + shapeSize] = (wx - sumX / count) * positionScale;
+      descriptor[out + shapeSize + 1] = (wy - sumY / count) * positionScale;
+    }
+
+    return descriptor;
+  });
+}
+
+const frameDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * DTW distance between two descriptor sequences, per step of the longer sequence
+ *
+ * @param {Array<Float32Array>} a - Descriptors from describeSequence
+ * @param {Array<Float32Array>} b - Descriptors from describeSequence
+ * @param {number} bandWidth - Sakoe-Chiba band as a share of the longer sequence
+ * @returns {number} Distance (Infinity when either sequence is empty)
+ */
+export function dtwDistance(a, b, bandWidth = DEFAULT_MATCHER_OPTIONS.bandWidth) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return Infinity;
+
+  // The band must at least cover the difference in length to reach the end
+  const band = Math.max(Math.ceil(Math.max(n, m) * bandWidth), Math.abs(n - m));
+  let previous = new Float64Array(m + 1).fill(Infinity);
+  let current = new Float64Array(m + 1).fill(Infinity);
+  previous[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    current.fill(Infinity);
+    const center = Math.round((i * m) / n);
+    const from = Math.max(1, center - band);
+    const to = Math.min(m, center + band);
+
+    for (let j = from; j <= to; j++) {
+      const cost = frameDistance(a[i - 1], b[j - 1]);
+      current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[m] / Math.max(n, m);
+}
+
+/**
+ * Build a matcher for a user's custom signs
+ *
+ * @param {Array<Object>} signs - Custom signs ({ label, examples: [{ frames }] }) from the custom sign store
+ * @param {Object} options - Overrides for DEFAULT_MATCHER_OPTIONS
+ * @returns {Object} Matcher with labels, match and isEmpty
+ */
+export function createCustomSignMatcher(signs, options = {}) {
+  const config = { ...DEFAULT_MATCHER_OPTIONS, ...options };
+  const labels = signs.map(sign => sign.label);
+
+  const examples = signs.flatMap((sign, labelIndex) => sign.examples.map(example => ({
+    labelIndex,
+    descriptors: describeSequence(example.frames, config)
+  })));
+
+  // Leave-one-out spread of each sign's examples
+  const spreads = signs.map((sign, labelIndex) => {
+    const own = examples.filter(example => example.labelIndex === labelIndex);
+    if (own.length < 2) return null;
+
+    const nearest = own.map(example => Math.min(...own
+      .filter(other => other !== example)
+      .map(other => dtwDistance(example.descriptors, other.descriptors, config.bandWidth))));
+    return Math.max(...nearest);
+  });
+
+  // Signs with a single example borrow the median spread, but never go below the default radius
+  const calibrated = spreads.filter(spread => spread !== null).sort((a, b) => a - b);
+  const fallbackSpread = Math.max(
+    calibrated.length > 0 ? calibrated[Math.floor(calibrated.length / 2)] : 0,
+    config.defaultRadius / config.radiusFactor
+  );
+  const radii = spreads.map(spread => (spread !== null ? spread : fallbackSpread) * config.radiusFactor);
+
+  return {
+    labels,
+
+    isEmpty() {
+      return examples.length === 0;
+    },
+
+    /**
+     * Closest custom sign for a window of frames
+     *
+     * @param {Array<Array<number>>} frames - Frames in the custom sign feature format
+     * @returns {Object|null} { label, labelIndex, confidence, distance, candidates } for an accepted
+     *   match (candidates are the other nearby signs, best first), or null
+     */
+    match(frames) {
+      if (examples.length === 0 || frames.length === 0) return null;
+
+      const query = describeSequence(frames, config);
+      const distances = examples
+        .map(example => ({
+          labelIndex: example.labelIndex,
+          distance: dtwDistance(query, example.descriptors, config.bandWidth)
+        }))
+        .sort((a, b) => a.distance - b.distance);
+
+      // Distance-weighted vote of the k nearest examples
+      const votes = new Array(labels.length).fill(0);
+      distances.slice(0, config.k).forEach(({ labelIndex, distance }) => {
+        votes[labelIndex] += 1 / (distance + 1e-6);
+      });
+      const totalVotes = votes.reduce((sum, vote) => sum + vote, 0);
+
+      const candidates = labels
+        .map((label, labelIndex) => {
+          const distance = distances.find(entry => entry.labelIndex === labelIndex).distance;
+          // 1 for an exact match, 0.5 at the edge of the radius
+          const relative = distance / radii[labelIndex];
+          const closeness = Math.max(0, 1 - 0.5 * relative * relative);
+          return {
+            label,
+            labelIndex,
+            distance,
+            accepted: distance <= radii[labelIndex],
+            confidence: closeness * (votes[labelIndex] / totalVotes)
+          };
+        })
+        .sort((a, b) => b.confidence - a.confidence || a.distance - b.distance);
+
+      const best = candidates[0];
+      if (!best.accepted || best.confidence <= 0) return null;
+
+      return {
+        label: best.label,
+        labelIndex: best.labelIndex,
+        confidence: best.confidence,
+        distance: best.distance,
+        candidates: candidates.slice(1)
+          .filter(candidate => candidate.confidence > 0)
+          .map(({ label, labelIndex, confidence, distance }) => ({ label, labelIndex, confidence, distance }))
+      };
+    }
+  };
+}
+
+/**
+ * Add custom sign scores to a model score vector for the smoother
+ *
+ * The smoother's classes are the model classes, "unknown", then the custom
+ * signs. An accepted match takes its confidence from the model's share.
+ *
+ * @param {Array<number>} modelScores - Model probabilities with the unknown class appended (withUnknownClass)
+ * @param {Object|null} match - Result of matcher.match
+ * @param {number} numCustomSigns - Number of custom signs
+ * @returns {Array<number>} Scores for every smoother class, summing to 1
+ */
+export function withCustomSignScores(modelScores, match, numCustomSigns) {
+  const customScores = new Array(numCustomSigns).fill(0);
+  if (!match) {
+    return [...modelScores, ...customScores];
+  }
+
+  customScores[match.labelIndex] = match.confidence;
+  return [...modelScores.map(score => score * (1 - match.confidence)), ...customScores];
+}
@@ -0,0 +1,123 @@
+import {
+  createCustomSignMatcher,
+  CUSTOM_SIGN_FEATURE_SIZE,
+  CUSTOM_SIGN_FRAME_COUNT,
+  describeSequence,
+  dtwDistance,
+  withCustomSignScores
+} from './customSignMatcher';
+
+const LANDMARKS = 21;
+
+// Seeded noise, so the examples differ the same way on every run
+const createNoise = (seed) => {
+  let state = seed;
+  return (amount) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return (state / 2147483648 - 0.5) * 2 * amount;
+  };
+};
+
+// Landmark offsets from the wrist: fingers spread out, or curled into a fist
+const OPEN_HAND = Array.from({ length: LANDMARKS }, (_, i) => {
+  const finger = Math.floor((i - 1) / 4);
+  const joint = (i - 1) % 4 + 1;
+  const angle = -Math.PI / 2 + (finger - 2) * 0.35;
+  return i === 0 ? [0, 0] : [Math.cos(angle) * 0.03 * joint, Math.sin(angle) * 0.03 * joint];
+});
+const FIST = OPEN_HAND.map(([x, y], i) => (i === 0 ? [0, 0] : [x * 0.4 + 0.02, y * 0.3]));
+
+/**
+ * Frames of one hand (the first slot) moving along a path, in the custom sign feature format
+ */
+const createSign = ({ shape, path, frameCount = CUSTOM_SIGN_FRAME_COUNT, offset = [0, 0], noise = () => 0 }) =>
+  Array.from({ length: frameCount }, (_, t) => {
+    const [wx, wy] = path(t / (frameCount - 1));
+    const frame = new Array(CUSTOM_SIGN_FEATURE_SIZE).fill(0);
+    shape.forEach(([dx, dy], i) => {
+      frame[i * 3] = wx + offset[0] + dx + noise(0.003);
+      frame[i * 3 + 1] = wy + offset[1] + dy + noise(0.003);
+    });
+    return frame;
+  });
+
+const WAVE = { shape: OPEN_HAND, path: (p) => [0.5 + 0.1 * Math.sin(p * 4 * Math.PI), 0.5] };
+const NOD = { shape: FIST, path: (p) => [0.5, 0.5 + 0.1 * Math.sin(p * 2 * Math.PI)] };
+const CIRCLE = { shape: FIST, path: (p) => [0.5 + 0.15 * Math.cos(p * 2 * Math.PI), 0.5 + 0.15 * Math.sin(p * 2 * Math.PI)] };
+
+const examplesOf = (sign, seed) => [0, 1, 2].map(i => ({
+  frames: createSign({ ...sign, offset: [0.05 * i, -0.03 * i], noise: createNoise(seed + i) })
+}));
+
+describe('describeSequence', () => {
+  test('does not depend on where in the image the sign is made', () => {
+    const here = describeSequence(createSign(WAVE));
+    const there = describeSequence(createSign({ ...WAVE, offset: [0.2, -0.1] }));
+
+    here.forEach((descriptor, t) => descriptor.forEach((value, i) => expect(there[t][i]).toBeCloseTo(value, 4)));
+  });
+
+  test('leaves the slot of a missing hand empty', () => {
+    const [descriptor] = describeSequence(createSign(WAVE));
+    expect(descriptor.length).toBe(2 * (LANDMARKS * 2 + 2));
+    expect(descriptor.slice(LANDMARKS * 2 + 2).every(value => value === 0)).toBe(true);
+  });
+});
+
+describe('dtwDistance', () => {
+  const wave = describeSequence(createSign(WAVE));
+
+  test('is 0 for identical sequences and Infinity for an empty one', () => {
+    expect(dtwDistance(wave, wave)).toBe(0);
+    expect(dtwDistance(wave, [])).toBe(Infinity);
+  });
+
+  test('is smaller for the same sign at another speed than for another sign', () => {
+    const slowWave = describeSequence(createSign({ ...WAVE, frameCount: 40 }));
+    const nod = describeSequence(createSign(NOD));
+
+    expect(dtwDistance(wave, slowWave)).toBeLessThan(dtwDistance(wave, nod) / 5);
+  });
+});
+
+describe('createCustomSignMatcher', () => {
+  const matcher = createCustomSignMatcher([
+    { label: 'Wave', examples: examplesOf(WAVE, 1) },
+    { label: 'Nod', examples: examplesOf(NOD, 10) }
+  ]);
+
+  test('matches a new recording of a sign', () => {
+    const match = matcher.match(createSign({ ...WAVE, offset: [-0.1, 0.1], noise: createNoise(99) }));
+
+    expect(match).toMatchObject({ label: 'Wave', labelIndex: 0 });
+    expect(match.confidence).toBeGreaterThan(0.5);
+    expect(match.confidence).toBeLessThanOrEqual(1);
+  });
+
+  test('does not match a sign it was not taught', () => {
+    expect(matcher.match(createSign({ ...CIRCLE, noise: createNoise(50) }))).toBeNull();
+  });
+
+  test('an empty matcher matches nothing', () => {
+    const empty = createCustomSignMatcher([]);
+    expect(empty.isEmpty()).toBe(true);
+    expect(empty.match(createSign(WAVE))).toBeNull();
+    expect(matcher.isEmpty()).toBe(false);
+    expect(matcher.labels).toEqual(['Wave', 'Nod']);
+  });
+});
+
+describe('withCustomSignScores', () => {
+  const modelScores = [0.6, 0.3, 0.1, 0];
+
+  test('adds empty custom scores without a match', () => {
+    expect(withCustomSignScores(modelScores, null, 2)).toEqual([0.6, 0.3, 0.1, 0, 0, 0]);
+  });
+
+  test('takes a match\'s confidence from the model scores', () => {
+    const scores = withCustomSignScores(modelScores, { labelIndex: 1, confidence: 0.75 }, 2);
+
+    expect(scores).toEqual([0.15, 0.075, 0.025, 0, 0, 0.75]);
+    expect(scores.reduce((sum, score) => sum + score, 0)).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Custom signs of each user, kept in IndexedDB.
+ *
+ * Each entry is one sign with its recorded examples:
+ *
+ *   {
+ *     id, userId, label,
+ *     examples: [{ id, frames, handedness, createdAt }],  // frames in the custom sign feature format
+ *     createdAt, updatedAt                                // epoch milliseconds
+ *   }
+ *
+ * See customSignMatcher.js for the feature format and how examples are matched.
+ */
+
+import { openDatabase, withStore } from './indexedDb';
+import { CUSTOM_SIGN_FEATURE_SIZE, MAX_CUSTOM_SIGN_EXAMPLES } from './customSignMatcher';
+
+const DB_NAME = 'sign-language-custom-signs';
+const DB_VERSION = 1;
+const STORE_NAME = 'signs';
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('userId', 'userId');
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Custom signs of a user, sorted by label
+ *
+ * @param {string} userId - Firebase uid (null lists signs recorded while signed out)
+ * @returns {Promise<Array<Object>>} Custom signs
+ */
+export async function getCustomSigns(userId = null) {
+  // null is not a valid IndexedDB key, so the userId index cannot be used for signed-out signs
+  const entries = userId !== null
+    ? await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.index('userId').getAll(userId))
+    : (await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.getAll()))
+      .filter(entry => entry.userId === null);
+
+  return entries.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Add a recorded example to a user's custom sign, creating the sign if needed
+ *
+ * Only the newest MAX_CUSTOM_SIGN_EXAMPLES examples of a sign are kept.
+ *
+ * @param {string} userId - Firebase uid of the signed-in user
+ * @param {string} label - Sign label
+ * @param {Object} example - Window from the sample recorder ({ frames, handedness })
+ * @returns {Promise<Object>} The updated sign
+ * @throws {Error} If the label is empty or the frames are not in the custom sign feature format
+ */
+export async function addCustomSignExample(userId, label, example) {
+  const trimmed = label.trim();
+  if (!trimmed) {
+    throw new Error('A custom sign needs a label');
+  }
+  if (example.frames.length === 0 || example.frames.some(frame => frame.length !== CUSTOM_SIGN_FEATURE_SIZE)) {
+    throw new Error(`Custom sign frames must have ${CUSTOM_SIGN_FEATURE_SIZE} values`);
+  }
+
+  const signs = await getCustomSigns(userId);
+  const existing = signs.find(sign => sign.label === trimmed);
+  const now = Date.now();
+
+  const entry = {
+    ...(existing || { id: createId(), userId, label: trimmed, examples: [], createdAt: now }),
+    updatedAt: now
+  };
+  entry.examples = [
+    ...entry.examples,
+    { id: createId(), frames: example.frames, handedness: example.handedness || null, createdAt: now }
+  ].slice(-MAX_CUSTOM_SIGN_EXAMPLES);
+
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.put(entry));
+  return entry;
+}
+
+/**
+ * Delete a custom sign with all its examples
+ *
+ * @param {string} id - Sign id
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomSign(id) {
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,92 @@
+/**
+ * Export of recorded landmark samples for the Keras training pipeline.
+ *
+ * ZIP layout:
+ *
+ *   dataset.json            manifest: labels, input shape, feature mode, sample list with splits
+ *   X.npy                   float32 [numSamples, frameCount, featureSize]
+ *   y.npy                   int32 [numSamples], index into dataset.json "labels"
+ *   samples/<label>/<id>.json  every sample with its handedness and frame timestamps
+ */
+
+import JSZip from 'jszip';
+import { encodeNpy } from './npy';
+
+export const DATASET_FORMAT = 'sign-language-dataset';
+export const DATASET_VERSION = 1;
+
+const sameShape = (a, b) => a.length === b.length && a.every((dim, i) => dim === b[i]);
+
+// Label as a file name component
+const toFolderName = (label) => label.replace(/[^\w.-]+/g, '_');
+
+/**
+ * Build the dataset ZIP
+ *
+ * @param {Array<Object>} samples - Samples from the dataset store
+ * @returns {Promise<Blob>} ZIP file
+ * @throws {Error} If there are no samples or they were recorded with different shapes or feature modes
+ */
+export async function exportDataset(samples) {
+  if (samples.length === 0) {
+    throw new Error('The dataset has no samples to export');
+  }
+
+  const { inputShape, featureMode } = samples[0];
+  const mismatch = samples.find(sample =>
+    !sameShape(sample.inputShape, inputShape) ||
+    JSON.stringify(sample.featureMode) !== JSON.stringify(featureMode)
+  );
+  if (mismatch) {
+    throw new Error(
+      `Sample ${mismatch.id} was recorded with a different input shape or feature mode; ` +
+      'delete it or export the samples separately'
+    );
+  }
+
+  const labels = [...new Set(samples.map(sample => sample.label))].sort();
+  const [frameCount, featureSize] = inputShape;
+  const windowSize = frameCount * featureSize;
+
+  const features = new Float32Array(samples.length * windowSize);
+  const targets = new Int32Array(samples.length);
+
+  samples.forEach((sample, sampleIndex) => {
+    sample.frames.forEach((frame, frameIndex) => {
+      features.set(frame, sampleIndex * windowSize + frameIndex * featureSize);
+    });
+    targets[sampleIndex] = labels.indexOf(sample.label);
+  });
+
+  const zip = new JSZip();
+  const files = samples.map(sample => `samples/${toFolderName(sample.label)}/${sample.id}.json`);
+
+  zip.file('dataset.json', JSON.stringify({
+    format: DATASET_FORMAT,
+    version: DATASET_VERSION,
+    exportedAt: new Date().toISOString(),
+    labels,
+    inputShape,
+    featureMode,
+    counts: labels.reduce((counts, label) => {
+      counts[label] = samples.filter(sample => sample.label === label).length;
+      return counts;
+    }, {}),
+    samples: samples.map((sample, index) => ({
+      id: sample.id,
+      label: sample.label,
+      labelIndex: targets[index],
+      split: sample.split || null,
+      file: files[index],
+      createdAt: sample.createdAt
+    }))
+  }, null, 2));
+  zip.file('X.npy', encodeNpy(features, [samples.length, frameCount, featureSize], 'float32'));
+  zip.file('y.npy', encodeNpy(targets, [samples.length], 'int32'));
+
+  samples.forEach((sample, index) => {
+    zip.file(files[index], JSON.stringify(sample));
+  });
+
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
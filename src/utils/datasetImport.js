@@ -0,0 +1,340 @@
+/**
+ * Import of external landmark datasets into the sample schema of datasetStore.
+ *
+ * JSON: a list of samples, { featureMode, inputShape, samples: [...] }, or one
+ * sample (as in the samples/ folder of a dataset export). Each sample has a
+ * label and either
+ *   frames:    [[featureSize numbers], ...] already in the dataset's feature mode, or
+ *   landmarks: [[hand, ...], ...] per frame, each hand 21 [x, y, z] or { x, y, z } points
+ *              in image coordinates (optional "handedness": [["Left", "Right"], ...])
+ *
+ * CSV: one row per frame with a header. Required columns are sample_id and
+ * label; frame (order within the sample) and split are optional; every other
+ * column is a feature value, in order.
+ *
+ * Sequences of a different length are resampled to the dataset's frame count.
+ */
+
+import {
+  DEFAULT_FEATURE_MODE,
+  getFeatureLayout,
+  landmarksToFeatures,
+  normalizeFeatureMode
+} from './landmarkFeatures';
+import { SAMPLE_SPLITS } from './datasetStore';
+import { UNKNOWN_LABEL } from './openSetRejection';
+
+const CSV_META_COLUMNS = ['sample_id', 'label', 'frame', 'split'];
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, without empty lines
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Short stable id for a sample without one, so importing a file twice does not duplicate it
+ */
+const contentId = (label, frames) => {
+  // FNV-1a over the label and the rounded values
+  let hash = 0x811c9dc5;
+  const text = `${label}|${frames.map(frame => frame.map(v => v.toFixed(5)).join(',')).join(';')}`;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `import-${hash.toString(36)}`;
+};
+
+/**
+ * Nearest-frame resampling of a sequence to a fixed length
+ */
+const resample = (sequence, length) => {
+  if (sequence.length === length) return sequence;
+  if (length === 1) return [sequence[0]];
+  return Array.from({ length }, (_, i) => sequence[Math.round((i * (sequence.length - 1)) / (length - 1))]);
+};
+
+const toPoint = (point, path) => {
+  const [x, y, z = 0] = Array.isArray(point) ? point : [point.x, point.y, point.z];
+  if (![x, y, z].every(value => typeof value === 'number' && Number.isFinite(value))) {
+    throw new Error(`${path} must be [x, y, z] or { x, y, z } numbers`);
+  }
+  return { x, y, z };
+};
+
+/**
+ * Feature frames of one JSON sample, extracted in the dataset's feature mode
+ */
+const framesFromJsonSample = (sample, path, { featureSize, featureMode }) => {
+  if (Array.isArray(sample.frames)) {
+    return sample.frames.map((frame, frameIndex) => {
+      if (!Array.isArray(frame) || frame.length !== featureSize ||
+          !frame.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        throw new Error(`${path}.frames[${frameIndex}] must be ${featureSize} numbers`);
+      }
+      return frame;
+    });
+  }
+
+  if (Array.isArray(sample.landmarks)) {
+    const layout = getFeatureLayout(featureSize);
+
+    return sample.landmarks.map((hands, frameIndex) => {
+      const framePath = `${path}.landmarks[${frameIndex}]`;
+      if (!Array.isArray(hands)) {
+        throw new Error(`${framePath} must be a list of hands`);
+      }
+
+      const frameHandedness = (sample.handedness && sample.handedness[frameIndex]) || [];
+      const result = {
+        landmarks: hands.map((hand, handIndex) => {
+          if (!Array.isArray(hand) || hand.length !== 21) {
+            throw new Error(`${framePath}[${handIndex}] must have 21 landmarks`);
+          }
+          return hand.map((point, pointIndex) => toPoint(point, `${framePath}[${handIndex}][${pointIndex}]`));
+        }),
+        handednesses: hands.map((_, handIndex) => (
+          frameHandedness[handIndex] ? [{ categoryName: frameHandedness[handIndex] }] : []
+        ))
+      };
+
+      return landmarksToFeatures(result, layout, featureMode);
+    });
+  }
+
+  throw new Error(`${path} needs "frames" or "landmarks"`);
+};
+
+/**
+ * Turn one parsed sample into the dataset schema
+ */
+const toSample = (raw, path, target) => {
+  const [frameCount] = target.inputShape;
+
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`${path} must be an object`);
+  }
+  if (typeof raw.label !== 'string' || !raw.label.trim()) {
+    throw new Error(`${path}.label must be a non-empty string`);
+  }
+  // The live recognizer adds this label as the class of rejected windows
+  if (raw.label.trim() === UNKNOWN_LABEL) {
+    throw new Error(`${path}.label "${UNKNOWN_LABEL}" is reserved for unrecognized signs`);
+  }
+  if (raw.split && !Object.values(SAMPLE_SPLITS).includes(raw.split)) {
+    throw new Error(`${path}.split must be one of ${Object.values(SAMPLE_SPLITS).join(', ')}`);
+  }
+
+  const frames = framesFromJsonSample(raw, path, {
+    featureSize: target.inputShape[1],
+    featureMode: target.featureMode
+  });
+  if (frames.length === 0) {
+    throw new Error(`${path} has no frames`);
+  }
+
+  const label = raw.label.trim();
+  const resampledFrames = resample(frames, frameCount);
+
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : contentId(label, resampledFrames),
+    label,
+    frames: resampledFrames,
+    handedness: Array.isArray(raw.handedness) && raw.handedness.length === frames.length
+      ? resample(raw.handedness, frameCount)
+      : null,
+    timestamps: Array.isArray(raw.timestamps) && raw.timestamps.length === frames.length
+      ? resample(raw.timestamps, frameCount)
+      : null,
+    featureMode: target.featureMode,
+    inputShape: target.inputShape,
+    split: raw.split || null,
+    source: 'imported'
+  };
+};
+
+const sameFeatureMode = (a, b) => ['coordinates', 'scale', 'handSlots'].every(key => a[key] === b[key]);
+
+/**
+ * Parse a JSON landmark dataset
+ *
+ * @param {string} text - File contents
+ * @param {Object} target - Schema of the dataset being imported into
+ * @param {Array<number>} target.inputShape - [frameCount, featureSize]
+ * @param {Object} target.featureMode - Feature mode of the dataset
+ * @param {string} source - File name, for error messages
+ * @returns {Array<Object>} Samples in the dataset schema
+ * @throws {Error} If the file does not match the schema
+ */
+export function parseDatasetJson(text, target, source = 'file') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new Error(`${source} is not a sign language dataset`);
+  }
+
+  const rawSamples = Array.isArray(data) ? data : (Array.isArray(data.samples) ? data.samples : [data]);
+
+  // Precomputed frames must come from the same feature extraction as the dataset
+  if (!Array.isArray(data) && data.featureMode && rawSamples.some(sample => Array.isArray(sample.frames))) {
+    const fileMode = normalizeFeatureMode(data.featureMode);
+    if (!sameFeatureMode(fileMode, target.featureMode)) {
+      throw new Error(`${source} was extracted with a different feature mode than this dataset`);
+    }
+  }
+
+  return rawSamples.map((sample, index) => {
+    // Per-sample files from a dataset export carry their own feature mode
+    if (sample && sample.featureMode && Array.isArray(sample.frames) &&
+        !sameFeatureMode(normalizeFeatureMode(sample.featureMode), target.featureMode)) {
+      throw new Error(`${source}: samples[${index}] was extracted with a different feature mode than this dataset`);
+    }
+    return toSample(sample, `${source}: samples[${index}]`, target);
+  });
+}
+
+/**
+ * Parse a CSV landmark dataset (one row per frame)
+ *
+ * @param {string} text - File contents
+ * @param {Object} target - Schema of the dataset being imported into ({ inputShape, featureMode })
+ * @param {string} source - File name, for error messages
+ * @returns {Array<Object>} Samples in the dataset schema
+ * @throws {Error} If the file does not match the schema
+ */
+export function parseDatasetCsv(text, target, source = 'file') {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error(`${source} is empty`);
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  ['sample_id', 'label'].forEach(required => {
+    if (!columns.includes(required)) {
+      throw new Error(`${source} needs a "${required}" column`);
+    }
+  });
+
+  const featureColumns = columns
+    .map((name, index) => ({ name, index }))
+    .filter(({ name }) => !CSV_META_COLUMNS.includes(name));
+  const [, featureSize] = target.inputShape;
+  if (featureColumns.length !== featureSize) {
+    throw new Error(`${source} has ${featureColumns.length} feature columns; this dataset needs ${featureSize}`);
+  }
+
+  const column = (row, name) => row[columns.indexOf(name)];
+  const groups = new Map();
+
+  rows.forEach((row, rowIndex) => {
+    const line = rowIndex + 2;
+    const id = (column(row, 'sample_id') || '').trim();
+    if (!id) {
+      throw new Error(`${source} line ${line}: sample_id is empty`);
+    }
+
+    const frame = featureColumns.map(({ name, index }) => {
+      const value = Number(row[index]);
+      if (row[index] === undefined || row[index].trim() === '' || !Number.isFinite(value)) {
+        throw new Error(`${source} line ${line}: ${name} is not a number`);
+      }
+      return value;
+    });
+
+    if (!groups.has(id)) {
+      groups.set(id, {
+        id,
+        label: column(row, 'label'),
+        split: columns.includes('split') ? (column(row, 'split') || '').trim() || null : null,
+        rows: []
+      });
+    }
+    let order = rowIndex;
+    if (columns.includes('frame')) {
+      const value = column(row, 'frame');
+      order = Number(value);
+      if (value === undefined || value.trim() === '' || !Number.isFinite(order)) {
+        throw new Error(`${source} line ${line}: frame is not a number`);
+      }
+    }
+
+    groups.get(id).rows.push({ order, frame });
+  });
+
+  return [...groups.values()].map(group => toSample({
+    id: group.id,
+    label: group.label,
+    split: group.split,
+    frames: group.rows.sort((a, b) => a.order - b.order).map(r => r.frame)
+  }, `${source}: sample ${group.id}`, target));
+}
+
+/**
+ * Read samples from a JSON or CSV file
+ *
+ * @param {File} file - Selected file
+ * @param {Object} target - Schema of the dataset ({ inputShape, featureMode }); feature mode defaults to raw
+ * @returns {Promise<Array<Object>>} Samples in the dataset schema
+ * @throws {Error} If the file type is not supported or the contents are invalid
+ */
+export async function readDatasetFile(file, { inputShape, featureMode = DEFAULT_FEATURE_MODE }) {
+  const target = { inputShape, featureMode: normalizeFeatureMode(featureMode) };
+  const text = await file.text();
+
+  if (/\.json$/i.test(file.name)) {
+    return parseDatasetJson(text, target, file.name);
+  }
+  if (/\.csv$/i.test(file.name)) {
+    return parseDatasetCsv(text, target, file.name);
+  }
+
+  throw new Error(`${file.name}: only .json and .csv datasets can be imported`);
+}
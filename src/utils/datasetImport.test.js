@@ -0,0 +1,124 @@
+import { parseCsv, parseDatasetCsv, parseDatasetJson } from './datasetImport';
+import { normalizeFeatureMode } from './landmarkFeatures';
+
+// Three frames of four values keep the fixtures short
+const TARGET = { inputShape: [3, 4], featureMode: normalizeFeatureMode() };
+
+const frames = (count, start = 0) => Array.from({ length: count }, (_, i) => [start + i, 0.5, 0.25, 1]);
+
+const toJson = (data) => JSON.stringify(data);
+
+describe('parseCsv', () => {
+  test('keeps commas, quotes and line breaks inside quoted fields', () => {
+    expect(parseCsv('a,"b, c","say ""hi"""\r\n"two\nlines",,x\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['two\nlines', '', 'x']
+    ]);
+  });
+
+  test('drops empty lines', () => {
+    expect(parseCsv('a,b\n\n1,2\n\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseDatasetCsv', () => {
+  const header = 'sample_id,label,frame,split,f1,f2,f3,f4';
+
+  test('groups rows into samples ordered by frame', () => {
+    const csv = [
+      header,
+      's1,"Thank you, friend",2,train,2,0.5,0.25,1',
+      's1,"Thank you, friend",0,train,0,0.5,0.25,1',
+      's1,"Thank you, friend",1,train,1,0.5,0.25,1',
+      's2,Yes,0,,9,9,9,9'
+    ].join('\n');
+
+    const [first, second] = parseDatasetCsv(csv, TARGET, 'data.csv');
+
+    expect(first).toMatchObject({ id: 's1', label: 'Thank you, friend', split: 'train', frames: frames(3), source: 'imported' });
+    // A single frame is repeated to the dataset's frame count
+    expect(second).toMatchObject({ id: 's2', label: 'Yes', split: null, frames: [[9, 9, 9, 9], [9, 9, 9, 9], [9, 9, 9, 9]] });
+  });
+
+  test('needs one feature column per feature', () => {
+    expect(() => parseDatasetCsv('sample_id,label,f1,f2\ns1,Yes,1,2', TARGET, 'data.csv'))
+      .toThrow('data.csv has 2 feature columns; this dataset needs 4');
+    expect(() => parseDatasetCsv('label,f1,f2,f3,f4\nYes,1,2,3,4', TARGET, 'data.csv'))
+      .toThrow('data.csv needs a "sample_id" column');
+  });
+
+  test('names the line of a value that is not a number', () => {
+    expect(() => parseDatasetCsv(`${header}\ns1,Yes,0,,1,2,3,4\ns1,Yes,1,,1,,3,4`, TARGET, 'data.csv'))
+      .toThrow('data.csv line 3: f2 is not a number');
+    expect(() => parseDatasetCsv(`${header}\ns1,Yes,first,,1,2,3,4`, TARGET, 'data.csv'))
+      .toThrow('data.csv line 2: frame is not a number');
+  });
+
+  test('rejects labels the dataset cannot use', () => {
+    expect(() => parseDatasetCsv(`${header}\ns1,,0,,1,2,3,4`, TARGET, 'data.csv'))
+      .toThrow('data.csv: sample s1.label must be a non-empty string');
+    expect(() => parseDatasetCsv(`${header}\ns1,unknown,0,,1,2,3,4`, TARGET, 'data.csv'))
+      .toThrow('data.csv: sample s1.label "unknown" is reserved for unrecognized signs');
+    expect(() => parseDatasetCsv(`${header}\ns1,Yes,0,test,1,2,3,4`, TARGET, 'data.csv'))
+      .toThrow('data.csv: sample s1.split must be one of');
+  });
+});
+
+describe('parseDatasetJson', () => {
+  test('reads a list of samples and resamples them to the frame count', () => {
+    const [sample] = parseDatasetJson(toJson({ samples: [{ label: 'Yes', frames: frames(5) }] }), TARGET, 'data.json');
+
+    expect(sample.frames).toEqual([frames(5)[0], frames(5)[2], frames(5)[4]]);
+    expect(sample.inputShape).toEqual([3, 4]);
+    // Without an id the content decides it, so importing the file twice does not duplicate the sample
+    expect(sample.id).toMatch(/^import-/);
+    expect(parseDatasetJson(toJson([{ label: 'Yes', frames: frames(5) }]), TARGET)[0].id).toBe(sample.id);
+  });
+
+  test('turns landmarks into features', () => {
+    const hand = Array.from({ length: 21 }, (_, i) => [i / 100, 0.5, 0]);
+    const [sample] = parseDatasetJson(
+      toJson({ label: 'Hello', landmarks: [[hand], [hand]] }),
+      { inputShape: [2, 126], featureMode: normalizeFeatureMode() }
+    );
+
+    expect(sample.frames).toHaveLength(2);
+    expect(sample.frames[0]).toHaveLength(126);
+    expect(sample.frames[0].slice(0, 6)).toEqual([0, 0.5, 0, 0.01, 0.5, 0]);
+  });
+
+  test('rejects JSON that is not a dataset', () => {
+    expect(() => parseDatasetJson('{"samples": [', TARGET, 'data.json')).toThrow('data.json is not valid JSON');
+    ['null', '42', '"samples"'].forEach(text => {
+      expect(() => parseDatasetJson(text, TARGET, 'data.json')).toThrow('data.json is not a sign language dataset');
+    });
+    expect(() => parseDatasetJson('[1]', TARGET, 'data.json')).toThrow('data.json: samples[0] must be an object');
+  });
+
+  test('rejects frames and landmarks of the wrong shape', () => {
+    const parse = (sample) => () => parseDatasetJson(toJson([sample]), TARGET, 'data.json');
+
+    expect(parse({ label: 'Yes', frames: [[1, 2, 3]] })).toThrow('data.json: samples[0].frames[0] must be 4 numbers');
+    expect(parse({ label: 'Yes', frames: [[1, 2, 3, 'x']] })).toThrow('samples[0].frames[0] must be 4 numbers');
+    expect(parse({ label: 'Yes', frames: [] })).toThrow('data.json: samples[0] has no frames');
+    expect(parse({ label: 'Yes' })).toThrow('samples[0] needs "frames" or "landmarks"');
+
+    const target = { inputShape: [2, 126], featureMode: normalizeFeatureMode() };
+    const shortHand = Array.from({ length: 20 }, () => [0, 0, 0]);
+    expect(() => parseDatasetJson(toJson({ label: 'Yes', landmarks: [[shortHand]] }), target, 'data.json'))
+      .toThrow('data.json: samples[0].landmarks[0][0] must have 21 landmarks');
+  });
+
+  test('rejects labels the dataset cannot use', () => {
+    expect(() => parseDatasetJson(toJson([{ label: 3, frames: frames(3) }]), TARGET, 'data.json'))
+      .toThrow('data.json: samples[0].label must be a non-empty string');
+    expect(() => parseDatasetJson(toJson([{ label: ' unknown ', frames: frames(3) }]), TARGET, 'data.json'))
+      .toThrow('samples[0].label "unknown" is reserved for unrecognized signs');
+  });
+
+  test('rejects frames extracted with another feature mode', () => {
+    const text = toJson({ featureMode: { coordinates: 'wrist-relative' }, samples: [{ label: 'Yes', frames: frames(3) }] });
+    expect(() => parseDatasetJson(text, TARGET, 'data.json'))
+      .toThrow('data.json was extracted with a different feature mode than this dataset');
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Landmark training samples recorded on this device, kept in IndexedDB.
+ *
+ * Each sample is one model input window:
+ *
+ *   {
+ *     id, label,
+ *     frames,        // [frameCount][featureSize] feature vectors
+ *     handedness,    // [frameCount][numHands] "Left" | "Right" | null per hand slot
+ *     timestamps,    // [frameCount] milliseconds from the first frame
+ *     featureMode,   // feature mode the frames were extracted with
+ *     inputShape,    // [frameCount, featureSize]
+ *     modelVersion,  // model loaded while recording, if known
+ *     split,         // 'train' | 'validation' | null (not assigned yet)
+ *     source,        // 'recorded' | 'imported'
+ *     createdAt      // epoch milliseconds
+ *   }
+ */
+
+import { openDatabase, withStore } from './indexedDb';
+
+const DB_NAME = 'sign-language-dataset';
+const DB_VERSION = 1;
+const STORE_NAME = 'samples';
+
+export const SAMPLE_SPLITS = {
+  TRAIN: 'train',
+  VALIDATION: 'validation'
+};
+
+// Input shape of the bundled model, used until the dataset has samples of its own
+export const DEFAULT_INPUT_SHAPE = [30, 126];
+
+// Below this many samples a class is reported as too small to train on
+export const MIN_SAMPLES_PER_CLASS = 10;
+
+// Largest class may be at most this many times the smallest before the dataset counts as imbalanced
+export const MAX_CLASS_IMBALANCE = 2;
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('label', 'label');
+      store.createIndex('createdAt', 'createdAt');
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Check a sample against its input shape and fill in optional fields
+ */
+const toEntry = (sample) => {
+  const [frameCount, featureSize] = sample.inputShape;
+
+  if (sample.frames.length !== frameCount || sample.frames.some(frame => frame.length !== featureSize)) {
+    throw new Error(`Sample frames do not match the input shape [${frameCount}, ${featureSize}]`);
+  }
+  if (sample.split && !Object.values(SAMPLE_SPLITS).includes(sample.split)) {
+    throw new Error(`Invalid sample split "${sample.split}"`);
+  }
+
+  return {
+    ...sample,
+    id: sample.id || createId(),
+    modelVersion: sample.modelVersion || null,
+    split: sample.split || null,
+    source: sample.source || 'recorded',
+    createdAt: sample.createdAt || Date.now()
+  };
+};
+
+/**
+ * Save a recorded window
+ *
+ * @param {Object} sample - Window from the sample recorder plus featureMode, inputShape and modelVersion
+ * @returns {Promise<Object>} The stored sample
+ * @throws {Error} If the frames do not match the input shape
+ */
+export async function addSample(sample) {
+  const entry = toEntry(sample);
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.put(entry));
+  return entry;
+}
+
+/**
+ * Save several samples, skipping ids that are already stored
+ *
+ * @param {Array<Object>} samples - Samples to add
+ * @returns {Promise<{added: number, skipped: number}>} How many were added and how many already existed
+ * @throws {Error} If any sample does not match its input shape (nothing is saved)
+ */
+export async function addSamples(samples) {
+  const entries = samples.map(toEntry);
+  let added = 0;
+  let skipped = 0;
+
+  for (const entry of entries) {
+    const existing = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.getKey(entry.id));
+    if (existing !== undefined) {
+      skipped++;
+    } else {
+      await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.add(entry));
+      added++;
+    }
+  }
+
+  return { added, skipped };
+}
+
+/**
+ * Change the label or split of a sample
+ *
+ * @param {string} id - Sample id
+ * @param {Object} changes - Fields to change ({ label, split })
+ * @returns {Promise<Object>} The updated sample
+ * @throws {Error} If the sample does not exist or a value is invalid
+ */
+export async function updateSample(id, changes) {
+  const sample = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.get(id));
+  if (!sample) {
+    throw new Error(`Sample ${id} does not exist`);
+  }
+
+  const updated = { ...sample };
+  if (changes.label !== undefined) {
+    const label = changes.label.trim();
+    if (!label) {
+      throw new Error('Label cannot be empty');
+    }
+    updated.label = label;
+  }
+  if (changes.split !== undefined) {
+    updated.split = changes.split;
+  }
+
+  const entry = toEntry(updated);
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.put(entry));
+  return entry;
+}
+
+/**
+ * Randomly assign samples to train and validation, stratified by label
+ *
+ * Every label with at least two samples gets at least one validation sample.
+ *
+ * @param {number} validationFraction - Share of each label's samples to put in validation (0-1)
+ * @param {Object} options - Split options
+ * @param {boolean} options.onlyUnassigned - Keep the split of samples that already have one
+ * @returns {Promise<Object>} Map of label to { train, validation } counts
+ */
+export async function assignSplits(validationFraction, { onlyUnassigned = false } = {}) {
+  if (!(validationFraction >= 0 && validationFraction < 1)) {
+    throw new Error(`Invalid validation fraction: ${validationFraction}`);
+  }
+
+  const samples = await getSamples();
+  const byLabel = samples.reduce((groups, sample) => {
+    (groups[sample.label] = groups[sample.label] || []).push(sample);
+    return groups;
+  }, {});
+  const summary = {};
+
+  for (const [label, group] of Object.entries(byLabel)) {
+    const candidates = onlyUnassigned ? group.filter(sample => !sample.split) : [...group];
+
+    // Fisher-Yates shuffle
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    let validationCount = Math.round(candidates.length * validationFraction);
+    if (validationFraction > 0 && validationCount === 0 && candidates.length >= 2) {
+      validationCount = 1;
+    }
+
+    candidates.forEach((sample, index) => {
+      sample.split = index < validationCount ? SAMPLE_SPLITS.VALIDATION : SAMPLE_SPLITS.TRAIN;
+    });
+
+    summary[label] = {
+      train: group.filter(sample => sample.split === SAMPLE_SPLITS.TRAIN).length,
+      validation: group.filter(sample => sample.split === SAMPLE_SPLITS.VALIDATION).length
+    };
+  }
+
+  const db = await getDatabase();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    samples.forEach(sample => store.put(sample));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+  return summary;
+}
+
+/**
+ * Warnings about classes that are too small or out of balance
+ *
+ * @param {Object} counts - Map of label to sample count (see getLabelCounts)
+ * @returns {Array<{label: string|null, message: string}>} Warnings; label is null for dataset-wide ones
+ */
+export function getBalanceWarnings(counts) {
+  const entries = Object.entries(counts);
+  const warnings = [];
+
+  if (entries.length === 1) {
+    warnings.push({ label: null, message: 'Only one label recorded; a classifier needs at least two' });
+  }
+
+  entries
+    .filter(([, count]) => count < MIN_SAMPLES_PER_CLASS)
+    .forEach(([label, count]) => {
+      warnings.push({ label, message: `Only ${count} sample(s); record at least ${MIN_SAMPLES_PER_CLASS}` });
+    });
+
+  if (entries.length > 1) {
+    const sizes = entries.map(([, count]) => count);
+    const largest = Math.max(...sizes);
+    const smallest = Math.min(...sizes);
+
+    if (smallest > 0 && largest / smallest > MAX_CLASS_IMBALANCE) {
+      const [largestLabel] = entries.find(([, count]) => count === largest);
+      const [smallestLabel] = entries.find(([, count]) => count === smallest);
+      warnings.push({
+        label: null,
+        message: `Classes are imbalanced: "${largestLabel}" has ${largest} samples but "${smallestLabel}" only ${smallest}`
+      });
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Recorded samples, oldest first
+ *
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.label - Only samples of this label
+ * @returns {Promise<Array<Object>>} Samples
+ */
+export async function getSamples({ label = null } = {}) {
+  const samples = label !== null
+    ? await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.index('label').getAll(label))
+    : await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.getAll());
+
+  return samples.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Number of samples per label
+ *
+ * @returns {Promise<Object>} Map of label to sample count
+ */
+export async function getLabelCounts() {
+  const samples = await getSamples();
+  return samples.reduce((counts, sample) => {
+    counts[sample.label] = (counts[sample.label] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Delete one sample
+ *
+ * @param {string} id - Sample id
+ * @returns {Promise<void>}
+ */
+export async function deleteSample(id) {
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Delete every recorded sample
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearDataset() {
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.clear());
+}
@@ -0,0 +1,166 @@
+/**
+ * Export of model evaluation reports (see modelEvaluation.js).
+ *
+ * Formats:
+ *   json - the full report, including per-sample predictions; can be loaded
+ *          again to compare model versions
+ *   html - a self-contained page with the summary, per-class table, confusion
+ *          matrix heatmap, calibration curve and latency, for sharing
+ */
+
+export const REPORT_FORMATS = {
+  JSON: 'json',
+  HTML: 'html'
+};
+
+const MIME_TYPES = {
+  [REPORT_FORMATS.JSON]: 'application/json',
+  [REPORT_FORMATS.HTML]: 'text/html'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+const formatMs = (value) => (value === null || value === undefined ? '–' : `${value.toFixed(1)} ms`);
+
+// Share of a row in the confusion matrix to a blue background
+const heatColor = (share) => `rgba(33, 150, 243, ${(0.08 + share * 0.82).toFixed(3)})`;
+
+const renderConfusionMatrix = ({ labels, matrix }) => {
+  const header = labels.map(label => `<th class="col">${escapeHtml(label)}</th>`).join('');
+  const rows = matrix.map((row, i) => {
+    const total = row.reduce((sum, count) => sum + count, 0);
+    const cells = row.map((count, j) => {
+      const share = total > 0 ? count / total : 0;
+      const style = count > 0 ? ` style="background:${heatColor(share)};${share > 0.5 ? 'color:#fff;' : ''}"` : '';
+      const title = `${labels[i]} → ${labels[j]}: ${count}`;
+      return `<td${style} title="${escapeHtml(title)}" class="${i === j ? 'diag' : ''}">${count || ''}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(labels[i])}</th>${cells}</tr>`;
+  }).join('');
+
+  return `<table class="matrix"><thead><tr><th>true \\ predicted</th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+};
+
+const renderCalibration = ({ bins }) => {
+  const size = 280;
+  const pad = 32;
+  const scale = (value) => pad + value * (size - 2 * pad);
+  const flip = (value) => size - scale(value);
+  const filled = bins.filter(bin => bin.count > 0);
+  const points = filled.map(bin => `${scale(bin.confidence).toFixed(1)},${flip(bin.accuracy).toFixed(1)}`).join(' ');
+  const dots = filled.map(bin =>
+    `<circle cx="${scale(bin.confidence).toFixed(1)}" cy="${flip(bin.accuracy).toFixed(1)}" r="3.5" fill="#2196f3"><title>${formatPercent(bin.from)}–${formatPercent(bin.to)}: ${bin.count} samples, accuracy ${formatPercent(bin.accuracy)}</title></circle>`
+  ).join('');
+
+  return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">`
+    + `<rect x="${pad}" y="${pad}" width="${size - 2 * pad}" height="${size - 2 * pad}" fill="none" stroke="#ccc"/>`
+    + `<line x1="${scale(0)}" y1="${flip(0)}" x2="${scale(1)}" y2="${flip(1)}" stroke="#aaa" stroke-dasharray="4 4"/>`
+    + (filled.length > 1 ? `<polyline points="${points}" fill="none" stroke="#2196f3" stroke-width="2"/>` : '')
+    + dots
+    + `<text x="${size / 2}" y="${size - 8}" text-anchor="middle" font-size="11">confidence</text>`
+    + `<text x="12" y="${size / 2}" text-anchor="middle" font-size="11" transform="rotate(-90 12 ${size / 2})">accuracy</text>`
+    + '</svg>';
+};
+
+/**
+ * Standalone HTML page of a report
+ *
+ * @param {Object} report - Evaluation report
+ * @returns {string} HTML document
+ */
+export function reportToHtml(report) {
+  const { model, dataset, summary, perClass, confusionMatrix, calibration, latency } = report;
+  const title = `Evaluation of ${model.version || 'sign model'}`;
+
+  const summaryRows = [
+    ['Accuracy', formatPercent(summary.accuracy)],
+    [`Top-${summary.topK} accuracy`, formatPercent(summary.topKAccuracy)],
+    ['Macro precision', formatPercent(summary.macroPrecision)],
+    ['Macro recall', formatPercent(summary.macroRecall)],
+    ['Macro F1', formatPercent(summary.macroF1)],
+    ['Expected calibration error', formatPercent(calibration.ece)]
+  ].map(([name, value]) => `<tr><th>${name}</th><td>${value}</td></tr>`).join('');
+
+  const classRows = perClass.map(metrics => `<tr><th>${escapeHtml(metrics.label)}</th>`
+    + `<td>${formatPercent(metrics.precision)}</td><td>${formatPercent(metrics.recall)}</td>`
+    + `<td>${formatPercent(metrics.f1)}</td><td>${metrics.support}</td></tr>`).join('');
+
+  const skipped = Object.entries(dataset.skipped || {})
+    .map(([reason, { count }]) => `${count} (${escapeHtml(reason)})`)
+    .join(', ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 32px; color: #222; }
+  h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 32px; }
+  table { border-collapse: collapse; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: right; }
+  th { text-align: left; background: #f7f7f7; }
+  .matrix td { min-width: 28px; text-align: center; }
+  .matrix td.diag { font-weight: bold; }
+  .matrix th.col { writing-mode: vertical-rl; transform: rotate(180deg); }
+  .meta { color: #666; font-size: 13px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">
+  Created ${escapeHtml(new Date(report.createdAt).toLocaleString())}<br>
+  Model: ${escapeHtml(model.version || 'unknown version')}${model.source ? ` (${escapeHtml(model.source)})` : ''},
+  ${model.labels.length} classes, input [${model.inputShape.join(', ')}]<br>
+  Dataset: ${escapeHtml(dataset.name)}, ${dataset.evaluatedCount} of ${dataset.sampleCount} samples evaluated${skipped ? `, skipped ${skipped}` : ''}
+</p>
+<h2>Summary</h2>
+<table>${summaryRows}</table>
+<h2>Per class</h2>
+<table><thead><tr><th>Label</th><th>Precision</th><th>Recall</th><th>F1</th><th>Support</th></tr></thead><tbody>${classRows}</tbody></table>
+<h2>Confusion matrix</h2>
+${renderConfusionMatrix(confusionMatrix)}
+<h2>Calibration</h2>
+${renderCalibration(calibration)}
+<h2>Latency</h2>
+<table>
+  <tr><th>Mean</th><td>${formatMs(latency.mean)}</td></tr>
+  <tr><th>Median</th><td>${formatMs(latency.median)}</td></tr>
+  <tr><th>95th percentile</th><td>${formatMs(latency.p95)}</td></tr>
+  <tr><th>Min / max</th><td>${formatMs(latency.min)} / ${formatMs(latency.max)}</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Report as a file to download
+ *
+ * @param {Object} report - Evaluation report
+ * @param {string} format - One of REPORT_FORMATS
+ * @returns {{blob: Blob, fileName: string}} File to download
+ * @throws {Error} If the format is not supported
+ */
+export function exportReport(report, format) {
+  if (!MIME_TYPES[format]) {
+    throw new Error(`Unsupported report format: ${format}`);
+  }
+
+  const content = format === REPORT_FORMATS.JSON
+    ? JSON.stringify(report, null, 2)
+    : reportToHtml(report);
+  const version = (report.model.version || 'model').replace(/[^A-Za-z0-9._-]+/g, '_');
+  const stamp = report.createdAt.replace(/[:.]/g, '-');
+
+  return {
+    blob: new Blob([content], { type: MIME_TYPES[format] }),
+    fileName: `evaluation-${version}-${stamp}.${format}`
+  };
+}
@@ -1,97 +1,370 @@
 /**
- * Utility script to generate a binary weight file for the local model.
- * This creates a properly formatted weight file that matches the structure
- * defined in the model.json file.
+ * Utility script to generate reproducible weights for a TF.js layers model.
+ *
+ *   node src/utils/generateModelWeights.js [model.json or dir] [options]
+ *   npm run generate-model-weights -- [model.json or dir] [options]
+ *
+ * The weight names and shapes come from the topology in model.json (default
+ * public/models/sign_language_model), so the script keeps working when the
+ * architecture changes. The weightsManifest is rewritten to match and the
+ * weights are written to a single shard. The same seed always gives the same
+ * bytes.
+ *
+ * Two kinds of weights:
+ *
+ *   default   Glorot-uniform kernels and zero biases (ones for scales and
+ *             variances) drawn from a seeded generator: a model that loads and
+ *             runs, with predictions that are stable but meaningless
+ *   --oracle  seeded weights with the final Dense softmax layer solved so
+ *             that every class's synthetic input is classified as that class
+ *             with near certainty, so tests know the expected prediction for
+ *             each input
+ *
+ * Options:
+ *   --seed <n>            Seed for weights and synthetic inputs (default 42)
+ *   --out <dir>           Write model.json and the shard here instead of next to the input model;
+ *                         metadata.json / labels.json are copied along
+ *   --oracle              Generate oracle weights (the last layer must be a Dense softmax)
+ *   --fixtures-out <dir>  With --oracle: write each class's synthetic input as a fixture sample
+ *                         (see validateModelBundle.js)
  */
 const fs = require('fs');
 const path = require('path');
+const tf = require('@tensorflow/tfjs');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', '..', 'public', 'models', 'sign_language_model');
+const DEFAULT_SHARD_NAME = 'group1-shard1of1.bin';
+const METADATA_FILE_NAMES = ['metadata.json', 'labels.json'];
+const DEFAULT_SEED = 42;
+
+// Logit margin of the right class in oracle models (softmax probability above 0.999 for 20 classes)
+const ORACLE_LOGIT_MARGIN = 10;
+// Lowest acceptable oracle confidence, allowing for float32 rounding
+const ORACLE_MIN_CONFIDENCE = 0.99;
 
 /**
- * Generate binary data for a weight tensor of the given shape
- * @param {Array<number>} shape - The shape of the tensor
- * @param {String} dtype - The data type (float32)
- * @returns {ArrayBuffer} - The binary data
+ * Seeded uniform random numbers in [0, 1) (mulberry32)
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator
  */
-function generateWeightData(shape, dtype = 'float32') {
-  // Calculate total number of elements
-  const numElements = shape.reduce((a, b) => a * b, 1);
-  
-  // Create a buffer of the appropriate size
-  const buffer = new ArrayBuffer(numElements * 4); // 4 bytes per float32
-  const view = new Float32Array(buffer);
-  
-  // Fill with small random values
-  for (let i = 0; i < numElements; i++) {
-    // Generate values between -0.1 and 0.1 for numerical stability
-    view[i] = (Math.random() * 0.2) - 0.1;
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parseArgs(argv) {
+  const options = {
+    modelPath: null,
+    seed: DEFAULT_SEED,
+    outDir: null,
+    oracle: false,
+    fixturesOut: null
+  };
+
+  const readInteger = (i, name) => {
+    const value = Number(argv[i]);
+    if (!Number.isInteger(value)) throw new Error(`${name} must be an integer`);
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--seed') {
+      options.seed = readInteger(++i, '--seed');
+    } else if (arg === '--out') {
+      if (!argv[i + 1]) throw new Error('--out needs a directory');
+      options.outDir = path.resolve(argv[++i]);
+    } else if (arg === '--oracle') {
+      options.oracle = true;
+    } else if (arg === '--fixtures-out') {
+      if (!argv[i + 1]) throw new Error('--fixtures-out needs a directory');
+      options.fixturesOut = path.resolve(argv[++i]);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!options.modelPath) {
+      options.modelPath = path.resolve(arg);
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (options.fixturesOut && !options.oracle) {
+    throw new Error('--fixtures-out only applies to --oracle');
   }
-  
-  return buffer;
+
+  const modelPath = options.modelPath || DEFAULT_MODEL_PATH;
+  options.modelJsonPath = fs.existsSync(modelPath) && fs.statSync(modelPath).isDirectory()
+    ? path.join(modelPath, 'model.json')
+    : modelPath;
+  return options;
 }
 
-// Weight specifications from the model.json file
-const weightSpecs = [
-  { name: "lstm_1/kernel", shape: [126, 256], dtype: "float32" },
-  { name: "lstm_1/recurrent_kernel", shape: [64, 256], dtype: "float32" },
-  { name: "lstm_1/bias", shape: [256], dtype: "float32" },
-  { name: "lstm_2/kernel", shape: [64, 128], dtype: "float32" },
-  { name: "lstm_2/recurrent_kernel", shape: [32, 128], dtype: "float32" },
-  { name: "lstm_2/bias", shape: [128], dtype: "float32" },
-  { name: "dense_output/kernel", shape: [32, 20], dtype: "float32" },
-  { name: "dense_output/bias", shape: [20], dtype: "float32" }
-];
-
-// Generate and concatenate all weight buffers
-function generateAllWeights() {
-  // Calculate the total byte length needed
-  const totalByteLength = weightSpecs.reduce((acc, spec) => {
-    const numElements = spec.shape.reduce((a, b) => a * b, 1);
-    return acc + (numElements * 4); // 4 bytes per float32
-  }, 0);
-  
-  // Create the output buffer
-  const outputBuffer = new ArrayBuffer(totalByteLength);
-  const outputView = new Uint8Array(outputBuffer);
-  
-  let currentOffset = 0;
-  
-  // Add each weight tensor to the buffer
-  for (const weightSpec of weightSpecs) {
-    console.log(`Generating weights for ${weightSpec.name} with shape [${weightSpec.shape}]`);
-    
-    const tensorBuffer = generateWeightData(weightSpec.shape, weightSpec.dtype);
-    const tensorView = new Uint8Array(tensorBuffer);
-    
-    // Copy the tensor data into the output buffer
-    outputView.set(tensorView, currentOffset);
-    currentOffset += tensorBuffer.byteLength;
+/**
+ * Seeded initial value of every weight of a model, by role
+ *
+ * @param {tf.LayersModel} model - Model built from the topology
+ * @param {function(): number} random - Seeded generator
+ * @returns {Array<tf.Tensor>} One tensor per model weight, in order
+ */
+function createSeededWeights(model, random) {
+  return model.weights.map(weight => {
+    const { shape } = weight;
+    const size = shape.reduce((product, dim) => product * dim, 1);
+    const values = new Float32Array(size);
+    const name = weight.originalName;
+
+    if (/(gamma|moving_variance)$/.test(name)) {
+      values.fill(1);
+    } else if (shape.length >= 2) {
+      // Glorot uniform: the last axis is the output, the others the input
+      const fanOut = shape[shape.length - 1];
+      const fanIn = size / fanOut;
+      const limit = Math.sqrt(6 / (fanIn + fanOut));
+      for (let i = 0; i < size; i++) {
+        values[i] = (random() * 2 - 1) * limit;
+      }
+    }
+    // Biases, offsets and moving means stay zero
+
+    return tf.tensor(values, shape, weight.dtype);
+  });
+}
+
+/**
+ * Synthetic input of every class: a seeded base pose per class with a slow,
+ * class-specific oscillation over the frames, rounded like a recorded sample
+ *
+ * @param {number} numClasses - Number of classes
+ * @param {Array<number>} inputShape - [frameCount, featureSize]
+ * @param {function(): number} random - Seeded generator
+ * @returns {Array<Array<Array<number>>>} Frames per class
+ */
+function createSyntheticInputs(numClasses, [frameCount, featureSize], random) {
+  const round = (value) => Math.round(value * 1e4) / 1e4;
+
+  return Array.from({ length: numClasses }, () => {
+    const base = Array.from({ length: featureSize }, () => 0.2 + random() * 0.6);
+    const phase = random() * 2 * Math.PI;
+    const speed = 1 + random() * 2;
+    return Array.from({ length: frameCount }, (_, t) => base.map((value, i) =>
+      round(value + 0.05 * Math.sin(phase + (speed * 2 * Math.PI * t) / frameCount + i))));
+  });
+}
+
+/**
+ * Solve A X = B for square A (Gaussian elimination with partial pivoting, in float64)
+ *
+ * @param {Array<Array<number>>} a - n x n matrix
+ * @param {Array<Array<number>>} b - n x m matrix
+ * @returns {Array<Array<number>>} n x m solution
+ * @throws {Error} If A is (nearly) singular
+ */
+function solveLinearSystem(a, b) {
+  const n = a.length;
+  const rows = a.map((row, i) => [...row, ...b[i]]);
+  const scale = Math.max(...a.map(row => Math.max(...row.map(Math.abs))), 1e-12);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < scale * 1e-9) {
+      throw new Error('the synthetic inputs give linearly dependent features before the classifier');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < rows[row].length; k++) {
+        rows[row][k] -= factor * rows[col][k];
+      }
+    }
   }
-  
-  return outputBuffer;
+
+  return rows.map((row, i) => row.slice(n).map(value => value / row[i]));
 }
 
-// Main function to generate and save the weight file
-function main() {
-  try {
-    const weightsBuffer = generateAllWeights();
-    
-    // Create the directory if it doesn't exist
-    const outputDir = path.join(__dirname, '..', '..', 'public', 'models', 'sign_language_model');
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+/**
+ * Replace the classifier's weights so each synthetic input gets its own class
+ *
+ * The seeded layers before the classifier turn each input into a feature
+ * vector; the classifier is solved (minimum-norm least squares) to give the
+ * input's class a logit ORACLE_LOGIT_MARGIN above every other class.
+ *
+ * @param {tf.LayersModel} model - Model with the seeded weights set (its head is modified)
+ * @param {Array<Array<Array<number>>>} inputs - Synthetic input per class
+ * @returns {Array<number>} Probability of the right class for each input
+ */
+function solveOracleHead(model, inputs) {
+  const head = model.layers[model.layers.length - 1];
+  if (head.getClassName() !== 'Dense' || head.getConfig().activation !== 'softmax' || model.layers.length < 2) {
+    throw new Error('--oracle needs a model whose last layer is a Dense softmax classifier');
+  }
+
+  const numClasses = inputs.length;
+  const useBias = head.getConfig().useBias;
+  const features = tf.tidy(() => {
+    const body = tf.model({ inputs: model.inputs, outputs: model.layers[model.layers.length - 2].output });
+    return body.predict(tf.tensor3d(inputs)).arraySync();
+  });
+  if (features[0].length + (useBias ? 1 : 0) < numClasses) {
+    throw new Error(`the classifier has ${features[0].length} inputs, fewer than the ${numClasses} classes`);
+  }
+
+  // F (one row per class, with a constant 1 for the bias) and target logits T
+  const f = features.map(row => (useBias ? [...row, 1] : row));
+  const targets = inputs.map((_, labelIndex) => inputs.map((__, k) => (k === labelIndex ? ORACLE_LOGIT_MARGIN : 0)));
+
+  // Minimum-norm solution of F W = T: W = F^T (F F^T)^-1 T
+  const gram = f.map(a => f.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+  const x = solveLinearSystem(gram, targets);
+  const solution = f[0].map((_, d) => x[0].map((__, k) => f.reduce((sum, row, i) => sum + row[d] * x[i][k], 0)));
+
+  const kernel = solution.slice(0, features[0].length);
+  head.setWeights(useBias ? [tf.tensor2d(kernel), tf.tensor1d(solution[features[0].length])] : [tf.tensor2d(kernel)]);
+
+  return tf.tidy(() => model.predict(tf.tensor3d(inputs)).arraySync().map((row, labelIndex) => {
+    const best = row.indexOf(Math.max(...row));
+    return best === labelIndex ? row[labelIndex] : 0;
+  }));
+}
+
+/**
+ * Names of the model classes from the manifest next to model.json, or class_<n>
+ */
+function readLabels(modelDir, numClasses) {
+  for (const fileName of METADATA_FILE_NAMES) {
+    const file = path.join(modelDir, fileName);
+    if (fs.existsSync(file)) {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const labels = Array.isArray(raw) ? raw : raw.labels;
+      if (Array.isArray(labels) && labels.length === numClasses) {
+        return { labels, featureMode: Array.isArray(raw) ? undefined : raw.featureMode, file };
+      }
+      console.warn(`${fileName} does not have ${numClasses} labels; using class indices`);
+      return { labels: null, featureMode: undefined, file };
+    }
+  }
+  return { labels: null, featureMode: undefined, file: null };
+}
+
+function writeFixtures(dir, inputs, labels, featureMode, inputShape, seed) {
+  fs.mkdirSync(dir, { recursive: true });
+  inputs.forEach((frames, labelIndex) => {
+    const label = labels ? labels[labelIndex] : `class_${labelIndex}`;
+    const id = `oracle-${seed}-${labelIndex}`;
+    const sample = { id, label, inputShape, featureMode, frames };
+    fs.writeFileSync(path.join(dir, `${id}.json`), `${JSON.stringify(sample)}\n`);
+  });
+  console.log(`Wrote ${inputs.length} oracle fixtures to ${dir}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(options.modelJsonPath)) {
+    throw new Error(`${options.modelJsonPath} does not exist`);
+  }
+
+  // Production mode silences TF.js's hint to install tfjs-node
+  tf.enableProdMode();
+  await tf.setBackend('cpu');
+
+  const modelDir = path.dirname(options.modelJsonPath);
+  const outDir = options.outDir || modelDir;
+  const modelJson = JSON.parse(fs.readFileSync(options.modelJsonPath, 'utf8'));
+  if (!modelJson.modelTopology || (modelJson.format && modelJson.format !== 'layers-model')) {
+    throw new Error(`${options.modelJsonPath} is not a layers model`);
+  }
+
+  // Built only for its weight names and shapes; the initializers' own values are replaced
+  const { warn } = console;
+  console.warn = () => {};
+  const model = await tf.models.modelFromJSON({ modelTopology: modelJson.modelTopology }).finally(() => {
+    console.warn = warn;
+  });
+
+  const inputShape = model.inputs[0].shape.slice(1);
+  const outputShape = model.outputs[0].shape;
+  const numClasses = outputShape[outputShape.length - 1];
+  console.log(`Topology: ${model.weights.length} weight tensors, input [${inputShape}], ${numClasses} outputs, seed ${options.seed}`);
+
+  let weights = createSeededWeights(model, createRandom(options.seed));
+
+  if (options.oracle) {
+    if (outputShape.length !== 2 || inputShape.length !== 2) {
+      throw new Error('--oracle needs a model that maps [frames, features] to class probabilities');
     }
-    
-    // Output path for the binary file
-    const outputPath = path.join(outputDir, 'group1-shard1of1.bin');
-    
-    // Write the buffer to file
-    fs.writeFileSync(outputPath, Buffer.from(weightsBuffer));
-    
-    console.log(`Successfully generated ${(weightsBuffer.byteLength / 1024 / 1024).toFixed(2)} MB of weight data at ${outputPath}`);
-  } catch (error) {
-    console.error('Error generating weights:', error);
+
+    const { labels, featureMode } = readLabels(modelDir, numClasses);
+    const inputs = createSyntheticInputs(numClasses, inputShape, createRandom(options.seed + 1));
+    model.setWeights(weights);
+    weights.forEach(weight => weight.dispose());
+    const confidences = solveOracleHead(model, inputs);
+    weights = model.getWeights().map(weight => weight.clone());
+
+    const weakest = Math.min(...confidences);
+    if (weakest < ORACLE_MIN_CONFIDENCE) {
+      throw new Error(`A synthetic input only gets ${(weakest * 100).toFixed(1)}% for its class; try another --seed`);
+    }
+    console.log(`Oracle head solved; lowest confidence ${(weakest * 100).toFixed(2)}%`);
+
+    if (options.fixturesOut) {
+      writeFixtures(options.fixturesOut, inputs, labels, featureMode, inputShape, options.seed);
+    }
+  }
+
+  // The manifest follows the topology's weight order
+  const weightSpecs = model.weights.map((weight, i) => {
+    console.log(`  ${weight.originalName} [${weight.shape}]`);
+    return { name: weight.originalName, shape: weight.shape, dtype: weights[i].dtype };
+  });
+  const buffers = weights.map(weight => Buffer.from(weight.dataSync().buffer));
+  const shardName = (modelJson.weightsManifest && modelJson.weightsManifest[0] && modelJson.weightsManifest[0].paths.length === 1)
+    ? modelJson.weightsManifest[0].paths[0]
+    : DEFAULT_SHARD_NAME;
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const data = Buffer.concat(buffers);
+  fs.writeFileSync(path.join(outDir, shardName), data);
+  fs.writeFileSync(path.join(outDir, 'model.json'), `${JSON.stringify({
+    ...modelJson,
+    weightsManifest: [{ paths: [shardName], weights: weightSpecs }]
+  }, null, 2)}\n`);
+
+  if (outDir !== modelDir) {
+    METADATA_FILE_NAMES.forEach(fileName => {
+      const file = path.join(modelDir, fileName);
+      if (fs.existsSync(file)) fs.copyFileSync(file, path.join(outDir, fileName));
+    });
   }
+
+  weights.forEach(weight => weight.dispose());
+  model.dispose();
+  console.log(`Wrote ${(data.length / 1024).toFixed(1)} KB of ${options.oracle ? 'oracle' : 'seeded'} weights to ${path.join(outDir, shardName)}`);
+}
+
+// The helpers are exported for the tests; the script only runs from the command line
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error generating weights:', error.message);
+    process.exit(1);
+  });
 }
 
-// Run the main function
-main();
+module.exports = {
+  createRandom,
+  createSeededWeights,
+  createSyntheticInputs,
+  solveLinearSystem,
+  solveOracleHead
+};
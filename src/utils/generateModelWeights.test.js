@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createRandom, solveLinearSystem } = require('./generateModelWeights');
+
+const GENERATE_SCRIPT = path.join(__dirname, 'generateModelWeights.js');
+const VALIDATE_SCRIPT = path.join(__dirname, 'validateModelBundle.js');
+const SHARD_NAME = 'group1-shard1of1.bin';
+
+// Building the bundled topology and running it on the CPU takes a few seconds per script
+const SCRIPT_TIMEOUT_MS = 120000;
+
+const runScript = (script, args) => execFileSync(process.execPath, [script, ...args], {
+  encoding: 'utf8',
+  stdio: ['ignore', 'pipe', 'pipe']
+});
+
+describe('createRandom', () => {
+  test('gives the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const first = Array.from({ length: 100 }, a);
+    expect(Array.from({ length: 100 }, b)).toEqual(first);
+  });
+
+  test('gives different sequences for different seeds', () => {
+    const a = createRandom(1);
+    const b = createRandom(2);
+    expect(Array.from({ length: 10 }, a)).not.toEqual(Array.from({ length: 10 }, b));
+  });
+
+  test('stays in [0, 1)', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('solveLinearSystem', () => {
+  test('solves a system that needs pivoting', () => {
+    const a = [[0, 2, 1], [1, 1, 1], [2, 1, 3]];
+    const expected = [[1, 4], [2, -1], [3, 0]];
+    const b = a.map(row => expected[0].map((_, k) => row.reduce((sum, value, i) => sum + value * expected[i][k], 0)));
+
+    const x = solveLinearSystem(a, b);
+    x.forEach((row, i) => row.forEach((value, k) => expect(value).toBeCloseTo(expected[i][k], 10)));
+  });
+
+  test('throws for a singular matrix', () => {
+    expect(() => solveLinearSystem([[1, 2], [2, 4]], [[1], [2]])).toThrow('linearly dependent');
+  });
+});
+
+describe('generated bundles', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-weights-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('the same seed writes the same weights', () => {
+    const outDirs = ['a', 'b', 'c'].map(name => path.join(tempDir, `seeded-${name}`));
+    runScript(GENERATE_SCRIPT, ['--seed', '3', '--out', outDirs[0]]);
+    runScript(GENERATE_SCRIPT, ['--seed', '3', '--out', outDirs[1]]);
+    runScript(GENERATE_SCRIPT, ['--seed', '4', '--out', outDirs[2]]);
+
+    const [first, second, other] = outDirs.map(dir => fs.readFileSync(path.join(dir, SHARD_NAME)));
+    expect(second.equals(first)).toBe(true);
+    expect(other.equals(first)).toBe(false);
+  }, SCRIPT_TIMEOUT_MS);
+
+  test('oracle weights classify their fixtures in validateModelBundle', () => {
+    const outDir = path.join(tempDir, 'oracle');
+    const fixturesDir = path.join(tempDir, 'oracle-fixtures');
+    runScript(GENERATE_SCRIPT, ['--oracle', '--out', outDir, '--fixtures-out', fixturesDir]);
+
+    // Exits with 1 (and execFileSync throws) when a check fails
+    const report = JSON.parse(runScript(VALIDATE_SCRIPT, [outDir, '--fixtures', fixturesDir, '--strict', '--runs', '1', '--json']));
+
+    expect(report.passed).toBe(true);
+    expect(report.fixtures.length).toBe(fs.readdirSync(fixturesDir).length);
+    report.fixtures.forEach(fixture => expect(fixture.correct).toBe(true));
+  }, SCRIPT_TIMEOUT_MS);
+});
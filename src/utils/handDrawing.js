@@ -0,0 +1,67 @@
+/**
+ * Canvas drawing of MediaPipe hand landmarks, shared by the camera overlay
+ * and the dataset skeleton previews.
+ */
+
+// Pairs of landmark indices that form the hand skeleton
+export const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4],           // thumb
+  [0, 5], [5, 6], [6, 7], [7, 8],           // index finger
+  [0, 9], [9, 10], [10, 11], [11, 12],      // middle finger
+  [0, 13], [13, 14], [14, 15], [15, 16],    // ring finger
+  [0, 17], [17, 18], [18, 19], [19, 20],    // pinky
+  [5, 9], [9, 13], [13, 17],                // palm connections
+];
+
+/**
+ * Draw the skeleton lines of one hand
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<Object>} landmarks - 21 landmarks with x, y in 0..1 of the canvas size
+ * @param {Object} options - Drawing options
+ * @param {string} options.color - Line color
+ * @param {number} options.lineWidth - Line width in pixels
+ */
+export function drawHandConnections(ctx, landmarks, { color = '#00FF00', lineWidth = 5 } = {}) {
+  const { width, height } = ctx.canvas;
+
+  // Set line style for connections
+  ctx.lineWidth = lineWidth;
+  ctx.strokeStyle = color;
+  ctx.lineJoin = 'round';
+
+  // Draw each connection as a line
+  HAND_CONNECTIONS.forEach(([i, j]) => {
+    const start = landmarks[i];
+    const end = landmarks[j];
+
+    if (start && end) {
+      ctx.beginPath();
+      ctx.moveTo(start.x * width, start.y * height);
+      ctx.lineTo(end.x * width, end.y * height);
+      ctx.stroke();
+    }
+  });
+}
+
+/**
+ * Draw the landmarks of one hand as dots
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<Object>} landmarks - 21 landmarks with x, y in 0..1 of the canvas size
+ * @param {Object} options - Drawing options
+ * @param {string} options.color - Dot color
+ * @param {number} options.radius - Dot radius in pixels
+ */
+export function drawHandLandmarks(ctx, landmarks, { color = '#FF0000', radius = 4 } = {}) {
+  const { width, height } = ctx.canvas;
+
+  ctx.fillStyle = color;
+
+  // Draw each landmark as a circle
+  landmarks.forEach((landmark) => {
+    ctx.beginPath();
+    ctx.arc(landmark.x * width, landmark.y * height, radius, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+}
@@ -0,0 +1,47 @@
+/**
+ * Shared setup for the MediaPipe vision tasks used by the app.
+ *
+ * The live camera loop and offline video processing each need their own
+ * HandLandmarker instance: in VIDEO mode timestamps must keep increasing per
+ * instance, so video time and wall-clock time cannot share one.
+ */
+import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision';
+import { getConfig } from '../appConfig';
+
+let visionFilesetPromise = null;
+
+/**
+ * Load the MediaPipe vision WASM fileset (once per page)
+ *
+ * @returns {Promise<Object>} Vision fileset for createFromOptions
+ */
+export function loadVisionFileset() {
+  if (!visionFilesetPromise) {
+    visionFilesetPromise = FilesetResolver.forVisionTasks(getConfig().mediapipe.visionWasmUrl).catch(error => {
+      // Allow a retry after a network failure
+      visionFilesetPromise = null;
+      throw error;
+    });
+  }
+  return visionFilesetPromise;
+}
+
+/**
+ * Create a two-hand HandLandmarker in VIDEO mode
+ *
+ * @param {Object} options - Landmarker options
+ * @param {string} options.delegate - 'CPU' or 'GPU'
+ * @returns {Promise<HandLandmarker>} Ready landmarker; call close() when done
+ */
+export async function createHandLandmarker({ delegate = 'CPU' } = {}) {
+  const vision = await loadVisionFileset();
+
+  return HandLandmarker.createFromOptions(vision, {
+    baseOptions: {
+      modelAssetPath: getConfig().mediapipe.handLandmarkerModelUrl,
+      delegate
+    },
+    numHands: 2,
+    runningMode: "VIDEO"
+  });
+}
@@ -0,0 +1,327 @@
+/**
+ * Export and import of history sessions.
+ *
+ * Formats:
+ *   json - every field except the video, re-importable
+ *   csv  - one row per recognized sign
+ *   srt / vtt - subtitles for sessions made from uploaded videos
+ *
+ * One session exports as a single file; several are bundled in a ZIP with one
+ * file per session. Import accepts a JSON export or a ZIP of them.
+ */
+
+import JSZip from 'jszip';
+import { SESSION_SOURCES } from './historyStore';
+import { getDisplayLabel } from './openSetRejection';
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+  SRT: 'srt',
+  VTT: 'vtt'
+};
+
+export const EXPORT_FILE_FORMAT = 'sign-language-history';
+export const EXPORT_VERSION = 1;
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.JSON]: 'application/json',
+  [EXPORT_FORMATS.CSV]: 'text/csv',
+  [EXPORT_FORMATS.SRT]: 'application/x-subrip',
+  [EXPORT_FORMATS.VTT]: 'text/vtt'
+};
+
+/**
+ * Whether a session can be written in a format (subtitles need a video)
+ *
+ * @param {Object} session - History session
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {boolean}
+ */
+export function canExportAs(session, format) {
+  if (format === EXPORT_FORMATS.SRT || format === EXPORT_FORMATS.VTT) {
+    return session.source === SESSION_SOURCES.UPLOAD;
+  }
+  return true;
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Subtitle timestamp, hh:mm:ss,mmm for SRT and hh:mm:ss.mmm for WebVTT
+ */
+const formatSubtitleTime = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  'session_id', 'source', 'session_start', 'model_version',
+  'index', 'label', 'confidence', 'start_time', 'end_time', 'alternatives'
+];
+
+const toCsvRows = (session) => session.segments.map((segment, index) => [
+  session.id,
+  session.source,
+  new Date(session.startTime).toISOString(),
+  session.modelVersion || '',
+  index + 1,
+  getDisplayLabel(segment.label),
+  segment.confidence.toFixed(4),
+  segment.startTime.toFixed(3),
+  segment.endTime.toFixed(3),
+  (segment.alternatives || [])
+    .map(alternative => `${alternative.label}:${alternative.probability.toFixed(4)}`)
+    .join(' ')
+]);
+
+/**
+ * CSV with one row per sign
+ *
+ * @param {Array<Object>} sessions - History sessions
+ * @returns {string} CSV text
+ */
+export function sessionsToCsv(sessions) {
+  const rows = [CSV_COLUMNS, ...sessions.flatMap(toCsvRows)];
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * SRT subtitles for an uploaded video session
+ *
+ * @param {Object} session - History session
+ * @returns {string} SRT text
+ */
+export function sessionToSrt(session) {
+  return session.segments.map((segment, index) => [
+    index + 1,
+    `${formatSubtitleTime(segment.startTime, ',')} --> ${formatSubtitleTime(segment.endTime, ',')}`,
+    getDisplayLabel(segment.label)
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * WebVTT subtitles for an uploaded video session
+ *
+ * @param {Object} session - History session
+ * @returns {string} WebVTT text
+ */
+export function sessionToVtt(session) {
+  const cues = session.segments.map(segment => [
+    segment.id,
+    `${formatSubtitleTime(segment.startTime, '.')} --> ${formatSubtitleTime(segment.endTime, '.')}`,
+    getDisplayLabel(segment.label)
+  ].join('\n'));
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Re-importable JSON document
+ *
+ * @param {Array<Object>} sessions - History sessions
+ * @returns {string} JSON text
+ */
+export function sessionsToJson(sessions) {
+  return JSON.stringify({
+    format: EXPORT_FILE_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    // Videos are not exported; userId is set again by whoever imports the file
+    sessions: sessions.map(({ videoBlob, userId, ...session }) => session)
+  }, null, 2);
+}
+
+const serialize = (sessions, format) => {
+  switch (format) {
+    case EXPORT_FORMATS.JSON:
+      return sessionsToJson(sessions);
+    case EXPORT_FORMATS.CSV:
+      return sessionsToCsv(sessions);
+    case EXPORT_FORMATS.SRT:
+      return sessionToSrt(sessions[0]);
+    case EXPORT_FORMATS.VTT:
+      return sessionToVtt(sessions[0]);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+const sessionFileName = (session, format) => {
+  const date = new Date(session.startTime);
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${session.source}-${stamp}-${session.id}.${format}`;
+};
+
+/**
+ * Export sessions as one file, or as a ZIP when there is more than one
+ *
+ * @param {Array<Object>} sessions - History sessions
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<{blob: Blob, fileName: string}>} File to download
+ * @throws {Error} If no session can be written in the format
+ */
+export async function exportSessions(sessions, format) {
+  const exportable = sessions.filter(session => canExportAs(session, format));
+  if (exportable.length === 0) {
+    throw new Error(format === EXPORT_FORMATS.SRT || format === EXPORT_FORMATS.VTT
+      ? 'Subtitles can only be exported for uploaded videos'
+      : 'No sessions selected');
+  }
+
+  if (exportable.length === 1) {
+    return {
+      blob: new Blob([serialize(exportable, format)], { type: MIME_TYPES[format] }),
+      fileName: sessionFileName(exportable[0], format)
+    };
+  }
+
+  const zip = new JSZip();
+  exportable.forEach(session => {
+    zip.file(sessionFileName(session, format), serialize([session], format));
+  });
+
+  return {
+    blob: await zip.generateAsync({ type: 'blob' }),
+    fileName: `sign-language-history-${format}-${Date.now()}.zip`
+  };
+}
+
+/**
+ * Save a blob through the browser's download prompt
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const validateSegment = (segment, path) => {
+  if (!segment || typeof segment !== 'object') {
+    throw new Error(`${path} must be an object`);
+  }
+  if (typeof segment.label !== 'string' || !segment.label) {
+    throw new Error(`${path}.label must be a non-empty string`);
+  }
+  if (!isFiniteNumber(segment.confidence) || segment.confidence < 0 || segment.confidence > 1) {
+    throw new Error(`${path}.confidence must be a number between 0 and 1`);
+  }
+  if (!isFiniteNumber(segment.startTime) || !isFiniteNumber(segment.endTime) || segment.endTime < segment.startTime) {
+    throw new Error(`${path} must have numeric startTime <= endTime`);
+  }
+  if (segment.alternatives !== undefined && !Array.isArray(segment.alternatives)) {
+    throw new Error(`${path}.alternatives must be an array`);
+  }
+  (segment.alternatives || []).forEach((alternative, index) => {
+    const alternativePath = `${path}.alternatives[${index}]`;
+    if (!alternative || typeof alternative !== 'object') {
+      throw new Error(`${alternativePath} must be an object`);
+    }
+    if (typeof alternative.label !== 'string' || !alternative.label) {
+      throw new Error(`${alternativePath}.label must be a non-empty string`);
+    }
+    if (!isFiniteNumber(alternative.probability) || alternative.probability < 0 || alternative.probability > 1) {
+      throw new Error(`${alternativePath}.probability must be a number between 0 and 1`);
+    }
+  });
+};
+
+const validateSession = (session, path) => {
+  if (!session || typeof session !== 'object') {
+    throw new Error(`${path} must be an object`);
+  }
+  if (typeof session.id !== 'string' || !session.id) {
+    throw new Error(`${path}.id must be a non-empty string`);
+  }
+  if (!Object.values(SESSION_SOURCES).includes(session.source)) {
+    throw new Error(`${path}.source must be one of ${Object.values(SESSION_SOURCES).join(', ')}`);
+  }
+  if (!isFiniteNumber(session.startTime)) {
+    throw new Error(`${path}.startTime must be a number`);
+  }
+  if (!Array.isArray(session.segments)) {
+    throw new Error(`${path}.segments must be an array`);
+  }
+  session.segments.forEach((segment, index) => validateSegment(segment, `${path}.segments[${index}]`));
+};
+
+/**
+ * Parse and validate a JSON export
+ *
+ * @param {string} text - Contents of a JSON export
+ * @param {string} source - Name of the file, for error messages
+ * @returns {Array<Object>} Sessions in the file
+ * @throws {Error} If the file is not a valid export
+ */
+export function parseSessionsJson(text, source = 'file') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+
+  if (!data || data.format !== EXPORT_FILE_FORMAT) {
+    throw new Error(`${source} is not a sign language history export`);
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new Error(`${source} has unsupported export version ${data.version}`);
+  }
+  if (!Array.isArray(data.sessions)) {
+    throw new Error(`${source}: sessions must be an array`);
+  }
+
+  data.sessions.forEach((session, index) => validateSession(session, `${source}: sessions[${index}]`));
+  return data.sessions;
+}
+
+/**
+ * Read sessions from an exported JSON file or a ZIP of JSON exports
+ *
+ * @param {File} file - Selected file
+ * @returns {Promise<Array<Object>>} Sessions, without duplicate ids
+ * @throws {Error} If any file in it is not a valid export
+ */
+export async function readSessionsFile(file) {
+  let sessions;
+
+  if (/\.zip$/i.test(file.name) || file.type === 'application/zip') {
+    const zip = await JSZip.loadAsync(file);
+    const jsonFiles = Object.values(zip.files).filter(entry => !entry.dir && /\.json$/i.test(entry.name));
+    if (jsonFiles.length === 0) {
+      throw new Error(`${file.name} contains no JSON exports`);
+    }
+
+    const parsed = await Promise.all(jsonFiles.map(async entry =>
+      parseSessionsJson(await entry.async('string'), entry.name)
+    ));
+    sessions = parsed.flat();
+  } else {
+    sessions = parseSessionsJson(await file.text(), file.name);
+  }
+
+  const seen = new Set();
+  return sessions.filter(session => {
+    if (seen.has(session.id)) return false;
+    seen.add(session.id);
+    return true;
+  });
+}
@@ -0,0 +1,118 @@
+import {
+  canExportAs,
+  EXPORT_FILE_FORMAT,
+  EXPORT_FORMATS,
+  parseSessionsJson,
+  sessionsToCsv,
+  sessionsToJson,
+  sessionToSrt,
+  sessionToVtt
+} from './historyExport';
+import { SESSION_SOURCES } from './historyStore';
+import { UNKNOWN_LABEL } from './openSetRejection';
+
+const createSession = (overrides = {}) => ({
+  id: 'session-1',
+  userId: 'user-1',
+  source: SESSION_SOURCES.UPLOAD,
+  startTime: Date.UTC(2024, 0, 2, 3, 4, 5),
+  duration: 3725.5,
+  modelVersion: '1.2.0',
+  label: 'Hello, unknown',
+  segments: [
+    {
+      id: 'segment-1',
+      label: 'Hello, "friend"',
+      confidence: 0.91234,
+      startTime: 0.5,
+      endTime: 1.25,
+      alternatives: [{ label: 'Yes', probability: 0.05 }, { label: 'No', probability: 0.02 }]
+    },
+    { id: 'segment-2', label: UNKNOWN_LABEL, confidence: 0.6, startTime: 3723.4, endTime: 3725.5, alternatives: [] }
+  ],
+  videoBlob: null,
+  ...overrides
+});
+
+const toExportText = (sessions) => JSON.stringify({ format: EXPORT_FILE_FORMAT, version: 1, sessions });
+
+describe('canExportAs', () => {
+  test('only allows subtitles for uploaded videos', () => {
+    const live = createSession({ source: SESSION_SOURCES.LIVE });
+    expect(canExportAs(createSession(), EXPORT_FORMATS.SRT)).toBe(true);
+    expect(canExportAs(live, EXPORT_FORMATS.VTT)).toBe(false);
+    expect(canExportAs(live, EXPORT_FORMATS.CSV)).toBe(true);
+  });
+});
+
+describe('sessionsToCsv', () => {
+  test('writes one escaped row per sign', () => {
+    const lines = sessionsToCsv([createSession()]).split('\r\n');
+
+    expect(lines[0]).toBe('session_id,source,session_start,model_version,index,label,confidence,start_time,end_time,alternatives');
+    expect(lines[1]).toBe('session-1,upload,2024-01-02T03:04:05.000Z,1.2.0,1,"Hello, ""friend""",0.9123,0.500,1.250,Yes:0.0500 No:0.0200');
+    expect(lines[2]).toBe('session-1,upload,2024-01-02T03:04:05.000Z,1.2.0,2,Unrecognized,0.6000,3723.400,3725.500,');
+    expect(lines[3]).toBe('');
+  });
+});
+
+describe('subtitles', () => {
+  test('SRT numbers the cues and uses a comma before the milliseconds', () => {
+    expect(sessionToSrt(createSession())).toBe(
+      '1\n00:00:00,500 --> 00:00:01,250\nHello, "friend"\n\n' +
+      '2\n01:02:03,400 --> 01:02:05,500\nUnrecognized\n'
+    );
+  });
+
+  test('WebVTT has a header and uses the segment ids as cue ids', () => {
+    expect(sessionToVtt(createSession())).toBe(
+      'WEBVTT\n\n' +
+      'segment-1\n00:00:00.500 --> 00:00:01.250\nHello, "friend"\n\n' +
+      'segment-2\n01:02:03.400 --> 01:02:05.500\nUnrecognized\n'
+    );
+  });
+});
+
+describe('JSON export and import', () => {
+  test('round-trips sessions without the video and the owner', () => {
+    const session = createSession({ videoBlob: { size: 10 } });
+    const [imported] = parseSessionsJson(sessionsToJson([session]), 'export.json');
+
+    const { videoBlob, userId, ...expected } = session;
+    expect(imported).toEqual(expected);
+  });
+
+  test('rejects files that are not exports', () => {
+    expect(() => parseSessionsJson('{', 'a.json')).toThrow('a.json is not valid JSON');
+    expect(() => parseSessionsJson('null', 'a.json')).toThrow('a.json is not a sign language history export');
+    expect(() => parseSessionsJson(JSON.stringify({ format: EXPORT_FILE_FORMAT, version: 99, sessions: [] }), 'a.json'))
+      .toThrow('unsupported export version 99');
+  });
+
+  test('names the invalid field', () => {
+    const badSegment = createSession();
+    badSegment.segments[1].endTime = 0;
+    expect(() => parseSessionsJson(toExportText([badSegment]), 'a.json'))
+      .toThrow('a.json: sessions[0].segments[1] must have numeric startTime <= endTime');
+
+    expect(() => parseSessionsJson(toExportText([createSession({ source: 'video' })]), 'a.json'))
+      .toThrow('a.json: sessions[0].source must be one of live, upload');
+  });
+
+  test('validates the alternatives of each sign', () => {
+    const withAlternative = (alternative) => {
+      const session = createSession();
+      session.segments[0].alternatives = [alternative];
+      return toExportText([session]);
+    };
+
+    expect(() => parseSessionsJson(withAlternative('Yes'), 'a.json'))
+      .toThrow('a.json: sessions[0].segments[0].alternatives[0] must be an object');
+    expect(() => parseSessionsJson(withAlternative({ label: 3, probability: 0.1 }), 'a.json'))
+      .toThrow('alternatives[0].label must be a non-empty string');
+    expect(() => parseSessionsJson(withAlternative({ label: 'Yes', probability: 1.5 }), 'a.json'))
+      .toThrow('alternatives[0].probability must be a number between 0 and 1');
+    expect(() => parseSessionsJson(withAlternative({ label: 'Yes', probability: null }), 'a.json'))
+      .toThrow('alternatives[0].probability must be a number between 0 and 1');
+  });
+});
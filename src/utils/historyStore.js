@@ -0,0 +1,306 @@
+/**
+ * Recognition history kept on this device in IndexedDB.
+ *
+ * Each entry is one recognition session:
+ *
+ *   {
+ *     id, userId,
+ *     source: 'live' | 'upload',
+ *     startTime, endTime,          // epoch milliseconds
+ *     duration,                    // seconds
+ *     modelVersion,                // version from the model metadata, if known
+ *     label,                       // all signs as one line
+ *     segments: [{ id, label, confidence, startTime, endTime, alternatives, thumbnail }],
+ *     thumbnail,                   // optional data URL of a representative frame
+ *     videoBlob                    // uploads only, if the user chose to keep it: the processed video
+ *   }
+ *
+ * Videos are only kept on request and up to MAX_STORED_VIDEO_BYTES, so the
+ * history cannot fill the browser's storage quota.
+ *
+ * Segment times are seconds from the start of the session (the video time for
+ * uploads), so live and uploaded sessions share one timeline format.
+ *
+ * Changes are announced to subscribers (see subscribeToHistoryChanges) with an
+ * origin of 'local' or 'remote', which the Firestore sync uses to mirror
+ * local changes without echoing back the ones it applied itself.
+ */
+
+import { openDatabase, withStore } from './indexedDb';
+import { getDisplayLabel, UNKNOWN_LABEL } from './openSetRejection';
+
+const DB_NAME = 'sign-language-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'results';
+
+// Larger videos are not kept; the session is saved without them
+export const MAX_STORED_VIDEO_BYTES = 50 * 1024 * 1024;
+
+export const SESSION_SOURCES = {
+  LIVE: 'live',
+  UPLOAD: 'upload'
+};
+
+export const HISTORY_CHANGE_TYPES = {
+  SAVED: 'saved',
+  DELETED: 'deleted'
+};
+
+let dbPromise = null;
+const changeListeners = new Set();
+
+const notifyChange = (change) => {
+  changeListeners.forEach(listener => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('History change listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Listen for saved and deleted sessions
+ *
+ * @param {function} listener - Called with { type, origin, session } or, for deletions,
+ *   { type, origin, id, userId } where userId is the owner of the deleted session
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToHistoryChanges(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('userId', 'userId');
+      store.createIndex('startTime', 'startTime');
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * One line of text for a list of segments
+ */
+const summarizeSegments = (segments) => (
+  segments.length > 0 ? segments.map(segment => getDisplayLabel(segment.label)).join(' ') : UNKNOWN_LABEL
+);
+
+/**
+ * Fill in optional fields and the ones derived from the segments
+ *
+ * @param {Object} session - Session, stored or received
+ * @returns {Object} Session with every field present
+ */
+export function normalizeSession(session) {
+  const segments = session.segments || [];
+  const startTime = session.startTime || Date.now();
+  const duration = session.duration !== undefined && session.duration !== null
+    ? session.duration
+    : (segments.length > 0 ? segments[segments.length - 1].endTime : 0);
+
+  return {
+    ...session,
+    source: session.source || SESSION_SOURCES.LIVE,
+    startTime,
+    endTime: session.endTime || startTime + duration * 1000,
+    duration,
+    modelVersion: session.modelVersion || null,
+    label: session.label || summarizeSegments(segments),
+    segments,
+    thumbnail: session.thumbnail || (segments.find(segment => segment.thumbnail) || {}).thumbnail || null,
+    videoBlob: session.videoBlob || null
+  };
+}
+
+/**
+ * Build a session from the timeline of a processed video
+ *
+ * @param {Object} result - Result of recognizeVideo
+ * @param {number} startTime - When processing started (epoch milliseconds)
+ * @returns {Object} Unsaved session
+ */
+export function createUploadSession(result, startTime = Date.now()) {
+  return normalizeSession({
+    source: SESSION_SOURCES.UPLOAD,
+    startTime,
+    endTime: startTime + result.duration * 1000,
+    duration: result.duration,
+    modelVersion: result.modelVersion,
+    label: result.label,
+    segments: result.segments.map(segment => ({ ...segment }))
+  });
+}
+
+/**
+ * Build a session from the live transcript
+ *
+ * @param {Array<Object>} transcript - Transcript entries (epoch millisecond times)
+ * @param {Object} options - Session details
+ * @param {string} options.modelVersion - Version of the model that produced the transcript
+ * @param {number} options.startTime - When the session started; defaults to the first sign
+ * @returns {Object} Unsaved session
+ */
+export function createLiveSession(transcript, { modelVersion = null, startTime } = {}) {
+  if (transcript.length === 0) {
+    throw new Error('Cannot save an empty transcript');
+  }
+
+  const sessionStart = startTime || transcript[0].startTime;
+  const sessionEnd = Math.max(...transcript.map(entry => entry.endTime));
+  const segments = transcript.map(entry => ({
+    id: entry.id,
+    label: entry.label,
+    confidence: entry.confidence,
+    startTime: (entry.startTime - sessionStart) / 1000,
+    endTime: (entry.endTime - sessionStart) / 1000,
+    isUnknown: entry.label === UNKNOWN_LABEL
+  }));
+
+  return normalizeSession({
+    source: SESSION_SOURCES.LIVE,
+    startTime: sessionStart,
+    endTime: sessionEnd,
+    duration: (sessionEnd - sessionStart) / 1000,
+    modelVersion,
+    label: summarizeSegments(segments),
+    segments
+  });
+}
+
+/**
+ * The video to store with a session, or null when it is too large to keep
+ *
+ * @param {Blob|null} videoBlob - Video the user chose to keep
+ * @returns {Blob|null} The video, or null
+ */
+const getStorableVideo = (videoBlob) => {
+  if (videoBlob && videoBlob.size > MAX_STORED_VIDEO_BYTES) {
+    console.warn(`Video of ${videoBlob.size} bytes is too large to keep in the history, saving the session without it`);
+    return null;
+  }
+  return videoBlob || null;
+};
+
+/**
+ * Save a session to the history
+ *
+ * @param {Object} session - Session from createUploadSession or createLiveSession
+ * @param {Object} options - Extra data
+ * @param {string} options.userId - Firebase uid of the signed-in user
+ * @param {Blob} options.videoBlob - The processed video, for uploads whose video the user wants
+ *   to keep; dropped when larger than MAX_STORED_VIDEO_BYTES
+ * @returns {Promise<Object>} The stored session; its videoBlob is null when the video was not kept
+ */
+export async function saveSession(session, { userId = null, videoBlob = null } = {}) {
+  const entry = normalizeSession({
+    ...session,
+    id: session.id || createId(),
+    userId,
+    videoBlob: getStorableVideo(videoBlob || session.videoBlob)
+  });
+
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.put(entry));
+  notifyChange({ type: HISTORY_CHANGE_TYPES.SAVED, origin: 'local', session: entry });
+  return entry;
+}
+
+/**
+ * Store a session received from another device, as is
+ *
+ * @param {Object} session - Session with its original id and userId
+ * @returns {Promise<Object>} The stored session
+ */
+export async function putSyncedSession(session) {
+  const entry = normalizeSession(session);
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.put(entry));
+  notifyChange({ type: HISTORY_CHANGE_TYPES.SAVED, origin: 'remote', session: entry });
+  return entry;
+}
+
+/**
+ * Add imported sessions to a user's history, skipping ones already present
+ *
+ * @param {Array<Object>} sessions - Validated sessions (see readSessionsFile)
+ * @param {Object} options - Import options
+ * @param {string} options.userId - Firebase uid of the signed-in user
+ * @returns {Promise<{imported: number, skipped: number}>} How many were added and how many already existed
+ */
+export async function importSessions(sessions, { userId = null } = {}) {
+  let imported = 0;
+  let skipped = 0;
+
+  for (const session of sessions) {
+    const existing = await getSession(session.id);
+    if (existing) {
+      skipped++;
+    } else {
+      await saveSession(session, { userId });
+      imported++;
+    }
+  }
+
+  return { imported, skipped };
+}
+
+/**
+ * Sessions of a user, newest first
+ *
+ * @param {string} userId - Firebase uid (null lists sessions saved while signed out)
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.query - Only sessions containing a sign whose label includes this text
+ * @param {number} filters.from - Only sessions starting at or after this time (epoch milliseconds)
+ * @param {number} filters.to - Only sessions starting at or before this time (epoch milliseconds)
+ * @returns {Promise<Array<Object>>} Matching sessions
+ */
+export async function getSessions(userId = null, { query = '', from = null, to = null } = {}) {
+  // null is not a valid IndexedDB key, so the userId index cannot be used for signed-out sessions
+  const entries = userId !== null
+    ? await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.index('userId').getAll(userId))
+    : (await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.getAll()))
+      .filter(entry => entry.userId === null);
+
+  const needle = query.trim().toLowerCase();
+
+  return entries
+    .map(normalizeSession)
+    .filter(session => from === null || session.startTime >= from)
+    .filter(session => to === null || session.startTime <= to)
+    .filter(session => !needle || session.segments.some(segment =>
+      getDisplayLabel(segment.label).toLowerCase().includes(needle)
+    ))
+    .sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * One session by id
+ *
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} The session, or null if it does not exist
+ */
+export async function getSession(id) {
+  const entry = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.get(id));
+  return entry ? normalizeSession(entry) : null;
+}
+
+/**
+ * Delete a session
+ *
+ * @param {string} id - Session id
+ * @param {Object} options - Delete options
+ * @param {string} options.origin - 'local' for user actions, 'remote' when applying a synced deletion
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(id, { origin = 'local' } = {}) {
+  const entry = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.get(id));
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.delete(id));
+  notifyChange({ type: HISTORY_CHANGE_TYPES.DELETED, origin, id, userId: entry ? entry.userId || null : null });
+}
@@ -0,0 +1,178 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, setDoc } from 'firebase/firestore';
+
+// Runs against the Firestore emulator only: npm run test:emulators
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const ROOT = path.resolve(__dirname, '../..');
+const PROJECT_ID = JSON.parse(fs.readFileSync(path.join(ROOT, '.firebaserc'), 'utf8')).projects.default;
+
+// Each device keeps its history in its own in-memory object store
+jest.mock('./indexedDb', () => {
+  const records = new Map();
+  const store = {
+    get: (id) => records.get(id),
+    put: (entry) => records.set(entry.id, entry),
+    delete: (id) => records.delete(id),
+    getAll: () => [...records.values()],
+    index: (name) => ({ getAll: (value) => [...records.values()].filter(entry => entry[name] === value) })
+  };
+
+  return {
+    openDatabase: () => Promise.resolve(records),
+    withStore: async (dbPromise, storeName, mode, operation) => {
+      await dbPromise;
+      return operation(store);
+    }
+  };
+});
+
+const createSession = (id, label = 'Hello') => ({
+  id,
+  source: 'live',
+  startTime: Date.UTC(2024, 0, 2, 3, 4, 5),
+  duration: 2,
+  modelVersion: '1.0.0',
+  segments: [{ id: `${id}-segment`, label, confidence: 0.9, startTime: 0, endTime: 1, alternatives: [] }]
+});
+
+const waitFor = async (check, timeoutMs = 10000) => {
+  const started = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for the sync');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+let testEnv;
+
+beforeAll(async () => {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) return;
+
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(path.join(ROOT, 'firestore.rules'), 'utf8') }
+  });
+});
+
+afterEach(async () => {
+  if (testEnv) await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+  if (testEnv) await testEnv.cleanup();
+});
+
+describeWithEmulator('firestore.rules', () => {
+  const sessionDoc = (uid, owner, sessionId) =>
+    doc(testEnv.authenticatedContext(uid).firestore(), 'users', owner, 'sessions', sessionId);
+
+  test('a user creates sessions whose id matches the document id', async () => {
+    await assertSucceeds(setDoc(sessionDoc('alice', 'alice', 's1'), createSession('s1')));
+    await assertFails(setDoc(sessionDoc('alice', 'alice', 's2'), createSession('s3')));
+  });
+
+  test('nobody reads or writes the sessions of another user', async () => {
+    await assertFails(setDoc(sessionDoc('bob', 'alice', 's1'), createSession('s1')));
+    await assertFails(setDoc(doc(testEnv.unauthenticatedContext().firestore(), 'users/alice/sessions/s1'), createSession('s1')));
+
+    await setDoc(sessionDoc('alice', 'alice', 's1'), createSession('s1'));
+    await assertSucceeds(getDoc(sessionDoc('alice', 'alice', 's1')));
+    await assertFails(getDoc(sessionDoc('bob', 'alice', 's1')));
+  });
+
+  test('a saved session only changes into a tombstone and is never deleted', async () => {
+    await setDoc(sessionDoc('alice', 'alice', 's1'), createSession('s1'));
+
+    await assertFails(setDoc(sessionDoc('alice', 'alice', 's1'), createSession('s1', 'Goodbye')));
+    await assertFails(deleteDoc(sessionDoc('alice', 'alice', 's1')));
+    await assertSucceeds(setDoc(sessionDoc('alice', 'alice', 's1'), { id: 's1', deleted: true }));
+    // Nor can a tombstone be brought back
+    await assertFails(setDoc(sessionDoc('alice', 'alice', 's1'), createSession('s1')));
+  });
+});
+
+describeWithEmulator('startHistorySync', () => {
+  const USER_ID = 'alice';
+  const stops = [];
+
+  // A device with its own local history, signed in as USER_ID
+  const createDevice = () => {
+    const db = testEnv.authenticatedContext(USER_ID).firestore();
+    let device;
+    jest.isolateModules(() => {
+      jest.doMock('../firebaseConfig', () => ({ db }));
+      device = { ...require('./historyStore'), ...require('./historySync') };
+    });
+
+    device.startSync = () => {
+      stops.push(device.startHistorySync(USER_ID));
+    };
+    return device;
+  };
+
+  const readServerSession = (sessionId) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const snapshot = await getDoc(doc(context.firestore(), 'users', USER_ID, 'sessions', sessionId));
+    return snapshot.exists() ? snapshot.data() : null;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    stops.splice(0).forEach(stop => stop());
+    jest.restoreAllMocks();
+  });
+
+  test('devices merge their histories', async () => {
+    const laptop = createDevice();
+    const phone = createDevice();
+    await laptop.saveSession(createSession('laptop-1'), { userId: USER_ID });
+    await phone.saveSession(createSession('phone-1', 'Yes'), { userId: USER_ID });
+
+    laptop.startSync();
+    await waitFor(() => readServerSession('laptop-1'));
+    phone.startSync();
+
+    await waitFor(() => phone.getSession('laptop-1'));
+    await waitFor(() => laptop.getSession('phone-1'));
+    expect((await laptop.getSessions(USER_ID)).map(session => session.id).sort()).toEqual(['laptop-1', 'phone-1']);
+    expect(await phone.getSession('laptop-1')).toEqual(await laptop.getSession('laptop-1'));
+
+    // Sessions saved while syncing go up right away
+    await phone.saveSession(createSession('phone-2', 'No'), { userId: USER_ID });
+    await waitFor(() => laptop.getSession('phone-2'));
+  });
+
+  test('a deletion reaches every device and cannot be undone by an old copy', async () => {
+    const laptop = createDevice();
+    const phone = createDevice();
+    const session = await laptop.saveSession(createSession('shared'), { userId: USER_ID });
+    laptop.startSync();
+    phone.startSync();
+    await waitFor(() => phone.getSession('shared'));
+
+    await laptop.deleteSession('shared');
+
+    const tombstone = await waitFor(async () => {
+      const data = await readServerSession('shared');
+      return data && data.deleted ? data : null;
+    });
+    expect(Object.keys(tombstone).sort()).toEqual(['deleted', 'id', 'updatedAt']);
+    await waitFor(async () => (await phone.getSession('shared')) === null);
+
+    // A device that was offline replays its upload of the session
+    await assertFails(phone.pushSession(USER_ID, session));
+    expect((await readServerSession('shared')).deleted).toBe(true);
+  });
+});
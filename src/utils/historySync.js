@@ -0,0 +1,160 @@
+/**
+ * Mirrors the local history sessions into Firestore so a user sees the same
+ * history on every device they sign in on.
+ *
+ * Layout: users/{uid}/sessions/{sessionId}
+ *
+ * Sessions are immutable once saved and their ids are generated on the device,
+ * so merging is a set union: every device uploads the sessions the server is
+ * missing and downloads the ones it is missing. A deletion is written as a
+ * tombstone ({ deleted: true }) rather than removing the document, so a device
+ * that was offline cannot bring a deleted session back. Firestore's persistent
+ * local cache queues writes made offline and replays them on reconnect.
+ *
+ * Videos stay on the device that processed them; only the timeline syncs.
+ */
+
+import {
+  collection,
+  doc,
+  onSnapshot,
+  serverTimestamp,
+  setDoc
+} from 'firebase/firestore';
+import { db } from '../firebaseConfig';
+import {
+  HISTORY_CHANGE_TYPES,
+  deleteSession,
+  getSession,
+  getSessions,
+  putSyncedSession,
+  subscribeToHistoryChanges
+} from './historyStore';
+
+const sessionsCollection = (userId) => collection(db, 'users', userId, 'sessions');
+
+/**
+ * Firestore document for a session: no video, no per-segment thumbnails
+ * (documents are limited to 1 MiB)
+ */
+const toRemoteSession = (session) => {
+  const { videoBlob, ...rest } = session;
+
+  return {
+    ...rest,
+    hasVideo: !!videoBlob,
+    segments: session.segments.map(({ thumbnail, ...segment }) => segment),
+    deleted: false,
+    updatedAt: serverTimestamp()
+  };
+};
+
+/**
+ * Local session from a Firestore document
+ */
+const fromRemoteSession = (data) => {
+  const { deleted, updatedAt, hasVideo, ...session } = data;
+  return { ...session, videoBlob: null };
+};
+
+/**
+ * Upload one session
+ *
+ * @param {string} userId - Firebase uid
+ * @param {Object} session - Local session
+ * @returns {Promise<void>} Resolves once the server has the write (queued while offline)
+ */
+export function pushSession(userId, session) {
+  return setDoc(doc(sessionsCollection(userId), session.id), toRemoteSession(session));
+}
+
+/**
+ * Record a deletion for every device
+ *
+ * The tombstone replaces the whole document, so the session's content does not
+ * stay on the server (the rules allow no real deletes).
+ *
+ * @param {string} userId - Firebase uid
+ * @param {string} sessionId - Deleted session id
+ * @returns {Promise<void>}
+ */
+export function pushDeletion(userId, sessionId) {
+  return setDoc(
+    doc(sessionsCollection(userId), sessionId),
+    { id: sessionId, deleted: true, updatedAt: serverTimestamp() }
+  );
+}
+
+/**
+ * Keep the local history of a user in sync with Firestore until stopped
+ *
+ * @param {string} userId - Firebase uid of the signed-in user
+ * @param {Object} options - Sync options
+ * @param {function} options.onError - Called with sync errors (they are also logged)
+ * @returns {function} Stops syncing
+ */
+export function startHistorySync(userId, { onError = () => {} } = {}) {
+  let stopped = false;
+  let initialSyncDone = false;
+
+  const reportError = (error) => {
+    console.error('History sync error:', error);
+    onError(error);
+  };
+
+  // Local changes go up; changes applied from the server are not echoed back
+  const unsubscribeLocal = subscribeToHistoryChanges((change) => {
+    if (change.origin !== 'local') return;
+
+    if (change.type === HISTORY_CHANGE_TYPES.SAVED && change.session.userId === userId) {
+      // Not awaited: offline writes only resolve once they reach the server
+      pushSession(userId, change.session).catch(reportError);
+    } else if (change.type === HISTORY_CHANGE_TYPES.DELETED && change.userId === userId) {
+      pushDeletion(userId, change.id).catch(reportError);
+    }
+  });
+
+  // Server changes come down, including ones made by this device while offline
+  const unsubscribeRemote = onSnapshot(sessionsCollection(userId), async (snapshot) => {
+    if (stopped) return;
+
+    try {
+      const remoteIds = new Set();
+
+      for (const change of snapshot.docChanges()) {
+        const data = change.doc.data();
+        remoteIds.add(change.doc.id);
+
+        if (change.type === 'removed') continue;
+
+        const localSession = await getSession(change.doc.id);
+        if (data.deleted) {
+          if (localSession) {
+            await deleteSession(change.doc.id, { origin: 'remote' });
+          }
+        } else if (!localSession) {
+          await putSyncedSession({ ...fromRemoteSession(data), userId });
+        }
+      }
+
+      // First snapshot: upload sessions saved before sync started (or on this device only)
+      if (!initialSyncDone) {
+        initialSyncDone = true;
+        snapshot.docs.forEach(remoteDoc => remoteIds.add(remoteDoc.id));
+
+        const localSessions = await getSessions(userId);
+        localSessions
+          .filter(session => !remoteIds.has(session.id))
+          .forEach(session => pushSession(userId, session).catch(reportError));
+      }
+    } catch (error) {
+      reportError(error);
+    }
+  }, reportError);
+
+  return () => {
+    stopped = true;
+    unsubscribeLocal();
+    unsubscribeRemote();
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * Small promise wrappers around IndexedDB for the app's own object stores
+ * (TensorFlow.js manages its own `tensorflowjs` database for cached models).
+ */
+
+/**
+ * Turn an IDBRequest into a promise
+ *
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} The request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create or upgrade) a database
+ *
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {function} upgrade - (db, oldVersion, transaction) => void, creates stores and indexes
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase(name, version, upgrade) {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+
+    request.onupgradeneeded = (event) => {
+      upgrade(request.result, event.oldVersion, request.transaction);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database "${name}" is blocked by another open tab`));
+  });
+}
+
+/**
+ * Run one operation against an object store in its own transaction
+ *
+ * @param {Promise<IDBDatabase>} dbPromise - Database to use
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Result of the request, once the transaction has completed
+ */
+export async function withStore(dbPromise, storeName, mode, operation) {
+  const db = await dbPromise;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    let result;
+
+    request.onsuccess = () => { result = request.result; };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
@@ -0,0 +1,185 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Service that runs sign model inference in a Web Worker.
+ *
+ * The worker receives a serialized copy of the loaded model and answers
+ * prediction requests with the output probability vector. When workers are
+ * unavailable (or the worker fails to load the model) the service falls back
+ * to predicting on the main thread with the same interface.
+ *
+ * A worker that does not answer in time (e.g. its backend never finishes
+ * initializing) is stopped and the main thread takes over.
+ */
+
+// Loading includes the worker's backend setup and warm-up
+const LOAD_TIMEOUT_MS = 30000;
+const PREDICT_TIMEOUT_MS = 5000;
+
+/**
+ * Serialize a loaded LayersModel into in-memory artifacts that can be posted to a worker
+ *
+ * @param {tf.LayersModel} model - Loaded model
+ * @returns {Promise<Object>} Model artifacts (topology, weight specs and weight data)
+ */
+export async function serializeModel(model) {
+  let artifacts = null;
+
+  await model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+    artifacts = modelArtifacts;
+    return {
+      modelArtifactsInfo: {
+        dateSaved: new Date(),
+        modelTopologyType: 'JSON'
+      }
+    };
+  }));
+
+  return artifacts;
+}
+
+/**
+ * Create an inference service
+ *
+ * @param {Object} options - Service options
+ * @param {string} options.backend - TF.js backend for the worker ('cpu' or 'wasm' when registered)
+ * @returns {Object} Service with load, predict and dispose functions
+ */
+export function createInferenceService({ backend = 'cpu' } = {}) {
+  let worker = null;
+  let mainThreadModel = null;
+  // The model given to load, used on the main thread if the worker stops answering
+  let loadedModel = null;
+  let nextRequestId = 1;
+  const pendingRequests = new Map();
+
+  const rejectAll = (error) => {
+    pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    pendingRequests.clear();
+  };
+
+  const startWorker = () => {
+    const instance = new Worker(new URL('../workers/signInference.worker.js', import.meta.url));
+
+    instance.onmessage = (event) => {
+      const { id, ok, result, error } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      pendingRequests.delete(id);
+      clearTimeout(request.timer);
+      if (ok) {
+        request.resolve(result);
+      } else {
+        request.reject(new Error(error));
+      }
+    };
+
+    instance.onerror = (event) => {
+      console.error('Inference worker error:', event.message);
+      rejectAll(new Error(`Inference worker error: ${event.message}`));
+    };
+
+    return instance;
+  };
+
+  const callWorker = (type, payload = {}, transfer = [], timeoutMs = PREDICT_TIMEOUT_MS) => {
+    return new Promise((resolve, reject) => {
+      const id = nextRequestId++;
+      const timer = setTimeout(() => {
+        pendingRequests.delete(id);
+        const error = new Error(`Inference worker did not answer "${type}" within ${timeoutMs}ms`);
+        error.name = 'TimeoutError';
+        reject(error);
+      }, timeoutMs);
+
+      pendingRequests.set(id, { resolve, reject, timer });
+      worker.postMessage({ id, type, ...payload }, transfer);
+    });
+  };
+
+  const stopWorker = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    rejectAll(new Error('Inference worker stopped'));
+  };
+
+  return {
+    /**
+     * Hand a loaded model to the service
+     *
+     * @param {tf.LayersModel} model - Loaded and validated model
+     * @param {Array<number>} inputShape - [frames, features] input shape
+     * @returns {Promise<{runsInWorker: boolean, backend: string}>} Where inference will run
+     */
+    async load(model, inputShape) {
+      stopWorker();
+      mainThreadModel = null;
+      loadedModel = model;
+
+      if (typeof Worker !== 'undefined') {
+        try {
+          const artifacts = await serializeModel(model);
+          worker = startWorker();
+          const { backend: workerBackend } = await callWorker('load', { artifacts, backend, inputShape }, [], LOAD_TIMEOUT_MS);
+
+          console.log(`Inference worker ready (backend: ${workerBackend})`);
+          return { runsInWorker: true, backend: workerBackend };
+        } catch (error) {
+          console.warn('Failed to start inference worker, predicting on the main thread:', error.message);
+          stopWorker();
+        }
+      }
+
+      mainThreadModel = model;
+      return { runsInWorker: false, backend: tf.getBackend() };
+    },
+
+    /**
+     * Run the model on a flattened window of landmark features
+     *
+     * @param {Float32Array} input - Flattened input values (ownership moves to the worker)
+     * @param {Array<number>} shape - Tensor shape, e.g. [1, frames, features]
+     * @returns {Promise<Float32Array>} Output probability vector
+     */
+    async predict(input, shape) {
+      if (worker) {
+        try {
+          const { probabilities } = await callWorker('predict', { input, shape }, [input.buffer]);
+          return probabilities;
+        } catch (error) {
+          // The input now belongs to the worker, so only later windows run on the main thread
+          if (error.name === 'TimeoutError') {
+            console.warn(`${error.message}, predicting on the main thread from now on`);
+            stopWorker();
+            mainThreadModel = loadedModel;
+          }
+          throw error;
+        }
+      }
+
+      if (!mainThreadModel) {
+        throw new Error('Inference service has no model loaded');
+      }
+
+      const output = tf.tidy(() => mainThreadModel.predict(tf.tensor(input, shape)));
+      const probabilities = await output.data();
+      output.dispose();
+      return probabilities;
+    },
+
+    /**
+     * Release the worker and its copy of the model
+     */
+    dispose() {
+      stopWorker();
+      mainThreadModel = null;
+      loadedModel = null;
+    }
+  };
+}
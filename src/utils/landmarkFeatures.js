@@ -0,0 +1,249 @@
+/**
+ * Utilities for turning MediaPipe hand landmarker results into the flat
+ * per-frame feature vectors consumed by the sign language model.
+ *
+ * The feature mode is declared in the model metadata so inference extracts
+ * features exactly the way the training pipeline did:
+ *
+ *   "featureMode": {
+ *     "coordinates": "raw" | "wrist-relative",
+ *     "scale": "none" | "palm",
+ *     "handSlots": "detection-order" | "handedness"
+ *   }
+ *
+ * - coordinates "wrist-relative" subtracts the wrist landmark from every landmark of that hand
+ * - scale "palm" divides by the wrist to middle-finger-MCP distance (requires wrist-relative)
+ * - handSlots "handedness" puts the left hand in the first 63 values and the right hand in
+ *   the next 63, instead of using MediaPipe's detection order
+ */
+
+// MediaPipe hand landmarker returns 21 landmarks per hand
+export const LANDMARKS_PER_HAND = 21;
+
+// Landmark indices used as the hand's reference frame
+const WRIST = 0;
+const MIDDLE_FINGER_MCP = 9;
+
+// Matches the original training pipeline: raw image coordinates in detection order
+export const DEFAULT_FEATURE_MODE = {
+  coordinates: 'raw',
+  scale: 'none',
+  handSlots: 'detection-order'
+};
+
+const FEATURE_MODE_OPTIONS = {
+  coordinates: ['raw', 'wrist-relative'],
+  scale: ['none', 'palm'],
+  handSlots: ['detection-order', 'handedness']
+};
+
+/**
+ * Fill in defaults for a feature mode and validate it
+ *
+ * @param {Object} featureMode - Partial feature mode from the model metadata
+ * @returns {Object} Complete feature mode
+ */
+export function normalizeFeatureMode(featureMode = {}) {
+  const mode = { ...DEFAULT_FEATURE_MODE, ...featureMode };
+
+  Object.entries(FEATURE_MODE_OPTIONS).forEach(([key, allowed]) => {
+    if (!allowed.includes(mode[key])) {
+      throw new Error(`Invalid featureMode.${key} "${mode[key]}": expected one of ${allowed.join(', ')}`);
+    }
+  });
+
+  if (mode.scale === 'palm' && mode.coordinates !== 'wrist-relative') {
+    throw new Error('featureMode.scale "palm" requires featureMode.coordinates "wrist-relative"');
+  }
+
+  return mode;
+}
+
+/**
+ * Work out how a feature vector of the given size is laid out
+ *
+ * Supported layouts are N hands x 21 landmarks x 3 (x, y, z) or x 2 (x, y) values,
+ * preferring x, y, z when both fit.
+ *
+ * @param {number} featureSize - Number of values per frame the model expects
+ * @returns {{numHands: number, coordsPerLandmark: number, valuesPerHand: number}} Layout description
+ */
+export function getFeatureLayout(featureSize) {
+  for (const coordsPerLandmark of [3, 2]) {
+    const valuesPerHand = LANDMARKS_PER_HAND * coordsPerLandmark;
+
+    if (featureSize > 0 && featureSize % valuesPerHand === 0) {
+      return {
+        numHands: featureSize / valuesPerHand,
+        coordsPerLandmark,
+        valuesPerHand
+      };
+    }
+  }
+
+  throw new Error(
+    `Unsupported feature size ${featureSize}: expected a multiple of ` +
+    `${LANDMARKS_PER_HAND * 3} (x, y, z) or ${LANDMARKS_PER_HAND * 2} (x, y) values per hand`
+  );
+}
+
+/**
+ * Handedness label ("Left"/"Right") reported for a detected hand
+ *
+ * @param {Object} landmarkerResult - Result from HandLandmarker.detectForVideo
+ * @param {number} handIndex - Index of the hand in detection order
+ * @returns {string|null} Handedness category name, or null when unknown
+ */
+export function getHandedness(landmarkerResult, handIndex) {
+  // Newer tasks-vision releases call this field handednesses, older ones handedness
+  const handednesses = landmarkerResult.handednesses || landmarkerResult.handedness || [];
+  const categories = handednesses[handIndex];
+
+  return categories && categories.length > 0 ? categories[0].categoryName : null;
+}
+
+/**
+ * Decide which feature slot each detected hand fills
+ *
+ * @param {Object} landmarkerResult - Result from HandLandmarker.detectForVideo
+ * @param {number} numHands - Number of hand slots in the feature vector
+ * @param {string} handSlots - 'detection-order' or 'handedness'
+ * @returns {Array<number>} Slot per detected hand (-1 when the hand does not fit)
+ */
+export function assignHandSlots(landmarkerResult, numHands, handSlots = 'detection-order') {
+  const hands = landmarkerResult.landmarks || [];
+
+  if (handSlots !== 'handedness' || numHands < 2) {
+    return hands.map((_, handIndex) => (handIndex < numHands ? handIndex : -1));
+  }
+
+  const slots = new Array(hands.length).fill(-1);
+  const taken = new Set();
+
+  // Left hand always goes to slot 0 and right hand to slot 1
+  hands.forEach((_, handIndex) => {
+    const handedness = getHandedness(landmarkerResult, handIndex);
+    const preferred = handedness === 'Left' ? 0 : handedness === 'Right' ? 1 : -1;
+
+    if (preferred >= 0 && !taken.has(preferred)) {
+      slots[handIndex] = preferred;
+      taken.add(preferred);
+    }
+  });
+
+  // Unknown or duplicate handedness: fill whichever slots are still free
+  hands.forEach((_, handIndex) => {
+    if (slots[handIndex] !== -1) return;
+
+    for (let slot = 0; slot < numHands; slot++) {
+      if (!taken.has(slot)) {
+        slots[handIndex] = slot;
+        taken.add(slot);
+        break;
+      }
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Handedness of the hand in each feature slot, in the same order as landmarksToFeatures
+ *
+ * @param {Object} landmarkerResult - Result from HandLandmarker.detectForVideo
+ * @param {number} numHands - Number of hand slots in the feature vector
+ * @param {string} handSlots - 'detection-order' or 'handedness'
+ * @returns {Array<string|null>} "Left"/"Right" per slot, null for empty slots or unknown handedness
+ */
+export function getSlotHandedness(landmarkerResult, numHands, handSlots = 'detection-order') {
+  const handedness = new Array(numHands).fill(null);
+
+  assignHandSlots(landmarkerResult, numHands, handSlots).forEach((slot, handIndex) => {
+    if (slot >= 0) {
+      handedness[slot] = getHandedness(landmarkerResult, handIndex);
+    }
+  });
+
+  return handedness;
+}
+
+/**
+ * Flatten the landmarks of one frame into a feature vector
+ *
+ * @param {Object} landmarkerResult - Result from HandLandmarker.detectForVideo
+ * @param {Object} layout - Layout from getFeatureLayout
+ * @param {Object} featureMode - Normalized feature mode (defaults to raw coordinates)
+ * @returns {Array<number>} Feature vector, zero-filled for missing hands
+ */
+export function landmarksToFeatures(landmarkerResult, layout, featureMode = DEFAULT_FEATURE_MODE) {
+  const { numHands, coordsPerLandmark, valuesPerHand } = layout;
+  const features = new Array(numHands * valuesPerHand).fill(0);
+
+  if (!landmarkerResult.landmarks) {
+    return features;
+  }
+
+  const slots = assignHandSlots(landmarkerResult, numHands, featureMode.handSlots);
+
+  landmarkerResult.landmarks.forEach((handLandmarks, handIndex) => {
+    const slot = slots[handIndex];
+    if (slot < 0) return;
+
+    const wrist = handLandmarks[WRIST];
+    const origin = featureMode.coordinates === 'wrist-relative' ? wrist : { x: 0, y: 0, z: 0 };
+
+    let scale = 1;
+    if (featureMode.scale === 'palm') {
+      const middleMcp = handLandmarks[MIDDLE_FINGER_MCP];
+      const palmSize = Math.hypot(middleMcp.x - wrist.x, middleMcp.y - wrist.y);
+      scale = palmSize > 1e-6 ? 1 / palmSize : 1;
+    }
+
+    handLandmarks.forEach((landmark, landmarkIndex) => {
+      const baseIndex = slot * valuesPerHand + landmarkIndex * coordsPerLandmark;
+
+      features[baseIndex] = (landmark.x - origin.x) * scale;
+      features[baseIndex + 1] = (landmark.y - origin.y) * scale;
+      if (coordsPerLandmark === 3) {
+        features[baseIndex + 2] = (landmark.z - origin.z) * scale;
+      }
+    });
+  });
+
+  return features;
+}
+
+/**
+ * Rebuild per-hand landmarks from a feature vector (the inverse of landmarksToFeatures,
+ * in whatever coordinates the features were extracted with)
+ *
+ * @param {Array<number>} features - Feature vector for one frame
+ * @param {Object} layout - Layout from getFeatureLayout
+ * @returns {Array<Array<Object>|null>} 21 { x, y, z } landmarks per hand slot, null for empty (zero-filled) slots
+ */
+export function featuresToLandmarks(features, layout) {
+  const { numHands, coordsPerLandmark, valuesPerHand } = layout;
+  const hands = [];
+
+  for (let slot = 0; slot < numHands; slot++) {
+    const values = features.slice(slot * valuesPerHand, (slot + 1) * valuesPerHand);
+
+    if (values.every(value => value === 0)) {
+      hands.push(null);
+      continue;
+    }
+
+    const landmarks = [];
+    for (let i = 0; i < LANDMARKS_PER_HAND; i++) {
+      const base = i * coordsPerLandmark;
+      landmarks.push({
+        x: values[base],
+        y: values[base + 1],
+        z: coordsPerLandmark === 3 ? values[base + 2] : 0
+      });
+    }
+    hands.push(landmarks);
+  }
+
+  return hands;
+}
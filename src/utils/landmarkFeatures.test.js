@@ -0,0 +1,118 @@
+import {
+  DEFAULT_FEATURE_MODE,
+  featuresToLandmarks,
+  getFeatureLayout,
+  getSlotHandedness,
+  landmarksToFeatures,
+  LANDMARKS_PER_HAND,
+  normalizeFeatureMode
+} from './landmarkFeatures';
+
+// A hand with distinct landmarks; the wrist is landmark 0 and the middle finger MCP landmark 9
+const createHand = (offsetX = 0, offsetY = 0, size = 1) => Array.from({ length: LANDMARKS_PER_HAND }, (_, i) => ({
+  x: offsetX + size * 0.01 * i,
+  y: offsetY + size * 0.02 * (i % 5),
+  z: size * -0.001 * i
+}));
+
+const category = (categoryName) => [{ categoryName, score: 0.9 }];
+
+const INVARIANT_MODE = normalizeFeatureMode({ coordinates: 'wrist-relative', scale: 'palm', handSlots: 'handedness' });
+const TWO_HANDS = getFeatureLayout(126);
+
+const expectAllClose = (received, expected) => {
+  expect(received).toHaveLength(expected.length);
+  received.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 10));
+};
+
+describe('normalizeFeatureMode', () => {
+  test('fills in the defaults and rejects unknown options', () => {
+    expect(normalizeFeatureMode()).toEqual(DEFAULT_FEATURE_MODE);
+    expect(normalizeFeatureMode({ coordinates: 'wrist-relative' })).toEqual({ ...DEFAULT_FEATURE_MODE, coordinates: 'wrist-relative' });
+    expect(() => normalizeFeatureMode({ handSlots: 'size' })).toThrow('Invalid featureMode.handSlots "size"');
+    expect(() => normalizeFeatureMode({ scale: 'palm' })).toThrow('featureMode.scale "palm" requires featureMode.coordinates "wrist-relative"');
+  });
+});
+
+describe('getFeatureLayout', () => {
+  test('reads x, y, z hands before x, y hands', () => {
+    expect(getFeatureLayout(63)).toEqual({ numHands: 1, coordsPerLandmark: 3, valuesPerHand: 63 });
+    expect(getFeatureLayout(126)).toEqual({ numHands: 2, coordsPerLandmark: 3, valuesPerHand: 63 });
+    expect(getFeatureLayout(42)).toEqual({ numHands: 1, coordsPerLandmark: 2, valuesPerHand: 42 });
+    expect(getFeatureLayout(84)).toEqual({ numHands: 2, coordsPerLandmark: 2, valuesPerHand: 42 });
+    expect(() => getFeatureLayout(100)).toThrow('Unsupported feature size 100');
+    expect(() => getFeatureLayout(0)).toThrow('Unsupported feature size 0');
+  });
+});
+
+describe('landmarksToFeatures', () => {
+  const result = { landmarks: [createHand(0.2, 0.3), createHand(0.6, 0.3)], handednesses: [category('Left'), category('Right')] };
+
+  test.each([
+    ['raw', DEFAULT_FEATURE_MODE],
+    ['wrist-relative', normalizeFeatureMode({ coordinates: 'wrist-relative' })],
+    ['wrist-relative with palm scale and handedness slots', INVARIANT_MODE]
+  ])('fills every layout in %s mode', (name, mode) => {
+    [63, 126, 42, 84].forEach(size => {
+      expect(landmarksToFeatures(result, getFeatureLayout(size), mode)).toHaveLength(size);
+    });
+  });
+
+  test('zero-fills the slots without a hand', () => {
+    expect(landmarksToFeatures({ landmarks: [] }, TWO_HANDS)).toEqual(new Array(126).fill(0));
+    expect(landmarksToFeatures({}, TWO_HANDS)).toEqual(new Array(126).fill(0));
+
+    const oneHand = landmarksToFeatures({ landmarks: [createHand(0.2, 0.3)] }, TWO_HANDS);
+    expect(oneHand.slice(63)).toEqual(new Array(63).fill(0));
+    expect(featuresToLandmarks(oneHand, TWO_HANDS)[1]).toBeNull();
+  });
+
+  test('keeps x and y only for 42-value hands', () => {
+    const features = landmarksToFeatures({ landmarks: [createHand(0.2, 0.3)] }, getFeatureLayout(42));
+
+    expectAllClose(features.slice(0, 4), [0.2, 0.3, 0.21, 0.32]);
+  });
+
+  test('wrist-relative features do not change when the hand moves', () => {
+    const mode = normalizeFeatureMode({ coordinates: 'wrist-relative' });
+    const here = landmarksToFeatures({ landmarks: [createHand(0.2, 0.3)] }, TWO_HANDS, mode);
+    const there = landmarksToFeatures({ landmarks: [createHand(0.7, 0.1)] }, TWO_HANDS, mode);
+
+    expect(here.slice(0, 3)).toEqual([0, 0, 0]);
+    expectAllClose(there, here);
+    // Raw coordinates do move with the hand
+    expect(landmarksToFeatures({ landmarks: [createHand(0.7, 0.1)] }, TWO_HANDS)[0]).toBeCloseTo(0.7);
+  });
+
+  test('palm-scaled features do not change when the signer moves closer', () => {
+    const near = landmarksToFeatures({ landmarks: [createHand(0.1, 0.2, 2)] }, TWO_HANDS, INVARIANT_MODE);
+    const far = landmarksToFeatures({ landmarks: [createHand(0.5, 0.5, 0.5)] }, TWO_HANDS, INVARIANT_MODE);
+
+    expectAllClose(far, near);
+    // The wrist to middle-finger-MCP distance becomes 1
+    expect(Math.hypot(near[9 * 3], near[9 * 3 + 1])).toBeCloseTo(1);
+  });
+
+  test('handedness slots keep the left hand first whatever the detection order', () => {
+    const left = createHand(0.2, 0.3);
+    const right = createHand(0.6, 0.3, 1.5);
+    const ordered = { landmarks: [left, right], handednesses: [category('Left'), category('Right')] };
+    const swapped = { landmarks: [right, left], handednesses: [category('Right'), category('Left')] };
+
+    expectAllClose(landmarksToFeatures(swapped, TWO_HANDS, INVARIANT_MODE), landmarksToFeatures(ordered, TWO_HANDS, INVARIANT_MODE));
+    expect(getSlotHandedness(swapped, 2, 'handedness')).toEqual(['Left', 'Right']);
+
+    // Detection order follows MediaPipe instead
+    expect(getSlotHandedness(swapped, 2, 'detection-order')).toEqual(['Right', 'Left']);
+    expect(landmarksToFeatures(swapped, TWO_HANDS)[0]).toBeCloseTo(0.6);
+  });
+
+  test('handedness slots accept the older handedness field and fill free slots for unknown hands', () => {
+    const twoLeft = { landmarks: [createHand(), createHand()], handedness: [category('Left'), category('Left')] };
+    const unknown = { landmarks: [createHand()], handednesses: [[]] };
+
+    expect(getSlotHandedness(twoLeft, 2, 'handedness')).toEqual(['Left', 'Left']);
+    expect(getSlotHandedness(unknown, 2, 'handedness')).toEqual([null, null]);
+    expect(landmarksToFeatures(unknown, TWO_HANDS, INVARIANT_MODE).slice(63)).toEqual(new Array(63).fill(0));
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * The sign model architecture, shared by the mock model and in-browser training.
+ *
+ *   LSTM(64, return sequences) -> LSTM(32) -> Dropout(0.2) -> Dense(numClasses, softmax)
+ *
+ * This is the architecture of the Keras model the bundled weights come from,
+ * so a model trained here can replace it without other changes.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+export const DEFAULT_LEARNING_RATE = 0.001;
+
+/**
+ * Compile a model the way the training pipeline does
+ *
+ * @param {tf.LayersModel} model - Model to compile
+ * @param {number} learningRate - Adam learning rate
+ * @returns {tf.LayersModel} The same model
+ */
+export function compileSignModel(model, learningRate = DEFAULT_LEARNING_RATE) {
+  model.compile({
+    optimizer: tf.train.adam(learningRate),
+    loss: 'categoricalCrossentropy',
+    metrics: ['accuracy']
+  });
+  return model;
+}
+
+/**
+ * Build (and compile) a fresh sign model
+ *
+ * @param {Object} options - Model options
+ * @param {number} options.frameCount - Frames per input window
+ * @param {number} options.featureSize - Values per frame
+ * @param {number} options.numClasses - Number of output classes
+ * @param {number} options.learningRate - Adam learning rate
+ * @param {number} options.seed - Seed for the initial weights, for a reproducible model (random when omitted)
+ * @returns {tf.Sequential} Compiled model with random weights
+ */
+export function buildSignModel({ frameCount, featureSize, numClasses, learningRate = DEFAULT_LEARNING_RATE, seed = null }) {
+  const model = tf.sequential();
+
+  // Each layer's initializers get their own seed derived from the model seed
+  const initializers = (layerIndex, recurrent = false) => {
+    if (seed === null) return {};
+    const base = seed + layerIndex * 10;
+    return {
+      kernelInitializer: tf.initializers.glorotUniform({ seed: base }),
+      ...(recurrent ? { recurrentInitializer: tf.initializers.orthogonal({ seed: base + 1 }) } : {})
+    };
+  };
+
+  model.add(tf.layers.lstm({
+    units: 64,
+    returnSequences: true,
+    inputShape: [frameCount, featureSize],
+    activation: 'relu',
+    ...initializers(0, true)
+  }));
+
+  model.add(tf.layers.lstm({
+    units: 32,
+    returnSequences: false,
+    activation: 'relu',
+    ...initializers(1, true)
+  }));
+
+  model.add(tf.layers.dropout({
+    rate: 0.2
+  }));
+
+  model.add(tf.layers.dense({
+    units: numClasses,
+    activation: 'softmax',
+    ...initializers(2)
+  }));
+
+  return compileSignModel(model, learningRate);
+}
+
+/**
+ * Prepare a loaded model for training only its dense head
+ *
+ * Every layer except the last is frozen. With reuseHead the existing head keeps
+ * its weights as a starting point (the classes must be the same, in the same
+ * order); otherwise it is replaced by a new softmax layer on top of the frozen
+ * features.
+ *
+ * @param {tf.LayersModel} baseModel - Freshly loaded model with the sign architecture (it is modified)
+ * @param {Object} options - Fine-tuning options
+ * @param {number} options.numClasses - Number of output classes to train
+ * @param {boolean} options.reuseHead - Keep the trained head instead of replacing it
+ * @param {number} options.learningRate - Adam learning rate
+ * @returns {tf.LayersModel} Compiled model sharing the frozen layers of baseModel
+ */
+export function buildFineTuneModel(baseModel, { numClasses, reuseHead = false, learningRate = DEFAULT_LEARNING_RATE }) {
+  const { layers } = baseModel;
+  const head = layers[layers.length - 1];
+
+  if (layers.length < 2 || head.getClassName() !== 'Dense') {
+    throw new Error('Fine-tuning needs a model whose last layer is a Dense classifier');
+  }
+
+  layers.slice(0, -1).forEach(layer => {
+    layer.trainable = false;
+  });
+
+  if (reuseHead) {
+    const outputShape = baseModel.outputs[0].shape;
+    if (outputShape[outputShape.length - 1] !== numClasses) {
+      throw new Error(`Cannot reuse a head with ${outputShape[outputShape.length - 1]} outputs for ${numClasses} classes`);
+    }
+    return compileSignModel(baseModel, learningRate);
+  }
+
+  const newHead = tf.layers.dense({ units: numClasses, activation: 'softmax' });
+  const model = tf.model({
+    inputs: baseModel.inputs,
+    outputs: newHead.apply(layers[layers.length - 2].output)
+  });
+
+  return compileSignModel(model, learningRate);
+}
@@ -1,11 +1,10 @@
 /**
  * Utility functions for managing the TensorFlow.js model cache
  * with support for versioning and cross-browser compatibility.
+ *
+ * The key prefix and version come from the app config (cache.keyPrefix, cache.version).
  */
-
-// Cache version constants
-const CACHE_VERSION = 'v1.0.2';
-const CACHE_KEY_PREFIX = 'sign-language-model-';
+import { getConfig } from '../appConfig';
 
 /**
  * Generate a versioned cache key for the model
@@ -14,7 +13,8 @@ const CACHE_KEY_PREFIX = 'sign-language-model-';
  * @returns {string} Versioned cache key
  */
 export function getVersionedCacheKey(modelId = 'default') {
-  return `${CACHE_KEY_PREFIX}${modelId}-${CACHE_VERSION}`;
+  const { keyPrefix, version } = getConfig().cache;
+  return `${keyPrefix}${modelId}-${version}`;
 }
 
 /**
@@ -60,7 +60,7 @@ export function getAllCacheVersions() {
   try {
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
-      if (key && key.includes(CACHE_KEY_PREFIX) && key.includes('-metadata')) {
+      if (key && key.includes(getConfig().cache.keyPrefix) && key.includes('-metadata')) {
         cacheKeys.push(key.replace('-metadata', ''));
       }
     }
@@ -88,6 +88,8 @@ function extractVersionNumber(cacheKey) {
 
 /**
  * Clear all older versions of the model from cache
+ * (TensorFlow.js copies and their metadata; downloaded ZIPs are pruned by
+ * clearOldModelZips in modelZipCache.js)
  * 
  * @param {string} currentKey - The current cache key to keep
  * @returns {Promise<void>}
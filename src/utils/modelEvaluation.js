@@ -0,0 +1,299 @@
+/**
+ * Offline evaluation of the sign model on a labelled landmark dataset.
+ *
+ * Every sample is classified on its own (no smoothing or rejection), so the
+ * numbers describe the model itself:
+ *
+ *   - accuracy, top-k accuracy and per-class precision / recall / F1
+ *   - a confusion matrix (rows: true label, columns: predicted label)
+ *   - a calibration curve of top-1 confidence against accuracy, with the
+ *     expected calibration error (ECE)
+ *   - latency of each window's inference
+ *
+ * Samples whose label the model does not know, or that were recorded with a
+ * different input shape or feature mode, are skipped and counted.
+ */
+
+import { normalizeFeatureMode } from './landmarkFeatures';
+import { getTopK } from './predictionStats';
+
+export const EVALUATION_REPORT_FORMAT = 'sign-language-evaluation';
+export const EVALUATION_REPORT_VERSION = 1;
+
+export const DEFAULT_EVALUATION_OPTIONS = {
+  calibrationBins: 10,
+  topK: 3
+};
+
+const SKIP_REASONS = {
+  UNKNOWN_LABEL: 'unknown-label',
+  SHAPE: 'input-shape',
+  FEATURE_MODE: 'feature-mode'
+};
+
+const sameShape = (a, b) => a.length === b.length && a.every((dim, i) => dim === b[i]);
+
+const createAbortError = () => new DOMException('Evaluation was cancelled', 'AbortError');
+
+const safeDivide = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+const mean = (values) => {
+  const defined = values.filter(value => value !== null);
+  return defined.length > 0 ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+};
+
+const percentile = (sorted, fraction) => {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1));
+  return sorted[index];
+};
+
+/**
+ * Precision, recall, F1 and support per class from a confusion matrix
+ *
+ * @param {Array<Array<number>>} matrix - Counts, rows true label, columns predicted label
+ * @param {Array<string>} labels - Class labels
+ * @returns {Array<Object>} { label, precision, recall, f1, support, predicted } per class (null when undefined)
+ */
+export function computeClassMetrics(matrix, labels) {
+  return labels.map((label, index) => {
+    const truePositives = matrix[index][index];
+    const support = matrix[index].reduce((sum, count) => sum + count, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[index], 0);
+    const precision = safeDivide(truePositives, predicted);
+    const recall = safeDivide(truePositives, support);
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : (precision === null || recall === null ? null : 0);
+
+    return { label, precision, recall, f1, support, predicted };
+  });
+}
+
+/**
+ * Reliability curve of top-1 confidence
+ *
+ * @param {Array<{confidence: number, correct: boolean}>} predictions - One entry per sample
+ * @param {number} numBins - Number of equal-width confidence bins
+ * @returns {{bins: Array<Object>, ece: number|null}} Bins ({ from, to, count, confidence, accuracy }) and expected calibration error
+ */
+export function computeCalibration(predictions, numBins = DEFAULT_EVALUATION_OPTIONS.calibrationBins) {
+  const bins = Array.from({ length: numBins }, (_, index) => ({
+    from: index / numBins,
+    to: (index + 1) / numBins,
+    count: 0,
+    confidenceSum: 0,
+    correctCount: 0
+  }));
+
+  predictions.forEach(({ confidence, correct }) => {
+    const bin = bins[Math.min(numBins - 1, Math.floor(confidence * numBins))];
+    bin.count++;
+    bin.confidenceSum += confidence;
+    if (correct) bin.correctCount++;
+  });
+
+  const total = predictions.length;
+  let ece = 0;
+  const result = bins.map(({ from, to, count, confidenceSum, correctCount }) => {
+    const confidence = safeDivide(confidenceSum, count);
+    const accuracy = safeDivide(correctCount, count);
+    if (count > 0) {
+      ece += (count / total) * Math.abs(accuracy - confidence);
+    }
+    return { from, to, count, confidence, accuracy };
+  });
+
+  return { bins: result, ece: total > 0 ? ece : null };
+}
+
+/**
+ * Summary statistics of per-window latencies
+ *
+ * @param {Array<number>} latencies - Milliseconds per window
+ * @returns {Object} { count, mean, median, p95, min, max } in milliseconds (null without samples)
+ */
+export function computeLatencyStats(latencies) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    mean: mean(sorted),
+    median: percentile(sorted, 0.5),
+    p95: percentile(sorted, 0.95),
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+  };
+}
+
+/**
+ * Run the model over a dataset and build the evaluation report
+ *
+ * @param {Object} options - Evaluation options
+ * @param {Array<Object>} options.samples - Samples ({ id, label, frames, inputShape, featureMode })
+ * @param {Object} options.model - The model under test: { labels, inputShape, featureMode, version, source }
+ * @param {function} options.predict - (frames) => Promise of the probability vector for one window
+ * @param {string} options.datasetName - Description of the dataset, stored in the report
+ * @param {number} options.calibrationBins - Number of calibration bins
+ * @param {number} options.topK - k for top-k accuracy
+ * @param {AbortSignal} options.signal - Cancels the evaluation
+ * @param {function} options.onProgress - Called with (done, total) after every sample
+ * @returns {Promise<Object>} Evaluation report
+ * @throws {Error} If no sample can be evaluated; a DOMException named AbortError when cancelled
+ */
+export async function evaluateModel({
+  samples,
+  model,
+  predict,
+  datasetName = 'dataset',
+  calibrationBins = DEFAULT_EVALUATION_OPTIONS.calibrationBins,
+  topK = DEFAULT_EVALUATION_OPTIONS.topK,
+  signal = null,
+  onProgress = () => {}
+}) {
+  const { labels } = model;
+  const modelFeatureMode = JSON.stringify(normalizeFeatureMode(model.featureMode));
+  const matrix = labels.map(() => new Array(labels.length).fill(0));
+  const skipped = {};
+  const predictions = [];
+  const latencies = [];
+  let topKCorrect = 0;
+
+  const skip = (reason, label) => {
+    const entry = skipped[reason] || (skipped[reason] = { count: 0, labels: {} });
+    entry.count++;
+    entry.labels[label] = (entry.labels[label] || 0) + 1;
+  };
+
+  for (let i = 0; i < samples.length; i++) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
+    const sample = samples[i];
+    const trueIndex = labels.indexOf(sample.label);
+
+    if (trueIndex < 0) {
+      skip(SKIP_REASONS.UNKNOWN_LABEL, sample.label);
+    } else if (!sameShape(sample.inputShape, model.inputShape)) {
+      skip(SKIP_REASONS.SHAPE, sample.label);
+    } else if (JSON.stringify(normalizeFeatureMode(sample.featureMode)) !== modelFeatureMode) {
+      skip(SKIP_REASONS.FEATURE_MODE, sample.label);
+    } else {
+      const start = performance.now();
+      const probabilities = await predict(sample.frames);
+      latencies.push(performance.now() - start);
+
+      const ranked = getTopK(probabilities, labels, Math.max(topK, 1));
+      const [best] = ranked;
+      matrix[trueIndex][best.labelIndex]++;
+      if (ranked.some(candidate => candidate.labelIndex === trueIndex)) topKCorrect++;
+
+      predictions.push({
+        sampleId: sample.id,
+        label: sample.label,
+        predicted: best.label,
+        confidence: best.probability,
+        correct: best.labelIndex === trueIndex
+      });
+    }
+
+    onProgress(i + 1, samples.length);
+  }
+
+  if (predictions.length === 0) {
+    throw new Error('None of the samples match the model\'s labels, input shape and feature mode');
+  }
+
+  const perClass = computeClassMetrics(matrix, labels);
+  const evaluatedClasses = perClass.filter(metrics => metrics.support > 0);
+  const correctCount = predictions.filter(prediction => prediction.correct).length;
+
+  return {
+    format: EVALUATION_REPORT_FORMAT,
+    version: EVALUATION_REPORT_VERSION,
+    createdAt: new Date().toISOString(),
+    model: {
+      version: model.version || null,
+      source: model.source || null,
+      labels: [...labels],
+      inputShape: model.inputShape,
+      featureMode: model.featureMode
+    },
+    dataset: {
+      name: datasetName,
+      sampleCount: samples.length,
+      evaluatedCount: predictions.length,
+      skipped
+    },
+    summary: {
+      accuracy: correctCount / predictions.length,
+      topK,
+      topKAccuracy: topKCorrect / predictions.length,
+      // Macro averages over the classes present in the dataset
+      macroPrecision: mean(evaluatedClasses.map(metrics => metrics.precision)),
+      macroRecall: mean(evaluatedClasses.map(metrics => metrics.recall)),
+      macroF1: mean(evaluatedClasses.map(metrics => metrics.f1))
+    },
+    perClass,
+    confusionMatrix: { labels: [...labels], matrix },
+    calibration: computeCalibration(predictions, calibrationBins),
+    latency: computeLatencyStats(latencies),
+    predictions
+  };
+}
+
+/**
+ * Check and read a saved report, e.g. to compare two model versions
+ *
+ * @param {string} text - Contents of a JSON report
+ * @returns {Object} The report
+ * @throws {Error} If the text is not an evaluation report
+ */
+export function parseEvaluationReport(text) {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+
+  if (!report || report.format !== EVALUATION_REPORT_FORMAT) {
+    throw new Error('Not a sign model evaluation report');
+  }
+  if (report.version > EVALUATION_REPORT_VERSION) {
+    throw new Error(`Report version ${report.version} is newer than this app supports`);
+  }
+  if (!report.summary || !Array.isArray(report.perClass)) {
+    throw new Error('The report has no summary or per-class metrics');
+  }
+
+  return report;
+}
+
+/**
+ * Differences between two reports (current minus baseline)
+ *
+ * @param {Object} report - Report of the model under test
+ * @param {Object} baseline - Report to compare against
+ * @returns {Object} { summary: { metric: delta }, perClass: [{ label, recallDelta, precisionDelta }] }
+ */
+export function compareReports(report, baseline) {
+  const delta = (a, b) => (a !== null && a !== undefined && b !== null && b !== undefined ? a - b : null);
+  const summary = {};
+  ['accuracy', 'topKAccuracy', 'macroPrecision', 'macroRecall', 'macroF1'].forEach(metric => {
+    summary[metric] = delta(report.summary[metric], baseline.summary[metric]);
+  });
+  summary.ece = delta(report.calibration && report.calibration.ece, baseline.calibration && baseline.calibration.ece);
+  summary.medianLatency = delta(report.latency && report.latency.median, baseline.latency && baseline.latency.median);
+
+  const perClass = report.perClass.map(metrics => {
+    const previous = baseline.perClass.find(entry => entry.label === metrics.label);
+    return {
+      label: metrics.label,
+      recallDelta: previous ? delta(metrics.recall, previous.recall) : null,
+      precisionDelta: previous ? delta(metrics.precision, previous.precision) : null
+    };
+  });
+
+  return { summary, perClass };
+}
@@ -0,0 +1,233 @@
+/**
+ * SHA-256 verification of the model files in a ZIP, so a damaged or modified
+ * download (or cached copy) never reaches TensorFlow.js.
+ *
+ * The backend publishes a manifest next to the ZIP (getApiEndpoints().modelManifest):
+ *
+ *   {
+ *     "manifestVersion": 1,
+ *     "modelVersion": "1.0.0",
+ *     "files": {
+ *       "model.json": { "sha256": "<64 hex digits>", "size": 1234 },
+ *       "group1-shard1of1.bin": { "sha256": "...", "size": 56789 }
+ *     }
+ *   }
+ *
+ * File names are the weight paths of model.json, relative to it. model.json and
+ * every weight shard must be listed; other files (metadata.json) are not checked.
+ *
+ * Files that cannot be checked are refused: without digests or without WebCrypto
+ * the model does not load, unless unverified models are allowed (a development
+ * setting, see allowsUnverifiedModel in appConfig.js).
+ */
+
+export const INTEGRITY_ERROR = 'ModelIntegrityError';
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Error for a file that does not match its digest
+ *
+ * @param {string} message - What did not match
+ * @returns {Error} Error named INTEGRITY_ERROR
+ */
+const createIntegrityError = (message) => {
+  const error = new Error(`Model integrity check failed: ${message}`);
+  error.name = INTEGRITY_ERROR;
+  return error;
+};
+
+/**
+ * Whether an error comes from a failed digest check
+ *
+ * @param {Error} error - Any error
+ * @returns {boolean} True for integrity errors
+ */
+export function isIntegrityError(error) {
+  return Boolean(error) && error.name === INTEGRITY_ERROR;
+}
+
+/**
+ * Whether digests can be computed; WebCrypto only exists in secure contexts
+ * (HTTPS or localhost)
+ *
+ * @returns {boolean} True when crypto.subtle is available
+ */
+export function isWebCryptoAvailable() {
+  return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Refuse model files that cannot be verified
+ *
+ * @param {Object|null} expectedDigests - { <file>: <sha256> } from the manifest or the cache entry
+ * @param {Object} options - Verification options
+ * @param {boolean} options.allowUnverified - Accept files without digests or without WebCrypto
+ * @throws {Error} When there are no digests or no WebCrypto (named INTEGRITY_ERROR)
+ */
+export function requireDigests(expectedDigests, { allowUnverified = false } = {}) {
+  if (allowUnverified) {
+    return;
+  }
+  if (!expectedDigests) {
+    throw createIntegrityError('no SHA-256 digests are published for the model');
+  }
+  if (!isWebCryptoAvailable()) {
+    throw createIntegrityError('WebCrypto is not available (the page is not served over HTTPS), so the model files cannot be verified');
+  }
+}
+
+/**
+ * SHA-256 of some bytes
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Bytes to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256Hex(data) {
+  const hash = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Path of model.json in a ZIP
+ *
+ * @param {JSZip} zipContents - Extracted ZIP
+ * @returns {string|undefined} Path inside the ZIP
+ */
+export function findModelJsonPath(zipContents) {
+  return Object.keys(zipContents.files).find(name => name.endsWith('model.json'));
+}
+
+/**
+ * Find a weight file of model.json in a ZIP, trying the layouts seen in exported bundles
+ *
+ * @param {JSZip} zipContents - Extracted ZIP
+ * @param {string} modelDir - Directory of model.json in the ZIP, with a trailing slash or empty
+ * @param {string} path - Weight path from model.json's weightsManifest
+ * @returns {Object|null} { path, file } of the JSZip entry, or null when it is missing
+ */
+export function findWeightFile(zipContents, modelDir, path) {
+  const possiblePaths = [
+    modelDir + path,          // Standard path with directory
+    path,                     // Direct path (root of ZIP)
+    'model/' + path,          // Common subfolder
+    'assets/' + path,         // Another common subfolder
+    path.replace(/^\.\//, '') // Remove leading ./ if present
+  ];
+
+  for (const tryPath of possiblePaths) {
+    if (zipContents.files[tryPath]) {
+      return { path: tryPath, file: zipContents.files[tryPath] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn a server manifest into a map of file name to digest
+ *
+ * @param {Object} raw - Parsed manifest
+ * @returns {Object} { modelVersion, digests: { <file>: <sha256> } }
+ */
+export function parseModelManifest(raw) {
+  if (!raw || typeof raw.files !== 'object' || raw.files === null) {
+    throw new Error('Model manifest has no files');
+  }
+
+  const digests = {};
+  for (const [name, entry] of Object.entries(raw.files)) {
+    const digest = String((entry && entry.sha256) || '').toLowerCase();
+    if (!SHA256_PATTERN.test(digest)) {
+      throw new Error(`Model manifest has no valid SHA-256 digest for ${name}`);
+    }
+    digests[name.replace(/^\.\//, '')] = digest;
+  }
+
+  return { modelVersion: raw.modelVersion || null, digests };
+}
+
+/**
+ * Fetch the backend's model manifest
+ *
+ * A backend without one is not an error here; requireDigests refuses the download.
+ *
+ * @param {string} url - Manifest endpoint
+ * @returns {Promise<Object|null>} { modelVersion, digests }, or null when there is no usable manifest
+ */
+export async function fetchModelManifest(url) {
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      console.warn(`No model manifest at ${url} (${response.status})`);
+      return null;
+    }
+
+    // Dev servers answer unknown paths with index.html, which is not a manifest
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/html')) {
+      console.warn(`No model manifest at ${url}`);
+      return null;
+    }
+
+    return parseModelManifest(await response.json());
+  } catch (error) {
+    console.warn(`Could not read the model manifest from ${url}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Hash model.json and its weight shards in a ZIP and compare them with the expected digests
+ *
+ * Only when unverified models are allowed: without expected digests the files
+ * are just hashed, so a cached copy can be checked later, and without WebCrypto
+ * nothing is checked and null is returned.
+ *
+ * @param {JSZip} zipContents - Extracted ZIP
+ * @param {Object|null} expectedDigests - { <file>: <sha256> } from the manifest or the cache entry
+ * @param {Object} options - See requireDigests
+ * @returns {Promise<Object|null>} Digests of the checked files
+ */
+export async function verifyModelZip(zipContents, expectedDigests, options = {}) {
+  requireDigests(expectedDigests, options);
+
+  if (!isWebCryptoAvailable()) {
+    console.warn('WebCrypto is not available (the page is not served over HTTPS), model files are not verified');
+    return null;
+  }
+
+  const modelJsonPath = findModelJsonPath(zipContents);
+  if (!modelJsonPath) {
+    throw new Error('model.json not found in ZIP file');
+  }
+  const modelDir = modelJsonPath.substring(0, modelJsonPath.lastIndexOf('/') + 1);
+  const modelJsonData = await zipContents.files[modelJsonPath].async('uint8array');
+  const modelJSON = JSON.parse(new TextDecoder().decode(modelJsonData));
+
+  const files = [{ name: 'model.json', data: modelJsonData }];
+  for (const group of modelJSON.weightsManifest || []) {
+    for (const path of group.paths) {
+      const weightFile = findWeightFile(zipContents, modelDir, path);
+      if (!weightFile) {
+        throw new Error(`Weight file not found in ZIP for path: ${path}`);
+      }
+      files.push({ name: path.replace(/^\.\//, ''), data: await weightFile.file.async('uint8array') });
+    }
+  }
+
+  const digests = {};
+  for (const { name, data } of files) {
+    digests[name] = await sha256Hex(data);
+
+    if (expectedDigests) {
+      if (!expectedDigests[name]) {
+        throw createIntegrityError(`${name} is not listed in the model manifest`);
+      }
+      if (expectedDigests[name] !== digests[name]) {
+        throw createIntegrityError(`${name} does not match its published SHA-256 digest`);
+      }
+    }
+  }
+
+  return digests;
+}
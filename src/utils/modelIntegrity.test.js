@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+import { createHash, webcrypto } from 'crypto';
+import JSZip from 'jszip';
+import { fetchModelManifest, isIntegrityError, parseModelManifest, requireDigests, verifyModelZip } from './modelIntegrity';
+
+const MODEL_JSON = JSON.stringify({
+  modelTopology: {},
+  weightsManifest: [{ paths: ['group1-shard1of2.bin', 'group1-shard2of2.bin'], weights: [] }]
+});
+const SHARDS = {
+  'group1-shard1of2.bin': Uint8Array.from({ length: 64 }, (_, i) => i),
+  'group1-shard2of2.bin': Uint8Array.from({ length: 32 }, (_, i) => 255 - i)
+};
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+const DIGESTS = {
+  'model.json': sha256(MODEL_JSON),
+  'group1-shard1of2.bin': sha256(SHARDS['group1-shard1of2.bin']),
+  'group1-shard2of2.bin': sha256(SHARDS['group1-shard2of2.bin'])
+};
+
+// A model ZIP read back the way the app extracts downloads
+const createModelZip = async (shards = SHARDS) => {
+  const zip = new JSZip();
+  zip.file('model/model.json', MODEL_JSON);
+  Object.entries(shards).forEach(([name, data]) => zip.file(`model/${name}`, data));
+  const data = await zip.generateAsync({ type: 'uint8array' });
+  return new JSZip().loadAsync(data, { checkCRC32: true });
+};
+
+const rejectionOf = (promise) => promise.then(() => null, error => error);
+
+beforeEach(() => {
+  global.crypto = webcrypto;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.crypto;
+  delete global.fetch;
+});
+
+describe('verifyModelZip', () => {
+  test('returns the digests of model.json and every shard', async () => {
+    await expect(verifyModelZip(await createModelZip(), DIGESTS)).resolves.toEqual(DIGESTS);
+  });
+
+  test('fails when a shard does not match its digest', async () => {
+    const tampered = { ...SHARDS, 'group1-shard2of2.bin': SHARDS['group1-shard2of2.bin'].map(byte => byte ^ 1) };
+    const error = await rejectionOf(verifyModelZip(await createModelZip(tampered), DIGESTS));
+
+    expect(isIntegrityError(error)).toBe(true);
+    expect(error.message).toBe('Model integrity check failed: group1-shard2of2.bin does not match its published SHA-256 digest');
+  });
+
+  test('fails when a shard is not in the manifest', async () => {
+    const { 'group1-shard1of2.bin': unlisted, ...digests } = DIGESTS;
+    const error = await rejectionOf(verifyModelZip(await createModelZip(), digests));
+
+    expect(isIntegrityError(error)).toBe(true);
+    expect(error.message).toContain('group1-shard1of2.bin is not listed in the model manifest');
+  });
+
+  test('refuses files without digests unless unverified models are allowed', async () => {
+    const zipContents = await createModelZip();
+
+    expect(isIntegrityError(await rejectionOf(verifyModelZip(zipContents, null)))).toBe(true);
+    await expect(verifyModelZip(zipContents, null, { allowUnverified: true })).resolves.toEqual(DIGESTS);
+  });
+
+  test('refuses files without WebCrypto unless unverified models are allowed', async () => {
+    const zipContents = await createModelZip();
+    delete global.crypto;
+
+    const error = await rejectionOf(verifyModelZip(zipContents, DIGESTS));
+    expect(isIntegrityError(error)).toBe(true);
+    expect(error.message).toContain('WebCrypto is not available');
+    await expect(verifyModelZip(zipContents, DIGESTS, { allowUnverified: true })).resolves.toBeNull();
+  });
+});
+
+describe('model manifest', () => {
+  const respond = (status, contentType, body) => {
+    global.fetch = jest.fn(async () => ({
+      ok: status === 200,
+      status,
+      headers: { get: (name) => (name.toLowerCase() === 'content-type' ? contentType : null) },
+      json: async () => JSON.parse(body)
+    }));
+  };
+
+  const manifest = {
+    manifestVersion: 1,
+    modelVersion: '1.0.0',
+    files: Object.fromEntries(Object.entries(DIGESTS).map(([name, digest]) => [name, { sha256: digest.toUpperCase() }]))
+  };
+
+  test('parses the digests of the backend manifest', async () => {
+    respond(200, 'application/json', JSON.stringify(manifest));
+    await expect(fetchModelManifest('/model-manifest')).resolves.toEqual({ modelVersion: '1.0.0', digests: DIGESTS });
+  });
+
+  test('has no digests when the backend has no manifest, and they are then required', async () => {
+    respond(200, 'text/html', '<!doctype html>');
+    const missing = await fetchModelManifest('/model-manifest');
+    respond(404, 'application/json', '{}');
+
+    expect(missing).toBeNull();
+    await expect(fetchModelManifest('/model-manifest')).resolves.toBeNull();
+    expect(() => requireDigests(null)).toThrow('Model integrity check failed: no SHA-256 digests are published for the model');
+    expect(() => requireDigests(null, { allowUnverified: true })).not.toThrow();
+  });
+
+  test('rejects a manifest with an invalid digest', () => {
+    expect(() => parseModelManifest({ files: { 'model.json': { sha256: 'abc' } } }))
+      .toThrow('Model manifest has no valid SHA-256 digest for model.json');
+    expect(() => parseModelManifest({})).toThrow('Model manifest has no files');
+  });
+});
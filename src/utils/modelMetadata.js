@@ -0,0 +1,294 @@
+/**
+ * Utilities for reading and validating the metadata manifest that ships
+ * next to a sign language model (`metadata.json` or `labels.json`).
+ *
+ * A manifest looks like:
+ *
+ *   {
+ *     "version": "1.0.0",
+ *     "signLanguage": "asl",
+ *     "labels": ["Hello", "Thank you", ...],
+ *     "inputShape": [30, 126],
+ *     "frameCount": 30,
+ *     "featureMode": { "coordinates": "raw", "scale": "none", "handSlots": "detection-order" },
+ *     "rejection": { "minConfidence": 0.5, "minMargin": 0.15, "classThresholds": { "Yes": 0.8 } }
+ *   }
+ *
+ * A `labels.json` file may also hold just the ordered array of labels.
+ * `featureMode` is optional; see landmarkFeatures.js for the supported modes.
+ * `rejection` is optional; see openSetRejection.js for the thresholds.
+ */
+
+import { normalizeFeatureMode } from './landmarkFeatures';
+import { normalizeRejectionConfig } from './openSetRejection';
+
+// File names searched for next to model.json, in order of preference
+export const METADATA_FILE_NAMES = ['metadata.json', 'labels.json'];
+
+export const METADATA_MISMATCH_ERROR = 'ModelMetadataMismatchError';
+export const METADATA_INVALID_ERROR = 'ModelMetadataInvalidError';
+
+const createMismatchError = (message) => {
+  const error = new Error(message);
+  error.name = METADATA_MISMATCH_ERROR;
+  return error;
+};
+
+const createInvalidError = (message) => {
+  const error = new Error(message);
+  error.name = METADATA_INVALID_ERROR;
+  return error;
+};
+
+/**
+ * Whether an error comes from validateMetadataAgainstModel
+ *
+ * @param {Error} error - Any error
+ * @returns {boolean} True when the model and its metadata disagree
+ */
+export function isMetadataMismatchError(error) {
+  return Boolean(error) && error.name === METADATA_MISMATCH_ERROR;
+}
+
+/**
+ * Whether an error means the model's metadata cannot be trusted: it disagrees
+ * with the model, or a manifest exists but cannot be read or parsed
+ *
+ * @param {Error} error - Any error
+ * @returns {boolean} True for mismatched, unreadable or invalid metadata
+ */
+export function isMetadataError(error) {
+  return isMetadataMismatchError(error) || (Boolean(error) && error.name === METADATA_INVALID_ERROR);
+}
+
+/**
+ * Normalize a raw manifest (object or plain label array) and validate its fields
+ *
+ * @param {Object|Array<string>} raw - Parsed JSON content of the manifest
+ * @param {string} source - Where the manifest came from (used in error messages)
+ * @returns {Object} Normalized metadata
+ */
+export function normalizeMetadata(raw, source = 'model metadata') {
+  const data = Array.isArray(raw) ? { labels: raw } : raw;
+
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Invalid ${source}: expected an object or an array of labels`);
+  }
+
+  const { labels } = data;
+  if (!Array.isArray(labels) || labels.length === 0) {
+    throw new Error(`Invalid ${source}: "labels" must be a non-empty array`);
+  }
+
+  labels.forEach((label, index) => {
+    if (typeof label !== 'string' || label.trim() === '') {
+      throw new Error(`Invalid ${source}: label at index ${index} must be a non-empty string`);
+    }
+  });
+
+  const duplicates = labels.filter((label, index) => labels.indexOf(label) !== index);
+  if (duplicates.length > 0) {
+    throw new Error(`Invalid ${source}: duplicate labels ${duplicates.join(', ')}`);
+  }
+
+  let inputShape = null;
+  if (data.inputShape !== undefined) {
+    const shapeIsValid = Array.isArray(data.inputShape) &&
+      data.inputShape.length === 2 &&
+      data.inputShape.every(dim => Number.isInteger(dim) && dim > 0);
+
+    if (!shapeIsValid) {
+      throw new Error(`Invalid ${source}: "inputShape" must be [frames, features] with positive integers`);
+    }
+    inputShape = [...data.inputShape];
+  }
+
+  let frameCount = null;
+  if (data.frameCount !== undefined) {
+    if (!Number.isInteger(data.frameCount) || data.frameCount <= 0) {
+      throw new Error(`Invalid ${source}: "frameCount" must be a positive integer`);
+    }
+    frameCount = data.frameCount;
+  }
+
+  if (inputShape && frameCount && inputShape[0] !== frameCount) {
+    throw new Error(`Invalid ${source}: "frameCount" (${frameCount}) does not match inputShape[0] (${inputShape[0]})`);
+  }
+
+  let featureMode;
+  let rejection = null;
+  try {
+    featureMode = normalizeFeatureMode(data.featureMode);
+    if (data.rejection !== undefined) {
+      rejection = normalizeRejectionConfig(data.rejection, labels);
+    }
+  } catch (error) {
+    throw new Error(`Invalid ${source}: ${error.message}`);
+  }
+
+  return {
+    version: data.version !== undefined ? String(data.version) : null,
+    signLanguage: data.signLanguage || null,
+    labels: [...labels],
+    inputShape,
+    frameCount: frameCount || (inputShape ? inputShape[0] : null),
+    featureMode,
+    rejection,
+    source
+  };
+}
+
+/**
+ * Check that a metadata manifest matches the loaded model's input and output shapes
+ *
+ * @param {Object} metadata - Normalized metadata
+ * @param {tf.LayersModel} model - Loaded TensorFlow.js model
+ * @throws {Error} When labels or input shape disagree with the model (named METADATA_MISMATCH_ERROR)
+ */
+export function validateMetadataAgainstModel(metadata, model) {
+  const outputShape = model.outputs[0].shape;
+  const outputUnits = outputShape[outputShape.length - 1];
+
+  if (outputUnits !== metadata.labels.length) {
+    throw createMismatchError(
+      `Model/label mismatch: model has ${outputUnits} output units but ${metadata.source} ` +
+      `lists ${metadata.labels.length} labels`
+    );
+  }
+
+  if (metadata.inputShape) {
+    const modelInputShape = model.inputs[0].shape.slice(1);
+    const matches = modelInputShape.length === metadata.inputShape.length &&
+      modelInputShape.every((dim, i) => dim === null || dim === metadata.inputShape[i]);
+
+    if (!matches) {
+      throw createMismatchError(
+        `Model/metadata mismatch: model expects input [${modelInputShape.join(', ')}] but ` +
+        `${metadata.source} declares [${metadata.inputShape.join(', ')}]`
+      );
+    }
+  }
+}
+
+/**
+ * Insist on a manifest for a model that must not run with the default labels
+ *
+ * @param {Object|null} metadata - Normalized metadata, or null when none was found
+ * @param {string} source - The model the manifest belongs to (used in the error message)
+ * @returns {Object} The metadata
+ * @throws {Error} When there is no metadata (named METADATA_INVALID_ERROR)
+ */
+export function requireMetadata(metadata, source) {
+  if (!metadata) {
+    throw createInvalidError(`No metadata.json or labels.json found for ${source}`);
+  }
+  return metadata;
+}
+
+/**
+ * Read the [frames, features] input shape from a loaded model's batch_input_shape
+ *
+ * @param {tf.LayersModel} model - Loaded TensorFlow.js model
+ * @param {Object} metadata - Normalized metadata, used when the model has a variable frame count
+ * @returns {Array<number>} Input shape without the batch dimension
+ */
+export function getModelInputShape(model, metadata = null) {
+  const shape = model.inputs[0].shape;
+
+  if (shape.length !== 3) {
+    throw new Error(`Unsupported model input shape [${shape.join(', ')}]: expected [batch, frames, features]`);
+  }
+
+  const frames = shape[1] || (metadata && metadata.frameCount);
+  const features = shape[2];
+
+  if (!frames) {
+    throw new Error('Model accepts a variable number of frames and the metadata does not declare "frameCount"');
+  }
+  if (!features) {
+    throw new Error('Model input does not declare a feature size');
+  }
+
+  return [frames, features];
+}
+
+/**
+ * Parse and normalize the text of a manifest file
+ *
+ * @param {Function} readText - Returns a promise of the file's text
+ * @param {string} source - Where the manifest came from (used in error messages)
+ * @returns {Promise<Object>} Normalized metadata
+ * @throws {Error} When the file cannot be read, is not JSON or is not a valid manifest (named METADATA_INVALID_ERROR)
+ */
+const readMetadataFile = async (readText, source) => {
+  let raw;
+  try {
+    raw = JSON.parse(await readText());
+  } catch (error) {
+    throw createInvalidError(`Invalid ${source}: could not be read as JSON (${error.message})`);
+  }
+
+  try {
+    return normalizeMetadata(raw, source);
+  } catch (error) {
+    throw createInvalidError(error.message);
+  }
+};
+
+/**
+ * Fetch the metadata manifest that lives next to a model.json URL
+ *
+ * @param {string} modelUrl - URL of the model.json file (or model endpoint)
+ * @returns {Promise<Object|null>} Normalized metadata, or null if no manifest exists
+ * @throws {Error} When a manifest exists but is not valid (named METADATA_INVALID_ERROR)
+ */
+export async function fetchModelMetadata(modelUrl) {
+  const baseUrl = modelUrl.substring(0, modelUrl.lastIndexOf('/') + 1);
+
+  for (const fileName of METADATA_FILE_NAMES) {
+    const url = `${baseUrl}${fileName}`;
+    let response;
+
+    try {
+      response = await fetch(url, { cache: 'no-store' });
+    } catch (error) {
+      console.warn(`Could not fetch ${url}:`, error.message);
+      continue;
+    }
+
+    if (!response.ok) {
+      continue;
+    }
+
+    // Dev servers answer unknown paths with index.html, which is not a manifest
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/html')) {
+      continue;
+    }
+
+    return readMetadataFile(() => response.text(), url);
+  }
+
+  return null;
+}
+
+/**
+ * Read the metadata manifest from extracted ZIP contents
+ *
+ * @param {JSZip} zipContents - Loaded JSZip instance
+ * @returns {Promise<Object|null>} Normalized metadata, or null if the ZIP has no manifest
+ * @throws {Error} When the ZIP's manifest is not valid (named METADATA_INVALID_ERROR)
+ */
+export async function readMetadataFromZip(zipContents) {
+  const fileNames = Object.keys(zipContents.files);
+
+  for (const fileName of METADATA_FILE_NAMES) {
+    const path = fileNames.find(name => name === fileName || name.endsWith(`/${fileName}`));
+
+    if (path) {
+      return readMetadataFile(() => zipContents.files[path].async('text'), `ZIP ${path}`);
+    }
+  }
+
+  return null;
+}
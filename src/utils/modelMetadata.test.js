@@ -0,0 +1,124 @@
+import JSZip from 'jszip';
+import {
+  isMetadataError,
+  isMetadataMismatchError,
+  normalizeMetadata,
+  readMetadataFromZip,
+  requireMetadata,
+  validateMetadataAgainstModel
+} from './modelMetadata';
+
+const LABELS = ['Hello', 'Yes', 'No'];
+
+// Just the parts of a tf.LayersModel the validation reads
+const createModel = ({ outputUnits = 3, inputShape = [30, 126] } = {}) => ({
+  inputs: [{ shape: [null, ...inputShape] }],
+  outputs: [{ shape: [null, outputUnits] }]
+});
+
+const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('normalizeMetadata', () => {
+  test('accepts a plain label array', () => {
+    expect(normalizeMetadata(LABELS, 'labels.json')).toMatchObject({
+      labels: LABELS,
+      inputShape: null,
+      frameCount: null,
+      source: 'labels.json'
+    });
+  });
+
+  test('takes the frame count from the input shape', () => {
+    expect(normalizeMetadata({ version: 2, labels: LABELS, inputShape: [45, 126] })).toMatchObject({
+      version: '2',
+      inputShape: [45, 126],
+      frameCount: 45
+    });
+  });
+
+  test('rejects invalid labels', () => {
+    expect(() => normalizeMetadata({ labels: [] }, 'm.json')).toThrow('Invalid m.json: "labels" must be a non-empty array');
+    expect(() => normalizeMetadata(['Hello', ''], 'm.json')).toThrow('label at index 1 must be a non-empty string');
+    expect(() => normalizeMetadata(['Hello', 'Yes', 'Hello'], 'm.json')).toThrow('duplicate labels Hello');
+  });
+
+  test('rejects an invalid input shape', () => {
+    expect(() => normalizeMetadata({ labels: LABELS, inputShape: [30] }, 'm.json'))
+      .toThrow('"inputShape" must be [frames, features] with positive integers');
+    expect(() => normalizeMetadata({ labels: LABELS, inputShape: [30, 0] }, 'm.json'))
+      .toThrow('"inputShape" must be [frames, features] with positive integers');
+    expect(() => normalizeMetadata({ labels: LABELS, inputShape: [30, 126], frameCount: 15 }, 'm.json'))
+      .toThrow('"frameCount" (15) does not match inputShape[0] (30)');
+  });
+});
+
+describe('validateMetadataAgainstModel', () => {
+  test('accepts metadata that matches the model', () => {
+    const metadata = normalizeMetadata({ labels: LABELS, inputShape: [30, 126] }, 'm.json');
+    expect(() => validateMetadataAgainstModel(metadata, createModel())).not.toThrow();
+  });
+
+  test('rejects a label count that differs from the output units', () => {
+    const metadata = normalizeMetadata(['Hello', 'Yes'], 'm.json');
+    const error = catchError(() => validateMetadataAgainstModel(metadata, createModel()));
+
+    expect(isMetadataMismatchError(error)).toBe(true);
+    expect(error.message).toBe('Model/label mismatch: model has 3 output units but m.json lists 2 labels');
+  });
+
+  test('rejects an input shape that differs from the model', () => {
+    const metadata = normalizeMetadata({ labels: LABELS, inputShape: [30, 84] }, 'm.json');
+    const error = catchError(() => validateMetadataAgainstModel(metadata, createModel()));
+
+    expect(isMetadataMismatchError(error)).toBe(true);
+    expect(error.message).toBe('Model/metadata mismatch: model expects input [30, 126] but m.json declares [30, 84]');
+  });
+
+  test('accepts any frame count for a model with a variable one', () => {
+    const metadata = normalizeMetadata({ labels: LABELS, inputShape: [60, 126] }, 'm.json');
+    expect(() => validateMetadataAgainstModel(metadata, createModel({ inputShape: [null, 126] }))).not.toThrow();
+  });
+});
+
+describe('reading manifests', () => {
+  const zipWith = (fileName, text) => {
+    const zip = new JSZip();
+    zip.file('model.json', '{}');
+    if (fileName) {
+      zip.file(fileName, text);
+    }
+    return zip;
+  };
+
+  test('reads the manifest of a ZIP', async () => {
+    await expect(readMetadataFromZip(zipWith('model/metadata.json', JSON.stringify({ labels: LABELS }))))
+      .resolves.toMatchObject({ labels: LABELS, source: 'ZIP model/metadata.json' });
+    await expect(readMetadataFromZip(zipWith(null))).resolves.toBeNull();
+  });
+
+  test('fails on a manifest that is not JSON or not valid', async () => {
+    const notJson = await readMetadataFromZip(zipWith('metadata.json', '{"labels": [')).catch(error => error);
+    expect(isMetadataError(notJson)).toBe(true);
+    expect(isMetadataMismatchError(notJson)).toBe(false);
+    expect(notJson.message).toMatch(/^Invalid ZIP metadata.json: could not be read as JSON/);
+
+    const invalid = await readMetadataFromZip(zipWith('labels.json', '[]')).catch(error => error);
+    expect(isMetadataError(invalid)).toBe(true);
+    expect(invalid.message).toBe('Invalid ZIP labels.json: "labels" must be a non-empty array');
+  });
+
+  test('requireMetadata refuses a model without a manifest', () => {
+    const error = catchError(() => requireMetadata(null, 'https://example.com/model.json'));
+
+    expect(isMetadataError(error)).toBe(true);
+    expect(error.message).toBe('No metadata.json or labels.json found for https://example.com/model.json');
+    expect(requireMetadata(LABELS, 'x')).toBe(LABELS);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Downloaded model ZIPs, kept in IndexedDB so the model survives reloads and
+ * loads without a network connection.
+ *
+ * Entries are stored under a versioned key (getVersionedCacheKey in
+ * modelCacheManager.js) with a manifest that describes the download:
+ *
+ *   {
+ *     key,
+ *     status,            // 'active' (loaded on startup) | 'pending' (update waiting for the user)
+ *     manifest: {
+ *       manifestVersion, // MANIFEST_VERSION; entries in another format are ignored
+ *       cacheVersion,    // cache.version of the app config when the entry was stored
+ *       modelVersion,    // version from the model's metadata, if it has one
+ *       etag,            // validators of the ZIP response, used when there is no version
+ *       lastModified,
+ *       size,            // bytes
+ *       digests,         // { <file>: <sha256> } of model.json and the shards, checked before reuse
+ *       url,             // where the ZIP was downloaded from
+ *       cachedAt         // epoch milliseconds
+ *     },
+ *     data               // the ZIP (ArrayBuffer)
+ *   }
+ *
+ * Old entries are removed by clearOldModelZips once a newer one is active.
+ */
+
+import { getConfig } from '../appConfig';
+import { openDatabase, withStore } from './indexedDb';
+import { fetchModelMetadata } from './modelMetadata';
+import { discardPartialDownload, downloadResumable } from './resumableDownload';
+
+const DB_NAME = 'sign-language-model-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'zips';
+
+export const MANIFEST_VERSION = 2;
+
+export const ZIP_STATUS = {
+  ACTIVE: 'active',
+  PENDING: 'pending'
+};
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Entries written by another manifest format or cache version are not used
+const isCurrent = (entry) => entry.manifest &&
+  entry.manifest.manifestVersion === MANIFEST_VERSION &&
+  entry.manifest.cacheVersion === getConfig().cache.version;
+
+/**
+ * All cached ZIPs, newest first
+ *
+ * @returns {Promise<Array<Object>>} Entries, including outdated ones
+ */
+export async function listModelZips() {
+  const entries = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.getAll());
+  return entries.sort((a, b) => b.manifest.cachedAt - a.manifest.cachedAt);
+}
+
+const findEntry = async (status) => {
+  const entries = await listModelZips();
+  return entries.find(entry => entry.status === status && isCurrent(entry)) || null;
+};
+
+/**
+ * The ZIP to load on startup
+ *
+ * @returns {Promise<Object|null>} Entry, or null when nothing usable is cached
+ */
+export function getActiveModelZip() {
+  return findEntry(ZIP_STATUS.ACTIVE);
+}
+
+/**
+ * A downloaded update the user has not switched to yet
+ *
+ * @returns {Promise<Object|null>} Entry, or null
+ */
+export function getPendingModelZip() {
+  return findEntry(ZIP_STATUS.PENDING);
+}
+
+/**
+ * Store a downloaded ZIP
+ *
+ * @param {string} key - Versioned cache key
+ * @param {ArrayBuffer|Uint8Array} data - ZIP bytes
+ * @param {Object} download - { modelVersion, etag, lastModified, url, digests }
+ * @param {string} status - ZIP_STATUS value
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function storeModelZip(key, data, download, status) {
+  const buffer = data instanceof ArrayBuffer
+    ? data
+    : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+  const entry = {
+    key,
+    status,
+    manifest: {
+      manifestVersion: MANIFEST_VERSION,
+      cacheVersion: getConfig().cache.version,
+      modelVersion: download.modelVersion || null,
+      etag: download.etag || null,
+      lastModified: download.lastModified || null,
+      size: buffer.byteLength,
+      digests: download.digests || null,
+      url: download.url || null,
+      cachedAt: Date.now()
+    },
+    data: buffer
+  };
+
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.put(entry));
+  return entry;
+}
+
+/**
+ * Make an entry the one loaded on startup
+ *
+ * @param {string} key - Cache key of the entry
+ * @returns {Promise<void>}
+ */
+export async function activateModelZip(key) {
+  const entry = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.get(key));
+  if (!entry) {
+    throw new Error(`No cached model ZIP for ${key}`);
+  }
+  await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.put({ ...entry, status: ZIP_STATUS.ACTIVE }));
+}
+
+/**
+ * Delete cached ZIPs
+ *
+ * @param {function} shouldDelete - (key) => boolean; all entries when omitted
+ * @returns {Promise<Array<string>>} Keys that were deleted
+ */
+export async function deleteModelZips(shouldDelete = () => true) {
+  const keys = await withStore(getDatabase(), STORE_NAME, 'readonly', store => store.getAllKeys());
+  const deleted = keys.filter(key => shouldDelete(key));
+
+  for (const key of deleted) {
+    await withStore(getDatabase(), STORE_NAME, 'readwrite', store => store.delete(key));
+  }
+  return deleted;
+}
+
+/**
+ * Delete every cached ZIP except the one in use
+ *
+ * @param {string} currentKey - Cache key of the entry to keep
+ * @returns {Promise<void>}
+ */
+export async function clearOldModelZips(currentKey) {
+  try {
+    const deleted = await deleteModelZips(key => key !== currentKey);
+    deleted.forEach(key => console.log(`Cleared old model ZIP: ${key}`));
+  } catch (error) {
+    console.warn('Failed to clear old model ZIPs:', error.message);
+  }
+}
+
+/**
+ * Remove every downloaded copy of the model after a failed integrity check, so
+ * the next load downloads it again
+ *
+ * @param {string} zipUrl - ZIP endpoint whose partial download is discarded too
+ * @returns {Promise<Array<string>>} Keys of the deleted ZIPs
+ */
+export async function purgeModelDownloads(zipUrl) {
+  const deleted = await deleteModelZips();
+  await discardPartialDownload(zipUrl);
+  return deleted;
+}
+
+/**
+ * Download a model ZIP with progress reporting
+ *
+ * An interrupted or cancelled download continues where it stopped on the next
+ * call with the same URL (see resumableDownload.js).
+ *
+ * @param {string} url - ZIP endpoint
+ * @param {Object} options - Download options
+ * @param {function} options.onProgress - ({ loadedBytes, totalBytes, bytesPerSecond, etaSeconds, resumedFrom }) => void
+ * @param {AbortSignal} options.signal - Cancels the download
+ * @returns {Promise<Object>} { data: Uint8Array, etag, lastModified, url, resumedFrom }
+ */
+export async function downloadModelZip(url, { onProgress, signal } = {}) {
+  try {
+    return await downloadResumable(url, {
+      signal,
+      onProgress,
+      headers: {
+        'Accept': 'application/zip, application/octet-stream'
+      }
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    throw new Error(`Failed to download model ZIP: ${error.message}`);
+  }
+}
+
+/**
+ * Ask the server whether it has another model than a cached one
+ *
+ * The metadata version decides when both sides have one; otherwise the ZIP's
+ * ETag or Last-Modified header is compared.
+ *
+ * @param {Object} manifest - Manifest of the cached entry
+ * @param {Object} urls - { zipUrl, modelUrl } of the backend
+ * @returns {Promise<Object|null>} { modelVersion } of the server's model, or null when the cache is current
+ */
+export async function checkForModelUpdate(manifest, { zipUrl, modelUrl }) {
+  const metadata = await fetchModelMetadata(modelUrl);
+  const serverVersion = metadata && metadata.version;
+
+  if (serverVersion && manifest.modelVersion) {
+    return serverVersion !== manifest.modelVersion ? { modelVersion: serverVersion } : null;
+  }
+
+  const response = await fetch(zipUrl, { method: 'HEAD', cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Model ZIP endpoint returned ${response.status}`);
+  }
+
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  const changed = (etag && manifest.etag) ? etag !== manifest.etag
+    : Boolean(lastModified && manifest.lastModified && lastModified !== manifest.lastModified);
+
+  return changed ? { modelVersion: serverVersion || null } : null;
+}
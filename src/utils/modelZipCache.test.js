@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { discardPartialDownload } from './resumableDownload';
+import { getActiveModelZip, listModelZips, purgeModelDownloads, storeModelZip, ZIP_STATUS } from './modelZipCache';
+
+// The ZIP store lives in memory; withStore hands the operation a store whose
+// methods return their results directly
+jest.mock('./indexedDb', () => {
+  const records = new Map();
+
+  return {
+    openDatabase: () => Promise.resolve(records),
+    withStore: async (dbPromise, storeName, mode, operation) => {
+      const db = await dbPromise;
+      return operation({
+        get: (key) => db.get(key),
+        put: (entry) => db.set(entry.key, entry),
+        getAll: () => [...db.values()],
+        getAllKeys: () => [...db.keys()],
+        delete: (key) => db.delete(key)
+      });
+    }
+  };
+});
+
+jest.mock('./resumableDownload', () => ({
+  discardPartialDownload: jest.fn(async () => {}),
+  downloadResumable: jest.fn()
+}));
+
+const ZIP_URL = 'https://backend.example/download-tfjs-model';
+
+const store = (key, status) => storeModelZip(key, new Uint8Array([1, 2, 3]), {
+  modelVersion: '1.0.0',
+  url: ZIP_URL,
+  digests: { 'model.json': 'a'.repeat(64) }
+}, status);
+
+test('storeModelZip keeps the digests the cached copy is checked against', async () => {
+  await store('sign-language-model-1.0.0-a-v6', ZIP_STATUS.ACTIVE);
+
+  const entry = await getActiveModelZip();
+  expect(entry.manifest).toMatchObject({ modelVersion: '1.0.0', size: 3, digests: { 'model.json': 'a'.repeat(64) } });
+});
+
+test('purgeModelDownloads removes every cached ZIP and the partial download', async () => {
+  await store('sign-language-model-1.0.0-b-v6', ZIP_STATUS.ACTIVE);
+  await store('sign-language-model-1.1.0-c-v6', ZIP_STATUS.PENDING);
+
+  const deleted = await purgeModelDownloads(ZIP_URL);
+
+  expect(deleted).toEqual(expect.arrayContaining(['sign-language-model-1.0.0-b-v6', 'sign-language-model-1.1.0-c-v6']));
+  expect(await listModelZips()).toEqual([]);
+  expect(await getActiveModelZip()).toBeNull();
+  expect(discardPartialDownload).toHaveBeenCalledWith(ZIP_URL);
+});
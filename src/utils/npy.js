@@ -0,0 +1,56 @@
+/**
+ * Minimal writer for NumPy .npy files (format version 1.0), so recorded
+ * datasets can be loaded in Python with np.load.
+ */
+
+const MAGIC = [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59]; // \x93NUMPY
+
+const DTYPES = {
+  float32: { descr: '<f4', ArrayType: Float32Array },
+  int32: { descr: '<i4', ArrayType: Int32Array }
+};
+
+/**
+ * Encode a flat array as an .npy file
+ *
+ * @param {Array<number>|Float32Array|Int32Array} data - Values in C (row-major) order
+ * @param {Array<number>} shape - Array shape
+ * @param {string} dtype - 'float32' or 'int32'
+ * @returns {Uint8Array} File contents
+ * @throws {Error} If the data length does not match the shape
+ */
+export function encodeNpy(data, shape, dtype = 'float32') {
+  const type = DTYPES[dtype];
+  if (!type) {
+    throw new Error(`Unsupported npy dtype: ${dtype}`);
+  }
+
+  const size = shape.reduce((total, dim) => total * dim, 1);
+  if (data.length !== size) {
+    throw new Error(`npy data has ${data.length} values but shape [${shape.join(', ')}] needs ${size}`);
+  }
+
+  const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+  let header = `{'descr': '${type.descr}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+
+  // Magic (6) + version (2) + header length (2) + header, padded with spaces to a multiple of 64, ending in \n
+  const preambleLength = MAGIC.length + 4;
+  const padding = 64 - ((preambleLength + header.length + 1) % 64);
+  header = header + ' '.repeat(padding % 64) + '\n';
+
+  const values = data instanceof type.ArrayType ? data : type.ArrayType.from(data);
+  const bytes = new Uint8Array(preambleLength + header.length + values.byteLength);
+
+  bytes.set(MAGIC, 0);
+  bytes[6] = 1; // major version
+  bytes[7] = 0; // minor version
+  bytes[8] = header.length & 0xff;
+  bytes[9] = (header.length >> 8) & 0xff;
+  for (let i = 0; i < header.length; i++) {
+    bytes[preambleLength + i] = header.charCodeAt(i);
+  }
+
+  // Typed arrays use the platform byte order, which is little-endian in every browser we support
+  bytes.set(new Uint8Array(values.buffer, values.byteOffset, values.byteLength), preambleLength + header.length);
+  return bytes;
+}
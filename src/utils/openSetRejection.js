@@ -0,0 +1,131 @@
+/**
+ * Open-set rejection for sign predictions.
+ *
+ * The model always spreads its probability over the signs it knows, so a sign
+ * outside the vocabulary is confidently mapped to the nearest class. A window is
+ * rejected as "unknown" when the model is uncertain about it: the top
+ * probability is too low (globally or for that class), the top-1/top-2 margin
+ * is too small, or the distribution is too flat (high entropy).
+ *
+ * Thresholds can ship with the model metadata:
+ *
+ *   "rejection": {
+ *     "minConfidence": 0.5,
+ *     "minMargin": 0.15,
+ *     "maxNormalizedEntropy": 0.75,
+ *     "classThresholds": { "Yes": 0.8, "No": 0.8 }
+ *   }
+ */
+
+// Label used for windows and transcript entries that were rejected
+export const UNKNOWN_LABEL = 'unknown';
+
+export const REJECTION_REASONS = {
+  LOW_CONFIDENCE: 'low-confidence',
+  CLASS_THRESHOLD: 'below-class-threshold',
+  LOW_MARGIN: 'low-margin',
+  HIGH_ENTROPY: 'high-entropy'
+};
+
+export const DEFAULT_REJECTION_OPTIONS = {
+  enabled: true,
+  minConfidence: 0.5,          // Top-1 probability below which a window is rejected
+  minMargin: 0.15,             // Minimum gap between the top two probabilities
+  maxNormalizedEntropy: 0.75,  // Entropy / ln(N) above which a window is rejected
+  classThresholds: {}          // Per-label minimum top-1 probability, replacing minConfidence
+};
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+/**
+ * Fill in defaults for a rejection config and validate it
+ *
+ * @param {Object} rejection - Partial rejection config (from metadata or hook options)
+ * @param {Array<string>} labels - Class labels, used to check classThresholds keys
+ * @returns {Object} Complete rejection config
+ */
+export function normalizeRejectionConfig(rejection = {}, labels = null) {
+  const config = {
+    ...DEFAULT_REJECTION_OPTIONS,
+    ...rejection,
+    classThresholds: { ...(rejection.classThresholds || {}) }
+  };
+
+  ['minConfidence', 'minMargin', 'maxNormalizedEntropy'].forEach(key => {
+    if (!isFraction(config[key])) {
+      throw new Error(`rejection.${key} must be a number between 0 and 1`);
+    }
+  });
+
+  Object.entries(config.classThresholds).forEach(([label, threshold]) => {
+    if (labels && !labels.includes(label)) {
+      throw new Error(`rejection.classThresholds refers to unknown label "${label}"`);
+    }
+    if (!isFraction(threshold)) {
+      throw new Error(`rejection.classThresholds["${label}"] must be a number between 0 and 1`);
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Decide whether one prediction window should be rejected as unknown
+ *
+ * @param {Object} details - Window summary from summarizePrediction
+ * @param {Object} config - Normalized rejection config
+ * @returns {{rejected: boolean, reasons: Array<string>}} Decision and the criteria that failed
+ */
+export function evaluateRejection(details, config) {
+  if (!config.enabled) {
+    return { rejected: false, reasons: [] };
+  }
+
+  const reasons = [];
+  const classThreshold = config.classThresholds[details.label];
+
+  if (classThreshold !== undefined) {
+    if (details.confidence < classThreshold) {
+      reasons.push(REJECTION_REASONS.CLASS_THRESHOLD);
+    }
+  } else if (details.confidence < config.minConfidence) {
+    reasons.push(REJECTION_REASONS.LOW_CONFIDENCE);
+  }
+
+  if (details.margin < config.minMargin) {
+    reasons.push(REJECTION_REASONS.LOW_MARGIN);
+  }
+
+  if (details.normalizedEntropy > config.maxNormalizedEntropy) {
+    reasons.push(REJECTION_REASONS.HIGH_ENTROPY);
+  }
+
+  return { rejected: reasons.length > 0, reasons };
+}
+
+/**
+ * Probability vector over the known classes plus a trailing unknown class
+ *
+ * Accepted windows keep their distribution; rejected windows put all of their
+ * mass on the unknown class, so the smoother tracks "unknown" like any other sign.
+ *
+ * @param {Array<number>|Float32Array} probabilities - Softmax output over the known classes
+ * @param {boolean} rejected - Whether the window was rejected
+ * @returns {Array<number>} Vector of length probabilities.length + 1
+ */
+export function withUnknownClass(probabilities, rejected) {
+  if (rejected) {
+    return [...new Array(probabilities.length).fill(0), 1];
+  }
+  return [...Array.from(probabilities), 0];
+}
+
+/**
+ * Text shown to the user for a label, mapping the unknown result to "Unrecognized"
+ *
+ * @param {string} label - Predicted or transcript label
+ * @returns {string} Display text
+ */
+export function getDisplayLabel(label) {
+  return label === UNKNOWN_LABEL ? 'Unrecognized' : label;
+}
@@ -0,0 +1,76 @@
+import {
+  DEFAULT_REJECTION_OPTIONS,
+  evaluateRejection,
+  getDisplayLabel,
+  normalizeRejectionConfig,
+  REJECTION_REASONS,
+  UNKNOWN_LABEL,
+  withUnknownClass
+} from './openSetRejection';
+
+const LABELS = ['Hello', 'Yes', 'No'];
+
+const confident = { label: 'Hello', confidence: 0.9, margin: 0.8, normalizedEntropy: 0.3 };
+
+describe('normalizeRejectionConfig', () => {
+  test('fills in the defaults', () => {
+    expect(normalizeRejectionConfig()).toEqual(DEFAULT_REJECTION_OPTIONS);
+    expect(normalizeRejectionConfig({ minMargin: 0.3 }, LABELS)).toMatchObject({ minMargin: 0.3, minConfidence: 0.5 });
+  });
+
+  test('rejects thresholds outside 0 to 1', () => {
+    expect(() => normalizeRejectionConfig({ minConfidence: 1.5 })).toThrow('rejection.minConfidence');
+    expect(() => normalizeRejectionConfig({ maxNormalizedEntropy: '0.5' })).toThrow('rejection.maxNormalizedEntropy');
+    expect(() => normalizeRejectionConfig({ classThresholds: { Yes: -0.1 } }, LABELS)).toThrow('rejection.classThresholds["Yes"]');
+  });
+
+  test('rejects class thresholds for labels the model does not have', () => {
+    expect(() => normalizeRejectionConfig({ classThresholds: { Maybe: 0.8 } }, LABELS)).toThrow('unknown label "Maybe"');
+    // Without labels there is nothing to check against
+    expect(normalizeRejectionConfig({ classThresholds: { Maybe: 0.8 } }).classThresholds).toEqual({ Maybe: 0.8 });
+  });
+});
+
+describe('evaluateRejection', () => {
+  const config = normalizeRejectionConfig({}, LABELS);
+
+  test('accepts a confident window', () => {
+    expect(evaluateRejection(confident, config)).toEqual({ rejected: false, reasons: [] });
+  });
+
+  test('lists every criterion a window fails', () => {
+    const uncertain = { label: 'Yes', confidence: 0.4, margin: 0.05, normalizedEntropy: 0.9 };
+    expect(evaluateRejection(uncertain, config)).toEqual({
+      rejected: true,
+      reasons: [REJECTION_REASONS.LOW_CONFIDENCE, REJECTION_REASONS.LOW_MARGIN, REJECTION_REASONS.HIGH_ENTROPY]
+    });
+  });
+
+  test('uses a class threshold instead of minConfidence', () => {
+    const strict = normalizeRejectionConfig({ classThresholds: { Hello: 0.95 } }, LABELS);
+    expect(evaluateRejection(confident, strict)).toEqual({ rejected: true, reasons: [REJECTION_REASONS.CLASS_THRESHOLD] });
+
+    const lenient = normalizeRejectionConfig({ classThresholds: { Yes: 0.3 } }, LABELS);
+    expect(evaluateRejection({ ...confident, label: 'Yes', confidence: 0.4 }, lenient).rejected).toBe(false);
+  });
+
+  test('accepts everything when disabled', () => {
+    const disabled = normalizeRejectionConfig({ enabled: false }, LABELS);
+    expect(evaluateRejection({ label: 'Yes', confidence: 0, margin: 0, normalizedEntropy: 1 }, disabled).rejected).toBe(false);
+  });
+});
+
+describe('withUnknownClass', () => {
+  test('appends an empty unknown class to accepted windows', () => {
+    expect(withUnknownClass(new Float32Array([0.5, 0.25, 0.25]), false)).toEqual([0.5, 0.25, 0.25, 0]);
+  });
+
+  test('moves all probability to the unknown class for rejected windows', () => {
+    expect(withUnknownClass([0.5, 0.25, 0.25], true)).toEqual([0, 0, 0, 1]);
+  });
+});
+
+test('getDisplayLabel shows the unknown label as Unrecognized', () => {
+  expect(getDisplayLabel(UNKNOWN_LABEL)).toBe('Unrecognized');
+  expect(getDisplayLabel('Hello')).toBe('Hello');
+});
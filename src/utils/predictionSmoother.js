@@ -0,0 +1,195 @@
+/**
+ * Temporal smoothing and hysteresis for live sign predictions.
+ *
+ * Raw per-window probability vectors are smoothed (exponential averaging or a
+ * majority vote over the last N windows) and fed through a small state machine
+ * with separate enter/exit thresholds and a minimum hold time. Instead of a
+ * label per window, the smoother emits "sign started", "sign confirmed" and
+ * "sign ended" events.
+ */
+
+export const SIGN_EVENT_TYPES = {
+  STARTED: 'sign-started',
+  CONFIRMED: 'sign-confirmed',
+  ENDED: 'sign-ended'
+};
+
+export const DEFAULT_SMOOTHING_OPTIONS = {
+  method: 'ema',         // 'ema' (exponential averaging) or 'majority' (vote over the last windowSize windows)
+  alpha: 0.4,            // Weight of the newest window for 'ema'
+  windowSize: 5,         // Number of windows for 'majority'
+  enterThreshold: 0.7,   // Smoothed confidence needed to start a sign
+  exitThreshold: 0.5,    // Smoothed confidence below which an active sign ends
+  minHoldMs: 600         // Time a sign must stay above exitThreshold before it is confirmed
+};
+
+/**
+ * Index and value of the largest entry
+ */
+const argMax = (values) => {
+  let maxIndex = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[maxIndex]) {
+      maxIndex = i;
+    }
+  }
+  return maxIndex;
+};
+
+/**
+ * Create a prediction smoother
+ *
+ * @param {Array<string>} labels - Class labels in model output order
+ * @param {Object} options - Overrides for DEFAULT_SMOOTHING_OPTIONS
+ * @returns {Object} Smoother with push, reset and getActiveSign functions
+ */
+export function createPredictionSmoother(labels, options = {}) {
+  const config = { ...DEFAULT_SMOOTHING_OPTIONS, ...options };
+
+  if (config.exitThreshold > config.enterThreshold) {
+    throw new Error('exitThreshold must not be greater than enterThreshold');
+  }
+
+  let emaScores = null;
+  let history = [];
+  let active = null;
+
+  /**
+   * Smoothed score for every class after adding one probability vector
+   */
+  const smooth = (probabilities) => {
+    if (config.method === 'majority') {
+      history.push(Array.from(probabilities));
+      if (history.length > config.windowSize) {
+        history.shift();
+      }
+
+      // Votes decide the winner; its mean probability over the window is its score
+      const votes = new Array(labels.length).fill(0);
+      history.forEach(window => { votes[argMax(window)] += 1; });
+      const winner = argMax(votes);
+      const meanProbability = history.reduce((sum, window) => sum + window[winner], 0) / history.length;
+
+      const scores = new Array(labels.length).fill(0);
+      scores[winner] = meanProbability;
+      return scores;
+    }
+
+    if (!emaScores) {
+      emaScores = Array.from(probabilities);
+    } else {
+      emaScores = emaScores.map((score, i) => config.alpha * probabilities[i] + (1 - config.alpha) * score);
+    }
+    return emaScores;
+  };
+
+  const endActive = (timestamp, events) => {
+    if (!active) return;
+
+    events.push({
+      type: SIGN_EVENT_TYPES.ENDED,
+      label: active.label,
+      labelIndex: active.labelIndex,
+      confidence: active.peakConfidence,
+      confirmed: active.confirmed,
+      startTime: active.startTime,
+      endTime: timestamp,
+      timestamp
+    });
+    active = null;
+  };
+
+  return {
+    /**
+     * Add one probability vector and return the events it caused
+     *
+     * @param {Array<number>|Float32Array} probabilities - Model output for one window
+     * @param {number} timestamp - Time of the window in milliseconds
+     * @returns {Array<Object>} Sign events, in order
+     */
+    push(probabilities, timestamp) {
+      const events = [];
+      const scores = smooth(probabilities);
+      const topIndex = argMax(scores);
+      const topScore = scores[topIndex];
+
+      // An active sign survives until its own score drops below the exit threshold
+      if (active) {
+        const activeScore = scores[active.labelIndex];
+
+        if (activeScore < config.exitThreshold) {
+          endActive(timestamp, events);
+        } else {
+          active.confidence = activeScore;
+          active.peakConfidence = Math.max(active.peakConfidence, activeScore);
+
+          if (!active.confirmed && timestamp - active.startTime >= config.minHoldMs) {
+            active.confirmed = true;
+            events.push({
+              type: SIGN_EVENT_TYPES.CONFIRMED,
+              label: active.label,
+              labelIndex: active.labelIndex,
+              confidence: activeScore,
+              startTime: active.startTime,
+              timestamp
+            });
+          }
+        }
+      }
+
+      if (!active && topScore >= config.enterThreshold) {
+        active = {
+          label: labels[topIndex],
+          labelIndex: topIndex,
+          confidence: topScore,
+          peakConfidence: topScore,
+          startTime: timestamp,
+          confirmed: false
+        };
+        events.push({
+          type: SIGN_EVENT_TYPES.STARTED,
+          label: active.label,
+          labelIndex: topIndex,
+          confidence: topScore,
+          startTime: timestamp,
+          timestamp
+        });
+
+        if (config.minHoldMs <= 0) {
+          active.confirmed = true;
+          events.push({
+            type: SIGN_EVENT_TYPES.CONFIRMED,
+            label: active.label,
+            labelIndex: topIndex,
+            confidence: topScore,
+            startTime: timestamp,
+            timestamp
+          });
+        }
+      }
+
+      return events;
+    },
+
+    /**
+     * Clear the smoothing history, ending any active sign
+     *
+     * @param {number} timestamp - Time of the reset in milliseconds
+     * @returns {Array<Object>} The sign-ended event, if a sign was active
+     */
+    reset(timestamp) {
+      const events = [];
+      endActive(timestamp, events);
+      emaScores = null;
+      history = [];
+      return events;
+    },
+
+    /**
+     * The sign currently being tracked, or null
+     */
+    getActiveSign() {
+      return active ? { ...active } : null;
+    }
+  };
+}
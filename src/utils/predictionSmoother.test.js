@@ -0,0 +1,91 @@
+import { createPredictionSmoother, SIGN_EVENT_TYPES } from './predictionSmoother';
+
+const LABELS = ['Hello', 'Yes', 'No'];
+
+// Push one probability vector every 100 ms and collect the events
+const pushAll = (smoother, frames, startTime = 0) => frames.flatMap((probabilities, i) =>
+  smoother.push(probabilities, startTime + i * 100)
+);
+
+const types = (events) => events.map(event => event.type);
+
+describe('createPredictionSmoother', () => {
+  test('rejects an exit threshold above the enter threshold', () => {
+    expect(() => createPredictionSmoother(LABELS, { enterThreshold: 0.5, exitThreshold: 0.6 }))
+      .toThrow('exitThreshold must not be greater than enterThreshold');
+  });
+
+  test('starts, confirms and ends a sign', () => {
+    const smoother = createPredictionSmoother(LABELS, { alpha: 1, minHoldMs: 200 });
+    const strong = [0.9, 0.05, 0.05];
+    const gone = [0.1, 0.1, 0.8];
+
+    const events = pushAll(smoother, [strong, strong, strong, gone]);
+
+    expect(types(events)).toEqual([
+      SIGN_EVENT_TYPES.STARTED,
+      SIGN_EVENT_TYPES.CONFIRMED,
+      SIGN_EVENT_TYPES.ENDED,
+      SIGN_EVENT_TYPES.STARTED
+    ]);
+    expect(events[1]).toMatchObject({ label: 'Hello', startTime: 0, timestamp: 200 });
+    expect(events[2]).toMatchObject({ label: 'Hello', confirmed: true, confidence: 0.9, startTime: 0, endTime: 300 });
+    expect(events[3]).toMatchObject({ label: 'No', timestamp: 300 });
+  });
+
+  test('keeps an active sign between the exit and enter thresholds', () => {
+    const smoother = createPredictionSmoother(LABELS, { alpha: 1, enterThreshold: 0.7, exitThreshold: 0.5, minHoldMs: 0 });
+
+    expect(types(smoother.push([0.8, 0.1, 0.1], 0))).toEqual([SIGN_EVENT_TYPES.STARTED, SIGN_EVENT_TYPES.CONFIRMED]);
+    expect(smoother.push([0.6, 0.3, 0.1], 100)).toEqual([]);
+    expect(smoother.getActiveSign()).toMatchObject({ label: 'Hello', confidence: 0.6, peakConfidence: 0.8 });
+    expect(types(smoother.push([0.4, 0.3, 0.3], 200))).toEqual([SIGN_EVENT_TYPES.ENDED]);
+    expect(smoother.getActiveSign()).toBeNull();
+  });
+
+  test('does not start a sign from a single strong window with exponential averaging', () => {
+    const smoother = createPredictionSmoother(LABELS, { alpha: 0.4 });
+
+    expect(smoother.push([0.34, 0.33, 0.33], 0)).toEqual([]);
+    expect(smoother.push([1, 0, 0], 100)).toEqual([]);
+    expect(smoother.getActiveSign()).toBeNull();
+  });
+
+  test('ends a sign that is not confirmed as unconfirmed', () => {
+    const smoother = createPredictionSmoother(LABELS, { alpha: 1, minHoldMs: 1000 });
+    const events = pushAll(smoother, [[0.9, 0.05, 0.05], [0.1, 0.8, 0.1]]);
+
+    expect(types(events)).toEqual([SIGN_EVENT_TYPES.STARTED, SIGN_EVENT_TYPES.ENDED, SIGN_EVENT_TYPES.STARTED]);
+    expect(events[1]).toMatchObject({ label: 'Hello', confirmed: false });
+  });
+
+  test('votes over the last windows with the majority method', () => {
+    const smoother = createPredictionSmoother(LABELS, { method: 'majority', windowSize: 3, minHoldMs: 0 });
+    const yes = [0.1, 0.8, 0.1];
+    const noise = [0.4, 0.3, 0.3];
+
+    expect(smoother.push(yes, 0)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: SIGN_EVENT_TYPES.STARTED, label: 'Yes' })
+    ]));
+    smoother.push(yes, 100);
+
+    // Yes still wins two of three votes; its score is its mean probability over the window
+    expect(smoother.push(noise, 200)).toEqual([]);
+    expect(smoother.getActiveSign().confidence).toBeCloseTo((0.8 + 0.8 + 0.3) / 3);
+
+    // Once Hello wins the vote the score of Yes is 0 and the sign ends
+    const events = smoother.push(noise, 300);
+    expect(events[0]).toMatchObject({ type: SIGN_EVENT_TYPES.ENDED, label: 'Yes' });
+  });
+
+  test('reset ends the active sign and clears the history', () => {
+    const smoother = createPredictionSmoother(LABELS, { alpha: 0.5, minHoldMs: 0 });
+    pushAll(smoother, [[0.9, 0.05, 0.05], [0.9, 0.05, 0.05]]);
+
+    expect(smoother.reset(500)).toEqual([expect.objectContaining({ type: SIGN_EVENT_TYPES.ENDED, endTime: 500 })]);
+    expect(smoother.reset(600)).toEqual([]);
+
+    // Without the earlier windows the next one is not averaged with them
+    expect(types(smoother.push([0.05, 0.9, 0.05], 700))).toEqual([SIGN_EVENT_TYPES.STARTED, SIGN_EVENT_TYPES.CONFIRMED]);
+  });
+});
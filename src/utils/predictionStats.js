@@ -0,0 +1,66 @@
+/**
+ * Summaries of a model's softmax output for one prediction window:
+ * the top-k classes, the top-1/top-2 margin, the entropy and the full
+ * probability vector, so consumers can show alternatives or rescore.
+ */
+
+// Number of alternatives kept by default
+export const DEFAULT_TOP_K = 3;
+
+/**
+ * Top-k classes by probability, highest first
+ *
+ * @param {Array<number>|Float32Array} probabilities - Softmax output
+ * @param {Array<string>} labels - Class labels in model output order
+ * @param {number} k - Number of classes to return
+ * @returns {Array<{label: string, labelIndex: number, probability: number}>} Top classes
+ */
+export function getTopK(probabilities, labels, k = DEFAULT_TOP_K) {
+  return Array.from(probabilities)
+    .map((probability, labelIndex) => ({ label: labels[labelIndex], labelIndex, probability }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, k);
+}
+
+/**
+ * Shannon entropy of a probability vector in nats
+ *
+ * @param {Array<number>|Float32Array} probabilities - Softmax output
+ * @returns {number} Entropy (0 for a one-hot vector, ln(N) for a uniform one)
+ */
+export function getEntropy(probabilities) {
+  let entropy = 0;
+  for (let i = 0; i < probabilities.length; i++) {
+    const p = probabilities[i];
+    if (p > 0) {
+      entropy -= p * Math.log(p);
+    }
+  }
+  return entropy;
+}
+
+/**
+ * Summarize one window of model output
+ *
+ * @param {Array<number>|Float32Array} probabilities - Softmax output
+ * @param {Array<string>} labels - Class labels in model output order
+ * @param {number} k - Number of alternatives to keep
+ * @returns {Object} { label, labelIndex, confidence, topK, margin, entropy, normalizedEntropy, probabilities }
+ */
+export function summarizePrediction(probabilities, labels, k = DEFAULT_TOP_K) {
+  const topK = getTopK(probabilities, labels, Math.max(k, 2));
+  const [best, runnerUp] = topK;
+  const entropy = getEntropy(probabilities);
+
+  return {
+    label: best.label,
+    labelIndex: best.labelIndex,
+    confidence: best.probability,
+    topK: topK.slice(0, k),
+    margin: runnerUp ? best.probability - runnerUp.probability : best.probability,
+    entropy,
+    // 0 = certain, 1 = uniform over all classes
+    normalizedEntropy: probabilities.length > 1 ? entropy / Math.log(probabilities.length) : 0,
+    probabilities: Array.from(probabilities)
+  };
+}
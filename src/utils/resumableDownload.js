@@ -0,0 +1,254 @@
+/**
+ * Downloads that survive dropped connections, cancellation and page reloads.
+ *
+ * Received bytes are written to IndexedDB as they arrive. The next download of
+ * the same URL only asks for the rest with a Range request; If-Range (the ETag,
+ * or else Last-Modified, of the first response) makes the server send the whole
+ * file again when it changed in between. Without a validator, or when the
+ * server ignores the Range, the download starts over.
+ *
+ * Stores:
+ *   downloads  { url, etag, lastModified, totalBytes, receivedBytes, chunkCount, updatedAt }
+ *   chunks     { url, index, data }, keyed by [url, index]
+ */
+
+import { openDatabase, withStore } from './indexedDb';
+
+const DB_NAME = 'sign-language-downloads';
+const DB_VERSION = 1;
+const DOWNLOADS_STORE = 'downloads';
+const CHUNKS_STORE = 'chunks';
+
+// Received bytes are buffered and written in pieces of about this size
+export const CHUNK_FLUSH_BYTES = 256 * 1024;
+// The transfer rate is sampled at most this often and smoothed
+const RATE_SAMPLE_MS = 500;
+const RATE_SMOOTHING = 0.3;
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore(DOWNLOADS_STORE, { keyPath: 'url' });
+      db.createObjectStore(CHUNKS_STORE, { keyPath: ['url', 'index'] });
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const chunkRange = (url) => IDBKeyRange.bound([url, 0], [url, Number.MAX_SAFE_INTEGER]);
+
+/**
+ * State of an unfinished download
+ *
+ * @param {string} url - Download URL
+ * @returns {Promise<Object|null>} Download record, or null when nothing is saved
+ */
+export async function getPartialDownload(url) {
+  const record = await withStore(getDatabase(), DOWNLOADS_STORE, 'readonly', store => store.get(url));
+  return record || null;
+}
+
+/**
+ * Forget the saved part of a download
+ *
+ * @param {string} url - Download URL
+ * @returns {Promise<void>}
+ */
+export async function discardPartialDownload(url) {
+  await withStore(getDatabase(), CHUNKS_STORE, 'readwrite', store => store.delete(chunkRange(url)));
+  await withStore(getDatabase(), DOWNLOADS_STORE, 'readwrite', store => store.delete(url));
+}
+
+const concatChunks = (chunks, byteLength) => {
+  const data = new Uint8Array(byteLength);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return data;
+};
+
+/**
+ * Smoothed transfer rate from a growing byte count
+ *
+ * @returns {function} (bytes) => bytes per second, 0 until the first sample
+ */
+function createRateMeter() {
+  let lastTime = Date.now();
+  let lastBytes = 0;
+  let rate = 0;
+
+  return (bytes) => {
+    const now = Date.now();
+    const elapsed = now - lastTime;
+    if (elapsed >= RATE_SAMPLE_MS) {
+      const sample = ((bytes - lastBytes) * 1000) / elapsed;
+      rate = rate ? rate * (1 - RATE_SMOOTHING) + sample * RATE_SMOOTHING : sample;
+      lastTime = now;
+      lastBytes = bytes;
+    }
+    return rate;
+  };
+}
+
+/**
+ * Download a file, resuming a saved partial download of the same URL
+ *
+ * When IndexedDB is unavailable the download still works, it just cannot resume.
+ *
+ * @param {string} url - File URL, without cache-busting parameters so it can be resumed
+ * @param {Object} options - Download options
+ * @param {AbortSignal} options.signal - Cancels the download; the received part is kept
+ * @param {function} options.onProgress - ({ loadedBytes, totalBytes, bytesPerSecond, etaSeconds, resumedFrom }) => void;
+ *   totalBytes is 0 and etaSeconds null when the size is unknown
+ * @param {Object} options.headers - Extra request headers
+ * @returns {Promise<Object>} { data: Uint8Array, etag, lastModified, url, resumedFrom }
+ */
+export async function downloadResumable(url, { signal, onProgress, headers = {} } = {}) {
+  let partial = null;
+  try {
+    partial = await getPartialDownload(url);
+  } catch (error) {
+    console.warn('Download progress cannot be saved:', error.message);
+  }
+
+  const validator = partial && (partial.etag || partial.lastModified);
+  const requestHeaders = { ...headers };
+  if (partial && validator && partial.receivedBytes > 0) {
+    requestHeaders['Range'] = `bytes=${partial.receivedBytes}-`;
+    requestHeaders['If-Range'] = validator;
+  }
+
+  const response = await fetch(url, { cache: 'no-store', headers: requestHeaders, signal });
+
+  // The saved part no longer fits the file on the server
+  if (response.status === 416 && requestHeaders['Range']) {
+    await discardPartialDownload(url);
+    return downloadResumable(url, { signal, onProgress, headers });
+  }
+
+  if (!response.ok) {
+    throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+  }
+
+  let record;
+  const contentRange = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers.get('content-range') || '');
+  if (response.status === 206 && requestHeaders['Range']) {
+    if (!contentRange || Number(contentRange[1]) !== partial.receivedBytes) {
+      await response.body.cancel();
+      await discardPartialDownload(url);
+      return downloadResumable(url, { signal, onProgress, headers });
+    }
+    record = { ...partial, totalBytes: contentRange[2] === '*' ? partial.totalBytes : Number(contentRange[2]) };
+    console.log(`Resuming download of ${url} at ${partial.receivedBytes} bytes`);
+  } else {
+    // A full response: nothing saved yet, or the file changed and the saved part is stale
+    if (partial) {
+      await discardPartialDownload(url).catch(() => {});
+    }
+    const contentLength = response.headers.get('content-length');
+    record = {
+      url,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      totalBytes: contentLength ? parseInt(contentLength, 10) : 0,
+      receivedBytes: 0,
+      chunkCount: 0
+    };
+  }
+
+  const resumedFrom = record.receivedBytes;
+  const resumedChunkCount = record.chunkCount;
+  const sessionChunks = [];
+  let sessionBytes = 0;
+  let pending = [];
+  let pendingBytes = 0;
+  let canPersist = Boolean(record.etag || record.lastModified);
+  const measureRate = createRateMeter();
+
+  // Write the buffered bytes as the next chunk, then the record that counts it
+  const flush = async () => {
+    if (pendingBytes === 0) {
+      return;
+    }
+    const data = concatChunks(pending, pendingBytes);
+    pending = [];
+    pendingBytes = 0;
+    sessionChunks.push(data);
+    sessionBytes += data.byteLength;
+    if (!canPersist) {
+      return;
+    }
+
+    try {
+      const index = record.chunkCount;
+      await withStore(getDatabase(), CHUNKS_STORE, 'readwrite', store => store.put({ url, index, data: data.buffer }));
+      record = { ...record, chunkCount: index + 1, receivedBytes: resumedFrom + sessionBytes, updatedAt: Date.now() };
+      await withStore(getDatabase(), DOWNLOADS_STORE, 'readwrite', store => store.put(record));
+    } catch (error) {
+      console.warn('Could not save download progress, the download will not resume:', error.message);
+      canPersist = false;
+    }
+  };
+
+  const reader = response.body.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      pending.push(value);
+      pendingBytes += value.byteLength;
+      if (pendingBytes >= CHUNK_FLUSH_BYTES) {
+        await flush();
+      }
+
+      if (onProgress) {
+        const loadedBytes = resumedFrom + sessionBytes + pendingBytes;
+        const bytesPerSecond = measureRate(sessionBytes + pendingBytes);
+        onProgress({
+          loadedBytes,
+          totalBytes: record.totalBytes,
+          bytesPerSecond,
+          etaSeconds: record.totalBytes && bytesPerSecond ? (record.totalBytes - loadedBytes) / bytesPerSecond : null,
+          resumedFrom
+        });
+      }
+    }
+    await flush();
+  } catch (error) {
+    // Keep what arrived, so the next attempt resumes from here
+    await flush();
+    throw error;
+  }
+
+  const receivedBytes = resumedFrom + sessionBytes;
+  if (record.totalBytes && receivedBytes !== record.totalBytes) {
+    throw new Error(`Download ended after ${receivedBytes} of ${record.totalBytes} bytes`);
+  }
+
+  // Bytes from earlier attempts come from IndexedDB, this attempt's from memory
+  let savedChunks = [];
+  if (resumedChunkCount > 0) {
+    const stored = await withStore(getDatabase(), CHUNKS_STORE, 'readonly', store => store.getAll(chunkRange(url)));
+    savedChunks = stored
+      .filter(chunk => chunk.index < resumedChunkCount)
+      .sort((a, b) => a.index - b.index)
+      .map(chunk => new Uint8Array(chunk.data));
+  }
+  const data = concatChunks([...savedChunks, ...sessionChunks], receivedBytes);
+
+  await discardPartialDownload(url).catch(error => {
+    console.warn('Could not remove the saved download:', error.message);
+  });
+
+  return { data, etag: record.etag, lastModified: record.lastModified, url, resumedFrom };
+}
@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+import { CHUNK_FLUSH_BYTES, discardPartialDownload, downloadResumable, getPartialDownload } from './resumableDownload';
+
+// The object stores live in memory; withStore hands the operation a store whose
+// methods return their results directly
+jest.mock('./indexedDb', () => {
+  const databases = new Map();
+  const inRange = (key, range) => key[0] === range.lower[0] && key[1] >= range.lower[1] && key[1] <= range.upper[1];
+
+  return {
+    openDatabase: (name) => {
+      if (!databases.has(name)) databases.set(name, new Map());
+      return Promise.resolve(databases.get(name));
+    },
+    withStore: async (dbPromise, storeName, mode, operation) => {
+      const db = await dbPromise;
+      if (!db.has(storeName)) db.set(storeName, new Map());
+      const records = db.get(storeName);
+      const keyOf = (record) => (storeName === 'chunks' ? [record.url, record.index] : record.url);
+      const id = (key) => JSON.stringify(key);
+      const matching = (query) => [...records.values()].filter(record => inRange(keyOf(record), query));
+
+      return operation({
+        get: (key) => records.get(id(key)),
+        put: (record) => records.set(id(keyOf(record)), record),
+        getAll: (query) => (query ? matching(query) : [...records.values()]),
+        delete: (query) => {
+          if (query && query.lower) {
+            matching(query).forEach(record => records.delete(id(keyOf(record))));
+          } else {
+            records.delete(id(query));
+          }
+        }
+      });
+    }
+  };
+});
+
+global.IDBKeyRange = { bound: (lower, upper) => ({ lower, upper }) };
+
+const PIECE_BYTES = 16 * 1024;
+
+const createFile = (byteLength, seed = 1) => Uint8Array.from({ length: byteLength }, (_, i) => (i * 31 + seed) % 251);
+
+const createHeaders = (values) => ({
+  get: (name) => {
+    const value = values[name.toLowerCase()];
+    return value === undefined || value === null ? null : String(value);
+  }
+});
+
+/**
+ * A fetch for one file that honours Range/If-Range like a static file server.
+ * With failAfter, the connection drops once that many bytes of the body were sent.
+ */
+const createServer = ({ file, etag = '"v1"', failAfter = null }) => {
+  const server = { file, etag, failAfter, requests: [] };
+
+  server.fetch = jest.fn(async (url, { headers = {} } = {}) => {
+    server.requests.push(headers);
+    const { file: body } = server;
+    let start = 0;
+    const range = /^bytes=(\d+)-$/.exec(headers['Range'] || '');
+    if (range && headers['If-Range'] === server.etag) {
+      start = Number(range[1]);
+      if (start >= body.byteLength) {
+        return { ok: false, status: 416, statusText: 'Range Not Satisfiable', headers: createHeaders({}) };
+      }
+    }
+
+    const partial = start > 0;
+    let sent = 0;
+    const failAt = server.failAfter;
+    server.failAfter = null;
+
+    return {
+      ok: true,
+      status: partial ? 206 : 200,
+      statusText: partial ? 'Partial Content' : 'OK',
+      headers: createHeaders({
+        'etag': server.etag,
+        'content-length': body.byteLength - start,
+        ...(partial ? { 'content-range': `bytes ${start}-${body.byteLength - 1}/${body.byteLength}` } : {})
+      }),
+      body: {
+        cancel: async () => {},
+        getReader: () => ({
+          read: async () => {
+            if (failAt !== null && sent >= failAt) {
+              throw new TypeError('network error');
+            }
+            const from = start + sent;
+            if (from >= body.byteLength) {
+              return { done: true };
+            }
+            const value = body.slice(from, Math.min(from + PIECE_BYTES, body.byteLength));
+            sent += value.byteLength;
+            return { done: false, value };
+          }
+        })
+      }
+    };
+  });
+
+  return server;
+};
+
+const serve = (server) => {
+  global.fetch = server.fetch;
+  return server;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('downloadResumable', () => {
+  test('downloads a file and reports progress', async () => {
+    const file = createFile(100 * 1024);
+    serve(createServer({ file }));
+    const onProgress = jest.fn();
+
+    const result = await downloadResumable('/full.zip', { onProgress });
+
+    expect(Buffer.from(result.data).equals(Buffer.from(file))).toBe(true);
+    expect(result).toMatchObject({ etag: '"v1"', resumedFrom: 0 });
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ loadedBytes: file.byteLength, totalBytes: file.byteLength }));
+    expect(await getPartialDownload('/full.zip')).toBeNull();
+  });
+
+  test('keeps the received bytes when the connection drops and resumes from there', async () => {
+    // Two full chunks and the rest flushed when the connection drops
+    const received = 2 * CHUNK_FLUSH_BYTES + 48 * 1024;
+    const file = createFile(received + 100 * 1024);
+    const server = serve(createServer({ file, failAfter: received }));
+
+    await expect(downloadResumable('/drop.zip')).rejects.toThrow('network error');
+    expect(await getPartialDownload('/drop.zip')).toMatchObject({ receivedBytes: received, chunkCount: 3, totalBytes: file.byteLength });
+
+    const result = await downloadResumable('/drop.zip');
+
+    expect(server.requests[1]).toMatchObject({ 'Range': `bytes=${received}-`, 'If-Range': '"v1"' });
+    expect(result.resumedFrom).toBe(received);
+    expect(Buffer.from(result.data).equals(Buffer.from(file))).toBe(true);
+    expect(await getPartialDownload('/drop.zip')).toBeNull();
+  });
+
+  test('starts over when the file changed since the partial download', async () => {
+    const server = serve(createServer({ file: createFile(100 * 1024), failAfter: 32 * 1024 }));
+    await expect(downloadResumable('/changed.zip')).rejects.toThrow('network error');
+
+    const newFile = createFile(80 * 1024, 7);
+    server.file = newFile;
+    server.etag = '"v2"';
+    const result = await downloadResumable('/changed.zip');
+
+    expect(result).toMatchObject({ etag: '"v2"', resumedFrom: 0 });
+    expect(Buffer.from(result.data).equals(Buffer.from(newFile))).toBe(true);
+  });
+
+  test('starts over when the saved part no longer fits the file', async () => {
+    const server = serve(createServer({ file: createFile(100 * 1024), failAfter: 64 * 1024 }));
+    await expect(downloadResumable('/shrunk.zip')).rejects.toThrow('network error');
+
+    // Same validator, but shorter than what was already received: the server answers 416
+    const shorter = createFile(40 * 1024);
+    server.file = shorter;
+    const result = await downloadResumable('/shrunk.zip');
+
+    expect(server.requests.map(headers => headers['Range'] || null)).toEqual([null, `bytes=${64 * 1024}-`, null]);
+    expect(Buffer.from(result.data).equals(Buffer.from(shorter))).toBe(true);
+  });
+
+  test('does not resume a file without a validator', async () => {
+    const server = serve(createServer({ file: createFile(50 * 1024), etag: null, failAfter: 16 * 1024 }));
+    await expect(downloadResumable('/no-etag.zip')).rejects.toThrow('network error');
+
+    expect(await getPartialDownload('/no-etag.zip')).toBeNull();
+    await downloadResumable('/no-etag.zip');
+    expect(server.requests[1]['Range']).toBeUndefined();
+  });
+});
+
+test('discardPartialDownload forgets the saved part', async () => {
+  const server = serve(createServer({ file: createFile(100 * 1024), failAfter: 32 * 1024 }));
+  await expect(downloadResumable('/discard.zip')).rejects.toThrow('network error');
+
+  await discardPartialDownload('/discard.zip');
+
+  expect(await getPartialDownload('/discard.zip')).toBeNull();
+  const result = await downloadResumable('/discard.zip');
+  expect(result.resumedFrom).toBe(0);
+  expect(server.requests[1]['Range']).toBeUndefined();
+});
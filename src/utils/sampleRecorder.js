@@ -0,0 +1,147 @@
+/**
+ * Records training samples from the live landmark stream.
+ *
+ * A recording takes a label and a number of windows. After a countdown the
+ * recorder collects windows of consecutive frames with hands in view (the same
+ * frames the model's buffer receives during live recognition), with a short
+ * pause between windows so the signer can return to a neutral position.
+ */
+
+export const RECORDER_PHASES = {
+  IDLE: 'idle',
+  COUNTDOWN: 'countdown',
+  RECORDING: 'recording',
+  PAUSE: 'pause',
+  DONE: 'done'
+};
+
+export const DEFAULT_RECORDER_OPTIONS = {
+  countdownMs: 3000, // Time to get ready before the first window
+  pauseMs: 1000      // Time between windows
+};
+
+/**
+ * Create a sample recorder
+ *
+ * @param {Object} options - Recorder options (overrides for DEFAULT_RECORDER_OPTIONS)
+ * @param {number} options.windowSize - Frames per sample (the model's frame count)
+ * @param {function} options.onWindow - Called with { label, frames, handedness, timestamps } for every captured window
+ * @param {function} options.onStatus - Called with the recorder status whenever it changes
+ * @returns {Object} Recorder with start, update, cancel, isActive and getStatus functions
+ */
+export function createSampleRecorder({ windowSize, onWindow = () => {}, onStatus = () => {}, ...options }) {
+  if (!Number.isInteger(windowSize) || windowSize <= 0) {
+    throw new Error(`Invalid sample window size: ${windowSize}`);
+  }
+
+  const config = { ...DEFAULT_RECORDER_OPTIONS, ...options };
+
+  let phase = RECORDER_PHASES.IDLE;
+  let label = null;
+  let count = 0;
+  let captured = 0;
+  let phaseEndsAt = 0;
+  let frames = [];
+  let remainingMs = 0;
+
+  const getStatus = () => ({
+    phase,
+    label,
+    count,
+    captured,
+    framesCaptured: frames.length,
+    windowSize,
+    remainingMs
+  });
+
+  const emit = () => onStatus(getStatus());
+
+  const setPhase = (nextPhase, now, durationMs = 0) => {
+    phase = nextPhase;
+    phaseEndsAt = now + durationMs;
+    remainingMs = durationMs;
+    frames = [];
+    emit();
+  };
+
+  /**
+   * Begin a recording
+   *
+   * @param {string} sampleLabel - Sign being recorded
+   * @param {number} sampleCount - Number of windows to capture
+   * @param {number} now - Current time in milliseconds
+   */
+  const start = (sampleLabel, sampleCount, now = performance.now()) => {
+    const trimmed = (sampleLabel || '').trim();
+    if (!trimmed) {
+      throw new Error('Choose a label before recording');
+    }
+    if (!Number.isInteger(sampleCount) || sampleCount <= 0) {
+      throw new Error(`Invalid number of samples: ${sampleCount}`);
+    }
+
+    label = trimmed;
+    count = sampleCount;
+    captured = 0;
+    setPhase(RECORDER_PHASES.COUNTDOWN, now, config.countdownMs);
+  };
+
+  /**
+   * Feed one processed camera frame
+   *
+   * @param {Object|null} frame - { features, handedness } for a frame with hands, null when no hands are visible
+   * @param {number} now - Frame time in milliseconds
+   */
+  const update = (frame, now = performance.now()) => {
+    if (phase === RECORDER_PHASES.COUNTDOWN || phase === RECORDER_PHASES.PAUSE) {
+      if (now >= phaseEndsAt) {
+        setPhase(RECORDER_PHASES.RECORDING, now);
+      } else {
+        // Only report whole-second changes of the countdown
+        const nextRemaining = phaseEndsAt - now;
+        const changed = Math.ceil(nextRemaining / 1000) !== Math.ceil(remainingMs / 1000);
+        remainingMs = nextRemaining;
+        if (changed) emit();
+      }
+      return;
+    }
+
+    // Frames without hands are skipped, as in the model's live buffer
+    if (phase !== RECORDER_PHASES.RECORDING || !frame) return;
+
+    frames.push({ ...frame, timestamp: now });
+    if (frames.length < windowSize) {
+      emit();
+      return;
+    }
+
+    const startTime = frames[0].timestamp;
+    onWindow({
+      label,
+      frames: frames.map(f => f.features),
+      handedness: frames.map(f => f.handedness),
+      timestamps: frames.map(f => Math.round(f.timestamp - startTime))
+    });
+    captured++;
+
+    if (captured >= count) {
+      setPhase(RECORDER_PHASES.DONE, now);
+    } else {
+      setPhase(RECORDER_PHASES.PAUSE, now, config.pauseMs);
+    }
+  };
+
+  /**
+   * Whether a recording is in progress (counting down, recording or between windows)
+   */
+  const isActive = () => phase !== RECORDER_PHASES.IDLE && phase !== RECORDER_PHASES.DONE;
+
+  /**
+   * Stop recording and drop the window in progress
+   */
+  const cancel = () => {
+    setPhase(RECORDER_PHASES.IDLE, 0);
+  };
+
+  return { start, update, cancel, isActive, getStatus };
+}
@@ -0,0 +1,305 @@
+/**
+ * In-browser training of the sign model on the local dataset.
+ *
+ * Two modes:
+ *
+ *   scratch    the full LSTM architecture (modelArchitecture.js) with random weights
+ *   fine-tune  a loaded model with every layer but the dense head frozen
+ *
+ * Training runs on the CPU backend so it does not compete with the WebGL
+ * context used for rendering; the previous backend is restored afterwards.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { SAMPLE_SPLITS } from './datasetStore';
+import { buildFineTuneModel, buildSignModel, DEFAULT_LEARNING_RATE } from './modelArchitecture';
+
+export const TRAINING_MODES = {
+  SCRATCH: 'scratch',
+  FINE_TUNE: 'fine-tune'
+};
+
+export const DEFAULT_TRAINING_OPTIONS = {
+  epochs: 50,
+  batchSize: 16,
+  learningRate: DEFAULT_LEARNING_RATE,
+  // Epochs without a better validation loss before training stops
+  patience: 5,
+  // Share of the samples held out for validation when the dataset has no splits
+  validationFraction: 0.2
+};
+
+const TRAINING_BACKEND = 'cpu';
+
+const sameShape = (a, b) => a.length === b.length && a.every((dim, i) => dim === b[i]);
+
+const createAbortError = () => new DOMException('Training was cancelled', 'AbortError');
+
+// Models that share layers may already be disposed through each other
+const disposeQuietly = (model) => {
+  try {
+    model.dispose();
+  } catch (error) {
+    // Already disposed
+  }
+};
+
+/**
+ * Split samples into training and validation sets
+ *
+ * Assigned splits are respected. If no sample is assigned to validation, a
+ * random share of the unassigned samples is held out instead.
+ */
+const splitSamples = (samples, validationFraction) => {
+  const validation = samples.filter(sample => sample.split === SAMPLE_SPLITS.VALIDATION);
+  const train = samples.filter(sample => sample.split === SAMPLE_SPLITS.TRAIN);
+  const unassigned = samples.filter(sample => !sample.split);
+
+  if (validation.length > 0 || validationFraction <= 0) {
+    return { train: [...train, ...unassigned], validation };
+  }
+
+  const shuffled = [...unassigned];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const holdout = Math.round(shuffled.length * validationFraction);
+
+  return {
+    train: [...train, ...shuffled.slice(holdout)],
+    validation: shuffled.slice(0, holdout)
+  };
+};
+
+/**
+ * Features and one-hot targets of a set of samples
+ */
+const toTensors = (samples, labels) => tf.tidy(() => ({
+  xs: tf.tensor3d(samples.map(sample => sample.frames)),
+  ys: tf.oneHot(
+    tf.tensor1d(samples.map(sample => labels.indexOf(sample.label)), 'int32'),
+    labels.length
+  )
+}));
+
+// TF.js reports the accuracy metric as "acc"
+const readEpochLogs = (epoch, logs) => ({
+  epoch: epoch + 1,
+  loss: logs.loss,
+  accuracy: logs.acc !== undefined ? logs.acc : logs.accuracy,
+  valLoss: logs.val_loss !== undefined ? logs.val_loss : null,
+  valAccuracy: logs.val_acc !== undefined ? logs.val_acc : (logs.val_accuracy !== undefined ? logs.val_accuracy : null)
+});
+
+/**
+ * Training itself; trainSignModel disposes the base model when this fails
+ */
+const runTraining = async ({ samples, mode, baseModel, baseMetadata, signal, onEpochEnd, options }) => {
+  const { epochs, batchSize, learningRate, patience, validationFraction } = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+
+  if (samples.length === 0) {
+    throw new Error('The dataset has no samples to train on');
+  }
+
+  const { inputShape, featureMode } = samples[0];
+  const mismatch = samples.find(sample =>
+    !sameShape(sample.inputShape, inputShape) ||
+    JSON.stringify(sample.featureMode) !== JSON.stringify(featureMode)
+  );
+  if (mismatch) {
+    throw new Error(`Sample ${mismatch.id} was recorded with a different input shape or feature mode`);
+  }
+
+  let labels = [...new Set(samples.map(sample => sample.label))].sort();
+  if (labels.length < 2) {
+    throw new Error('Training needs samples of at least two labels');
+  }
+
+  let reuseHead = false;
+  if (mode === TRAINING_MODES.FINE_TUNE) {
+    if (!baseModel || !baseMetadata) {
+      throw new Error('Fine-tuning needs a base model and its metadata');
+    }
+    const baseShape = baseModel.inputs[0].shape.slice(1);
+    if (!sameShape(baseShape, inputShape)) {
+      throw new Error(`The base model expects input [${baseShape.join(', ')}] but the samples are [${inputShape.join(', ')}]`);
+    }
+    if (JSON.stringify(baseMetadata.featureMode) !== JSON.stringify(featureMode)) {
+      throw new Error('The base model uses a different feature mode than the recorded samples');
+    }
+
+    // Same classes: keep the trained head (and its label order) as the starting point
+    reuseHead = baseMetadata.labels.length === labels.length &&
+      baseMetadata.labels.every(label => labels.includes(label));
+    if (reuseHead) {
+      labels = [...baseMetadata.labels];
+    }
+  }
+
+  const { train, validation } = splitSamples(samples, validationFraction);
+  if (train.length === 0) {
+    throw new Error('Every sample is assigned to validation; assign some to training');
+  }
+
+  const previousBackend = tf.getBackend();
+  let trainSet = null;
+  let validationSet = null;
+  let model = null;
+  let bestWeights = null;
+  let aborted = false;
+
+  try {
+    await tf.setBackend(TRAINING_BACKEND);
+
+    trainSet = toTensors(train, labels);
+    validationSet = validation.length > 0 ? toTensors(validation, labels) : null;
+    const monitor = validationSet ? 'valLoss' : 'loss';
+
+    model = mode === TRAINING_MODES.FINE_TUNE
+      ? buildFineTuneModel(baseModel, { numClasses: labels.length, reuseHead, learningRate })
+      : buildSignModel({ frameCount: inputShape[0], featureSize: inputShape[1], numClasses: labels.length, learningRate });
+
+    const history = [];
+    let bestEpoch = 0;
+    let bestValue = Infinity;
+
+    await model.fit(trainSet.xs, trainSet.ys, {
+      epochs,
+      batchSize,
+      shuffle: true,
+      validationData: validationSet ? [validationSet.xs, validationSet.ys] : undefined,
+      callbacks: {
+        onBatchEnd: async () => {
+          if (signal && signal.aborted) {
+            aborted = true;
+            model.stopTraining = true;
+          }
+        },
+        onEpochEnd: async (epoch, logs) => {
+          const entry = readEpochLogs(epoch, logs);
+          history.push(entry);
+
+          // Keep the weights of the best epoch so far
+          if (entry[monitor] < bestValue) {
+            bestValue = entry[monitor];
+            bestEpoch = entry.epoch;
+            if (bestWeights) bestWeights.forEach(weight => weight.dispose());
+            bestWeights = model.getWeights().map(weight => weight.clone());
+          }
+
+          onEpochEnd(entry);
+
+          if (signal && signal.aborted) {
+            aborted = true;
+            model.stopTraining = true;
+          } else if (patience > 0 && entry.epoch - bestEpoch >= patience) {
+            model.stopTraining = true;
+          }
+
+          // Let the page repaint between epochs
+          await tf.nextFrame();
+        }
+      }
+    });
+
+    if (aborted) {
+      throw createAbortError();
+    }
+
+    if (bestWeights) {
+      model.setWeights(bestWeights);
+    }
+
+    return {
+      model,
+      mode,
+      labels,
+      inputShape: [...inputShape],
+      featureMode,
+      history,
+      bestEpoch,
+      stoppedEarly: history.length < epochs,
+      trainCount: train.length,
+      validationCount: validation.length,
+      // A new head leaves the base model's own head unused; it is freed with the result
+      replacedHead: mode === TRAINING_MODES.FINE_TUNE && !reuseHead ? baseModel.layers[baseModel.layers.length - 1] : null
+    };
+  } catch (error) {
+    if (model) disposeQuietly(model);
+    throw error;
+  } finally {
+    if (bestWeights) bestWeights.forEach(weight => weight.dispose());
+    if (trainSet) {
+      trainSet.xs.dispose();
+      trainSet.ys.dispose();
+    }
+    if (validationSet) {
+      validationSet.xs.dispose();
+      validationSet.ys.dispose();
+    }
+    // Only when training switched it; a failed switch leaves the previous backend in place
+    if (previousBackend && tf.getBackend() !== previousBackend) {
+      await tf.setBackend(previousBackend).catch(error => {
+        console.warn(`Could not restore the ${previousBackend} backend:`, error.message);
+      });
+    }
+  }
+};
+
+/**
+ * Train a sign model on recorded samples
+ *
+ * @param {Object} options - Training options
+ * @param {Array<Object>} options.samples - Samples from the dataset store
+ * @param {string} options.mode - One of TRAINING_MODES
+ * @param {tf.LayersModel} options.baseModel - Freshly loaded model to fine-tune (fine-tune mode only; it is modified, and disposed if training fails)
+ * @param {Object} options.baseMetadata - Normalized metadata of the base model (fine-tune mode only)
+ * @param {number} options.epochs - Maximum number of epochs
+ * @param {number} options.batchSize - Batch size
+ * @param {number} options.learningRate - Adam learning rate
+ * @param {number} options.patience - Epochs without improvement before stopping early (0 disables)
+ * @param {number} options.validationFraction - Holdout share when the dataset has no validation split
+ * @param {AbortSignal} options.signal - Cancels training
+ * @param {function} options.onEpochEnd - Called with each epoch's { epoch, loss, accuracy, valLoss, valAccuracy }
+ * @returns {Promise<Object>} { model, mode, labels, inputShape, featureMode, history, bestEpoch, stoppedEarly,
+ *   trainCount, validationCount, replacedHead }; free it with disposeTrainingResult
+ * @throws {Error} If the dataset cannot be trained on; a DOMException named AbortError when cancelled
+ */
+export async function trainSignModel({
+  samples,
+  mode = TRAINING_MODES.SCRATCH,
+  baseModel = null,
+  baseMetadata = null,
+  signal = null,
+  onEpochEnd = () => {},
+  ...options
+}) {
+  try {
+    return await runTraining({ samples, mode, baseModel, baseMetadata, signal, onEpochEnd, options });
+  } catch (error) {
+    if (baseModel) disposeQuietly(baseModel);
+    throw error;
+  }
+}
+
+/**
+ * Free a training result: the trained model with its optimizer state and,
+ * after fine-tuning with a new head, the base model's head (every other layer
+ * is shared with the trained model)
+ *
+ * @param {Object} result - Result of trainSignModel
+ */
+export function disposeTrainingResult(result) {
+  if (result.model.optimizer) {
+    result.model.optimizer.dispose();
+  }
+  disposeQuietly(result.model);
+  if (result.replacedHead) {
+    try {
+      result.replacedHead.dispose();
+    } catch (error) {
+      // Already disposed
+    }
+  }
+}
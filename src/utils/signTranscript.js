@@ -0,0 +1,232 @@
+/**
+ * Continuous signing transcript.
+ *
+ * A motion segmenter watches the hand landmark stream and reports pauses
+ * (low motion energy, hands leaving the frame) and the start of new motion.
+ * The transcript builder turns confirmed sign events into a list of distinct
+ * glosses: repeated detections of the same sign within one motion segment are
+ * merged, while the same sign signed again after a pause becomes a new entry.
+ */
+
+import { SIGN_EVENT_TYPES } from './predictionSmoother';
+
+export const DEFAULT_SEGMENTER_OPTIONS = {
+  pauseEnergyThreshold: 0.004,  // Smoothed energy below which the hands count as still
+  motionEnergyThreshold: 0.008, // Smoothed energy above which motion resumes after a pause
+  minPauseMs: 400,              // Stillness (or hands out of frame) needed for a pause
+  energySmoothing: 0.5          // EMA factor for the per-frame energy
+};
+
+export const SEGMENT_EVENT_TYPES = {
+  PAUSE: 'pause',
+  MOTION: 'motion'
+};
+
+/**
+ * Mean absolute change of the landmark values present in both frames
+ *
+ * Zero-filled slots (hands that are not detected) are ignored so a hand
+ * appearing or disappearing does not register as motion.
+ *
+ * @param {Array<number>} previous - Previous frame features
+ * @param {Array<number>} current - Current frame features
+ * @returns {number|null} Motion energy, or null if no hand is present in both frames
+ */
+export function computeMotionEnergy(previous, current) {
+  let total = 0;
+  let count = 0;
+
+  for (let i = 0; i < current.length; i++) {
+    if (previous[i] !== 0 && current[i] !== 0) {
+      total += Math.abs(current[i] - previous[i]);
+      count++;
+    }
+  }
+
+  return count > 0 ? total / count : null;
+}
+
+/**
+ * Create a motion segmenter
+ *
+ * @param {Object} options - Overrides for DEFAULT_SEGMENTER_OPTIONS
+ * @returns {Object} Segmenter with push and reset functions
+ */
+export function createMotionSegmenter(options = {}) {
+  const config = { ...DEFAULT_SEGMENTER_OPTIONS, ...options };
+
+  let previousFrame = null;
+  let lastTimestamp = null;
+  let energy = null;
+  let paused = true;
+  let stillSince = null;
+
+  return {
+    /**
+     * Add one frame of features and return the segment events it caused
+     *
+     * @param {Array<number>} features - Frame features
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Array<Object>} Pause/motion events, in order
+     */
+    push(features, timestamp) {
+      const events = [];
+
+      // A gap in frames means the hands left the view: that is a pause too
+      if (lastTimestamp !== null && timestamp - lastTimestamp > config.minPauseMs) {
+        if (!paused) {
+          events.push({ type: SEGMENT_EVENT_TYPES.PAUSE, timestamp: lastTimestamp });
+        }
+        paused = true;
+        previousFrame = null;
+        energy = null;
+      }
+
+      const frameEnergy = previousFrame ? computeMotionEnergy(previousFrame, features) : null;
+      previousFrame = features;
+      lastTimestamp = timestamp;
+
+      if (frameEnergy === null) {
+        // Hands just (re)appeared: that starts a new motion segment
+        if (paused && !events.some(event => event.type === SEGMENT_EVENT_TYPES.MOTION)) {
+          paused = false;
+          stillSince = null;
+          events.push({ type: SEGMENT_EVENT_TYPES.MOTION, timestamp });
+        }
+        return events;
+      }
+
+      energy = energy === null
+        ? frameEnergy
+        : config.energySmoothing * frameEnergy + (1 - config.energySmoothing) * energy;
+
+      if (paused) {
+        if (energy > config.motionEnergyThreshold) {
+          paused = false;
+          stillSince = null;
+          events.push({ type: SEGMENT_EVENT_TYPES.MOTION, timestamp, energy });
+        }
+      } else if (energy < config.pauseEnergyThreshold) {
+        if (stillSince === null) {
+          stillSince = timestamp;
+        } else if (timestamp - stillSince >= config.minPauseMs) {
+          paused = true;
+          events.push({ type: SEGMENT_EVENT_TYPES.PAUSE, timestamp: stillSince, energy });
+        }
+      } else {
+        stillSince = null;
+      }
+
+      return events;
+    },
+
+    /**
+     * Forget the frame history (e.g. when the hands have been gone for a while)
+     *
+     * @param {number} timestamp - Time of the reset in milliseconds
+     * @returns {Array<Object>} A pause event if motion was in progress
+     */
+    reset(timestamp) {
+      const events = paused ? [] : [{ type: SEGMENT_EVENT_TYPES.PAUSE, timestamp }];
+      previousFrame = null;
+      lastTimestamp = null;
+      energy = null;
+      paused = true;
+      stillSince = null;
+      return events;
+    },
+
+    /**
+     * Current smoothed motion energy
+     */
+    getEnergy() {
+      return energy;
+    }
+  };
+}
+
+/**
+ * Create a transcript builder
+ *
+ * @returns {Object} Builder with handleSignEvent, startSegment, getEntries and clear functions
+ */
+export function createTranscriptBuilder() {
+  let entries = [];
+  let segment = 0;
+  let nextId = 1;
+  let openEntry = null;
+
+  return {
+    /**
+     * Record a sign event from the prediction smoother
+     *
+     * @param {Object} event - Sign started/confirmed/ended event
+     * @returns {boolean} Whether the transcript changed
+     */
+    handleSignEvent(event) {
+      if (event.type === SIGN_EVENT_TYPES.CONFIRMED) {
+        const last = entries[entries.length - 1];
+
+        // Same sign detected again without new motion in between: extend the existing entry
+        if (last && last.label === event.label && last.segment === segment) {
+          openEntry = {
+            ...last,
+            confidence: Math.max(last.confidence, event.confidence),
+            endTime: event.timestamp,
+            detections: last.detections + 1
+          };
+          entries = [...entries.slice(0, -1), openEntry];
+          return true;
+        }
+
+        openEntry = {
+          id: nextId++,
+          label: event.label,
+          confidence: event.confidence,
+          startTime: event.startTime,
+          endTime: event.timestamp,
+          segment,
+          detections: 1
+        };
+        entries = [...entries, openEntry];
+        return true;
+      }
+
+      if (event.type === SIGN_EVENT_TYPES.ENDED && event.confirmed && openEntry && openEntry.label === event.label) {
+        openEntry = {
+          ...openEntry,
+          confidence: Math.max(openEntry.confidence, event.confidence),
+          endTime: event.endTime
+        };
+        entries = [...entries.slice(0, -1), openEntry];
+        openEntry = null;
+        return true;
+      }
+
+      return false;
+    },
+
+    /**
+     * Start a new motion segment; the next sign always becomes a new entry
+     */
+    startSegment() {
+      segment++;
+    },
+
+    /**
+     * Transcript entries in signing order
+     */
+    getEntries() {
+      return entries;
+    },
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+      entries = [];
+      openEntry = null;
+      segment++;
+    }
+  };
+}
@@ -0,0 +1,116 @@
+import { createLiveSession } from './historyStore';
+import { UNKNOWN_LABEL } from './openSetRejection';
+import { SIGN_EVENT_TYPES } from './predictionSmoother';
+import {
+  computeMotionEnergy,
+  createMotionSegmenter,
+  createTranscriptBuilder,
+  SEGMENT_EVENT_TYPES
+} from './signTranscript';
+
+const HAND = [0.5, 0.5, 0.1, 0.6, 0.4, 0.1];
+const moved = (frame, delta) => frame.map(value => value + delta);
+
+const confirmed = (label, timestamp, confidence = 0.9) => ({
+  type: SIGN_EVENT_TYPES.CONFIRMED, label, confidence, startTime: timestamp - 200, timestamp
+});
+const ended = (label, endTime, confidence = 0.9) => ({
+  type: SIGN_EVENT_TYPES.ENDED, label, confirmed: true, confidence, startTime: endTime - 400, endTime
+});
+
+const types = (events) => events.map(event => event.type);
+
+describe('computeMotionEnergy', () => {
+  test('averages the change of the values present in both frames', () => {
+    expect(computeMotionEnergy([0.5, 0.5, 0, 0], [0.6, 0.3, 0.9, 0])).toBeCloseTo(0.15);
+    expect(computeMotionEnergy([0.5, 0, 0], [0, 0.5, 0.5])).toBeNull();
+  });
+});
+
+describe('createMotionSegmenter', () => {
+  test('reports a pause once the hands stay still and motion when they move again', () => {
+    const segmenter = createMotionSegmenter({ minPauseMs: 400 });
+
+    expect(types(segmenter.push(HAND, 0))).toEqual([SEGMENT_EVENT_TYPES.MOTION]);
+
+    const stillEvents = [100, 200, 300, 400, 500].flatMap(t => segmenter.push(HAND, t));
+    // The pause starts when the hands stopped moving
+    expect(stillEvents).toEqual([expect.objectContaining({ type: SEGMENT_EVENT_TYPES.PAUSE, timestamp: 100 })]);
+
+    expect(types(segmenter.push(moved(HAND, 0.05), 600))).toEqual([SEGMENT_EVENT_TYPES.MOTION]);
+  });
+
+  test('treats a gap in the frames as a pause', () => {
+    const segmenter = createMotionSegmenter({ minPauseMs: 400 });
+    segmenter.push(HAND, 0);
+    segmenter.push(moved(HAND, 0.05), 100);
+
+    expect(segmenter.push(HAND, 1000)).toEqual([
+      expect.objectContaining({ type: SEGMENT_EVENT_TYPES.PAUSE, timestamp: 100 }),
+      expect.objectContaining({ type: SEGMENT_EVENT_TYPES.MOTION, timestamp: 1000 })
+    ]);
+  });
+
+  test('reset ends the motion in progress', () => {
+    const segmenter = createMotionSegmenter();
+    segmenter.push(HAND, 0);
+
+    expect(segmenter.reset(50)).toEqual([{ type: SEGMENT_EVENT_TYPES.PAUSE, timestamp: 50 }]);
+    expect(segmenter.reset(60)).toEqual([]);
+    expect(segmenter.getEnergy()).toBeNull();
+  });
+});
+
+describe('createTranscriptBuilder', () => {
+  test('merges repeated detections of a sign within one motion segment', () => {
+    const builder = createTranscriptBuilder();
+
+    builder.handleSignEvent(confirmed('Hello', 1000, 0.8));
+    builder.handleSignEvent(ended('Hello', 1400, 0.85));
+    builder.handleSignEvent(confirmed('Hello', 1800, 0.95));
+
+    expect(builder.getEntries()).toEqual([
+      expect.objectContaining({ label: 'Hello', startTime: 800, endTime: 1800, confidence: 0.95, detections: 2 })
+    ]);
+  });
+
+  test('adds the same sign again after a pause', () => {
+    const builder = createTranscriptBuilder();
+
+    builder.handleSignEvent(confirmed('Hello', 1000));
+    builder.startSegment();
+    builder.handleSignEvent(confirmed('Hello', 2000));
+    builder.handleSignEvent(confirmed('Yes', 2500));
+
+    expect(builder.getEntries().map(entry => [entry.id, entry.label])).toEqual([[1, 'Hello'], [2, 'Hello'], [3, 'Yes']]);
+  });
+
+  test('extends an entry to the end of its sign and ignores other events', () => {
+    const builder = createTranscriptBuilder();
+
+    expect(builder.handleSignEvent({ type: SIGN_EVENT_TYPES.STARTED, label: 'Yes', timestamp: 0 })).toBe(false);
+    builder.handleSignEvent(confirmed('Yes', 1000));
+    expect(builder.handleSignEvent({ ...ended('Yes', 1500), confirmed: false })).toBe(false);
+    expect(builder.handleSignEvent(ended('Yes', 1600))).toBe(true);
+    expect(builder.handleSignEvent(ended('Yes', 1700))).toBe(false);
+
+    expect(builder.getEntries()[0].endTime).toBe(1600);
+  });
+
+  test('the transcript text reads the entries in signing order', () => {
+    const builder = createTranscriptBuilder();
+    builder.handleSignEvent(confirmed('Hello', 1000));
+    builder.handleSignEvent(confirmed('Hello', 1300));
+    builder.startSegment();
+    builder.handleSignEvent(confirmed(UNKNOWN_LABEL, 2000));
+    builder.handleSignEvent(confirmed('Thank you', 3000));
+
+    const session = createLiveSession(builder.getEntries(), { startTime: 500 });
+
+    expect(session.label).toBe('Hello Unrecognized Thank you');
+    expect(session.segments.map(segment => [segment.startTime, segment.endTime])).toEqual([[0.3, 0.8], [1.3, 1.5], [2.3, 2.5]]);
+
+    builder.clear();
+    expect(builder.getEntries()).toEqual([]);
+  });
+});
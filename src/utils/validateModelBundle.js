@@ -0,0 +1,479 @@
+/**
+ * Offline check of a TF.js layers-model bundle, run with Node:
+ *
+ *   node src/utils/validateModelBundle.js [model dir or ZIP] [options]
+ *   npm run validate-model -- [model dir or ZIP] [options]
+ *
+ * The model defaults to public/models/sign_language_model. Checks:
+ *
+ *   1. model.json is a layers model whose topology can be built
+ *   2. every weight in the weightsManifest exists in the topology with the same
+ *      shape, and each group's shard files hold exactly the bytes the specs need
+ *   3. the labels (metadata.json or labels.json) match the number of output
+ *      units, and the manifest's input shape matches the model input
+ *   4. inference on the CPU backend over fixture landmark samples returns a
+ *      probability distribution; predictions and timing are printed
+ *
+ * Options:
+ *   --fixtures <path>  Sample JSON file or directory (repeatable; default fixtures/landmarks).
+ *                      A file holds one sample ({ label, frames }, as in samples/ of a
+ *                      dataset export) or a list ({ samples: [...] } or an array).
+ *   --runs <n>         Timed inference runs per fixture (default 5)
+ *   --strict           Fail when a fixture's top prediction is not its label
+ *   --json             Print the results as JSON instead of text
+ *
+ * Exits with 0 when every check passes, 1 when one fails and 2 on bad arguments.
+ * checkModel.js covers the things that need a browser (remote URLs, IndexedDB).
+ */
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const tf = require('@tensorflow/tfjs');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DEFAULT_MODEL_PATH = path.join(ROOT_DIR, 'public', 'models', 'sign_language_model');
+const DEFAULT_FIXTURES_PATH = path.join(ROOT_DIR, 'fixtures', 'landmarks');
+const METADATA_FILE_NAMES = ['metadata.json', 'labels.json'];
+const DEFAULT_RUNS = 5;
+
+// Bytes per value of each weight dtype (quantized weights use their quantization dtype)
+const DTYPE_BYTES = {
+  float32: 4,
+  int32: 4,
+  bool: 1,
+  uint8: 1,
+  uint16: 2,
+  float16: 2
+};
+
+// Tolerance on the sum of a probability distribution
+const SUM_TOLERANCE = 1e-3;
+
+/**
+ * Parse command line arguments
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { modelPath, fixtures, runs, strict, json }
+ */
+function parseArgs(argv) {
+  const options = { modelPath: null, fixtures: [], runs: DEFAULT_RUNS, strict: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fixtures') {
+      if (!argv[i + 1]) throw new Error('--fixtures needs a path');
+      options.fixtures.push(path.resolve(argv[++i]));
+    } else if (arg === '--runs') {
+      options.runs = Number(argv[++i]);
+      if (!Number.isInteger(options.runs) || options.runs < 1) throw new Error('--runs must be a positive integer');
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!options.modelPath) {
+      options.modelPath = path.resolve(arg);
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  options.modelPath = options.modelPath || DEFAULT_MODEL_PATH;
+  if (options.fixtures.length === 0) options.fixtures.push(DEFAULT_FIXTURES_PATH);
+  return options;
+}
+
+/**
+ * Read the files of a bundle from a directory or a ZIP
+ *
+ * @param {string} bundlePath - Model directory, model.json or ZIP file
+ * @returns {Promise<Object>} { modelJsonPath, readFile(relativePath) => Promise<Buffer|null>,
+ *   findFile(fileName) => Promise<{name, data}|null> } with paths relative to model.json
+ */
+async function openBundle(bundlePath) {
+  if (!fs.existsSync(bundlePath)) {
+    throw new Error(`${bundlePath} does not exist`);
+  }
+
+  if (/\.zip$/i.test(bundlePath)) {
+    const zip = await JSZip.loadAsync(fs.readFileSync(bundlePath));
+    const names = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+    const modelJsonPath = names.find(name => name === 'model.json' || name.endsWith('/model.json'));
+    if (!modelJsonPath) {
+      throw new Error('model.json not found in the ZIP');
+    }
+    const modelDir = modelJsonPath.slice(0, modelJsonPath.lastIndexOf('/') + 1);
+
+    return {
+      modelJsonPath,
+      // Same lookup as the app: next to model.json first, then the root of the ZIP
+      readFile: async (relativePath) => {
+        const clean = relativePath.replace(/^\.\//, '');
+        const file = zip.files[modelDir + clean] || zip.files[clean];
+        return file ? file.async('nodebuffer') : null;
+      },
+      findFile: async (fileName) => {
+        const name = names.find(entry => entry === fileName || entry.endsWith(`/${fileName}`));
+        return name ? { name, data: await zip.files[name].async('nodebuffer') } : null;
+      }
+    };
+  }
+
+  const modelJsonPath = fs.statSync(bundlePath).isDirectory() ? path.join(bundlePath, 'model.json') : bundlePath;
+  if (!fs.existsSync(modelJsonPath)) {
+    throw new Error(`${modelJsonPath} does not exist`);
+  }
+  const modelDir = path.dirname(modelJsonPath);
+  const resolve = (relativePath) => path.join(modelDir, relativePath);
+
+  return {
+    modelJsonPath,
+    readFile: async (relativePath) => (fs.existsSync(resolve(relativePath)) ? fs.readFileSync(resolve(relativePath)) : null),
+    findFile: async (fileName) => (fs.existsSync(resolve(fileName)) ? { name: fileName, data: fs.readFileSync(resolve(fileName)) } : null)
+  };
+}
+
+const countValues = (shape) => shape.reduce((product, dim) => product * dim, 1);
+
+const specByteLength = (spec) => {
+  const dtype = spec.quantization ? spec.quantization.dtype : spec.dtype;
+  const bytes = DTYPE_BYTES[dtype];
+  if (!bytes) {
+    throw new Error(`${spec.name}: unsupported dtype ${dtype}`);
+  }
+  return countValues(spec.shape) * bytes;
+};
+
+const sameShape = (a, b) => a.length === b.length && a.every((dim, i) => dim === b[i]);
+
+// Building a topology initializes random weights, and the orthogonal initializer warns about large kernels
+const withoutWarnings = async (action) => {
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    return await action();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+const toArrayBuffer = (buffer) => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+/**
+ * Collects check results and prints them as they come in
+ */
+function createReporter(json) {
+  const checks = [];
+
+  const add = (status, name, detail) => {
+    checks.push({ status, name, detail });
+    if (!json) {
+      const mark = status === 'pass' ? '✓' : status === 'warn' ? '!' : '✗';
+      console.log(`  ${mark} ${name}${detail ? `: ${detail}` : ''}`);
+    }
+  };
+
+  return {
+    checks,
+    section: (title) => { if (!json) console.log(`\n${title}`); },
+    pass: (name, detail) => add('pass', name, detail),
+    warn: (name, detail) => add('warn', name, detail),
+    fail: (name, detail) => add('fail', name, detail),
+    failed: () => checks.some(check => check.status === 'fail')
+  };
+}
+
+/**
+ * Check the manifest against the topology and read the weights
+ *
+ * @returns {Promise<ArrayBuffer|null>} Concatenated weight data, or null when a check failed
+ */
+async function checkWeights(bundle, modelJson, topologyModel, reporter) {
+  const expected = new Map(topologyModel.weights.map(weight => [weight.originalName, weight]));
+  const manifest = modelJson.weightsManifest;
+  if (!Array.isArray(manifest) || manifest.length === 0) {
+    reporter.fail('weightsManifest', 'missing or empty');
+    return null;
+  }
+
+  const seen = new Set();
+  const buffers = [];
+  let ok = true;
+
+  for (const [groupIndex, group] of manifest.entries()) {
+    const groupName = `group ${groupIndex + 1} (${group.paths.join(', ')})`;
+
+    for (const spec of group.weights) {
+      seen.add(spec.name);
+      const weight = expected.get(spec.name);
+      if (!weight) {
+        reporter.fail(spec.name, 'not a weight of the topology');
+        ok = false;
+      } else if (!sameShape(weight.shape, spec.shape)) {
+        reporter.fail(spec.name, `manifest shape [${spec.shape}] but the topology needs [${weight.shape}]`);
+        ok = false;
+      }
+    }
+
+    let expectedBytes;
+    try {
+      expectedBytes = group.weights.reduce((sum, spec) => sum + specByteLength(spec), 0);
+    } catch (error) {
+      reporter.fail(groupName, error.message);
+      ok = false;
+      continue;
+    }
+
+    const shards = await Promise.all(group.paths.map(shardPath => bundle.readFile(shardPath)));
+    const missing = group.paths.filter((shardPath, i) => !shards[i]);
+    if (missing.length > 0) {
+      reporter.fail(groupName, `missing shard ${missing.join(', ')}`);
+      ok = false;
+      continue;
+    }
+
+    const actualBytes = shards.reduce((sum, shard) => sum + shard.length, 0);
+    if (actualBytes !== expectedBytes) {
+      reporter.fail(groupName, `shards hold ${actualBytes} bytes but the weight specs need ${expectedBytes}`);
+      ok = false;
+      continue;
+    }
+
+    reporter.pass(groupName, `${group.weights.length} tensors, ${actualBytes} bytes`);
+    buffers.push(...shards);
+  }
+
+  const unlisted = [...expected.keys()].filter(name => !seen.has(name));
+  if (unlisted.length > 0) {
+    reporter.fail('weightsManifest', `no weights for ${unlisted.join(', ')}`);
+    ok = false;
+  }
+
+  return ok ? toArrayBuffer(Buffer.concat(buffers)) : null;
+}
+
+/**
+ * Read and check the labels manifest against the model
+ *
+ * @returns {Promise<Object|null>} Parsed manifest ({ labels, inputShape, featureMode, ... }), or null
+ */
+async function checkLabels(bundle, model, reporter) {
+  const outputUnits = model.outputs[0].shape[model.outputs[0].shape.length - 1];
+  const modelInput = model.inputs[0].shape.slice(1);
+
+  let file = null;
+  for (const name of METADATA_FILE_NAMES) {
+    file = await bundle.findFile(name);
+    if (file) break;
+  }
+  if (!file) {
+    reporter.warn('labels', `no ${METADATA_FILE_NAMES.join(' or ')}; predictions are shown as class indices`);
+    return null;
+  }
+
+  const fileName = file.name;
+  let metadata;
+  try {
+    const raw = JSON.parse(file.data.toString('utf8'));
+    metadata = Array.isArray(raw) ? { labels: raw } : raw;
+  } catch (error) {
+    reporter.fail(fileName, `not valid JSON: ${error.message}`);
+    return null;
+  }
+
+  const { labels } = metadata;
+  if (!Array.isArray(labels) || labels.some(label => typeof label !== 'string' || !label.trim())) {
+    reporter.fail(fileName, '"labels" must be an array of non-empty strings');
+    return null;
+  }
+  const duplicates = labels.filter((label, index) => labels.indexOf(label) !== index);
+  if (duplicates.length > 0) {
+    reporter.fail(fileName, `duplicate labels ${duplicates.join(', ')}`);
+    return null;
+  }
+  if (labels.length !== outputUnits) {
+    reporter.fail(fileName, `${labels.length} labels but the model has ${outputUnits} output units`);
+    return null;
+  }
+  reporter.pass(fileName, `${labels.length} labels match the output units`);
+
+  if (metadata.inputShape) {
+    if (sameShape(metadata.inputShape, modelInput)) {
+      reporter.pass('inputShape', `[${modelInput.join(', ')}]`);
+    } else {
+      reporter.fail('inputShape', `manifest says [${metadata.inputShape}] but the model takes [${modelInput}]`);
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Read fixture samples from files and directories
+ *
+ * @param {Array<string>} fixturePaths - Files or directories
+ * @returns {Array<Object>} Samples with the file they came from
+ */
+function readFixtures(fixturePaths) {
+  const files = [];
+  const collect = (target) => {
+    if (!fs.existsSync(target)) {
+      throw new Error(`Fixture path ${target} does not exist`);
+    }
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target).sort().forEach(name => collect(path.join(target, name)));
+    } else if (/\.json$/i.test(target)) {
+      files.push(target);
+    }
+  };
+  fixturePaths.forEach(collect);
+
+  return files.flatMap(file => {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const samples = Array.isArray(raw) ? raw : Array.isArray(raw.samples) ? raw.samples : [raw];
+    return samples.map((sample, index) => ({
+      ...sample,
+      source: samples.length > 1 ? `${path.relative(ROOT_DIR, file)}#${index}` : path.relative(ROOT_DIR, file)
+    }));
+  });
+}
+
+/**
+ * Run every fixture through the model
+ *
+ * @returns {Array<Object>} Per-fixture results
+ */
+function runFixtures(model, metadata, fixtures, { runs, strict }, reporter) {
+  const [frameCount, featureSize] = model.inputs[0].shape.slice(1);
+  const labels = metadata ? metadata.labels : null;
+  const modelFeatureMode = metadata && metadata.featureMode ? JSON.stringify(metadata.featureMode) : null;
+
+  return fixtures.map(fixture => {
+    const name = `${fixture.source} (${fixture.label || 'unlabelled'})`;
+    const { frames } = fixture;
+
+    if (!Array.isArray(frames) || frames.length !== frameCount || frames.some(frame => frame.length !== featureSize)) {
+      reporter.fail(name, `expected ${frameCount} frames of ${featureSize} values`);
+      return { source: fixture.source, label: fixture.label, error: 'shape' };
+    }
+    if (modelFeatureMode && fixture.featureMode && JSON.stringify(fixture.featureMode) !== modelFeatureMode) {
+      reporter.warn(name, 'recorded with a different feature mode than the model');
+    }
+
+    const input = tf.tensor3d([frames]);
+    const timings = [];
+    let probabilities = null;
+    try {
+      // The first run includes kernel setup, so it is not timed
+      tf.tidy(() => model.predict(input).dataSync());
+      for (let run = 0; run < runs; run++) {
+        const start = process.hrtime.bigint();
+        probabilities = tf.tidy(() => Array.from(model.predict(input).dataSync()));
+        timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+      }
+    } finally {
+      input.dispose();
+    }
+
+    const sum = probabilities.reduce((total, value) => total + value, 0);
+    if (probabilities.some(value => !Number.isFinite(value) || value < 0) || Math.abs(sum - 1) > SUM_TOLERANCE) {
+      reporter.fail(name, `output is not a probability distribution (sum ${sum.toFixed(4)})`);
+      return { source: fixture.source, label: fixture.label, error: 'output' };
+    }
+
+    const top = probabilities
+      .map((probability, index) => ({ label: labels ? labels[index] : String(index), probability }))
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, 3);
+    const medianMs = [...timings].sort((a, b) => a - b)[Math.floor(timings.length / 2)];
+    const correct = fixture.label ? top[0].label === fixture.label : null;
+    const detail = `${top.map(entry => `${entry.label} ${(entry.probability * 100).toFixed(1)}%`).join(', ')}`
+      + ` · ${medianMs.toFixed(2)} ms median of ${runs}`;
+
+    if (correct === false && strict) {
+      reporter.fail(name, `predicted ${top[0].label}; ${detail}`);
+    } else if (correct === false) {
+      reporter.warn(name, `predicted ${top[0].label}; ${detail}`);
+    } else {
+      reporter.pass(name, detail);
+    }
+
+    return { source: fixture.source, label: fixture.label, top, correct, timings, medianMs };
+  });
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\nUsage: node src/utils/validateModelBundle.js [model dir or ZIP] [--fixtures <path>] [--runs <n>] [--strict] [--json]`);
+    process.exit(2);
+  }
+
+  // Production mode silences TF.js's hint to install tfjs-node
+  tf.enableProdMode();
+  await tf.setBackend('cpu');
+
+  const reporter = createReporter(options.json);
+  const result = { model: path.relative(ROOT_DIR, options.modelPath) || '.', fixtures: [] };
+  let model = null;
+
+  try {
+    reporter.section(`Model bundle ${options.modelPath}`);
+    const bundle = await openBundle(options.modelPath);
+    const modelJson = JSON.parse((await bundle.readFile(path.basename(bundle.modelJsonPath))).toString('utf8'));
+
+    if (modelJson.format && modelJson.format !== 'layers-model') {
+      reporter.fail('format', `${modelJson.format} (only layers models are supported)`);
+    } else if (!modelJson.modelTopology) {
+      reporter.fail('modelTopology', 'missing');
+    } else {
+      // Built with random weights, only to read the expected weight shapes
+      const topologyModel = await withoutWarnings(() => tf.models.modelFromJSON({ modelTopology: modelJson.modelTopology }));
+      reporter.pass('topology', `${topologyModel.layers.length} layers, input [${topologyModel.inputs[0].shape.slice(1)}], `
+        + `${topologyModel.outputs[0].shape[topologyModel.outputs[0].shape.length - 1]} outputs`);
+
+      reporter.section('Weights');
+      const weightData = await checkWeights(bundle, modelJson, topologyModel, reporter);
+      topologyModel.dispose();
+
+      if (weightData) {
+        model = await tf.loadLayersModel(tf.io.fromMemory({
+          modelTopology: modelJson.modelTopology,
+          weightSpecs: modelJson.weightsManifest.flatMap(group => group.weights),
+          weightData
+        }));
+
+        reporter.section('Labels');
+        const metadata = await checkLabels(bundle, model, reporter);
+
+        reporter.section('Inference (cpu backend)');
+        const fixtures = readFixtures(options.fixtures);
+        if (fixtures.length === 0) {
+          reporter.warn('fixtures', 'no fixture samples found');
+        }
+        result.fixtures = runFixtures(model, metadata, fixtures, options, reporter);
+      }
+    }
+  } catch (error) {
+    reporter.fail('bundle', error.message);
+  } finally {
+    if (model) model.dispose();
+  }
+
+  result.checks = reporter.checks;
+  result.passed = !reporter.failed();
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    const warnings = reporter.checks.filter(check => check.status === 'warn').length;
+    console.log(`\n${result.passed ? 'PASS' : 'FAIL'}${warnings > 0 ? ` (${warnings} warning(s))` : ''}`);
+  }
+
+  process.exit(result.passed ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,278 @@
+/**
+ * On-device sign recognition for uploaded videos.
+ *
+ * The video is decoded in the browser and stepped through frame by frame
+ * (seek, wait for the frame, run the HandLandmarker in VIDEO mode). Frames go
+ * through the same feature extraction, model, smoother and motion segmenter as
+ * the live camera, using video time instead of wall-clock time, and the result
+ * is a timeline of recognized signs with start and end times.
+ */
+
+import { withUnknownClass, UNKNOWN_LABEL, getDisplayLabel } from './openSetRejection';
+import { getTopK } from './predictionStats';
+import { SEGMENT_EVENT_TYPES, createTranscriptBuilder } from './signTranscript';
+
+export const DEFAULT_VIDEO_OPTIONS = {
+  sampleRate: 30,            // Frames per second decoded from the video
+  predictionIntervalMs: 200, // Video time between predictions, matching the live throttle
+  thumbnailWidth: 160        // Width of the per-segment thumbnails (0 disables them)
+};
+
+/**
+ * Throw an AbortError if processing was cancelled
+ */
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw new DOMException('Video processing cancelled', 'AbortError');
+  }
+};
+
+/**
+ * Resolve on the next `eventName` from `target`, rejecting on errors or abort
+ */
+const waitForEvent = (target, eventName, signal) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    target.removeEventListener(eventName, onEvent);
+    target.removeEventListener('error', onError);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  };
+  const onEvent = () => {
+    cleanup();
+    resolve();
+  };
+  const onError = () => {
+    cleanup();
+    reject(new Error(`Could not decode video${target.error ? `: ${target.error.message}` : ''}`));
+  };
+  const onAbort = () => {
+    cleanup();
+    reject(new DOMException('Video processing cancelled', 'AbortError'));
+  };
+
+  target.addEventListener(eventName, onEvent);
+  target.addEventListener('error', onError);
+  if (signal) signal.addEventListener('abort', onAbort);
+});
+
+/**
+ * Load a video into a detached element and work out its duration
+ *
+ * @param {string} videoUrl - Object URL or URL of the video
+ * @param {AbortSignal} signal - Cancels loading
+ * @returns {Promise<HTMLVideoElement>} Video element ready for seeking
+ */
+const loadVideo = async (videoUrl, signal) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  const loaded = waitForEvent(video, 'loadeddata', signal);
+  video.src = videoUrl;
+  await loaded;
+
+  // MediaRecorder WebM files report an infinite duration until the end has been seen
+  if (!Number.isFinite(video.duration)) {
+    const durationKnown = waitForEvent(video, 'durationchange', signal);
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+    await durationKnown;
+  }
+
+  if (!Number.isFinite(video.duration) || video.duration <= 0) {
+    throw new Error('Video has no playable frames');
+  }
+
+  return video;
+};
+
+/**
+ * Seek to a time and wait until that frame is available
+ */
+const seekTo = async (video, time, signal) => {
+  const seeked = waitForEvent(video, 'seeked', signal);
+  video.currentTime = time;
+  await seeked;
+};
+
+/**
+ * Small JPEG of the current video frame as a data URL
+ */
+const captureThumbnail = (video, width) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round(width * (video.videoHeight / video.videoWidth)) || Math.round(width * 9 / 16);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
+
+/**
+ * Mean probability vector of the windows between two times
+ */
+const averageWindows = (windows, startTime, endTime) => {
+  const inRange = windows.filter(window => window.timestamp >= startTime && window.timestamp <= endTime);
+  if (inRange.length === 0) {
+    return null;
+  }
+
+  const sums = new Array(inRange[0].probabilities.length).fill(0);
+  inRange.forEach(window => {
+    window.probabilities.forEach((probability, i) => { sums[i] += probability; });
+  });
+  return sums.map(sum => sum / inRange.length);
+};
+
+/**
+ * Recognize the signs in a video
+ *
+ * @param {string} videoUrl - Object URL of the uploaded video
+ * @param {Object} options - Processing options
+ * @param {HandLandmarker} options.handLandmarker - Dedicated VIDEO-mode landmarker (timestamps restart at 0)
+ * @param {function} options.extractFeatures - (landmarkerResult) => { features, motionFeatures }
+ * @param {function} options.predictWindow - (frames) => Promise of a window summary with `rejected`
+ * @param {function} options.createSmoother - () => prediction smoother configured like the live one
+ * @param {function} options.createSegmenter - () => motion segmenter configured like the live one
+ * @param {Array<string>} options.labels - Class labels in model output order
+ * @param {number} options.frameCount - Frames per prediction window
+ * @param {number} options.topK - Number of alternatives per segment
+ * @param {number} options.sampleRate - Frames per second to decode
+ * @param {number} options.predictionIntervalMs - Video time between predictions
+ * @param {number} options.thumbnailWidth - Width of the per-segment thumbnails, 0 for none
+ * @param {AbortSignal} options.signal - Cancels processing with an AbortError
+ * @param {function} options.onProgress - Called with a 0..1 fraction as frames are processed
+ * @returns {Promise<Object>} { source, duration, segments, label, confidence, framesProcessed, framesWithHands }
+ */
+export async function recognizeSignsInVideo(videoUrl, options) {
+  const {
+    handLandmarker,
+    extractFeatures,
+    predictWindow,
+    createSmoother,
+    createSegmenter,
+    labels,
+    frameCount,
+    topK = 3,
+    signal,
+    onProgress = () => {}
+  } = options;
+  const sampleRate = options.sampleRate || DEFAULT_VIDEO_OPTIONS.sampleRate;
+  const predictionIntervalMs = options.predictionIntervalMs || DEFAULT_VIDEO_OPTIONS.predictionIntervalMs;
+  const thumbnailWidth = options.thumbnailWidth !== undefined
+    ? options.thumbnailWidth
+    : DEFAULT_VIDEO_OPTIONS.thumbnailWidth;
+
+  if (!handLandmarker) {
+    throw new Error('A hand landmarker is required to process videos');
+  }
+
+  const video = await loadVideo(videoUrl, signal);
+
+  try {
+    const durationMs = video.duration * 1000;
+    const frameStepMs = 1000 / sampleRate;
+    const totalFrames = Math.max(1, Math.floor(durationMs / frameStepMs) + 1);
+
+    const smoother = createSmoother();
+    const segmenter = createSegmenter();
+    const transcriptBuilder = createTranscriptBuilder();
+    const windows = [];
+    let buffer = [];
+    let lastPredictionTime = -Infinity;
+    let framesWithHands = 0;
+    let framesWithoutHands = 0;
+
+    const handleSignEvents = (events) => {
+      events.forEach(event => transcriptBuilder.handleSignEvent(event));
+    };
+
+    for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
+      throwIfAborted(signal);
+
+      const timestamp = Math.round(frameIndex * frameStepMs);
+      await seekTo(video, Math.min(timestamp / 1000, video.duration), signal);
+
+      // Video time is used as the landmarker timestamp, so it increases monotonically
+      const landmarkerResult = handLandmarker.detectForVideo(video, timestamp);
+
+      // Like the live loop, frames without hands are skipped; the gap reads as a pause
+      if (landmarkerResult.landmarks && landmarkerResult.landmarks.length > 0) {
+        framesWithHands++;
+        framesWithoutHands = 0;
+        const { features, motionFeatures } = extractFeatures(landmarkerResult);
+
+        segmenter.push(motionFeatures, timestamp).forEach(event => {
+          if (event.type === SEGMENT_EVENT_TYPES.PAUSE) {
+            handleSignEvents(smoother.reset(event.timestamp));
+          } else if (event.type === SEGMENT_EVENT_TYPES.MOTION) {
+            transcriptBuilder.startSegment();
+          }
+        });
+
+        buffer.push(features);
+        if (buffer.length > frameCount) {
+          buffer.shift();
+        }
+
+        if (buffer.length === frameCount && timestamp - lastPredictionTime >= predictionIntervalMs) {
+          lastPredictionTime = timestamp;
+          const details = await predictWindow(buffer);
+          windows.push({ timestamp, probabilities: details.probabilities });
+          handleSignEvents(smoother.push(withUnknownClass(details.probabilities, details.rejected), timestamp));
+        }
+      } else if (++framesWithoutHands > frameCount) {
+        // Hands gone for a whole window: start collecting from scratch, as the live loop does
+        buffer = [];
+      }
+
+      onProgress((frameIndex + 1) / totalFrames);
+    }
+
+    // Close whatever sign is still open at the end of the video
+    handleSignEvents(smoother.reset(durationMs));
+
+    const segments = transcriptBuilder.getEntries().map(entry => {
+      const isUnknown = entry.label === UNKNOWN_LABEL;
+      const meanProbabilities = averageWindows(windows, entry.startTime, entry.endTime);
+      const alternatives = meanProbabilities
+        ? getTopK(meanProbabilities, labels, topK).filter(candidate => candidate.label !== entry.label)
+        : [];
+
+      return {
+        id: entry.id,
+        label: entry.label,
+        confidence: entry.confidence,
+        startTime: entry.startTime / 1000,
+        endTime: entry.endTime / 1000,
+        alternatives,
+        isUnknown,
+        thumbnail: null
+      };
+    });
+
+    // One frame from the middle of each segment, for the history list
+    if (thumbnailWidth > 0) {
+      for (const segment of segments) {
+        throwIfAborted(signal);
+        await seekTo(video, (segment.startTime + segment.endTime) / 2, signal);
+        segment.thumbnail = captureThumbnail(video, thumbnailWidth);
+      }
+    }
+
+    const recognized = segments.filter(segment => !segment.isUnknown);
+
+    return {
+      source: 'upload',
+      duration: video.duration,
+      segments,
+      // Single-label summary for screens that only show one result
+      label: segments.length > 0 ? segments.map(segment => getDisplayLabel(segment.label)).join(' ') : UNKNOWN_LABEL,
+      confidence: recognized.length > 0
+        ? recognized.reduce((sum, segment) => sum + segment.confidence, 0) / recognized.length
+        : undefined,
+      framesProcessed: totalFrames,
+      framesWithHands
+    };
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+  }
+}
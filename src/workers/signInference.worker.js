@@ -0,0 +1,96 @@
+/**
+ * Web Worker that owns a copy of the sign language model and runs inference
+ * off the main thread, so drawing and the UI are not stalled by model.predict.
+ *
+ * Messages are { id, type, ...payload } and every request is answered with
+ * { id, ok, result } or { id, ok: false, error }.
+ */
+import * as tf from '@tensorflow/tfjs';
+import '@tensorflow/tfjs-backend-cpu';
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+let model = null;
+
+/**
+ * Select the requested backend, falling back to CPU when it is not registered
+ */
+const selectBackend = async (backend) => {
+  try {
+    if (await tf.setBackend(backend)) {
+      return tf.getBackend();
+    }
+  } catch (error) {
+    console.warn(`[inference worker] Backend "${backend}" unavailable:`, error.message);
+  }
+
+  await tf.setBackend('cpu');
+  return tf.getBackend();
+};
+
+const handlers = {
+  /**
+   * Load the model from serialized artifacts and warm it up
+   */
+  async load({ artifacts, backend, inputShape }) {
+    const activeBackend = await selectBackend(backend);
+    await tf.ready();
+
+    if (model) {
+      model.dispose();
+      model = null;
+    }
+
+    model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+
+    // Warm up so the first real prediction does not pay for kernel setup
+    tf.tidy(() => {
+      model.predict(tf.zeros([1, ...inputShape]));
+    });
+
+    return { result: { backend: activeBackend } };
+  },
+
+  /**
+   * Run the model on one window of landmark features
+   */
+  async predict({ input, shape }) {
+    if (!model) {
+      throw new Error('Model not loaded in inference worker');
+    }
+
+    const output = tf.tidy(() => model.predict(tf.tensor(input, shape)));
+    const probabilities = await output.data();
+    output.dispose();
+
+    return { result: { probabilities }, transfer: [probabilities.buffer] };
+  },
+
+  /**
+   * Release the model and its tensors
+   */
+  async dispose() {
+    if (model) {
+      model.dispose();
+      model = null;
+    }
+    return { result: null };
+  }
+};
+
+ctx.onmessage = async (event) => {
+  const { id, type, ...payload } = event.data;
+  const handler = handlers[type];
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown inference worker message: ${type}`);
+    }
+
+    const { result, transfer = [] } = await handler(payload);
+    ctx.postMessage({ id, ok: true, result }, transfer);
+  } catch (error) {
+    ctx.postMessage({ id, ok: false, error: error.message });
+  }
+};